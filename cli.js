@@ -5,35 +5,138 @@ import yargs from 'yargs/yargs'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 import { pad } from 'lodash-es'
-import { readFile } from 'node:fs/promises'
+import { watch } from 'node:fs'
+import { access, readFile, writeFile } from 'node:fs/promises'
 import { DateTime } from 'luxon'
 import { gte } from 'semver'
 import ora from 'ora'
-import { checkNits } from './lib/index.mjs'
+import { checkNits, createHttpProvider, formatCheckstyle, formatGithub, formatHtml, formatJunit, formatSarif } from './lib/index.mjs'
+import { ALLOWED_DOMAINS_DEFAULT } from './lib/config/externals.mjs'
 import { getModeByName } from './lib/config/modes.mjs'
+import { findLocalIncludes } from './lib/parsers/xml.mjs'
+import { getCodeDetails, getCodes, isKnownRuleOrCode } from './lib/helpers/rules.mjs'
+import { loadConfigFile, resolveConfig } from './lib/helpers/config-file.mjs'
+import { filterBaseline, getBaselineNitsForFile, getFingerprint, parseBaseline } from './lib/helpers/baseline.mjs'
+import { EXIT_CODES, FAIL_ON_LEVELS, getExitCode } from './lib/helpers/exit.mjs'
+import { resolveInputFiles } from './lib/helpers/files.mjs'
+import { applyFixesToRaw, formatFixDiff } from './lib/helpers/fix.mjs'
+import { configureCache } from './lib/remote/cache.mjs'
+import { DATA_BUNDLE_FILENAME, loadDataBundle } from './lib/remote/bundle.mjs'
+import { loadRfcIndex } from './lib/remote/rfc-index.mjs'
+import { getDefaultCacheDir } from './lib/remote/files.mjs'
+
+const OUTPUT_FORMATS = ['pretty', 'json', 'count', 'sarif', 'junit', 'checkstyle', 'github', 'html']
 
 // Check Node.js version
 if (!gte(process.version, '18.0.0')) {
   console.error('idnits3 requires Node.js v18 or later.')
-  process.exit(1)
+  process.exit(EXIT_CODES.INTERNAL_ERROR)
+}
+
+/**
+ * Split comma-separated values of an option (rule ids / codes, domains)
+ *
+ * @param {string[]} values Values of the option
+ * @returns {string[]} List of values
+ */
+function splitValues (values) {
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(v => v)
 }
 
 // Define CLI arguments config
 const argv = yargs(process.argv.slice(2))
   .scriptName('idnits')
-  .usage('$0 [args] <file-path>')
+  .usage('$0 [args] <file-path..>')
   .example([
     ['$0 draft-ietf-abcd-01.xml', ''],
-    [`$0 -m submission -y ${DateTime.now().year} draft-ietf-abcd-01.xml`, '']
+    ['$0 "drafts/*.xml"', ''],
+    ['$0 --recursive ./drafts', ''],
+    ['$0 --fix-dry-run draft-ietf-abcd-01.xml', ''],
+    ['cat draft.xml | $0 --name draft-ietf-abcd-01.xml -', ''],
+    [`$0 -m submission -y ${DateTime.now().year} draft-ietf-abcd-01.xml`, ''],
+    ['$0 explain RAGGED_RIGHT', ''],
+    ['$0 lsp --offline', ''],
+    ['$0 data update', '']
   ])
+  .option('allow-domain', {
+    describe: 'Allow remote lookups to fetch from a domain and its subdomains, in addition to the allowed domains of the configuration file or the defaults. Can be declared multiple times or as a comma-separated list.',
+    coerce: splitValues,
+    type: 'array'
+  })
+  .option('baseline', {
+    alias: 'b',
+    describe: 'Path to a baseline file (JSON output of a previous run). Nits recorded in the baseline are not reported.',
+    normalize: true,
+    type: 'string'
+  })
+  .option('cache', {
+    default: true,
+    type: 'boolean',
+    hidden: true
+  })
+  .option('cache-dir', {
+    describe: `Directory to cache remote lookups in, to reuse them across runs. Defaults to ${getDefaultCacheDir()}`,
+    normalize: true,
+    type: 'string'
+  })
+  .option('config', {
+    alias: 'c',
+    describe: 'Path to a configuration file. By default, the closest .idnitsrc, .idnitsrc.json or idnits.config.json file from the document directory is used.',
+    normalize: true,
+    type: 'string'
+  })
+  .option('data-file', {
+    describe: `Path of the offline data bundle, written by idnits data update and used with --offline. Defaults to ${DATA_BUNDLE_FILENAME} in the cache directory`,
+    normalize: true,
+    type: 'string'
+  })
+  .option('datatracker-url', {
+    describe: 'Base URL of the Datatracker instance to look up Internet-Drafts and the Downref Registry in (e.g. a local staging instance)',
+    type: 'string'
+  })
+  .option('disable', {
+    alias: 'd',
+    describe: 'Skip a rule (e.g. validateFQDNs) or a nit code (e.g. TEXT_DOC_REF). Can be declared multiple times or as a comma-separated list.',
+    coerce: splitValues,
+    nargs: 1,
+    type: 'array'
+  })
+  .option('enable', {
+    alias: 'e',
+    describe: 'Only run the given rules or report the given nit codes. Can be declared multiple times or as a comma-separated list.',
+    coerce: splitValues,
+    nargs: 1,
+    type: 'array'
+  })
+  .option('fail-on', {
+    describe: 'Minimum severity to exit with a failure code. Less severe nits exit with 0.',
+    choices: FAIL_ON_LEVELS,
+    type: 'string'
+  })
   .option('filter', {
     alias: 'f',
     describe: 'Filter output to only certain severity types. Can be declared multiple times to filter multiple severity types.',
     choices: ['errors', 'warnings', 'comments'],
-    default: [],
     nargs: 1,
     type: 'array'
   })
+  .option('fix', {
+    describe: 'Apply the fixes of mechanically correctable nits to the documents, then report the remaining nits',
+    type: 'boolean'
+  })
+  .option('fix-dry-run', {
+    describe: 'Print the fixes of mechanically correctable nits as a unified diff, instead of the report, without changing the documents',
+    type: 'boolean'
+  })
+  .option('format', {
+    describe: 'Document format, to use instead of the filename extension',
+    choices: ['txt', 'xml'],
+    type: 'string'
+  })
+  .option('max-warnings', {
+    describe: 'Exit with a failure code when the number of warnings exceeds this limit',
+    type: 'number'
+  })
   .option('mode', {
     alias: 'm',
     describe: 'Validation mode to use',
@@ -46,7 +149,6 @@ const argv = yargs(process.argv.slice(2))
       }
     },
     choices: ['normal', 'forgive-checklist', 'submission'],
-    default: 'normal',
     type: 'string'
   })
   .option('progress', {
@@ -54,20 +156,39 @@ const argv = yargs(process.argv.slice(2))
     type: 'boolean',
     hidden: true
   })
+  .option('name', {
+    describe: 'Filename of the document (e.g. draft-foo-bar-03.xml), when reading from stdin or to use instead of the actual filename',
+    type: 'string'
+  })
+  .option('no-cache', {
+    describe: 'Disable the cache of remote lookups',
+    type: 'boolean'
+  })
   .option('no-progress', {
     describe: 'Disable progress messages / animations in pretty output',
     type: 'boolean'
   })
   .option('offline', {
-    default: false,
-    describe: 'Disable validations that require an internet connection',
+    describe: 'Run validations that require an internet connection against the offline data bundle (see idnits data update), or skip them without one',
     type: 'boolean'
   })
   .option('output', {
     alias: 'o',
     describe: 'Output format',
-    choices: ['pretty', 'json', 'count'],
-    default: 'pretty',
+    choices: OUTPUT_FORMATS,
+    type: 'string'
+  })
+  .option('recursive', {
+    alias: 'r',
+    describe: 'Validate documents in subdirectories of directory arguments',
+    type: 'boolean'
+  })
+  .option('refresh-cache', {
+    describe: 'Revalidate cached remote lookups, regardless of their age',
+    type: 'boolean'
+  })
+  .option('rfc-index', {
+    describe: 'Look up RFC metadata in an rfc-index.xml file, instead of fetching each RFC. Without a path, the index is downloaded from rfc-editor.org (and cached)',
     type: 'string'
   })
   .option('solarized', {
@@ -75,60 +196,552 @@ const argv = yargs(process.argv.slice(2))
     describe: 'Use alternate colors for a solarized light themed terminal',
     type: 'boolean'
   })
+  .option('update-baseline', {
+    describe: 'Write all current nits to the baseline file instead of reporting them',
+    implies: 'baseline',
+    type: 'boolean'
+  })
+  .option('watch', {
+    alias: 'w',
+    describe: 'Keep running and revalidate the documents (and their local includes) when they change',
+    type: 'boolean'
+  })
   .option('year', {
     alias: 'y',
     describe: 'Expect the given year in the boilerplate',
     type: 'number'
   })
-  .command('* <file>', 'parse and validate document', (y) => {
-    y.positional('file', {
+  .command('* <files..>', 'parse and validate documents', (y) => {
+    y.positional('files', {
       type: 'string',
-      describe: 'Path of the document to validate',
-      normalize: true
+      describe: 'Paths of the documents, directories or glob patterns to validate, or - to read from stdin'
     })
   })
+  .command('rules', 'list every nit code, with its severity per mode, rules and document types')
+  .command('explain <code>', 'describe a nit code, with examples', (y) => {
+    y.positional('code', {
+      type: 'string',
+      describe: 'Nit code (e.g. RAGGED_RIGHT)'
+    })
+  })
+  .command('lsp', 'start a Language Server Protocol server over stdio, to report nits in editors')
+  .command('data <action>', 'manage the offline data bundle used with --offline', (y) => {
+    y.positional('action', {
+      type: 'string',
+      choices: ['update'],
+      describe: 'update: download a snapshot of the IANA TLDs, RFC index, Downref Registry and draft revisions'
+    })
+  })
+  .check(argv => {
+    if (argv.datatrackerUrl !== undefined) {
+      // Throws on invalid URLs
+      createHttpProvider({ datatrackerUrl: argv.datatrackerUrl })
+    }
+    const unknownNames = [...argv.enable ?? [], ...argv.disable ?? []].filter(n => !isKnownRuleOrCode(n))
+    if (unknownNames.length > 0) {
+      throw new Error(`Unknown rule or nit code: ${unknownNames.join(', ')}`)
+    }
+    if (process.argv.slice(2).includes('-') && argv.files?.length > 0) {
+      throw new Error('Reading from stdin (-) cannot be combined with other documents')
+    }
+    if (argv.watch && (process.argv.slice(2).includes('-') || argv.updateBaseline)) {
+      throw new Error('--watch cannot be used when reading from stdin or with --update-baseline')
+    }
+    if (argv.fix && (process.argv.slice(2).includes('-') || argv.fixDryRun)) {
+      throw new Error('--fix cannot be used when reading from stdin or with --fix-dry-run')
+    }
+    if ((argv.fix || argv.fixDryRun) && (argv.watch || argv.updateBaseline)) {
+      throw new Error('--fix and --fix-dry-run cannot be used with --watch or --update-baseline')
+    }
+    if (!argv.cache && (argv.cacheDir || argv.refreshCache)) {
+      throw new Error('--no-cache cannot be used with --cache-dir or --refresh-cache')
+    }
+    if (argv.maxWarnings !== undefined && (!Number.isInteger(argv.maxWarnings) || argv.maxWarnings < 0)) {
+      throw new Error('--max-warnings must be a positive integer')
+    }
+    return true
+  })
   .strict()
+  .fail((msg, err, y) => {
+    y.showHelp()
+    console.error(`\n${msg ?? err?.message}`)
+    process.exit(EXIT_CODES.INTERNAL_ERROR)
+  })
   .alias({ h: 'help' })
   .help()
   .version()
   .argv
 
+const MODE_NAMES = ['normal', 'forgive-checklist', 'submission']
+
 // Get package version
 const cliDir = path.dirname(fileURLToPath(import.meta.url))
 const pkgInfo = JSON.parse(await readFile(path.join(cliDir, 'package.json'), 'utf8'))
-if (argv.output === 'pretty') {
-  console.log(chalk.bgGray.white('▄'.repeat(64)))
-  console.log(chalk.bgWhite.black(`${pad('idnits ▶ ' + pkgInfo.version, 64)}`))
-  console.log(chalk.bgGray.white('▀'.repeat(64)))
-  console.log()
+
+/**
+ * Resolve the cache directory. CLI arguments take precedence over the configuration file.
+ *
+ * @param {Object} [config] Configuration file object
+ * @param {string} [configPath] Path of the configuration file, to resolve its cache directory from
+ * @returns {string} Path of the cache directory
+ */
+function resolveCacheDir (config = {}, configPath = null) {
+  if (argv.cacheDir) {
+    return path.resolve(process.cwd(), argv.cacheDir)
+  } else if (config.cacheDir) {
+    return path.resolve(path.dirname(configPath), config.cacheDir)
+  }
+  return getDefaultCacheDir()
+}
+
+/**
+ * Configure the cache of remote lookups. CLI arguments take precedence over the configuration file.
+ *
+ * @param {Object} [config] Configuration file object
+ * @param {string} [configPath] Path of the configuration file, to resolve its cache directory from
+ */
+function setupCache (config = {}, configPath = null) {
+  const dir = argv.cache ? resolveCacheDir(config, configPath) : null
+  configureCache({ dir, refresh: argv.refreshCache, ttl: config.cacheTtl })
 }
 
-// Read document
-const docPath = path.resolve(process.cwd(), argv.file)
-const docPathObj = path.parse(docPath)
-if (argv.output === 'pretty') {
-  console.log(chalk.bgWhite.black(' Path ') + ` ${docPath}`)
+/**
+ * Resolve the path of the offline data bundle. CLI arguments take precedence over the configuration file.
+ *
+ * @param {Object} [config] Configuration file object
+ * @param {string} [configPath] Path of the configuration file, to resolve its data file from
+ * @returns {string} Path of the data bundle
+ */
+function resolveDataFile (config = {}, configPath = null) {
+  if (argv.dataFile) {
+    return path.resolve(process.cwd(), argv.dataFile)
+  } else if (config.dataFile) {
+    return path.resolve(path.dirname(configPath), config.dataFile)
+  }
+  return path.join(resolveCacheDir(config, configPath), DATA_BUNDLE_FILENAME)
+}
+
+/**
+ * Resolve the domains remote lookups can fetch from: the allowed domains of the configuration file or the defaults,
+ * extended with the --allow-domain ones
+ *
+ * @param {Object} [config] Configuration file object
+ * @returns {string[]} List of allowed domains, or undefined to use the defaults
+ */
+function resolveAllowedDomains (config = {}) {
+  return argv.allowDomain ? [...config.allowedDomains ?? ALLOWED_DOMAINS_DEFAULT, ...argv.allowDomain] : config.allowedDomains
+}
+
+/**
+ * Load the RFC index to look up RFC metadata in, if set. CLI arguments take precedence over the configuration file.
+ *
+ * @param {Object} [config] Configuration file object
+ * @param {string} [configPath] Path of the configuration file, to resolve its RFC index from
+ */
+async function setupRfcIndex (config = {}, configPath = null) {
+  if (argv.rfcIndex !== undefined) {
+    // Without a path, the index is downloaded
+    if (!argv.rfcIndex && (argv.offline ?? config.offline)) {
+      throw new Error('--rfc-index requires the path of a local rfc-index.xml file in offline mode')
+    }
+    await loadRfcIndex(argv.rfcIndex ? path.resolve(process.cwd(), argv.rfcIndex) : undefined, {
+      allowedDomains: resolveAllowedDomains(config)
+    })
+  } else if (config.rfcIndex) {
+    await loadRfcIndex(path.resolve(path.dirname(configPath), config.rfcIndex))
+  }
 }
-let docRaw = ''
+
+/**
+ * Load the offline data bundle, for remote-dependent validations to run offline
+ *
+ * A missing bundle at the default path is not an error: these validations are then skipped.
+ *
+ * @param {Object} [config] Configuration file object
+ * @param {string} [configPath] Path of the configuration file, to resolve its data file from
+ * @returns {Promise<Object>} Path and snapshot date of the loaded bundle, or null if there is none
+ */
+async function setupDataBundle (config = {}, configPath = null) {
+  const dataFile = resolveDataFile(config, configPath)
+  if (!argv.dataFile && !config.dataFile) {
+    try {
+      await access(dataFile)
+    } catch (err) {
+      return null
+    }
+  }
+  const { createdAt } = await loadDataBundle(dataFile)
+  return { path: dataFile, createdAt }
+}
+
+// List nit codes
+if (argv._[0] === 'rules') {
+  const codes = getCodes()
+  if (argv.output === 'json') {
+    console.log(JSON.stringify(codes))
+  } else {
+    const codeWidth = Math.max(...codes.map(c => c.code.length))
+    console.log(chalk.grey(`${'Code'.padEnd(codeWidth)}  ${MODE_NAMES.map(m => m.padEnd(17)).join(' ')}  Doc Types  Rules`))
+    for (const details of codes) {
+      const severity = details.severity.map(s => colorSeverity(s ?? '-', 17)).join(' ')
+      console.log(`${chalkAdapted('whiteBright')(details.code.padEnd(codeWidth))}  ${severity}  ${details.docTypes.join(',').padEnd(9)}  ${details.rules.join(', ') || chalk.grey('-')}`)
+    }
+    console.log(chalk.grey(`\n${codes.length} codes. Use idnits explain <code> for details.`))
+  }
+  process.exit(EXIT_CODES.CLEAN)
+}
+
+// Describe a nit code
+if (argv._[0] === 'explain') {
+  const details = getCodeDetails(argv.code.toUpperCase())
+  if (!details) {
+    console.error(chalk.redBright(`Unknown nit code: ${argv.code}`))
+    process.exit(EXIT_CODES.INTERNAL_ERROR)
+  }
+  if (argv.output === 'json') {
+    console.log(JSON.stringify(details))
+  } else {
+    console.log(chalk.bgWhite.black(' Code ') + ` ${details.code}`)
+    console.log(chalk.grey(' └- ') + chalkAdapted('white')('Rule') + chalk.grey(' - ') + chalkAdapted('white')(details.rules.join(', ') || 'n/a'))
+    console.log(chalk.grey(' └- ') + chalkAdapted('white')('Type') + chalk.grey(' - ') + chalkAdapted('white')(details.docTypes.join(', ')))
+    console.log(chalk.grey(' └- ') + chalkAdapted('white')('Mode') + chalk.grey(' - ') + MODE_NAMES.map((m, idx) => `${m}: ${colorSeverity(details.severity[idx] ?? '-')}`).join(chalk.grey(' | ')))
+    for (const situation of details.situations) {
+      console.log(chalk.grey('    ') + chalkAdapted('white')(situation.description) + chalk.grey(' - ') + MODE_NAMES.map((m, idx) => `${m}: ${colorSeverity(situation.severity[idx])}`).join(chalk.grey(' | ')))
+    }
+    if (details.aliases.length > 0) {
+      console.log(chalk.grey(' └- ') + chalkAdapted('white')('Aka ') + chalk.grey(' - ') + chalkAdapted('white')(`${details.aliases.join(', ')} (deprecated)`))
+    }
+    if (details.ref) {
+      console.log(chalk.grey(' └- ') + chalkAdapted('white')('Ref ') + chalk.grey(' - ') + chalk.cyan(details.ref))
+    }
+    console.log()
+    console.log(chalkAdapted('whiteBright')(details.description ?? 'No description available.'))
+    if (details.bad) {
+      console.log()
+      console.log(chalk.bgRed.whiteBright(' BAD ') + '\n' + details.bad.split('\n').map(l => chalk.redBright(`  ${l}`)).join('\n'))
+    }
+    if (details.good) {
+      console.log()
+      console.log(chalk.bgGreen.whiteBright(' GOOD ') + '\n' + details.good.split('\n').map(l => chalk.greenBright(`  ${l}`)).join('\n'))
+    }
+    console.log()
+  }
+  process.exit(EXIT_CODES.CLEAN)
+}
+
+// Download a snapshot of remote data, for validations to run offline
+if (argv._[0] === 'data') {
+  const { updateDataBundle } = await import('./lib/remote/bundle-update.mjs')
+  const progress = ora({ text: 'Loading...', isSilent: argv.output === 'json' || !argv.progress })
+  try {
+    let config = {}
+    let configPath = null
+    if (argv.config) {
+      configPath = path.resolve(process.cwd(), argv.config)
+      config = await loadConfigFile(configPath)
+    } else {
+      const resolvedConfig = await resolveConfig(process.cwd())
+      if (resolvedConfig) {
+        configPath = resolvedConfig.path
+        config = resolvedConfig.config
+      }
+    }
+    const dataFile = resolveDataFile(config, configPath)
+    progress.start()
+    const bundle = await updateDataBundle(dataFile, {
+      progressReport: (msg) => { progress.text = msg },
+      allowedDomains: resolveAllowedDomains(config)
+    })
+    progress.stop()
+    const counts = {
+      tlds: bundle.tlds.length,
+      arpa: bundle.arpa.length,
+      rfcs: Object.keys(bundle.rfcs).length,
+      downrefs: bundle.downrefs.length,
+      drafts: Object.keys(bundle.drafts).length
+    }
+    if (argv.output === 'json') {
+      console.log(JSON.stringify({ path: dataFile, createdAt: bundle.createdAt, counts }))
+    } else {
+      console.log(chalk.bgGreen.whiteBright(' DONE ') + chalk.greenBright(` Offline data bundle written to ${dataFile}`))
+      console.log(chalk.grey(` └- Snapshot of ${bundle.createdAt}: ${counts.tlds} TLDs, ${counts.arpa} .arpa domains, ${counts.rfcs} RFCs, ${counts.downrefs} downrefs, ${counts.drafts} drafts\n`))
+    }
+  } catch (err) {
+    progress.stop()
+    console.error(chalk.redBright(err.message))
+    process.exit(EXIT_CODES.INTERNAL_ERROR)
+  }
+  process.exit(EXIT_CODES.CLEAN)
+}
+
+// Start a language server, documents are then provided by the editor
+if (argv._[0] === 'lsp') {
+  // Messages are exchanged over stdout, keep it free of anything else
+  console.log = console.error
+  const { startLanguageServer } = await import('./lib/lsp/server.mjs')
+  setupCache()
+  try {
+    await setupRfcIndex()
+    if (argv.offline) {
+      await setupDataBundle()
+    }
+  } catch (err) {
+    console.error(err.message)
+    process.exit(EXIT_CODES.INTERNAL_ERROR)
+  }
+  const exitCode = await new Promise(resolve => {
+    startLanguageServer({
+      checkOpts: {
+        mode: argv.mode && getModeByName(argv.mode).mode,
+        offline: argv.offline,
+        datatrackerUrl: argv.datatrackerUrl,
+        year: argv.year,
+        rules: (argv.enable || argv.disable) && { include: argv.enable ?? [], exclude: argv.disable ?? [] }
+      },
+      allowDomains: argv.allowDomain,
+      configPath: argv.config && path.resolve(process.cwd(), argv.config),
+      version: pkgInfo.version,
+      onExit: resolve
+    })
+  })
+  process.exit(exitCode)
+}
+
+// Resolve document paths, unless reading from stdin (yargs drops - from positionals)
+const isStdin = process.argv.slice(2).includes('-')
+let docPaths = []
+if (!isStdin) {
+  try {
+    docPaths = await resolveInputFiles(argv.files, { recursive: argv.recursive })
+    if (argv.name && docPaths.length > 1) {
+      throw new Error('--name can only be used with a single document.')
+    }
+  } catch (err) {
+    console.error(chalk.redBright(err.message))
+    process.exit(EXIT_CODES.INTERNAL_ERROR)
+  }
+}
+
+// Load configuration file, closest to the first document
+let config = {}
+let configPath = null
+let dataBundle = null
 try {
-  docRaw = await readFile(docPath)
+  if (argv.config) {
+    configPath = path.resolve(process.cwd(), argv.config)
+    config = await loadConfigFile(configPath)
+  } else {
+    const resolvedConfig = await resolveConfig(isStdin ? process.cwd() : path.dirname(docPaths[0]))
+    if (resolvedConfig) {
+      configPath = resolvedConfig.path
+      config = resolvedConfig.config
+    }
+  }
+  if (config.output && !OUTPUT_FORMATS.includes(config.output)) {
+    throw new Error(`Invalid configuration file ${configPath}: unknown output "${config.output}".`)
+  }
+  if (config.filter && !config.filter.every(f => ['errors', 'warnings', 'comments'].includes(f))) {
+    throw new Error(`Invalid configuration file ${configPath}: filter must only contain errors, warnings or comments.`)
+  }
+  setupCache(config, configPath)
+  await setupRfcIndex(config, configPath)
+  if (argv.offline ?? config.offline) {
+    dataBundle = await setupDataBundle(config, configPath)
+  }
 } catch (err) {
-  console.error(chalk.redBright(`Failed to read document: ${err.message}`))
-  process.exit(1)
+  console.error(chalk.redBright(err.message))
+  process.exit(EXIT_CODES.INTERNAL_ERROR)
+}
+
+// CLI arguments take precedence over the configuration file
+// Fixes are printed as a diff instead of the report
+const output = argv.fixDryRun ? 'diff' : argv.output ?? config.output ?? 'pretty'
+const filter = argv.filter ?? config.filter ?? []
+const failOn = argv.failOn ?? config.failOn
+const maxWarnings = argv.maxWarnings ?? config.maxWarnings
+const modeName = argv.mode ?? (config.mode ? getModeByName(config.mode).name : 'normal')
+const allowedDomains = resolveAllowedDomains(config)
+const rulesSelection = {
+  include: argv.enable ?? config.enable ?? [],
+  exclude: argv.disable ?? config.disable ?? []
+}
+if (isStdin && !argv.name) {
+  // Without a filename, filename validations are meaningless
+  rulesSelection.exclude = [...rulesSelection.exclude, 'validateFilename', 'validateDocName']
+}
+
+// Read baseline
+const baselinePath = argv.baseline ? path.resolve(process.cwd(), argv.baseline) : null
+let baselineNits = []
+if (baselinePath && !argv.updateBaseline) {
+  try {
+    baselineNits = parseBaseline(JSON.parse(await readFile(baselinePath, 'utf8')))
+  } catch (err) {
+    console.error(chalk.redBright(`Failed to read baseline: ${err.message}`))
+    process.exit(EXIT_CODES.INTERNAL_ERROR)
+  }
 }
 
 // Get Mode
-const mode = getModeByName(argv.mode).mode
-if (argv.output === 'pretty') {
-  console.log(chalk.bgWhite.black(' Mode ') + ` ${argv.mode} ` + chalk.grey(`[${mode}]`))
+const mode = getModeByName(modeName).mode
+
+/**
+ * Print the header of the pretty output format
+ */
+function printPrettyHeader () {
+  console.log(chalk.bgGray.white('▄'.repeat(64)))
+  console.log(chalk.bgWhite.black(`${pad('idnits ▶ ' + pkgInfo.version, 64)}`))
+  console.log(chalk.bgGray.white('▀'.repeat(64)))
+  console.log()
+  if (configPath) {
+    console.log(chalk.bgWhite.black(' Conf ') + ` ${configPath}`)
+  }
+  if (baselinePath && !argv.updateBaseline) {
+    console.log(chalk.bgWhite.black(' Base ') + ` ${baselinePath} ` + chalk.grey(`[${baselineNits.length} nits]`))
+  }
+  console.log(chalk.bgWhite.black(' Mode ') + ` ${modeName} ` + chalk.grey(`[${mode}]`))
+  if (dataBundle) {
+    console.log(chalk.bgWhite.black(' Data ') + ` ${dataBundle.path} ` + chalk.grey(`[snapshot of ${DateTime.fromISO(dataBundle.createdAt).toISODate()}]`))
+  }
   console.log()
 }
 
 // Initialize progress reporter
 const spinner = ora({
   text: 'Loading...',
-  isSilent: argv.output !== 'pretty' || !argv.progress
-}).start()
+  isSilent: output !== 'pretty' || !argv.progress
+})
+
+/**
+ * Build the JSON output of the validation results of a document
+ *
+ * @param {Object} file Validated document
+ * @returns {Object} JSON output
+ */
+function toJsonOutput (file) {
+  return {
+    result: file.result.length > 0 ? 'fail' : 'pass',
+    file: {
+      path: file.path,
+      size: file.raw.length
+    },
+    nits: file.result.map(r => ({
+      code: r.name,
+      desc: r.message,
+      fingerprint: getFingerprint(r),
+      ...r.refUrl && { ref: r.refUrl },
+      ...r.lines && { line: r.lines },
+      ...r.locations && { locations: r.locations },
+      ...r.path && { path: r.path },
+      ...r.text && { text: r.text },
+      ...r.fix && { fix: r.fix }
+    }))
+  }
+}
+
+/**
+ * Build the JSON output of a document which could not be validated
+ *
+ * @param {Object} failure Failed document
+ * @returns {Object} JSON output
+ */
+function toJsonFailureOutput (failure) {
+  return {
+    result: 'error',
+    file: {
+      path: failure.path
+    },
+    message: failure.message
+  }
+}
+
+/**
+ * Build the JSON output of the validation results of all documents
+ *
+ * The output of a single input document is kept as is. Multiple documents are listed in a files array,
+ * with an error result when any of them could not be validated.
+ * The snapshot date of the offline data bundle, when used, is stated in a data object.
+ *
+ * @param {Object[]} files Validated documents
+ * @param {Object[]} [failures=[]] Documents which could not be validated
+ * @returns {Object} JSON output
+ */
+function toJsonReport (files, failures = []) {
+  const outputs = [...files.map(toJsonOutput), ...failures.map(toJsonFailureOutput)]
+  const report = docs.length === 1
+    ? outputs[0]
+    : {
+        result: failures.length > 0 ? 'error' : files.some(f => f.result.length > 0) ? 'fail' : 'pass',
+        files: outputs
+      }
+  // Remote-dependent validations ran against the offline data bundle
+  if (dataBundle) {
+    report.data = { path: dataBundle.path, snapshot: dataBundle.createdAt }
+  }
+  return report
+}
+
+/**
+ * Read the document from stdin
+ *
+ * @returns {Promise<Buffer>} Document contents
+ */
+async function readStdin () {
+  const chunks = []
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Filter out the severity types not selected with --filter
+ *
+ * @param {Array} result List of errors/warnings/comments
+ * @returns {Array} Filtered list
+ */
+function filterSeverities (result) {
+  if (filter.length < 1) {
+    return result
+  }
+  return result.filter(entry => {
+    switch (entry.constructor.name) {
+      case 'ValidationError': {
+        return filter.includes('errors')
+      }
+      case 'ValidationWarning': {
+        return filter.includes('warnings')
+      }
+      case 'ValidationComment': {
+        return filter.includes('comments')
+      }
+      default: {
+        return true
+      }
+    }
+  })
+}
+
+/**
+ * Color a severity name
+ *
+ * @param {string} severity Severity (error, warning, comment, off)
+ * @param {number} [width=0] Width to pad the severity name to
+ * @returns {string} Colored severity name
+ */
+function colorSeverity (severity, width = 0) {
+  const text = severity.padEnd(width)
+  switch (severity) {
+    case 'error':
+      return chalk.redBright(text)
+    case 'warning':
+      return chalk.yellowBright(text)
+    case 'comment':
+      return chalk.cyanBright(text)
+    default:
+      return chalk.grey(text)
+  }
+}
 
 function chalkAdapted (color) {
   switch (color) {
@@ -139,119 +752,348 @@ function chalkAdapted (color) {
   }
 }
 
-// Validate document
-try {
-  let result = await checkNits(docRaw, docPathObj.base, {
-    mode,
-    progressReport: (msg) => { spinner.text = msg },
-    offline: argv.offline
-  })
+/**
+ * Print the results of a document in the pretty output format
+ *
+ * @param {Array} result List of errors/warnings/comments
+ */
+function printPrettyResult (result) {
+  if (result.length === 0) {
+    console.log(chalk.bgGreen.whiteBright(' PASS ') + chalk.greenBright(' Document is VALID. 🎉\n'))
+    return
+  }
+  console.error(chalk.bgRed.whiteBright(' FAIL ') + chalk.redBright(' Document is INVALID. ❌\n'))
+  // Format errors
+  let entryIdx = 1
+  for (const entry of result) {
+    switch (entry.constructor.name) {
+      case 'ValidationError': {
+        console.log(chalk.bgRed.whiteBright(` ${entryIdx} `) + chalk.redBright(' Error'))
+        console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.redBright(entry.name))
+        break
+      }
+      case 'ValidationWarning': {
+        console.log(chalk.bgYellow.whiteBright(` ${entryIdx} `) + chalk.yellowBright(' Warning'))
+        console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.yellowBright(entry.name))
+        break
+      }
+      case 'ValidationComment': {
+        console.log(chalk.bgCyan.whiteBright(` ${entryIdx} `) + ' Comment')
+        console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.cyanBright(entry.name))
+        break
+      }
+      default: {
+        console.log(chalk.bgRed.whiteBright(` ${entryIdx} `) + ' Unexpected Error')
+      }
+    }
+    console.log(chalk.grey(' └- ') + chalkAdapted('white')('Desc') + chalk.grey(' - ') + chalkAdapted('whiteBright')(entry.message))
+    if (entry.text) {
+      console.log(chalk.grey(' └- ') + chalkAdapted('white')('Text') + chalk.grey(' - ') + chalkAdapted('white')(entry.text))
+    }
+    if (entry.refUrl) {
+      console.log(chalk.grey(' └- ') + chalkAdapted('white')('Ref ') + chalk.grey(' - ') + chalk.cyan(entry.refUrl))
+    }
+    if (entry.path) {
+      console.log(chalk.grey(' └- ') + chalkAdapted('white')('Path') + chalk.grey(' - ') + chalkAdapted('white')(entry.path))
+    }
+    if (entry.locations) {
+      const lines = []
+      for (const { start } of entry.locations) {
+        lines.push(`Ln ${start.line} Col ${start.column}`)
+      }
+      console.log(chalk.grey(' └- ') + chalkAdapted('white')('Line') + chalk.grey(' - ') + chalkAdapted('white')(lines.join(', ')))
+    }
+    console.log() // Empty line between entries
+    entryIdx++
+  }
+}
 
-  spinner.stop()
+const docs = isStdin
+  ? [{ path: null, filename: argv.name ?? '', displayPath: argv.name ?? 'stdin' }]
+  : docPaths.map(docPath => ({ path: docPath, filename: argv.name ?? path.basename(docPath), displayPath: path.relative(process.cwd(), docPath) }))
 
-  // Filter severity types
-  if (argv.filter && argv.filter.length > 0) {
-    result = result.filter(entry => {
-      switch (entry.constructor.name) {
-        case 'ValidationError': {
-          return argv.filter.includes('errors')
-        }
-        case 'ValidationWarning': {
-          return argv.filter.includes('warnings')
+/**
+ * Validate documents, one at a time. Remote lookups cached in lib/remote are shared by all documents.
+ *
+ * @returns {Promise<Object>} Validated documents (files) and documents which could not be validated (failures)
+ */
+async function validateDocuments () {
+  const files = []
+  const failures = []
+  for (const doc of docs) {
+    if (output === 'pretty') {
+      console.log(chalk.bgWhite.black(' Path ') + ` ${doc.path ?? 'stdin'}` + (argv.name ? chalk.grey(` [${argv.name}]`) : ''))
+    }
+
+    let docRaw = ''
+    try {
+      docRaw = doc.path ? await readFile(doc.path) : await readStdin()
+    } catch (err) {
+      console.error(chalk.redBright(`Failed to read document: ${err.message}`))
+      failures.push({ path: doc.path ?? doc.displayPath, relativePath: doc.displayPath, rules: {}, message: `Failed to read document: ${err.message}` })
+      continue
+    }
+
+    // Without a filename extension, guess the format from the contents
+    let format = argv.format
+    if (!format && !/\.(txt|xml)$/i.test(doc.filename)) {
+      format = docRaw.toString('utf8').trimStart().startsWith('<') ? 'xml' : 'txt'
+    }
+
+    // Outcome of the rules of the last validation, by rule id
+    let rules = {}
+    const validate = async (raw) => {
+      spinner.start('Loading...')
+      rules = {}
+      const result = await checkNits(raw, doc.filename, {
+        config,
+        mode,
+        progressReport: (msg) => { spinner.text = msg },
+        ruleReport: ({ id, ...outcome }) => { rules[id] = outcome },
+        offline: argv.offline,
+        datatrackerUrl: argv.datatrackerUrl,
+        allowedDomains,
+        year: argv.year,
+        rules: rulesSelection,
+        format
+      })
+      spinner.stop()
+
+      // Apply baseline (not when updating it, to record all nits)
+      if (baselinePath && !argv.updateBaseline) {
+        return filterBaseline(result, getBaselineNitsForFile(baselineNits, doc.filename))
+      }
+      return result
+    }
+
+    try {
+      let result = await validate(docRaw)
+
+      // Apply fixes, then validate the fixed document again to report the remaining nits
+      let diff = ''
+      if (argv.fix || argv.fixDryRun) {
+        let fixes = null
+        try {
+          fixes = await applyFixesToRaw(docRaw, result)
+        } catch (err) {
+          console.error(chalk.redBright(`Fixes not applied: ${err.message}`))
         }
-        case 'ValidationComment': {
-          return argv.filter.includes('comments')
+        if (fixes) {
+          diff = formatFixDiff(fixes.source, fixes.edits, { path: doc.displayPath })
         }
-        default: {
-          return true
+        if (argv.fix && fixes?.fixed.length > 0) {
+          docRaw = Buffer.from(fixes.raw)
+          await writeFile(doc.path, docRaw)
+          result = await validate(docRaw)
+          if (output === 'pretty') {
+            console.log(chalk.bgGreen.whiteBright(' FIXED ') + chalk.greenBright(` ${fixes.fixed.length} nit(s) fixed: ${[...new Set(fixes.fixed.map(e => e.name))].join(', ')}`) + '\n')
+          }
         }
       }
-    })
+
+      files.push({
+        path: doc.path ?? doc.displayPath,
+        relativePath: doc.displayPath,
+        format,
+        raw: docRaw,
+        result,
+        rules,
+        diff
+      })
+    } catch (err) {
+      spinner.stop()
+      // Keep the other outputs parseable
+      if (output === 'pretty') {
+        console.debug(err)
+      }
+      console.error(chalk.redBright(`Validation failed:\n- ${err.message}`))
+      failures.push({ path: doc.path ?? doc.displayPath, relativePath: doc.displayPath, format, rules, message: `Validation failed: ${err.message}` })
+      continue
+    }
+
+    if (output === 'pretty' && !argv.updateBaseline) {
+      printPrettyResult(filterSeverities(files[files.length - 1].result))
+    }
+  }
+  return { files, failures }
+}
+
+/**
+ * Output the results of validated documents in the selected output format
+ *
+ * @param {Object[]} files Validated documents
+ * @param {Object[]} failures Documents which could not be validated
+ * @returns {number} Exit code, reflecting the worst result of all documents
+ */
+function outputResults (files, failures) {
+  // Filter severity types
+  for (const file of files) {
+    file.result = filterSeverities(file.result)
   }
 
   // Output results
-  switch (argv.output) {
-    // COUNT | Only return number of nits
+  const reportFiles = files.map(f => ({ path: f.relativePath, format: f.format, result: f.result, rules: f.rules, source: f.raw.toString('utf8') }))
+  switch (output) {
+    // COUNT | Only return number of nits, per document when there are several, error for failed documents
     case 'count': {
-      console.log(result.length)
+      if (docs.length === 1) {
+        console.log(files.length > 0 ? files[0].result.length : 'error')
+      } else {
+        for (const file of files) {
+          console.log(`${file.result.length} ${file.relativePath}`)
+        }
+        for (const failure of failures) {
+          console.log(`error ${failure.relativePath}`)
+        }
+        console.log(`${files.reduce((sum, f) => sum + f.result.length, 0)} total`)
+      }
       break
     }
     // JSON | Return results as a stringified JSON object
     case 'json': {
-      console.log(JSON.stringify({
-        result: result.length > 0 ? 'fail' : 'pass',
-        file: {
-          path: docPath,
-          size: 0
-        },
-        nits: result.map(r => ({
-          code: r.name,
-          desc: r.message,
-          ...r.refUrl && { ref: r.refUrl },
-          ...r.lines && { line: r.lines }
-        }))
-      }))
+      console.log(JSON.stringify(toJsonReport(files, failures)))
+      break
+    }
+    // SARIF | Return results as a SARIF 2.1.0 log, for code scanning tools
+    case 'sarif': {
+      console.log(formatSarif(reportFiles, { mode, version: pkgInfo.version, dataSnapshot: dataBundle?.createdAt }))
+      break
+    }
+    // JUNIT | Return results as a JUnit XML report, one test case per rule, with failed documents as errors
+    case 'junit': {
+      const failedFiles = failures.map(f => ({ path: f.relativePath, format: f.format, result: [], rules: f.rules, error: f.message }))
+      console.log(formatJunit([...reportFiles, ...failedFiles], { rules: rulesSelection }))
+      break
+    }
+    // CHECKSTYLE | Return results as a Checkstyle XML report
+    case 'checkstyle': {
+      console.log(formatCheckstyle(reportFiles))
       break
     }
-    // PRETTY | Human-readable result view
+    // GITHUB | Return results as GitHub Actions workflow commands, for inline annotations
+    case 'github': {
+      console.log(formatGithub(reportFiles))
+      break
+    }
+    // HTML | Return results as a standalone HTML report
+    case 'html': {
+      console.log(formatHtml(reportFiles, { mode, version: pkgInfo.version, dataSnapshot: dataBundle?.createdAt }))
+      break
+    }
+    // DIFF | Return the fixes of all documents as a unified diff (--fix-dry-run)
+    case 'diff': {
+      const diffs = files.map(f => f.diff).filter(d => d)
+      if (diffs.length > 0) {
+        console.log(diffs.join('\n'))
+      }
+      break
+    }
+    // PRETTY | Results are printed after each document, only summarize multiple documents
     case 'pretty': {
-      if (result.length === 0) {
-        console.log(chalk.bgGreen.whiteBright(' PASS ') + chalk.greenBright(' Document is VALID. 🎉\n'))
-      } else {
-        console.error(chalk.bgRed.whiteBright(' FAIL ') + chalk.redBright(' Document is INVALID. ❌\n'))
-        // Format errors
-        let entryIdx = 1
-        for (const entry of result) {
-          switch (entry.constructor.name) {
-            case 'ValidationError': {
-              console.log(chalk.bgRed.whiteBright(` ${entryIdx} `) + chalk.redBright(' Error'))
-              console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.redBright(entry.name))
-              break
-            }
-            case 'ValidationWarning': {
-              console.log(chalk.bgYellow.whiteBright(` ${entryIdx} `) + chalk.yellowBright(' Warning'))
-              console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.yellowBright(entry.name))
-              break
-            }
-            case 'ValidationComment': {
-              console.log(chalk.bgCyan.whiteBright(` ${entryIdx} `) + ' Comment')
-              console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.cyanBright(entry.name))
-              break
-            }
-            default: {
-              console.log(chalk.bgRed.whiteBright(` ${entryIdx} `) + ' Unexpected Error')
-            }
-          }
-          console.log(chalk.grey(' └- ') + chalkAdapted('white')('Desc') + chalk.grey(' - ') + chalkAdapted('whiteBright')(entry.message))
-          if (entry.text) {
-            console.log(chalk.grey(' └- ') + chalkAdapted('white')('Text') + chalk.grey(' - ') + chalkAdapted('white')(entry.text))
-          }
-          if (entry.refUrl) {
-            console.log(chalk.grey(' └- ') + chalkAdapted('white')('Ref ') + chalk.grey(' - ') + chalk.cyan(entry.refUrl))
-          }
-          if (entry.path) {
-            console.log(chalk.grey(' └- ') + chalkAdapted('white')('Path') + chalk.grey(' - ') + chalkAdapted('white')(entry.path))
-          }
-          if (entry.lines) {
-            const lines = []
-            for (const line of entry.lines) {
-              lines.push(`Ln ${line.line} Col ${line.pos}`)
-            }
-            console.log(chalk.grey(' └- ') + chalkAdapted('white')('Line') + chalk.grey(' - ') + chalkAdapted('white')(lines.join(', ')))
-          }
-          console.log() // Empty line between entries
-          entryIdx++
-        }
+      if (docs.length > 1) {
+        const invalidCount = files.filter(f => f.result.length > 0).length
+        const summary = ` ${docs.length} documents: ${files.length - invalidCount} valid, ${invalidCount} invalid` +
+          (failures.length > 0 ? `, ${failures.length} failed` : '')
+        console.log(chalk.bgWhite.black(' Done ') + summary + '\n')
       }
       break
     }
     default: {
-      throw new Error('Invalid Output Mode')
+      console.error(chalk.redBright('Invalid Output Mode'))
+      return EXIT_CODES.INTERNAL_ERROR
     }
   }
-} catch (err) {
-  spinner.stop()
-  console.debug(err)
-  console.error(chalk.redBright(`Validation failed:\n- ${err.message}`))
-  process.exit(1)
+
+  // Exit with the worst result of all documents
+  if (failures.length > 0) {
+    return EXIT_CODES.INTERNAL_ERROR
+  }
+  return getExitCode(files.flatMap(f => f.result), { failOn, maxWarnings })
+}
+
+/**
+ * Watch documents and their local includes, revalidating them on change
+ */
+async function watchDocuments () {
+  const watchers = new Map()
+  let watchedFiles = new Set()
+  let timer = null
+  let isRunning = false
+  let isPending = false
+
+  const scheduleRun = () => {
+    clearTimeout(timer)
+    timer = setTimeout(run, 100)
+  }
+  const run = async () => {
+    if (isRunning) {
+      isPending = true
+      return
+    }
+    isRunning = true
+    if (output === 'pretty') {
+      console.clear()
+      printPrettyHeader()
+    }
+    const { files, failures } = await validateDocuments()
+    outputResults(files, failures)
+
+    // Includes may have changed, update the list of watched files
+    watchedFiles = new Set(docPaths)
+    for (const file of files) {
+      if (file.path.endsWith('.xml') || file.format === 'xml') {
+        for (const include of findLocalIncludes(file.raw.toString('utf8'))) {
+          watchedFiles.add(path.resolve(path.dirname(file.path), include))
+        }
+      }
+    }
+    // Watch directories rather than files, as editors often replace files on save
+    for (const dir of new Set([...watchedFiles].map(f => path.dirname(f)))) {
+      if (!watchers.has(dir)) {
+        try {
+          watchers.set(dir, watch(dir, (eventType, filename) => {
+            if (filename && watchedFiles.has(path.join(dir, filename.toString()))) {
+              scheduleRun()
+            }
+          }))
+        } catch (err) {
+          console.error(chalk.redBright(`Failed to watch ${dir}: ${err.message}`))
+        }
+      }
+    }
+    console.error(chalk.grey(`Watching ${watchedFiles.size} file(s) for changes... Press Ctrl+C to exit.`))
+
+    isRunning = false
+    if (isPending) {
+      isPending = false
+      scheduleRun()
+    }
+  }
+
+  await run()
+}
+
+if (argv.watch) {
+  await watchDocuments()
+} else {
+  if (output === 'pretty') {
+    printPrettyHeader()
+  }
+  const { files, failures } = await validateDocuments()
+
+  // Write baseline, unless it would lose the nits of failed documents
+  if (argv.updateBaseline) {
+    if (failures.length > 0) {
+      console.error(chalk.redBright('Baseline not updated, as some documents could not be validated.'))
+      process.exit(EXIT_CODES.INTERNAL_ERROR)
+    }
+    await writeFile(baselinePath, JSON.stringify(toJsonReport(files), null, 2) + '\n')
+    if (output === 'pretty') {
+      const count = files.reduce((sum, f) => sum + f.result.length, 0)
+      console.log(chalk.bgGreen.whiteBright(' DONE ') + chalk.greenBright(` Baseline updated with ${count} nits.\n`))
+    }
+    process.exit(EXIT_CODES.CLEAN)
+  }
+
+  process.exit(outputResults(files, failures))
 }
@@ -0,0 +1,754 @@
+const NAMING_REF = 'https://authors.ietf.org/naming-your-internet-draft'
+const ABSTRACT_REF = 'https://authors.ietf.org/en/required-content#abstract'
+const INTRODUCTION_REF = 'https://authors.ietf.org/en/required-content#introduction'
+const SECURITY_REF = 'https://authors.ietf.org/en/required-content#security-considerations'
+const AUTHORS_REF = 'https://authors.ietf.org/en/required-content#authors-addresses'
+const AUTHOR_XML_REF = 'https://authors.ietf.org/en/rfcxml-vocabulary#author'
+const REFERENCES_REF = 'https://authors.ietf.org/en/required-content#references'
+const IANA_REF = 'https://authors.ietf.org/en/required-content#iana-considerations'
+const SECTION_XML_REF = 'https://www.rfc-editor.org/rfc/rfc7991.html#section-2.46'
+const REQLEVEL_REF = 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
+const DATE_REF = 'https://authors.ietf.org/en/rfcxml-vocabulary#date'
+const CATEGORY_REF = 'https://authors.ietf.org/en/rfcxml-vocabulary#category'
+const OBSOLETES_REF = 'https://authors.ietf.org/en/rfcxml-vocabulary#obsoletes'
+const UPDATES_REF = 'https://authors.ietf.org/en/rfcxml-vocabulary#updates'
+const DOWNREF_REF = 'https://datatracker.ietf.org/doc/html/rfc3967'
+const RFC_INDEX_REF = 'https://www.rfc-editor.org/rfc-index.html'
+const COPYRIGHT_REF = 'https://authors.ietf.org/en/required-content#copyright-notice'
+const STREAM_REF = 'https://www.rfc-editor.org/rfc/rfc7841.html'
+const SOURCECODE_REF = 'https://authors.ietf.org/en/rfcxml-vocabulary#sourcecode'
+const PLAINTEXT_REF = 'https://authors.ietf.org/en/drafting-in-plaintext#checklist'
+
+/**
+ * Catalog of every nit code, with a longer description than the nit message.
+ *
+ * Each entry has a description, a reference URL and a bad / good example,
+ * used by the `idnits explain` and `idnits rules` commands. Codes emitted outside of
+ * rules (parsers, suppressions, blocked fetches) also list the document types they apply to.
+ */
+export const CODES = {
+  // -> Filename
+  FILENAME_MISSING_EXTENSION: {
+    description: 'The filename has no extension. Internet-Drafts are submitted as .txt or .xml files and the extension is used to select the parser.',
+    ref: NAMING_REF,
+    bad: 'draft-ietf-abcd-protocol-01',
+    good: 'draft-ietf-abcd-protocol-01.xml'
+  },
+  FILENAME_TOO_MANY_DOTS: {
+    description: 'The filename contains more than one dot. The only dot allowed separates the base name from the extension.',
+    ref: NAMING_REF,
+    bad: 'draft-ietf-abcd-protocol-v1.1-01.xml',
+    good: 'draft-ietf-abcd-protocol-v11-01.xml'
+  },
+  FILENAME_INVALID_CHARS: {
+    description: 'The filename contains characters other than lowercase letters, digits and dashes (besides the extension).',
+    ref: NAMING_REF,
+    bad: 'draft-ietf-ABCD_protocol-01.xml',
+    good: 'draft-ietf-abcd-protocol-01.xml'
+  },
+  FILENAME_EXTENSION_INVALID: {
+    description: 'The filename extension is neither .txt nor .xml, the only formats accepted for submission.',
+    ref: NAMING_REF,
+    bad: 'draft-ietf-abcd-protocol-01.md',
+    good: 'draft-ietf-abcd-protocol-01.xml'
+  },
+  FILENAME_TOO_LONG: {
+    description: 'The filename exceeds 50 characters, including the extension. Shorten the subject part of the name.',
+    ref: NAMING_REF,
+    bad: 'draft-ietf-abcd-a-very-long-descriptive-protocol-name-01.xml',
+    good: 'draft-ietf-abcd-protocol-01.xml'
+  },
+  FILENAME_MISSING_DRAFT_PREFIX: {
+    description: 'The filename does not start with "draft-", which is required for every Internet-Draft.',
+    ref: NAMING_REF,
+    bad: 'ietf-abcd-protocol-01.xml',
+    good: 'draft-ietf-abcd-protocol-01.xml'
+  },
+  FILENAME_INVALID_VERSION_SUFFIX: {
+    description: 'The filename does not end with a two-digit version number, starting at 00 and incremented with each revision.',
+    ref: NAMING_REF,
+    bad: 'draft-ietf-abcd-protocol.xml',
+    good: 'draft-ietf-abcd-protocol-00.xml'
+  },
+  FILENAME_MISSING_COMPONENTS: {
+    description: 'The filename has fewer than 4 dash-separated components. It must include the draft prefix, the source (individual or working group), the subject and the version.',
+    ref: NAMING_REF,
+    bad: 'draft-protocol-01.xml',
+    good: 'draft-smith-protocol-01.xml'
+  },
+  FILENAME_DOCNAME_MISMATCH: {
+    description: 'The filename does not match the name declared in the document (the docName attribute in XML, or the draft name in the header of a text document).',
+    ref: NAMING_REF,
+    bad: 'draft-ietf-abcd-protocol-02.xml containing <rfc docName="draft-ietf-abcd-protocol-01">',
+    good: 'draft-ietf-abcd-protocol-02.xml containing <rfc docName="draft-ietf-abcd-protocol-02">'
+  },
+  // -> Raw content
+  INVALID_ENCODING: {
+    description: 'The document is not encoded in UTF-8 (or its ASCII subset). Convert the file to UTF-8 before submitting it.',
+    ref: 'https://datatracker.ietf.org/doc/html/rfc7997',
+    bad: 'A file saved as ISO-8859-1 or UTF-16',
+    good: 'A file saved as UTF-8, without byte order mark'
+  },
+  NON_ASCII_UTF8: {
+    description: 'The document contains non-ASCII characters. These are allowed, but only in the cases listed by RFC 7997 (e.g. names of people and places), usually with an ASCII equivalent.',
+    ref: 'https://datatracker.ietf.org/doc/html/rfc7997#section-3',
+    bad: 'The server MUST reply within 5 seconds – otherwise the client retries.',
+    good: 'The server MUST reply within 5 seconds; otherwise, the client retries.'
+  },
+  INVALID_CTRL_CODES: {
+    description: 'The document contains control characters other than line feed (LF), carriage return (CR) and form feed (FF), such as tabs or NUL characters.',
+    ref: 'https://datatracker.ietf.org/doc/html/rfc7997',
+    bad: 'Field\\tDescription (separated by a tab character)',
+    good: 'Field    Description (separated by spaces)'
+  },
+  // -> Parsing
+  TXT_PARSING_FAILED: {
+    description: 'The text document could not be parsed. The structure of the document (header, title, sections) is likely malformed, which prevents further validation.',
+    ref: 'https://authors.ietf.org/en/drafting-in-plaintext',
+    bad: 'A document with no header lines before its title',
+    good: 'A document following the layout produced by xml2rfc',
+    docTypes: ['txt']
+  },
+  XML_PARSING_FAILED: {
+    description: 'The XML document is not well-formed and could not be parsed. The nit message contains the error reported by the parser.',
+    ref: 'https://www.rfc-editor.org/rfc/rfc7991.html',
+    bad: '<t>Some text<t>',
+    good: '<t>Some text</t>',
+    docTypes: ['xml']
+  },
+  XML_UNSUPPORTED_VERSION: {
+    description: 'The version attribute of the <rfc> element is neither 2 nor 3. Only the v2 (RFC 7749) and v3 (RFC 7991) vocabularies are supported.',
+    ref: 'https://www.rfc-editor.org/rfc/rfc7991.html',
+    bad: '<rfc version="4">',
+    good: '<rfc version="3">',
+    docTypes: ['xml']
+  },
+  XML_UNSUPPORTED_DOC_KIND: {
+    description: 'The <seriesInfo> element declares a series other than "Internet-Draft" or "RFC".',
+    ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#seriesinfo',
+    bad: '<seriesInfo name="DOI" value="10.17487/RFC9999"/> as the only series',
+    good: '<seriesInfo name="Internet-Draft" value="draft-ietf-abcd-protocol-01"/>',
+    docTypes: ['xml']
+  },
+  XML_UNRECOGNIZED_DOC_KIND: {
+    description: 'The document does not declare whether it is an Internet-Draft or an RFC, and the filename does not start with draft- or rfc- to guess it.',
+    ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#seriesinfo',
+    bad: 'protocol.xml without a <seriesInfo> element',
+    good: '<seriesInfo name="Internet-Draft" value="draft-ietf-abcd-protocol-01"/>',
+    docTypes: ['xml']
+  },
+  // -> Suppressions
+  UNUSED_SUPPRESSION: {
+    description: 'An idnits-disable comment did not suppress any nit. The issue was probably fixed and the comment can be removed.',
+    ref: 'https://github.com/ietf-tools/idnits#inline-suppressions',
+    bad: '<section><!-- idnits-disable NON_DOCUMENTATION_IPV4 --><t>Only 192.0.2.1 is used.</t></section>',
+    good: '<section><t>Only 192.0.2.1 is used.</t></section>',
+    docTypes: ['txt', 'xml']
+  },
+  // -> Remote lookups
+  FETCH_BLOCKED: {
+    description: 'A rule needed to fetch remote data from a domain that is not allowed, and was skipped. Add the domain to the allowed domains to run it.',
+    ref: 'https://github.com/ietf-tools/idnits#allowed-domains',
+    bad: 'idnits --datatracker-url http://localhost:8000 draft-ietf-abcd-01.xml',
+    good: 'idnits --datatracker-url http://localhost:8000 --allow-domain localhost draft-ietf-abcd-01.xml',
+    docTypes: ['txt', 'xml']
+  },
+  // -> Sections
+  MISSING_ABSTRACT_SECTION: {
+    description: 'The document has no abstract. Every Internet-Draft must have an abstract, placed before the Status of This Memo section.',
+    ref: ABSTRACT_REF,
+    bad: '<front><title>Protocol</title></front>',
+    good: '<front><title>Protocol</title><abstract><t>This document specifies...</t></abstract></front>'
+  },
+  EMPTY_ABSTRACT_SECTION: {
+    description: 'The abstract is present but contains no text.',
+    ref: ABSTRACT_REF,
+    bad: '<abstract><t></t></abstract>',
+    good: '<abstract><t>This document specifies...</t></abstract>'
+  },
+  INVALID_ABSTRACT_SECTION: {
+    description: 'The abstract does not contain any paragraph or list element. It must consist of at least one <dl>, <ol>, <t> or <ul> element.',
+    ref: 'https://www.rfc-editor.org/rfc/rfc7991.html#section-2.1',
+    bad: '<abstract>This document specifies...</abstract>',
+    good: '<abstract><t>This document specifies...</t></abstract>'
+  },
+  INVALID_ABSTRACT_SECTION_CHILD: {
+    description: 'The abstract contains elements other than <dl>, <ol>, <t> or <ul>, e.g. figures or tables.',
+    ref: 'https://www.rfc-editor.org/rfc/rfc7991.html#section-2.1',
+    bad: '<abstract><figure>...</figure></abstract>',
+    good: '<abstract><t>This document specifies...</t></abstract>'
+  },
+  INVALID_ABSTRACT_SECTION_REF: {
+    description: 'The abstract contains citations or references to sections. The abstract must be self-contained, as it is often read on its own.',
+    ref: ABSTRACT_REF,
+    bad: 'This document updates [RFC8446], as described in Section 3.',
+    good: 'This document updates RFC 8446 (TLS 1.3).'
+  },
+  INVALID_ABSTRACT_SECTION_URL: {
+    description: 'The abstract contains URLs. The abstract must be self-contained and should not point to external resources.',
+    ref: ABSTRACT_REF,
+    bad: 'See https://example.com/protocol for details.',
+    good: 'This document specifies the ABCD protocol.'
+  },
+  INVALID_DOCUMENT_STRUCTURE: {
+    description: 'The document header or title could not be found, so sections could not be located. The following section validations were skipped.',
+    ref: INTRODUCTION_REF,
+    bad: 'A text document starting directly with "1. Introduction"',
+    good: 'A text document with its header lines, title and abstract before the first section'
+  },
+  MISSING_INTRODUCTION_SECTION: {
+    description: 'The first section of the document is not an introduction. It is expected to be named "Introduction", "Overview" or "Background".',
+    ref: INTRODUCTION_REF,
+    bad: '1. Protocol Messages',
+    good: '1. Introduction'
+  },
+  EMPTY_INTRODUCTION_SECTION: {
+    description: 'The introduction section is present but contains no text.',
+    ref: INTRODUCTION_REF,
+    bad: '<section><name>Introduction</name></section>',
+    good: '<section><name>Introduction</name><t>This document...</t></section>'
+  },
+  INVALID_INTRODUCTION_SECTION: {
+    description: 'The introduction section has no content elements.',
+    ref: INTRODUCTION_REF,
+    bad: '<section><name>Introduction</name></section>',
+    good: '<section><name>Introduction</name><t>This document...</t></section>'
+  },
+  INVALID_INTRODUCTION_SECTION_CHILD: {
+    description: 'The introduction section contains elements that are not allowed in a <section>.',
+    ref: SECTION_XML_REF,
+    bad: '<section><name>Introduction</name><abstract>...</abstract></section>',
+    good: '<section><name>Introduction</name><t>This document...</t></section>'
+  },
+  MISSING_SECURITY_CONSIDERATIONS_SECTION: {
+    description: 'The document has no Security Considerations section. Every Internet-Draft must have one, even if only to state that there are no security considerations.',
+    ref: SECURITY_REF,
+    bad: 'A document without a "Security Considerations" section',
+    good: '<section><name>Security Considerations</name><t>This document introduces no new security considerations.</t></section>'
+  },
+  EMPTY_SECURITY_CONSIDERATIONS_SECTION: {
+    description: 'The Security Considerations section is present but contains no text.',
+    ref: SECURITY_REF,
+    bad: '<section><name>Security Considerations</name></section>',
+    good: '<section><name>Security Considerations</name><t>...</t></section>'
+  },
+  INVALID_SECURITY_CONSIDERATIONS_SECTION: {
+    description: 'The Security Considerations section has no content elements.',
+    ref: SECURITY_REF,
+    bad: '<section><name>Security Considerations</name></section>',
+    good: '<section><name>Security Considerations</name><t>...</t></section>'
+  },
+  INVALID_SECURITY_CONSIDERATIONS_SECTION_CHILD: {
+    description: 'The Security Considerations section contains elements that are not allowed in a <section>.',
+    ref: SECTION_XML_REF,
+    bad: '<section><name>Security Considerations</name><abstract>...</abstract></section>',
+    good: '<section><name>Security Considerations</name><t>...</t></section>'
+  },
+  MISSING_AUTHOR_SECTION: {
+    description: 'The document has no Author\'s Address (or Authors\' Addresses) section, listing the contact information of each author.',
+    ref: AUTHORS_REF,
+    bad: 'A text document ending with its references',
+    good: 'Authors\' Addresses\n\n   Jane Doe\n   Example Inc.\n   Email: jane@example.com'
+  },
+  MISUSED_POSSESSIVE_MARK: {
+    description: 'The title of the authors section uses a possessive mark other than a plain single quote, or places it incorrectly.',
+    ref: AUTHORS_REF,
+    bad: 'Authors’ Addresses',
+    good: 'Authors\' Addresses'
+  },
+  TOO_MANY_AUTHORS: {
+    description: 'More than 5 authors or editors are listed on the front page. A longer list needs the approval of the stream leadership, which should be discussed early.',
+    ref: AUTHORS_REF,
+    bad: '7 <author> elements in <front>',
+    good: '5 <author> elements in <front>, other contributors listed in a Contributors section'
+  },
+  EMPTY_AUTHOR_ORGANIZATION: {
+    description: 'An author has an <organization> element without content. Remove the element or fill it.',
+    ref: AUTHOR_XML_REF,
+    bad: '<author fullname="Jane Doe"><organization/></author>',
+    good: '<author fullname="Jane Doe"><organization>Example Inc.</organization></author>'
+  },
+  MISSING_AUTHOR_FULLNAME: {
+    description: 'An author has no fullname attribute, which is used to display the author name.',
+    ref: AUTHOR_XML_REF,
+    bad: '<author initials="J." surname="Doe">',
+    good: '<author fullname="Jane Doe" initials="J." surname="Doe">'
+  },
+  MISSING_AUTHOR_FULLNAME_WITH_ASCII: {
+    description: 'An author has an asciiFullname, asciiInitials or asciiSurname attribute but no fullname attribute. The ascii* attributes only provide an ASCII equivalent of a non-ASCII fullname.',
+    ref: AUTHOR_XML_REF,
+    bad: '<author asciiFullname="Rene Dupont">',
+    good: '<author fullname="René Dupont" asciiFullname="Rene Dupont">'
+  },
+  INVALID_AUTHOR_ROLE: {
+    description: 'The role attribute of an author has a value other than "editor", the only allowed value.',
+    ref: AUTHOR_XML_REF,
+    bad: '<author fullname="Jane Doe" role="chair">',
+    good: '<author fullname="Jane Doe" role="editor">'
+  },
+  MISSING_REFERENCES_SECTION: {
+    description: 'The document cites references but has no References section.',
+    ref: REFERENCES_REF,
+    bad: 'Text citing [RFC2119] without a References section',
+    good: '<back><references><name>Normative References</name>...</references></back>'
+  },
+  EMPTY_REFERENCES_SECTION: {
+    description: 'The References section is present but contains no reference.',
+    ref: REFERENCES_REF,
+    bad: '<references><name>References</name></references>',
+    good: '<references><name>Normative References</name><reference anchor="RFC2119">...</reference></references>'
+  },
+  MISSING_REFERENCES_SUBSECTIONS: {
+    description: 'The References section is not split into Normative References and Informative References subsections.',
+    ref: REFERENCES_REF,
+    bad: '6. References\n   [RFC2119] ...',
+    good: '6. References\n6.1. Normative References\n   [RFC2119] ...'
+  },
+  UNCLASSIFIED_REFERENCES_SUBSECTION: {
+    description: 'A References subsection is named neither Normative nor Informative, so the references it contains cannot be classified.',
+    ref: REFERENCES_REF,
+    bad: '6.1. Other References',
+    good: '6.1. Informative References'
+  },
+  MISSING_REFERENCES_TITLE: {
+    description: 'A <references> element has no title (or <name>), which is needed to tell normative and informative references apart.',
+    ref: REFERENCES_REF,
+    bad: '<references><reference anchor="RFC2119">...</reference></references>',
+    good: '<references><name>Normative References</name>...</references>'
+  },
+  INVALID_REFERENCES_TITLE: {
+    description: 'The title of a <references> element does not contain Normative or Informative.',
+    ref: REFERENCES_REF,
+    bad: '<references title="Bibliography">',
+    good: '<references title="Informative References">'
+  },
+  MISSING_IANA_CONSIDERATIONS_SECTION: {
+    description: 'The document has no IANA Considerations section. It is required, even if only to state that the document has no IANA actions.',
+    ref: IANA_REF,
+    bad: 'A document without an "IANA Considerations" section',
+    good: '<section><name>IANA Considerations</name><t>This document has no IANA actions.</t></section>'
+  },
+  INVALID_IANA_CONSIDERATIONS_SECTION: {
+    description: 'The IANA Considerations section is present but empty.',
+    ref: IANA_REF,
+    bad: '<section><name>IANA Considerations</name></section>',
+    good: '<section><name>IANA Considerations</name><t>This document has no IANA actions.</t></section>'
+  },
+  INVALID_IANA_CONSIDERATIONS_SECTION_CHILD: {
+    description: 'The IANA Considerations section contains elements that are not allowed in a <section>.',
+    ref: SECTION_XML_REF,
+    bad: '<section><name>IANA Considerations</name><abstract>...</abstract></section>',
+    good: '<section><name>IANA Considerations</name><t>...</t></section>'
+  },
+  REFERENCE_NOT_USED: {
+    description: 'A reference is listed in the References section but never cited in the text. Cite it where relevant or remove it.',
+    ref: REFERENCES_REF,
+    bad: '[RFC8174] listed in the references, with no [RFC8174] citation in the text',
+    good: 'The key words ... are to be interpreted as described in BCP 14 [RFC2119] [RFC8174].'
+  },
+  // -> FQDNs / IPs
+  INVALID_DOMAIN_TLD: {
+    description: 'A domain name uses a top-level domain that does not exist in the IANA root zone. Use the example domains reserved for documentation (RFC 2606).',
+    ref: 'https://www.iana.org/domains/root/db',
+    bad: 'server.example.invalidtld',
+    good: 'server.example.com'
+  },
+  INVALID_ARPA_DOMAIN: {
+    description: 'A domain under .arpa does not use one of the second-level domains registered by IANA.',
+    ref: 'https://www.iana.org/domains/arpa',
+    bad: 'foo.bar.arpa',
+    good: '1.0.0.127.in-addr.arpa'
+  },
+  INVALID_IPV4_ADDRESS: {
+    description: 'Text that looks like an IPv4 address is not a valid address, e.g. an octet is greater than 255.',
+    ref: 'https://datatracker.ietf.org/doc/html/rfc791',
+    bad: '192.0.2.300',
+    good: '192.0.2.30'
+  },
+  NON_DOCUMENTATION_IPV4: {
+    description: 'An IPv4 address is not in the ranges reserved for documentation (192.0.2.0/24, 198.51.100.0/24 and 203.0.113.0/24), or in another range commonly used in examples.',
+    ref: 'https://datatracker.ietf.org/doc/html/rfc5737',
+    bad: '8.8.8.8',
+    good: '192.0.2.1'
+  },
+  INVALID_IPV6_ADDRESS: {
+    description: 'Text that looks like an IPv6 address is not a valid address.',
+    ref: 'https://datatracker.ietf.org/doc/html/rfc4291',
+    bad: '2001:db8::1::2',
+    good: '2001:db8::1:2'
+  },
+  NON_STANDARD_IPV6_ADDRESS: {
+    description: 'An IPv6 address is not in the prefix reserved for documentation (2001:db8::/32), nor in a standard local range.',
+    ref: 'https://datatracker.ietf.org/doc/html/rfc3849',
+    bad: '2a00:1450:4007::1',
+    good: '2001:db8::1'
+  },
+  // -> Keywords / Terms
+  MISSING_REQLEVEL_BOILERPLATE: {
+    description: 'The document uses requirement level keywords (MUST, SHOULD, MAY...) but lacks the BCP 14 boilerplate and/or the reference to RFC 2119 that define their meaning.',
+    ref: REQLEVEL_REF,
+    bad: 'The client MUST retry. (with no BCP 14 boilerplate)',
+    good: 'The key words "MUST", "MUST NOT", ... in this document are to be interpreted as described in BCP 14 [RFC2119] [RFC8174] when, and only when, they appear in all capitals, as shown here.'
+  },
+  MISSING_REQLEVEL_KEYWORDS: {
+    description: 'The document contains the BCP 14 boilerplate but never uses any requirement level keyword. Remove the boilerplate, or use the keywords.',
+    ref: REQLEVEL_REF,
+    bad: 'The BCP 14 boilerplate in an informational document using "must" in lowercase only',
+    good: 'No BCP 14 boilerplate when no requirement level keyword is used'
+  },
+  MISSING_NOTRECOMMENDED_IN_BOILERPLATE: {
+    description: 'The keyword NOT RECOMMENDED is used, but the boilerplate does not list it, as in older versions of the RFC 2119 boilerplate.',
+    ref: REQLEVEL_REF,
+    bad: '..."SHOULD", "SHOULD NOT", "RECOMMENDED", "MAY", and "OPTIONAL" in this document...',
+    good: '..."SHOULD", "SHOULD NOT", "RECOMMENDED", "NOT RECOMMENDED", "MAY", and "OPTIONAL" in this document...'
+  },
+  MISSING_REQLEVEL_REF: {
+    description: 'The document contains the BCP 14 boilerplate but RFC 2119 is not listed in the normative references.',
+    ref: REQLEVEL_REF,
+    bad: 'The BCP 14 boilerplate, with no [RFC2119] in the references',
+    good: 'The BCP 14 boilerplate, with [RFC2119] and [RFC8174] in the normative references'
+  },
+  INCORRECT_KEYWORD_SPELLING: {
+    description: 'A requirement level keyword is misspelled, so it will not be read with its BCP 14 meaning.',
+    ref: 'https://datatracker.ietf.org/doc/html/rfc2119',
+    bad: 'The client MUST NOT not retry.',
+    good: 'The client MUST NOT retry.'
+  },
+  INVALID_REQLEVEL_KEYWORD: {
+    description: 'A capitalized word combination looks like a requirement level keyword but is not one of those defined by RFC 2119.',
+    ref: 'https://datatracker.ietf.org/doc/html/rfc2119',
+    bad: 'The client MUST ALWAYS retry.',
+    good: 'The client MUST retry.'
+  },
+  INCORRECT_TERM_SPELLING: {
+    description: 'A term is not spelled as recommended by the RFC Editor terms list.',
+    ref: 'https://www.rfc-editor.org/materials/terms-online.txt',
+    bad: 'The packet is sent over the web-socket.',
+    good: 'The packet is sent over the WebSocket.'
+  },
+  // -> Metadata
+  MISSING_DOC_DATE: {
+    description: 'The document date could not be found in the header (text) or in the <date> element (XML).',
+    ref: DATE_REF,
+    bad: '<front><title>Protocol</title></front>',
+    good: '<front><title>Protocol</title><date year="2024" month="March" day="4"/></front>'
+  },
+  DOC_DATE_IN_PAST: {
+    description: 'The document date is more than 3 days in the past. The date is usually updated on each submission.',
+    ref: DATE_REF,
+    bad: '<date year="2019" month="January" day="1"/>',
+    good: '<date/> (filled with the current date when rendered)'
+  },
+  DOC_DATE_IN_FUTURE: {
+    description: 'The document date is more than 3 days in the future.',
+    ref: DATE_REF,
+    bad: '<date year="2099" month="January" day="1"/>',
+    good: '<date/> (filled with the current date when rendered)'
+  },
+  MISSING_DOC_CATEGORY: {
+    description: 'The intended category of the document (Intended status in text, category attribute in XML) is missing.',
+    ref: CATEGORY_REF,
+    bad: '<rfc docName="draft-ietf-abcd-protocol-01">',
+    good: '<rfc docName="draft-ietf-abcd-protocol-01" category="std">'
+  },
+  INVALID_DOC_CATEGORY: {
+    description: 'The document category has an invalid value. Allowed values are std, bcp, info, exp and historic (Standards Track, Best Current Practice, Informational, Experimental, Historic).',
+    ref: CATEGORY_REF,
+    bad: '<rfc category="standard">',
+    good: '<rfc category="std">'
+  },
+  OBSOLETES_NOT_IN_ABSTRACT: {
+    description: 'The document obsoletes an RFC in its metadata, but the abstract does not mention it. The abstract must state which RFCs are obsoleted.',
+    ref: ABSTRACT_REF,
+    bad: '<rfc obsoletes="5246"> with an abstract not mentioning RFC 5246',
+    good: '<rfc obsoletes="5246"> with "This document obsoletes RFC 5246." in the abstract'
+  },
+  OBSOLETES_NOT_IN_RFC: {
+    description: 'The abstract states that the document obsoletes an RFC, but the RFC is not listed in the obsoletes metadata.',
+    ref: ABSTRACT_REF,
+    bad: '"This document obsoletes RFC 5246." with <rfc obsoletes="">',
+    good: '"This document obsoletes RFC 5246." with <rfc obsoletes="5246">'
+  },
+  UPDATES_NOT_IN_ABSTRACT: {
+    description: 'The document updates an RFC in its metadata, but the abstract does not mention it. The abstract must state which RFCs are updated.',
+    ref: ABSTRACT_REF,
+    bad: '<rfc updates="5280"> with an abstract not mentioning RFC 5280',
+    good: '<rfc updates="5280"> with "This document updates RFC 5280." in the abstract'
+  },
+  UPDATES_NOT_IN_RFC: {
+    description: 'The abstract states that the document updates an RFC, but the RFC is not listed in the updates metadata.',
+    ref: ABSTRACT_REF,
+    bad: '"This document updates RFC 5280." with <rfc updates="">',
+    good: '"This document updates RFC 5280." with <rfc updates="5280">'
+  },
+  MENTIONED_NOT_IN_OBSOLETES: {
+    description: 'The abstract mentions an RFC as obsoleted or replaced, but the RFC is not listed in the obsoletes metadata of the header.',
+    ref: ABSTRACT_REF,
+    bad: '"This document replaces RFC 5246." with no "Obsoletes: 5246" header',
+    good: '"This document obsoletes RFC 5246." with an "Obsoletes: 5246" header'
+  },
+  MENTIONED_NOT_IN_UPDATES: {
+    description: 'The abstract mentions an RFC as updated, but the RFC is not listed in the updates metadata of the header.',
+    ref: ABSTRACT_REF,
+    bad: '"This document updates RFC 5280." with no "Updates: 5280" header',
+    good: '"This document updates RFC 5280." with an "Updates: 5280" header'
+  },
+  OBSOLETES_RFC_NOT_FOUND: {
+    description: 'The document obsoletes an RFC number that does not exist in the RFC Editor index.',
+    ref: OBSOLETES_REF,
+    bad: '<rfc obsoletes="99999">',
+    good: '<rfc obsoletes="5246">'
+  },
+  OBSOLETES_OBSOLETED_RFC: {
+    description: 'The document obsoletes an RFC that is already obsoleted by another RFC. The latest RFC should probably be obsoleted instead. Formerly reported as OBSOLETES_OSOLETED_RFC for XML documents.',
+    ref: OBSOLETES_REF,
+    bad: '<rfc obsoletes="2246"> (obsoleted by RFC 4346)',
+    good: '<rfc obsoletes="8446">'
+  },
+  UPDATES_RFC_NOT_FOUND: {
+    description: 'The document updates an RFC number that does not exist in the RFC Editor index.',
+    ref: UPDATES_REF,
+    bad: '<rfc updates="99999">',
+    good: '<rfc updates="5280">'
+  },
+  UPDATES_OBSOLETED_RFC: {
+    description: 'The document updates an RFC that is already obsoleted by another RFC. The RFC that replaced it should probably be updated instead. Formerly reported as UPDATES_OSOLETED_RFC for XML documents.',
+    ref: UPDATES_REF,
+    bad: '<rfc updates="2459"> (obsoleted by RFC 3280)',
+    good: '<rfc updates="5280">'
+  },
+  UPDATES_UPDATED_RFC: {
+    description: 'The document updates an RFC that is already updated by other RFCs. This is allowed, but check whether these updates should be referenced too.',
+    ref: UPDATES_REF,
+    bad: '<rfc updates="5280"> without considering the existing updates of RFC 5280',
+    good: '<rfc updates="5280"> with the existing updates of RFC 5280 reviewed'
+  },
+  DUPLICATE_DOC_VERSION: {
+    description: 'A document with the same name and version was already submitted to the Datatracker. Increment the version number.',
+    ref: NAMING_REF,
+    bad: 'draft-ietf-abcd-protocol-03.xml when -03 was already submitted',
+    good: 'draft-ietf-abcd-protocol-04.xml'
+  },
+  UNEXPECTED_DOC_VERSION: {
+    description: 'The document version leaves a gap after the latest version submitted to the Datatracker. Versions are expected to be consecutive.',
+    ref: NAMING_REF,
+    bad: 'draft-ietf-abcd-protocol-06.xml when the latest version is -03',
+    good: 'draft-ietf-abcd-protocol-04.xml'
+  },
+  // -> References
+  DOWNREF_DRAFT: {
+    description: 'A normative reference points to an Internet-Draft listed in the Downref Registry, i.e. a document of a lower maturity level (a downward reference). It is allowed, but must be called out during Last Call.',
+    ref: DOWNREF_REF,
+    bad: 'An unexpected normative reference to [I-D.ietf-abcd-informational]',
+    good: 'The reference moved to the informative references, or the downref called out during Last Call'
+  },
+  DOWNREF_RFC: {
+    description: 'A normative reference points to an RFC listed in the Downref Registry, i.e. a document of a lower maturity level (a downward reference). It is allowed, but must be called out during Last Call.',
+    ref: DOWNREF_REF,
+    bad: 'A Standards Track document with an unexpected normative reference to an Informational RFC',
+    good: 'The reference moved to the informative references, or the downref called out during Last Call'
+  },
+  UNDEFINED_STATUS: {
+    description: 'The status of a referenced RFC could not be determined, either because it is not defined in the RFC Editor index or because it could not be fetched.',
+    ref: RFC_INDEX_REF,
+    bad: '[RFC99999] in the references',
+    good: '[RFC8446] in the references'
+  },
+  UNKNOWN_STATUS: {
+    description: 'A referenced RFC has a status that is not recognized, so its maturity level could not be compared.',
+    ref: RFC_INDEX_REF,
+    bad: 'A reference to an RFC with status "UNKNOWN"',
+    good: 'A reference to an RFC with a known status (e.g. PROPOSED STANDARD)'
+  },
+  OBSOLETE_DOCUMENT: {
+    description: 'A normative reference points to an RFC that has been obsoleted. Reference the RFC that replaced it.',
+    ref: RFC_INDEX_REF,
+    bad: '[RFC5246] as a normative reference (obsoleted by RFC 8446)',
+    good: '[RFC8446] as a normative reference'
+  },
+  OBSOLETE_UNCLASSIFIED_REFERENCE: {
+    description: 'A reference that is neither normative nor informative points to an RFC that has been obsoleted.',
+    ref: RFC_INDEX_REF,
+    bad: '[RFC5246] in an unclassified references section (obsoleted by RFC 8446)',
+    good: '[RFC8446] in the informative references'
+  },
+  OBSOLETE_INFORMATIVE_REFERENCE: {
+    description: 'An informative reference points to an RFC that has been obsoleted. This is allowed when the obsolete RFC is referenced on purpose, otherwise reference the RFC that replaced it.',
+    ref: RFC_INDEX_REF,
+    bad: '[RFC5246] as an informative reference (obsoleted by RFC 8446)',
+    good: '[RFC8446] as an informative reference'
+  },
+  UNDEFINED_STATE: {
+    description: 'The state of a referenced Internet-Draft could not be determined from the Datatracker.',
+    ref: 'https://datatracker.ietf.org/',
+    bad: '[I-D.ietf-abcd-unknown] in the references',
+    good: '[I-D.ietf-abcd-protocol] in the references'
+  },
+  INVALID_STATE_FOR_DRAFT: {
+    description: 'A referenced Internet-Draft has already been published as an RFC. Reference the RFC instead.',
+    ref: 'https://datatracker.ietf.org/',
+    bad: '[I-D.ietf-tls-tls13]',
+    good: '[RFC8446]'
+  },
+  // -> XML
+  DEPRECATED_ELEMENT: {
+    description: 'The document uses an element deprecated in the v3 vocabulary (RFC 7991). The nit message suggests a replacement.',
+    ref: 'https://authors.ietf.org/en/rfcxml-vocabulary',
+    bad: '<t><spanx style="emph">important</spanx></t>',
+    good: '<t><em>important</em></t>'
+  },
+  SUBMISSION_TYPE_INVALID: {
+    description: 'The submissionType attribute of the <rfc> element has an invalid value. Allowed streams are IETF, IAB, IRTF, independent and editorial.',
+    ref: STREAM_REF,
+    bad: '<rfc submissionType="ietf">',
+    good: '<rfc submissionType="IETF">'
+  },
+  SUBMISSION_TYPE_MISMATCH: {
+    description: 'The stream in the submissionType attribute does not match the stream implied by the filename (e.g. draft-ietf-* for the IETF stream).',
+    ref: STREAM_REF,
+    bad: 'draft-ietf-abcd-protocol-01.xml with <rfc submissionType="IRTF">',
+    good: 'draft-ietf-abcd-protocol-01.xml with <rfc submissionType="IETF">'
+  },
+  SUBMISSION_TYPE_UNEXPECTED: {
+    description: 'The stream in the submissionType attribute differs from the stream of the existing versions of the document on the Datatracker.',
+    ref: STREAM_REF,
+    bad: '<rfc submissionType="IAB"> for a draft in the IETF stream',
+    good: '<rfc submissionType="IETF"> for a draft in the IETF stream'
+  },
+  UNNECESSARY_CODE_BEGINS: {
+    description: 'A <sourcecode> element contains <CODE BEGINS> / <CODE ENDS> markers. Use the markers="true" attribute instead, which renders them in every output format.',
+    ref: SOURCECODE_REF,
+    bad: '<sourcecode><CODE BEGINS>\nint main() {}\n<CODE ENDS></sourcecode>',
+    good: '<sourcecode markers="true">\nint main() {}\n</sourcecode>'
+  },
+  MISSING_SOURCECODE_TAG: {
+    description: 'A code block delimited by <CODE BEGINS> / <CODE ENDS> is not in a <sourcecode> element.',
+    ref: SOURCECODE_REF,
+    bad: '<artwork><CODE BEGINS>\nint main() {}\n<CODE ENDS></artwork>',
+    good: '<sourcecode markers="true">\nint main() {}\n</sourcecode>'
+  },
+  TEXT_DOC_REF: {
+    description: 'The text contains a citation written as plain text (e.g. [RFC8446] or [1]) instead of an <xref> to a reference, so it will not be linked.',
+    ref: 'https://authors.ietf.org/en/references-in-rfcxml',
+    bad: '<t>As defined in [RFC8446]...</t>',
+    good: '<t>As defined in <xref target="RFC8446"/>...</t>'
+  },
+  MISSING_IPR_ATTRIBUTE: {
+    description: 'The <rfc> element has no ipr attribute, which selects the copyright notice and IPR boilerplate of the document.',
+    ref: COPYRIGHT_REF,
+    bad: '<rfc docName="draft-ietf-abcd-protocol-01">',
+    good: '<rfc docName="draft-ietf-abcd-protocol-01" ipr="trust200902">'
+  },
+  INVALID_IPR_VALUE: {
+    description: 'The ipr attribute is not one of trust200902, noModificationTrust200902, noDerivativesTrust200902 or pre5378Trust200902.',
+    ref: COPYRIGHT_REF,
+    bad: '<rfc ipr="full3978">',
+    good: '<rfc ipr="trust200902">'
+  },
+  FORBIDDEN_IPR_VALUE_FOR_STREAM: {
+    description: 'The noModificationTrust200902 and noDerivativesTrust200902 ipr values are not allowed for documents intended for a stream.',
+    ref: COPYRIGHT_REF,
+    bad: '<rfc submissionType="IETF" ipr="noDerivativesTrust200902">',
+    good: '<rfc submissionType="IETF" ipr="trust200902">'
+  },
+  // -> TXT
+  LINE_TOO_LONG: {
+    description: 'A line exceeds 72 characters. Lines of text documents are limited to 72 characters, including indentation.',
+    ref: PLAINTEXT_REF,
+    bad: '   This very long sentence goes on and on past the seventy-two column limit of text documents.',
+    good: '   This sentence is wrapped before the seventy-two column limit of\n   text documents.'
+  },
+  RAGGED_RIGHT: {
+    description: 'Many lines contain extra spacing between words, which suggests the text is justified. Text documents must be ragged-right (left-aligned only).',
+    ref: PLAINTEXT_REF,
+    bad: '   The  client  sends  a  request  to  the  server  and',
+    good: '   The client sends a request to the server and'
+  },
+  COMMENT_OUT_OF_CODE_BLOCK: {
+    description: 'Something looking like a code comment appears outside of a code block. Code should be delimited with <CODE BEGINS> / <CODE ENDS> (RFC 8879).',
+    ref: 'https://datatracker.ietf.org/doc/rfc8879',
+    bad: '   // Compute the checksum\n   sum = a + b',
+    good: '   <CODE BEGINS>\n   // Compute the checksum\n   sum = a + b\n   <CODE ENDS>'
+  },
+  CODE_BLOCK_MISSING_LICENSE: {
+    description: 'The document contains a code block but no license declaration. Code components are covered by the Revised BSD License, which must be mentioned.',
+    ref: 'https://trustee.ietf.org/license-info',
+    bad: 'A <CODE BEGINS> block with no license in the document',
+    good: 'A <CODE BEGINS> block with the Revised BSD License notice in the copyright section'
+  }
+}
+
+/**
+ * Identifiers of every nit code, to be used by validators instead of string literals
+ *
+ * @example createNit(NIT_CODES.LINE_TOO_LONG, 'The document contains over-long lines.', { mode })
+ */
+export const NIT_CODES = Object.freeze(Object.fromEntries(Object.keys(CODES).map(code => [code, code])))
+
+/**
+ * Deprecated codes, mapped to the code that replaced them
+ *
+ * Aliases are accepted wherever codes are given by the user (enable / disable lists, severity
+ * overrides, inline suppressions and baselines), so that renaming a code doesn't break them.
+ */
+export const CODE_ALIASES = Object.freeze({
+  OBSOLETES_OSOLETED_RFC: NIT_CODES.OBSOLETES_OBSOLETED_RFC,
+  UPDATES_OSOLETED_RFC: NIT_CODES.UPDATES_OBSOLETED_RFC
+})
+
+/**
+ * Codes whose former scope was split, mapped to the codes that took over part of it
+ *
+ * Unlike a deprecated alias, the former code is still emitted for the rest of its scope. It keeps matching
+ * the codes split from it wherever codes are given by the user. Each split code maps to a function returning
+ * the former message of a nit, to match baselines recorded before the split.
+ */
+export const CODE_SPLITS = Object.freeze({
+  DOWNREF_DRAFT: {
+    // RFC downrefs used to be reported as "Draft RFC 1234 is listed in the Downref Registry."
+    [NIT_CODES.DOWNREF_RFC]: message => `Draft ${message}`
+  }
+})
+
+/**
+ * Resolve a deprecated code to the code that replaced it
+ *
+ * @param {string} code Nit code or rule id
+ * @returns {string} Current code, or the input if it is not a deprecated code
+ */
+export function resolveCodeAlias (code) {
+  return CODE_ALIASES[code] ?? code
+}
+
+/**
+ * Get the deprecated aliases of a code
+ *
+ * @param {string} code Nit code
+ * @returns {string[]} List of deprecated codes replaced by this code
+ */
+export function getCodeAliases (code) {
+  return Object.keys(CODE_ALIASES).filter(alias => CODE_ALIASES[alias] === code)
+}
+
+/**
+ * Expand a code given by the user to the codes it matches
+ *
+ * @param {string} code Nit code, deprecated alias or rule id
+ * @returns {string[]} Current code (or the input if it is not a code), followed by the codes split from it
+ */
+export function expandCode (code) {
+  const resolved = resolveCodeAlias(code)
+  return [resolved, ...Object.keys(CODE_SPLITS[resolved] ?? {})]
+}
+
+/**
+ * Get the codes a code was split from
+ *
+ * @param {string} code Nit code
+ * @returns {Object[]} List of former codes (code), with the function returning the former message of a nit (toFormerMessage)
+ */
+export function getSplitSources (code) {
+  return Object.entries(CODE_SPLITS)
+    .filter(([, splits]) => splits[code])
+    .map(([former, splits]) => ({ code: former, toFormerMessage: splits[code] }))
+}
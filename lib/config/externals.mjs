@@ -1,8 +1,18 @@
+// Domains remote lookups are allowed to fetch from, including their subdomains
 export const ALLOWED_DOMAINS_DEFAULT = [
   'ietf.org',
   'rfc-editor.org',
+  'iana.org',
   'github.com',
   'githubusercontent.com',
   'github.io',
   'gitlab.com'
 ]
+
+// Time in seconds during which cached remote lookups are used without revalidation, per resource type
+export const CACHE_TTL_DEFAULTS = {
+  iana: 7 * 24 * 60 * 60, // Root zone / ARPA domains
+  downref: 24 * 60 * 60, // Downref Registry
+  rfc: 24 * 60 * 60, // RFC metadata from rfc-editor.org
+  datatracker: 60 * 60 // Internet-Draft metadata from Datatracker
+}
@@ -0,0 +1,366 @@
+import { NIT_CODES } from './codes.mjs'
+import {
+  validateContent,
+  validateEncoding
+} from '../modules/raw.mjs'
+import {
+  validateDocName,
+  validateFilename
+} from '../modules/filename.mjs'
+import {
+  validateFQDNs
+} from '../modules/fqdn.mjs'
+import {
+  validateIPs
+} from '../modules/ip.mjs'
+import {
+  validate2119Keywords,
+  validateTermsStyle
+} from '../modules/keywords.mjs'
+import {
+  validateAbstractSection,
+  validateAuthorSection,
+  validateIANAConsiderationsSection,
+  validateIntroductionSection,
+  validateReferencesInText,
+  validateReferencesSection,
+  validateSecurityConsiderationsSection
+} from '../modules/sections.mjs'
+import {
+  validateDate,
+  validateObsoleteUpdateRef,
+  validateCategory,
+  validateVersion
+} from '../modules/metadata.mjs'
+import {
+  detectDeprecatedElements,
+  validateCodeBlocks,
+  validateIprAttribute,
+  validateSubmissionType,
+  validateTextLikeRefs,
+  validateXMLBoilerplate
+} from '../modules/xml.mjs'
+import {
+  validateLineLength,
+  validateCodeComments,
+  validateLineExtraSpacing,
+  validateCodeBlockLicenses
+} from '../modules/txt.mjs'
+import {
+  validateDownrefs,
+  validateInformativeReferences,
+  validateNormativeReferences,
+  validateUnclassifiedReferences,
+  vlidateDraftReferences
+} from '../modules/downref.mjs'
+
+/**
+ * Built-in rules, in the order they are run by checkNits()
+ *
+ * Rules of the "raw" stage run before the document is parsed, rules of the "document" stage
+ * run on the parsed document. The default severity of each code is defined in DEFAULT_SEVERITIES.
+ */
+export const BUILTIN_RULES = [
+  // -> Pre-parsing validations
+  {
+    id: 'validateFilename',
+    description: 'Validating filename...',
+    stage: 'raw',
+    codes: [
+      NIT_CODES.FILENAME_MISSING_EXTENSION,
+      NIT_CODES.FILENAME_TOO_MANY_DOTS,
+      NIT_CODES.FILENAME_INVALID_CHARS,
+      NIT_CODES.FILENAME_EXTENSION_INVALID,
+      NIT_CODES.FILENAME_TOO_LONG,
+      NIT_CODES.FILENAME_MISSING_DRAFT_PREFIX,
+      NIT_CODES.FILENAME_INVALID_VERSION_SUFFIX,
+      NIT_CODES.FILENAME_MISSING_COMPONENTS
+    ],
+    validate: ({ filename }, opts) => validateFilename(filename, opts)
+  },
+  {
+    id: 'validateEncoding',
+    description: 'Validating encoding...',
+    stage: 'raw',
+    codes: [NIT_CODES.NON_ASCII_UTF8, NIT_CODES.INVALID_ENCODING],
+    validate: ({ raw }, opts) => validateEncoding(raw, opts)
+  },
+  {
+    id: 'validateContent',
+    description: 'Validating text...',
+    stage: 'raw',
+    codes: [NIT_CODES.INVALID_CTRL_CODES],
+    validate: ({ text }, opts) => validateContent(text, opts)
+  },
+  // -> Common validations
+  {
+    id: 'validateDocName',
+    description: 'Validating document name...',
+    codes: [NIT_CODES.FILENAME_DOCNAME_MISMATCH],
+    validate: ({ doc }, opts) => validateDocName(doc, opts)
+  },
+  {
+    id: 'validateAbstractSection',
+    description: 'Validating abstract section...',
+    codes: [
+      NIT_CODES.MISSING_ABSTRACT_SECTION,
+      NIT_CODES.EMPTY_ABSTRACT_SECTION,
+      NIT_CODES.INVALID_ABSTRACT_SECTION,
+      NIT_CODES.INVALID_ABSTRACT_SECTION_CHILD,
+      NIT_CODES.INVALID_ABSTRACT_SECTION_REF,
+      NIT_CODES.INVALID_ABSTRACT_SECTION_URL
+    ],
+    validate: ({ doc }, opts) => validateAbstractSection(doc, opts)
+  },
+  {
+    id: 'validateIntroductionSection',
+    description: 'Validating introduction section...',
+    codes: [
+      NIT_CODES.INVALID_DOCUMENT_STRUCTURE,
+      NIT_CODES.MISSING_INTRODUCTION_SECTION,
+      NIT_CODES.EMPTY_INTRODUCTION_SECTION,
+      NIT_CODES.INVALID_INTRODUCTION_SECTION,
+      NIT_CODES.INVALID_INTRODUCTION_SECTION_CHILD
+    ],
+    validate: ({ doc }, opts) => validateIntroductionSection(doc, opts)
+  },
+  {
+    id: 'validateSecurityConsiderationsSection',
+    description: 'Validating security considerations section...',
+    codes: [
+      NIT_CODES.MISSING_SECURITY_CONSIDERATIONS_SECTION,
+      NIT_CODES.EMPTY_SECURITY_CONSIDERATIONS_SECTION,
+      NIT_CODES.INVALID_SECURITY_CONSIDERATIONS_SECTION,
+      NIT_CODES.INVALID_SECURITY_CONSIDERATIONS_SECTION_CHILD
+    ],
+    validate: ({ doc }, opts) => validateSecurityConsiderationsSection(doc, opts)
+  },
+  {
+    id: 'validateAuthorSection',
+    description: 'Validating author section(s)...',
+    codes: [
+      NIT_CODES.MISSING_AUTHOR_SECTION,
+      NIT_CODES.MISUSED_POSSESSIVE_MARK,
+      NIT_CODES.TOO_MANY_AUTHORS,
+      NIT_CODES.EMPTY_AUTHOR_ORGANIZATION,
+      NIT_CODES.MISSING_AUTHOR_FULLNAME,
+      NIT_CODES.MISSING_AUTHOR_FULLNAME_WITH_ASCII,
+      NIT_CODES.INVALID_AUTHOR_ROLE
+    ],
+    validate: ({ doc }, opts) => validateAuthorSection(doc, opts)
+  },
+  {
+    id: 'validateReferencesSection',
+    description: 'Validating references section(s)...',
+    codes: [
+      NIT_CODES.MISSING_REFERENCES_SECTION,
+      NIT_CODES.EMPTY_REFERENCES_SECTION,
+      NIT_CODES.MISSING_REFERENCES_SUBSECTIONS,
+      NIT_CODES.UNCLASSIFIED_REFERENCES_SUBSECTION,
+      NIT_CODES.MISSING_REFERENCES_TITLE,
+      NIT_CODES.INVALID_REFERENCES_TITLE
+    ],
+    validate: ({ doc }, opts) => validateReferencesSection(doc, opts)
+  },
+  {
+    id: 'validateIANAConsiderationsSection',
+    description: 'Validating IANA considerations section...',
+    codes: [
+      NIT_CODES.MISSING_IANA_CONSIDERATIONS_SECTION,
+      NIT_CODES.INVALID_IANA_CONSIDERATIONS_SECTION,
+      NIT_CODES.INVALID_IANA_CONSIDERATIONS_SECTION_CHILD
+    ],
+    validate: ({ doc }, opts) => validateIANAConsiderationsSection(doc, opts)
+  },
+  {
+    id: 'validateFQDNs',
+    description: 'Validating FQDNs...',
+    network: true,
+    codes: [NIT_CODES.INVALID_DOMAIN_TLD, NIT_CODES.INVALID_ARPA_DOMAIN],
+    validate: ({ doc }, opts) => validateFQDNs(doc, opts)
+  },
+  {
+    id: 'validateIPs',
+    description: 'Validating IPs...',
+    codes: [
+      NIT_CODES.INVALID_IPV4_ADDRESS,
+      NIT_CODES.NON_DOCUMENTATION_IPV4,
+      NIT_CODES.INVALID_IPV6_ADDRESS,
+      NIT_CODES.NON_STANDARD_IPV6_ADDRESS
+    ],
+    validate: ({ doc }, opts) => validateIPs(doc, opts)
+  },
+  {
+    id: 'validate2119Keywords',
+    description: 'Validating Requirement Level Keywords...',
+    codes: [
+      NIT_CODES.MISSING_REQLEVEL_BOILERPLATE,
+      NIT_CODES.MISSING_REQLEVEL_KEYWORDS,
+      NIT_CODES.MISSING_NOTRECOMMENDED_IN_BOILERPLATE,
+      NIT_CODES.MISSING_REQLEVEL_REF,
+      NIT_CODES.INCORRECT_KEYWORD_SPELLING,
+      NIT_CODES.INVALID_REQLEVEL_KEYWORD
+    ],
+    validate: ({ doc }, opts) => validate2119Keywords(doc, opts)
+  },
+  {
+    id: 'validateTermsStyle',
+    description: 'Validating Terms...',
+    codes: [NIT_CODES.INCORRECT_TERM_SPELLING],
+    validate: ({ doc }, opts) => validateTermsStyle(doc, opts)
+  },
+  {
+    id: 'validateDate',
+    description: 'Validating Date...',
+    codes: [NIT_CODES.MISSING_DOC_DATE, NIT_CODES.DOC_DATE_IN_PAST, NIT_CODES.DOC_DATE_IN_FUTURE],
+    validate: ({ doc }, opts) => validateDate(doc, opts)
+  },
+  {
+    id: 'validateObsoleteUpdateRef',
+    description: 'Validating Updates / Obsoletes References...',
+    network: true,
+    codes: [
+      NIT_CODES.OBSOLETES_NOT_IN_ABSTRACT,
+      NIT_CODES.OBSOLETES_NOT_IN_RFC,
+      NIT_CODES.UPDATES_NOT_IN_ABSTRACT,
+      NIT_CODES.UPDATES_NOT_IN_RFC,
+      NIT_CODES.MENTIONED_NOT_IN_OBSOLETES,
+      NIT_CODES.MENTIONED_NOT_IN_UPDATES,
+      NIT_CODES.OBSOLETES_RFC_NOT_FOUND,
+      NIT_CODES.OBSOLETES_OBSOLETED_RFC,
+      NIT_CODES.UPDATES_RFC_NOT_FOUND,
+      NIT_CODES.UPDATES_OBSOLETED_RFC,
+      NIT_CODES.UPDATES_UPDATED_RFC
+    ],
+    validate: ({ doc }, opts) => validateObsoleteUpdateRef(doc, opts)
+  },
+  {
+    id: 'validateCategory',
+    description: 'Validating Category...',
+    codes: [NIT_CODES.MISSING_DOC_CATEGORY, NIT_CODES.INVALID_DOC_CATEGORY],
+    validate: ({ doc }, opts) => validateCategory(doc, opts)
+  },
+  {
+    id: 'validateVersion',
+    description: 'Validating Version...',
+    network: true,
+    codes: [NIT_CODES.DUPLICATE_DOC_VERSION, NIT_CODES.UNEXPECTED_DOC_VERSION],
+    validate: ({ doc }, opts) => validateVersion(doc, opts)
+  },
+  {
+    id: 'validateReferencesInText',
+    description: 'Validating references in text...',
+    codes: [NIT_CODES.REFERENCE_NOT_USED],
+    validate: ({ doc }, opts) => validateReferencesInText(doc, opts)
+  },
+  {
+    id: 'validateDownrefs',
+    description: 'Validating downrefs in text...',
+    network: true,
+    codes: [NIT_CODES.DOWNREF_DRAFT, NIT_CODES.DOWNREF_RFC],
+    validate: ({ doc }, opts) => validateDownrefs(doc, opts)
+  },
+  {
+    id: 'validateNormativeReferences',
+    description: 'Validating normative references statuses...',
+    network: true,
+    codes: [NIT_CODES.UNDEFINED_STATUS, NIT_CODES.UNKNOWN_STATUS, NIT_CODES.OBSOLETE_DOCUMENT],
+    validate: ({ doc }, opts) => validateNormativeReferences(doc, opts)
+  },
+  {
+    id: 'vlidateDraftReferences',
+    description: 'Validating draft references...',
+    network: true,
+    codes: [NIT_CODES.UNDEFINED_STATE, NIT_CODES.INVALID_STATE_FOR_DRAFT],
+    validate: ({ doc }, opts) => vlidateDraftReferences(doc, opts)
+  },
+  // -> XML-only validations
+  {
+    id: 'detectDeprecatedElements',
+    description: 'Looking for deprecated elements...',
+    docTypes: ['xml'],
+    codes: [NIT_CODES.DEPRECATED_ELEMENT],
+    validate: ({ doc }, opts) => detectDeprecatedElements(doc, opts)
+  },
+  {
+    id: 'validateSubmissionType',
+    description: 'Validating submission type...',
+    docTypes: ['xml'],
+    network: true,
+    codes: [NIT_CODES.SUBMISSION_TYPE_INVALID, NIT_CODES.SUBMISSION_TYPE_MISMATCH, NIT_CODES.SUBMISSION_TYPE_UNEXPECTED],
+    validate: ({ doc }, opts) => validateSubmissionType(doc, opts)
+  },
+  {
+    id: 'validateCodeBlocks',
+    description: 'Validating code blocks...',
+    docTypes: ['xml'],
+    codes: [NIT_CODES.UNNECESSARY_CODE_BEGINS, NIT_CODES.MISSING_SOURCECODE_TAG],
+    validate: ({ doc }, opts) => validateCodeBlocks(doc, opts)
+  },
+  {
+    id: 'validateTextLikeRefs',
+    description: 'Validating text-like references...',
+    docTypes: ['xml'],
+    codes: [NIT_CODES.TEXT_DOC_REF],
+    validate: ({ doc }, opts) => validateTextLikeRefs(doc, opts)
+  },
+  {
+    id: 'validateIprAttribute',
+    description: 'Validating ipr attribute...',
+    docTypes: ['xml'],
+    codes: [NIT_CODES.MISSING_IPR_ATTRIBUTE, NIT_CODES.INVALID_IPR_VALUE, NIT_CODES.FORBIDDEN_IPR_VALUE_FOR_STREAM],
+    validate: ({ doc }, opts) => validateIprAttribute(doc, opts)
+  },
+  {
+    id: 'validateXMLBoilerplate',
+    description: 'Validating boilerplate...',
+    docTypes: ['xml'],
+    codes: [],
+    validate: ({ doc }, opts) => validateXMLBoilerplate(doc, opts)
+  },
+  // -> TXT-only validations
+  {
+    id: 'validateLineLength',
+    description: 'Validating line length...',
+    docTypes: ['txt'],
+    codes: [NIT_CODES.LINE_TOO_LONG],
+    validate: ({ doc }, opts) => validateLineLength(doc, opts)
+  },
+  {
+    id: 'validateLineExtraSpacing',
+    description: 'Validating extra spacing...',
+    docTypes: ['txt'],
+    codes: [NIT_CODES.RAGGED_RIGHT],
+    validate: ({ doc }, opts) => validateLineExtraSpacing(doc, opts)
+  },
+  {
+    id: 'validateCodeComments',
+    description: 'Validating code comments...',
+    docTypes: ['txt'],
+    codes: [NIT_CODES.COMMENT_OUT_OF_CODE_BLOCK],
+    validate: ({ doc }, opts) => validateCodeComments(doc, opts)
+  },
+  {
+    id: 'validateCodeBlockLicenses',
+    description: 'Validating code block licence...',
+    docTypes: ['txt'],
+    codes: [NIT_CODES.CODE_BLOCK_MISSING_LICENSE],
+    validate: ({ doc }, opts) => validateCodeBlockLicenses(doc, opts)
+  },
+  {
+    id: 'validateUnclassifiedReferences',
+    description: 'Validating unclasified references...',
+    docTypes: ['txt'],
+    network: true,
+    codes: [NIT_CODES.UNDEFINED_STATUS, NIT_CODES.OBSOLETE_UNCLASSIFIED_REFERENCE],
+    validate: ({ doc }, opts) => validateUnclassifiedReferences(doc, opts)
+  },
+  {
+    id: 'validateInformativeReferences',
+    description: 'Validating informational references...',
+    docTypes: ['txt'],
+    network: true,
+    codes: [NIT_CODES.UNDEFINED_STATUS, NIT_CODES.OBSOLETE_INFORMATIVE_REFERENCE],
+    validate: ({ doc }, opts) => validateInformativeReferences(doc, opts)
+  }
+]
@@ -0,0 +1,161 @@
+export const SEVERITY_LEVELS = ['error', 'warning', 'comment', 'off']
+
+/**
+ * Default severity of every nit code, per validation mode.
+ *
+ * Each entry lists the severity for the [normal, forgive-checklist, submission] modes,
+ * in the same order as the MODES values. A severity of "off" means the nit is not
+ * reported in that mode.
+ */
+export const DEFAULT_SEVERITIES = {
+  // -> Filename
+  FILENAME_MISSING_EXTENSION: ['error', 'error', 'error'],
+  FILENAME_TOO_MANY_DOTS: ['error', 'error', 'error'],
+  FILENAME_INVALID_CHARS: ['error', 'error', 'error'],
+  FILENAME_EXTENSION_INVALID: ['error', 'error', 'error'],
+  FILENAME_TOO_LONG: ['error', 'error', 'error'],
+  FILENAME_MISSING_DRAFT_PREFIX: ['error', 'error', 'error'],
+  FILENAME_INVALID_VERSION_SUFFIX: ['error', 'error', 'error'],
+  FILENAME_MISSING_COMPONENTS: ['error', 'error', 'error'],
+  FILENAME_DOCNAME_MISMATCH: ['error', 'error', 'error'],
+  // -> Raw content
+  INVALID_ENCODING: ['error', 'warning', 'off'],
+  NON_ASCII_UTF8: ['comment', 'comment', 'off'],
+  INVALID_CTRL_CODES: ['error', 'warning', 'off'],
+  // -> Parsing
+  TXT_PARSING_FAILED: ['error', 'error', 'error'],
+  XML_PARSING_FAILED: ['error', 'error', 'error'],
+  XML_UNSUPPORTED_VERSION: ['error', 'error', 'error'],
+  XML_UNSUPPORTED_DOC_KIND: ['error', 'error', 'error'],
+  XML_UNRECOGNIZED_DOC_KIND: ['error', 'error', 'error'],
+  // -> Suppressions
+  UNUSED_SUPPRESSION: ['comment', 'comment', 'comment'],
+  // -> Remote lookups
+  FETCH_BLOCKED: ['comment', 'comment', 'comment'],
+  // -> Sections
+  MISSING_ABSTRACT_SECTION: ['error', 'error', 'error'],
+  EMPTY_ABSTRACT_SECTION: ['error', 'error', 'error'],
+  INVALID_ABSTRACT_SECTION: ['error', 'error', 'error'],
+  INVALID_ABSTRACT_SECTION_CHILD: ['error', 'error', 'error'],
+  INVALID_ABSTRACT_SECTION_REF: ['error', 'warning', 'off'],
+  INVALID_ABSTRACT_SECTION_URL: ['error', 'warning', 'off'],
+  INVALID_DOCUMENT_STRUCTURE: ['error', 'error', 'error'],
+  MISSING_INTRODUCTION_SECTION: ['error', 'warning', 'off'],
+  EMPTY_INTRODUCTION_SECTION: ['error', 'error', 'error'],
+  INVALID_INTRODUCTION_SECTION: ['error', 'error', 'error'],
+  INVALID_INTRODUCTION_SECTION_CHILD: ['error', 'error', 'error'],
+  MISSING_SECURITY_CONSIDERATIONS_SECTION: ['error', 'warning', 'off'],
+  EMPTY_SECURITY_CONSIDERATIONS_SECTION: ['error', 'error', 'error'],
+  INVALID_SECURITY_CONSIDERATIONS_SECTION: ['error', 'error', 'error'],
+  INVALID_SECURITY_CONSIDERATIONS_SECTION_CHILD: ['error', 'error', 'error'],
+  MISSING_AUTHOR_SECTION: ['error', 'warning', 'off'],
+  MISUSED_POSSESSIVE_MARK: ['warning', 'warning', 'off'],
+  TOO_MANY_AUTHORS: ['comment', 'comment', 'off'],
+  EMPTY_AUTHOR_ORGANIZATION: ['warning', 'warning', 'off'],
+  MISSING_AUTHOR_FULLNAME: ['warning', 'warning', 'off'],
+  MISSING_AUTHOR_FULLNAME_WITH_ASCII: ['warning', 'warning', 'off'],
+  INVALID_AUTHOR_ROLE: ['warning', 'warning', 'off'],
+  MISSING_REFERENCES_SECTION: ['error', 'warning', 'off'],
+  EMPTY_REFERENCES_SECTION: ['error', 'warning', 'off'],
+  MISSING_REFERENCES_SUBSECTIONS: ['error', 'warning', 'off'],
+  UNCLASSIFIED_REFERENCES_SUBSECTION: ['error', 'warning', 'off'],
+  MISSING_REFERENCES_TITLE: ['error', 'warning', 'off'],
+  INVALID_REFERENCES_TITLE: ['error', 'warning', 'off'],
+  MISSING_IANA_CONSIDERATIONS_SECTION: ['error', 'warning', 'off'],
+  INVALID_IANA_CONSIDERATIONS_SECTION: ['error', 'error', 'error'],
+  INVALID_IANA_CONSIDERATIONS_SECTION_CHILD: ['error', 'error', 'error'],
+  REFERENCE_NOT_USED: ['warning', 'warning', 'warning'],
+  // -> FQDNs / IPs
+  INVALID_DOMAIN_TLD: ['warning', 'warning', 'off'],
+  INVALID_ARPA_DOMAIN: ['warning', 'warning', 'off'],
+  INVALID_IPV4_ADDRESS: ['warning', 'warning', 'off'],
+  NON_DOCUMENTATION_IPV4: ['warning', 'warning', 'off'],
+  INVALID_IPV6_ADDRESS: ['warning', 'warning', 'off'],
+  NON_STANDARD_IPV6_ADDRESS: ['warning', 'warning', 'off'],
+  // -> Keywords / Terms
+  MISSING_REQLEVEL_BOILERPLATE: ['error', 'warning', 'off'],
+  MISSING_REQLEVEL_KEYWORDS: ['warning', 'warning', 'off'],
+  MISSING_NOTRECOMMENDED_IN_BOILERPLATE: ['warning', 'warning', 'off'],
+  MISSING_REQLEVEL_REF: ['error', 'error', 'off'],
+  INCORRECT_KEYWORD_SPELLING: ['comment', 'comment', 'off'],
+  INVALID_REQLEVEL_KEYWORD: ['comment', 'comment', 'off'],
+  INCORRECT_TERM_SPELLING: ['comment', 'comment', 'off'],
+  // -> Metadata
+  MISSING_DOC_DATE: ['warning', 'warning', 'warning'],
+  DOC_DATE_IN_PAST: ['warning', 'warning', 'warning'],
+  DOC_DATE_IN_FUTURE: ['warning', 'warning', 'warning'],
+  MISSING_DOC_CATEGORY: ['warning', 'warning', 'warning'],
+  INVALID_DOC_CATEGORY: ['warning', 'warning', 'warning'],
+  OBSOLETES_NOT_IN_ABSTRACT: ['warning', 'warning', 'off'],
+  OBSOLETES_NOT_IN_RFC: ['warning', 'warning', 'off'],
+  UPDATES_NOT_IN_ABSTRACT: ['warning', 'warning', 'off'],
+  UPDATES_NOT_IN_RFC: ['warning', 'warning', 'off'],
+  MENTIONED_NOT_IN_OBSOLETES: ['comment', 'comment', 'off'],
+  MENTIONED_NOT_IN_UPDATES: ['comment', 'comment', 'off'],
+  OBSOLETES_RFC_NOT_FOUND: ['warning', 'warning', 'off'],
+  OBSOLETES_OBSOLETED_RFC: ['warning', 'warning', 'off'],
+  UPDATES_RFC_NOT_FOUND: ['warning', 'warning', 'off'],
+  UPDATES_OBSOLETED_RFC: ['warning', 'warning', 'off'],
+  UPDATES_UPDATED_RFC: ['warning', 'warning', 'off'],
+  DUPLICATE_DOC_VERSION: ['warning', 'warning', 'warning'],
+  UNEXPECTED_DOC_VERSION: ['warning', 'warning', 'warning'],
+  // -> References
+  DOWNREF_DRAFT: ['error', 'warning', 'off'],
+  DOWNREF_RFC: ['error', 'warning', 'off'],
+  UNDEFINED_STATUS: ['comment', 'comment', 'off'],
+  UNKNOWN_STATUS: ['comment', 'comment', 'off'],
+  OBSOLETE_DOCUMENT: ['error', 'warning', 'off'],
+  OBSOLETE_UNCLASSIFIED_REFERENCE: ['error', 'warning', 'off'],
+  OBSOLETE_INFORMATIVE_REFERENCE: ['error', 'warning', 'off'],
+  UNDEFINED_STATE: ['warning', 'warning', 'off'],
+  INVALID_STATE_FOR_DRAFT: ['warning', 'warning', 'off'],
+  // -> XML
+  DEPRECATED_ELEMENT: ['warning', 'warning', 'warning'],
+  SUBMISSION_TYPE_INVALID: ['error', 'error', 'error'],
+  SUBMISSION_TYPE_MISMATCH: ['error', 'error', 'error'],
+  SUBMISSION_TYPE_UNEXPECTED: ['error', 'error', 'error'],
+  UNNECESSARY_CODE_BEGINS: ['warning', 'warning', 'off'],
+  MISSING_SOURCECODE_TAG: ['warning', 'warning', 'off'],
+  TEXT_DOC_REF: ['warning', 'warning', 'off'],
+  MISSING_IPR_ATTRIBUTE: ['error', 'error', 'error'],
+  INVALID_IPR_VALUE: ['warning', 'warning', 'warning'],
+  FORBIDDEN_IPR_VALUE_FOR_STREAM: ['error', 'error', 'error'],
+  // -> TXT
+  LINE_TOO_LONG: ['error', 'warning', 'warning'],
+  RAGGED_RIGHT: ['error', 'warning', 'off'],
+  COMMENT_OUT_OF_CODE_BLOCK: ['warning', 'warning', 'warning'],
+  CODE_BLOCK_MISSING_LICENSE: ['warning', 'warning', 'off']
+}
+
+/**
+ * Severity of codes in specific situations, per validation mode, taking precedence over DEFAULT_SEVERITIES.
+ *
+ * Validators pass the situation to createNit(). Each situation has a description of when it applies,
+ * e.g. to show it with idnits explain.
+ */
+export const SITUATIONAL_SEVERITIES = {
+  MISSING_REQLEVEL_BOILERPLATE: {
+    referenced: {
+      description: 'RFC 2119 is referenced, only the boilerplate is missing',
+      severity: ['warning', 'warning', 'off']
+    }
+  },
+  OBSOLETES_NOT_IN_ABSTRACT: {
+    txt: {
+      description: 'TXT document, whose abstract is extracted heuristically',
+      severity: ['comment', 'comment', 'off']
+    }
+  },
+  UPDATES_NOT_IN_ABSTRACT: {
+    txt: {
+      description: 'TXT document, whose abstract is extracted heuristically',
+      severity: ['comment', 'comment', 'off']
+    }
+  },
+  MISSING_IANA_CONSIDERATIONS_SECTION: {
+    rfc: {
+      description: 'Published RFC, whose section may have been removed by the RFC Editor',
+      severity: ['comment', 'comment', 'off']
+    }
+  }
+}
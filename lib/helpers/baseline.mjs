@@ -0,0 +1,124 @@
+import { getCodeAliases, getSplitSources } from '../config/codes.mjs'
+import { stripDocVersion } from './remote.mjs'
+
+/**
+ * Get a stable fingerprint of a validation entry, independent of line numbers
+ *
+ * The fingerprint is computed from the nit code and, in order of preference, the offending text,
+ * the XML path (without array indexes, which shift when elements are added) or the message.
+ *
+ * @param {Error} entry ValidationError, ValidationWarning or ValidationComment
+ * @param {string} [code] Nit code to use instead of the entry code, e.g. a deprecated alias
+ * @returns {string} Fingerprint as an hexadecimal string
+ */
+export function getFingerprint (entry, code = entry.name) {
+  let source = entry.message ?? ''
+  if (entry.text) {
+    source = entry.text
+  } else if (entry.path) {
+    source = entry.path.replace(/\[\d+\]/g, '')
+  }
+  return hashString(`${code}|${source.replace(/\s+/g, ' ').trim().toLowerCase()}`)
+}
+
+/**
+ * Remove entries already recorded in a baseline
+ *
+ * Each baseline nit can only match one entry, so that additional occurrences of a nit are still reported.
+ * Nits recorded under a deprecated code still match entries of the code that replaced it, and nits recorded
+ * under a code that was split (see CODE_SPLITS) still match entries of the codes split from it.
+ *
+ * @param {Array} result List of errors/warnings/comments
+ * @param {Object[]} baselineNits List of baseline nits, each with a code and fingerprint
+ * @returns {Array} Entries not found in the baseline
+ */
+export function filterBaseline (result, baselineNits = []) {
+  const remaining = new Map()
+  for (const nit of baselineNits) {
+    const key = `${nit.code}:${nit.fingerprint}`
+    remaining.set(key, (remaining.get(key) ?? 0) + 1)
+  }
+  return result.filter(entry => {
+    const candidates = [
+      ...[entry.name, ...getCodeAliases(entry.name)].map(code => ({ code, entry })),
+      ...getSplitSources(entry.name).map(({ code, toFormerMessage }) => ({
+        code,
+        entry: { text: entry.text, path: entry.path, message: toFormerMessage(entry.message) }
+      }))
+    ]
+    for (const { code, entry: formerEntry } of candidates) {
+      const key = `${code}:${getFingerprint(formerEntry, code)}`
+      const count = remaining.get(key)
+      if (count > 0) {
+        remaining.set(key, count - 1)
+        return false
+      }
+    }
+    return true
+  })
+}
+
+/**
+ * Validate the contents of a baseline file
+ *
+ * Baselines of multiple files (with a files array) are flattened, each nit being tagged
+ * with the filename of its document, to be matched with getBaselineNitsForFile().
+ *
+ * @param {Object} baseline Parsed baseline file, in the JSON output format
+ * @returns {Object[]} List of baseline nits
+ */
+export function parseBaseline (baseline) {
+  if (Array.isArray(baseline?.files)) {
+    return baseline.files.flatMap(file => {
+      const filename = file?.file?.path?.split(/[\\/]/).pop()
+      return parseBaseline(file).map(nit => filename ? { ...nit, file: filename } : nit)
+    })
+  }
+  if (!Array.isArray(baseline?.nits) || !baseline.nits.every(n => typeof n?.code === 'string' && typeof n?.fingerprint === 'string')) {
+    throw new Error('Invalid baseline: expected a nits array, with a code and fingerprint for each nit.')
+  }
+  return baseline.nits
+}
+
+/**
+ * Get the baseline nits applicable to a document
+ *
+ * Nits are matched on the filename without its revision (e.g. draft-ietf-abcd.xml for draft-ietf-abcd-01.xml),
+ * so that a baseline remains valid when the documents are moved or a new revision is submitted.
+ * Nits which are not tagged with a filename apply to every document.
+ *
+ * @param {Object[]} baselineNits List of baseline nits, as returned by parseBaseline()
+ * @param {string} filePath Path of the document
+ * @returns {Object[]} List of baseline nits of the document
+ */
+export function getBaselineNitsForFile (baselineNits, filePath) {
+  const docKey = getDocumentKey(filePath)
+  return baselineNits.filter(nit => !nit.file || getDocumentKey(nit.file) === docKey)
+}
+
+/**
+ * Get the filename of a document without its directory and revision
+ *
+ * @param {string} filePath Path of the document
+ * @returns {string} Filename without revision, e.g. draft-ietf-abcd.xml
+ */
+function getDocumentKey (filePath) {
+  const filename = filePath.split(/[\\/]/).pop()
+  const extIdx = filename.lastIndexOf('.')
+  return extIdx > 0 ? `${stripDocVersion(filename.slice(0, extIdx))}${filename.slice(extIdx)}` : stripDocVersion(filename)
+}
+
+/**
+ * Compute a 32-bit FNV-1a hash of a string
+ *
+ * @param {string} str Input string
+ * @returns {string} Hash as an 8 characters hexadecimal string
+ */
+function hashString (str) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
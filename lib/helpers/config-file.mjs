@@ -0,0 +1,66 @@
+import { access, readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { validateConfig } from './config.mjs'
+
+export const CONFIG_FILENAMES = [
+  '.idnitsrc',
+  '.idnitsrc.json',
+  'idnits.config.json'
+]
+
+/**
+ * Find the closest configuration file, looking up from a directory to the filesystem root
+ *
+ * @param {string} startDir Directory to start looking from
+ * @returns {Promise<string>} Path of the configuration file or null if none was found
+ */
+export async function findConfigFile (startDir) {
+  let dir = path.resolve(startDir)
+  while (true) {
+    for (const filename of CONFIG_FILENAMES) {
+      const filePath = path.join(dir, filename)
+      try {
+        await access(filePath)
+        return filePath
+      } catch (err) {}
+    }
+    const parentDir = path.dirname(dir)
+    if (parentDir === dir) {
+      return null
+    }
+    dir = parentDir
+  }
+}
+
+/**
+ * Load and validate a configuration file
+ *
+ * @param {string} filePath Path of the configuration file
+ * @returns {Promise<IdnitsConfig>} Configuration object
+ */
+export async function loadConfigFile (filePath) {
+  let config
+  try {
+    config = JSON.parse(await readFile(filePath, 'utf8'))
+  } catch (err) {
+    throw new Error(`Failed to read configuration file ${filePath}: ${err.message}`)
+  }
+  return validateConfig(config, `configuration file ${filePath}`)
+}
+
+/**
+ * Find and load the closest configuration file of a document
+ *
+ * @param {string} startDir Directory of the document
+ * @returns {Promise<Object>} Object with the path and config of the file found, or null if none was found
+ */
+export async function resolveConfig (startDir) {
+  const filePath = await findConfigFile(startDir)
+  if (!filePath) {
+    return null
+  }
+  return {
+    path: filePath,
+    config: await loadConfigFile(filePath)
+  }
+}
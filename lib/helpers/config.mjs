@@ -0,0 +1,138 @@
+import { isPlainObject } from 'lodash-es'
+import { getModeByName } from '../config/modes.mjs'
+import { validateCacheTtl } from '../remote/cache.mjs'
+import { FAIL_ON_LEVELS } from './exit.mjs'
+import { validateSeverityOverrides } from './severity.mjs'
+
+const CONFIG_SCHEMA = {
+  mode: 'string',
+  offline: 'boolean',
+  year: 'number',
+  output: 'string',
+  filter: 'string[]',
+  failOn: 'string',
+  maxWarnings: 'number',
+  allowedDomains: 'string[]',
+  datatrackerUrl: 'string',
+  enable: 'string[]',
+  disable: 'string[]',
+  severity: 'object',
+  cacheDir: 'string',
+  cacheTtl: 'object',
+  dataFile: 'string',
+  rfcIndex: 'string'
+}
+
+// Validators of the types of CONFIG_SCHEMA
+const TYPE_VALIDATORS = {
+  string: value => typeof value === 'string',
+  boolean: value => typeof value === 'boolean',
+  number: value => typeof value === 'number',
+  object: value => isPlainObject(value),
+  'string[]': value => Array.isArray(value) && value.every(v => typeof v === 'string')
+}
+
+/**
+ * @typedef {Object} IdnitsConfig
+ * @property {string} [mode] Validation mode name (normal, forgive-checklist, submission or a shorthand)
+ * @property {boolean} [offline] Run validations that require an internet connection against the offline data bundle, or disable them without one
+ * @property {number} [year] Expect the given year in the boilerplate
+ * @property {string} [output] Output format of the CLI
+ * @property {string[]} [filter] Severity types to output in the CLI (errors, warnings, comments)
+ * @property {string} [failOn] Minimum severity for the CLI to exit with a failure code (error, warning, comment)
+ * @property {number} [maxWarnings] Maximum number of warnings before the CLI exits with a failure code
+ * @property {string[]} [allowedDomains] List of authorized domains to fetch externals from
+ * @property {string} [datatrackerUrl] Base URL of the Datatracker instance to look up Internet-Drafts and the Downref Registry in
+ * @property {string[]} [enable] Only run these rules / report these codes
+ * @property {string[]} [disable] Skip these rules / don't report these codes
+ * @property {Object} [severity] Map of nit codes to severity (error, warning, comment, off)
+ * @property {string} [cacheDir] Directory of the CLI cache of remote lookups, relative to the configuration file
+ * @property {Object} [cacheTtl] Map of resource types (iana, downref, rfc, datatracker) to the TTL in seconds of their cached lookups
+ * @property {string} [dataFile] Path of the CLI offline data bundle, relative to the configuration file
+ * @property {string} [rfcIndex] Path of a local rfc-index.xml file to look up RFC metadata in, relative to the configuration file
+ */
+
+/**
+ * Validate a configuration object
+ *
+ * @param {Object} config Configuration object
+ * @param {string} [source] Where the configuration comes from, used in error messages
+ * @returns {IdnitsConfig} The validated configuration
+ */
+export function validateConfig (config, source = 'configuration') {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ${source}: expected a JSON object.`)
+  }
+  for (const [key, value] of Object.entries(config)) {
+    const expectedType = CONFIG_SCHEMA[key]
+    if (!expectedType) {
+      throw new Error(`Invalid ${source}: unknown option "${key}".`)
+    }
+    if (!TYPE_VALIDATORS[expectedType](value)) {
+      throw new Error(`Invalid ${source}: option "${key}" must be of type ${expectedType}.`)
+    }
+  }
+  if (config.severity) {
+    try {
+      validateSeverityOverrides(config.severity)
+    } catch (err) {
+      throw new Error(`Invalid ${source}: ${err.message}`)
+    }
+  }
+  if (config.cacheTtl) {
+    try {
+      validateCacheTtl(config.cacheTtl)
+    } catch (err) {
+      throw new Error(`Invalid ${source}: ${err.message}`)
+    }
+  }
+  if (config.failOn && !FAIL_ON_LEVELS.includes(config.failOn)) {
+    throw new Error(`Invalid ${source}: failOn must be either ${FAIL_ON_LEVELS.join(', ')}.`)
+  }
+  if (config.maxWarnings !== undefined && (!Number.isInteger(config.maxWarnings) || config.maxWarnings < 0)) {
+    throw new Error(`Invalid ${source}: maxWarnings must be a positive integer.`)
+  }
+  if (config.mode) {
+    try {
+      getModeByName(config.mode)
+    } catch (err) {
+      throw new Error(`Invalid ${source}: unknown mode "${config.mode}".`)
+    }
+  }
+  return config
+}
+
+/**
+ * Convert a configuration object to checkNits() options
+ *
+ * @param {IdnitsConfig} [config] Configuration object
+ * @returns {Object} checkNits() options, containing only the options defined in the configuration
+ */
+export function configToOptions (config = {}) {
+  const opts = {}
+  if (config.mode) {
+    opts.mode = getModeByName(config.mode).mode
+  }
+  if (config.offline !== undefined) {
+    opts.offline = config.offline
+  }
+  if (config.year !== undefined) {
+    opts.year = config.year
+  }
+  if (config.allowedDomains) {
+    opts.allowedDomains = config.allowedDomains
+  }
+  if (config.datatrackerUrl) {
+    opts.datatrackerUrl = config.datatrackerUrl
+  }
+  if (config.enable || config.disable) {
+    opts.rules = {
+      include: config.enable ?? [],
+      exclude: config.disable ?? []
+    }
+  }
+  if (config.severity) {
+    opts.severity = config.severity
+  }
+  return opts
+}
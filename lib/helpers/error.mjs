@@ -1,5 +1,7 @@
 /* c8 ignore start */
 
+import { lineToLocation, locationToLine } from './location.mjs'
+
 /**
  * Validation Error
  */
@@ -11,16 +13,21 @@ export class ValidationError extends Error {
    * @param {string} message Long description of the error, in human-readable format.
    * @param {Object} [opts] Additional options
    * @param {string} [opts.ref] URL to the web reference for this error.
-   * @param {Object[]} [opts.lines] Array of lines and column positions
+   * @param {Object[]} [opts.lines] Array of lines and column positions. Derived from opts.locations when omitted.
+   * @param {import('./location.mjs').Location[]} [opts.locations] Array of ranges, see createLocation(). Derived from opts.lines when omitted.
    * @param {string} [opts.path] Path where the error occured
+   * @param {string} [opts.text] Text that caused the error
+   * @param {import('./fix.mjs').Fix} [opts.fix] Machine-applicable fix, see createFix()
    */
   constructor (name, message, opts = {}) {
     super(message ?? name)
     this.name = name
     this.refUrl = opts.ref
-    this.lines = opts.lines
+    this.locations = opts.locations ?? opts.lines?.map(lineToLocation)
+    this.lines = opts.lines ?? opts.locations?.map(locationToLine)
     this.path = opts.path
     this.text = opts.text
+    this.fix = opts.fix
   }
 }
 
@@ -0,0 +1,56 @@
+import { getEntrySeverity } from './severity.mjs'
+
+/**
+ * Process exit codes of the CLI, by worst severity found
+ */
+export const EXIT_CODES = {
+  CLEAN: 0,
+  COMMENTS: 1,
+  WARNINGS: 2,
+  ERRORS: 3,
+  INTERNAL_ERROR: 4
+}
+
+export const FAIL_ON_LEVELS = ['error', 'warning', 'comment']
+
+const SEVERITY_EXIT_CODES = {
+  comment: EXIT_CODES.COMMENTS,
+  warning: EXIT_CODES.WARNINGS,
+  error: EXIT_CODES.ERRORS
+}
+
+/**
+ * Get the exit code matching validation results
+ *
+ * Without a threshold, the exit code reflects the worst severity found. With failOn, results
+ * less severe than the threshold exit with CLEAN. Exceeding maxWarnings always fails, with at least WARNINGS.
+ *
+ * @param {Array} result List of errors/warnings/comments, of all validated documents
+ * @param {Object} [opts] Options
+ * @param {string} [opts.failOn] Minimum severity to fail on (error, warning, comment)
+ * @param {number} [opts.maxWarnings] Maximum number of warnings before failing
+ * @returns {number} Exit code
+ */
+export function getExitCode (result, { failOn, maxWarnings } = {}) {
+  if (failOn && !FAIL_ON_LEVELS.includes(failOn)) {
+    throw new Error(`Invalid fail-on level "${failOn}". Must be either ${FAIL_ON_LEVELS.join(', ')}.`)
+  }
+
+  let exitCode = EXIT_CODES.CLEAN
+  let warningsCount = 0
+  for (const entry of result) {
+    const severity = getEntrySeverity(entry)
+    if (severity === 'warning') {
+      warningsCount++
+    }
+    exitCode = Math.max(exitCode, SEVERITY_EXIT_CODES[severity])
+  }
+
+  if (failOn && exitCode < SEVERITY_EXIT_CODES[failOn]) {
+    exitCode = EXIT_CODES.CLEAN
+  }
+  if (maxWarnings !== undefined && warningsCount > maxWarnings) {
+    exitCode = Math.max(exitCode, EXIT_CODES.WARNINGS)
+  }
+  return exitCode
+}
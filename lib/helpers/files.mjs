@@ -0,0 +1,169 @@
+const DOC_EXTENSIONS = ['.txt', '.xml']
+const IGNORED_DIRS = ['node_modules']
+
+/**
+ * Whether an input path contains glob characters
+ *
+ * @param {string} input Input path
+ * @returns {boolean} Whether the input is a glob pattern
+ */
+export function isGlobPattern (input) {
+  return /[*?{}[\]]/.test(input)
+}
+
+/**
+ * Convert a glob pattern to a regular expression matching forward slash separated paths
+ *
+ * Supports * (any characters except /), ** (any number of directories), ?, [abc] and {a,b} alternatives.
+ *
+ * @param {string} pattern Glob pattern
+ * @returns {RegExp} Regular expression
+ */
+export function globToRegExp (pattern) {
+  let rgx = ''
+  let inGroup = false
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    switch (char) {
+      case '*': {
+        if (pattern[i + 1] === '*') {
+          // ** matches any number of directories, including none
+          const isSegment = (i === 0 || pattern[i - 1] === '/') && (pattern[i + 2] === '/' || i + 2 === pattern.length)
+          if (isSegment && pattern[i + 2] === '/') {
+            rgx += '(?:[^/]*/)*'
+            i += 2
+          } else {
+            rgx += '.*'
+            i++
+          }
+        } else {
+          rgx += '[^/]*'
+        }
+        break
+      }
+      case '?': {
+        rgx += '[^/]'
+        break
+      }
+      case '[': {
+        const end = pattern.indexOf(']', i + 1)
+        if (end < 0) {
+          rgx += '\\['
+        } else {
+          rgx += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`
+          i = end
+        }
+        break
+      }
+      case '{': {
+        inGroup = true
+        rgx += '(?:'
+        break
+      }
+      case '}': {
+        rgx += inGroup ? ')' : '\\}'
+        inGroup = false
+        break
+      }
+      case ',': {
+        rgx += inGroup ? '|' : ','
+        break
+      }
+      default: {
+        rgx += char.replace(/[.+^$()|\\]/g, '\\$&')
+      }
+    }
+  }
+  return new RegExp(`^${rgx}$`)
+}
+
+/**
+ * Resolve CLI inputs (file paths, directories and glob patterns) to a list of documents
+ *
+ * Directories and glob patterns only match .txt and .xml files. Hidden files / directories
+ * and node_modules directories are skipped. Explicit file paths are returned as is.
+ *
+ * @param {string[]} inputs List of file paths, directories or glob patterns
+ * @param {Object} [opts] Options
+ * @param {boolean} [opts.recursive=false] Include documents in subdirectories of directory inputs
+ * @param {string} [opts.cwd] Directory to resolve relative inputs from, defaults to the current working directory
+ * @returns {Promise<string[]>} Sorted list of unique absolute paths
+ */
+export async function resolveInputFiles (inputs, { recursive = false, cwd = process.cwd() } = {}) {
+  const path = await import('node:path')
+  const { stat } = await import('node:fs/promises')
+
+  const files = new Set()
+  for (const input of inputs) {
+    const inputPath = path.resolve(cwd, input)
+    if (isGlobPattern(input)) {
+      // Walk from the deepest directory without glob characters
+      const segments = input.split(/[\\/]/)
+      const baseSegments = []
+      while (segments.length > 1 && !isGlobPattern(segments[0])) {
+        baseSegments.push(segments.shift())
+      }
+      const baseDir = path.resolve(cwd, baseSegments.join('/') || '.')
+      const rgx = globToRegExp(segments.join('/'))
+      const depth = segments.some(s => s.includes('**')) ? Infinity : segments.length
+      const matches = (await walkDirectory(baseDir, depth)).filter(filePath => {
+        return rgx.test(path.relative(baseDir, filePath).split(path.sep).join('/'))
+      })
+      if (matches.length < 1) {
+        throw new Error(`No document matches ${input}`)
+      }
+      matches.forEach(m => files.add(m))
+    } else {
+      let inputStat
+      try {
+        inputStat = await stat(inputPath)
+      } catch (err) {
+        throw new Error(`Failed to read ${input}: ${err.message}`)
+      }
+      if (inputStat.isDirectory()) {
+        const matches = await walkDirectory(inputPath, recursive ? Infinity : 1)
+        if (matches.length < 1) {
+          throw new Error(`No .txt or .xml document found in ${input}`)
+        }
+        matches.forEach(m => files.add(m))
+      } else {
+        files.add(inputPath)
+      }
+    }
+  }
+  return [...files].sort()
+}
+
+/**
+ * List documents in a directory
+ *
+ * @param {string} dir Directory path
+ * @param {number} depth Maximum depth, 1 for the directory only
+ * @returns {Promise<string[]>} List of absolute paths of .txt / .xml files
+ */
+async function walkDirectory (dir, depth) {
+  const path = await import('node:path')
+  const { readdir } = await import('node:fs/promises')
+
+  const files = []
+  let entries = []
+  try {
+    entries = await readdir(dir, { withFileTypes: true })
+  } catch (err) {
+    return files
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) {
+      continue
+    }
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      if (depth > 1 && !IGNORED_DIRS.includes(entry.name)) {
+        files.push(...(await walkDirectory(entryPath, depth - 1)))
+      }
+    } else if (entry.isFile() && DOC_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(entryPath)
+    }
+  }
+  return files
+}
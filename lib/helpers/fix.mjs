@@ -0,0 +1,227 @@
+import { decodeBufferToUTF8 } from '../modules/raw.mjs'
+
+const UTF8_BOM = [0xEF, 0xBB, 0xBF]
+
+/**
+ * Edit of the source text of a document
+ *
+ * @typedef {Object} FixEdit
+ * @property {number} start Offset of the first character to replace, starting at 0
+ * @property {number} end Offset right after the last character to replace. Equal to start to insert text.
+ * @property {string} text Replacement text
+ */
+
+/**
+ * Machine-applicable fix of a nit, made of edits applied together
+ *
+ * @typedef {Object} Fix
+ * @property {string} description Short description of the fix, e.g. Replace <spanx> with <em>
+ * @property {FixEdit[]} edits Edits of the source text, which must not overlap
+ */
+
+/**
+ * Create a fix
+ *
+ * @param {string} description Short description of the fix
+ * @param {FixEdit[]} edits Edits of the source text
+ * @returns {Fix} Fix, with its edits sorted by offset
+ */
+export function createFix (description, edits) {
+  return {
+    description,
+    edits: [...edits].sort((a, b) => a.start - b.start || a.end - b.end)
+  }
+}
+
+/**
+ * Apply the fixes of validation results to the source text of a document
+ *
+ * Fixes are applied in the order of their first edit. A fix overlapping an already applied fix is skipped,
+ * as its offsets may no longer be valid: validating the fixed text again reports it if still needed.
+ *
+ * @param {string} source Source text of the document
+ * @param {Array} result List of errors/warnings/comments
+ * @returns {{output: string, edits: FixEdit[], fixed: Array, remaining: Array}} Fixed text, applied edits and entries that were fixed or not
+ */
+export function applyFixes (source, result) {
+  const fixable = result.filter(entry => entry.fix?.edits.length > 0)
+  fixable.sort((a, b) => a.fix.edits[0].start - b.fix.edits[0].start)
+
+  const edits = []
+  const fixed = []
+  for (const entry of fixable) {
+    const isOverlapping = entry.fix.edits.some(edit => edits.some(other => isOverlappingEdit(edit, other)))
+    if (!isOverlapping) {
+      edits.push(...entry.fix.edits)
+      fixed.push(entry)
+    }
+  }
+  edits.sort((a, b) => a.start - b.start || a.end - b.end)
+
+  let output = ''
+  let lastIdx = 0
+  for (const edit of edits) {
+    output += source.slice(lastIdx, edit.start) + edit.text
+    lastIdx = edit.end
+  }
+  output += source.slice(lastIdx)
+
+  return {
+    output,
+    edits,
+    fixed,
+    remaining: result.filter(entry => !fixed.includes(entry))
+  }
+}
+
+/**
+ * Apply the fixes of validation results to the raw contents of a document
+ *
+ * Fix offsets refer to the text validated by checkNits(), which is decoded without the UTF-8 byte order mark.
+ * The contents are decoded the same way before applying the fixes, and the byte order mark is put back, if any.
+ * Other encodings (e.g. Latin-1) are refused, as the fixed contents are encoded as UTF-8.
+ *
+ * @param {Uint8Array} raw Raw document contents (e.g. a Buffer)
+ * @param {Array} result List of errors/warnings/comments, as returned by checkNits()
+ * @returns {Promise<Object>} Fixed raw contents (raw) and decoded source text (source), with the result of applyFixes()
+ */
+export async function applyFixesToRaw (raw, result) {
+  if (!isValidUTF8(raw)) {
+    throw new Error('Fixes can only be applied to UTF-8 documents.')
+  }
+  const source = await decodeBufferToUTF8(raw)
+  const fixes = applyFixes(source, result)
+  const hasBom = UTF8_BOM.every((byte, idx) => raw[idx] === byte)
+  const output = new TextEncoder().encode(hasBom ? `\uFEFF${fixes.output}` : fixes.output)
+  return { ...fixes, source, raw: output }
+}
+
+/**
+ * Format edits of a source text as a unified diff
+ *
+ * Consecutive lines touched by edits are listed as removed then added, with 3 lines of context.
+ *
+ * @param {string} source Source text of the document
+ * @param {FixEdit[]} edits Non-overlapping edits, sorted by offset (e.g. as returned by applyFixes())
+ * @param {Object} [opts] Additional options
+ * @param {string} [opts.path=document] Path of the document, used in the diff header
+ * @returns {string} Unified diff or an empty string without edits
+ */
+export function formatFixDiff (source, edits, { path = 'document' } = {}) {
+  if (edits.length < 1) {
+    return ''
+  }
+
+  const lines = source.split('\n')
+  const lineOffsets = [0]
+  for (const line of lines) {
+    lineOffsets.push(lineOffsets[lineOffsets.length - 1] + line.length + 1)
+  }
+  const getLineIdx = (offset) => {
+    let low = 0
+    let high = lines.length - 1
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2)
+      if (lineOffsets[mid] <= offset) {
+        low = mid
+      } else {
+        high = mid - 1
+      }
+    }
+    return low
+  }
+
+  // Group edits touching the same lines, then compute the new text of these lines
+  const changes = []
+  for (const edit of edits) {
+    const startIdx = getLineIdx(edit.start)
+    const endIdx = getLineIdx(edit.end)
+    const last = changes[changes.length - 1]
+    if (last && startIdx <= last.endIdx + 1) {
+      last.endIdx = Math.max(last.endIdx, endIdx)
+      last.edits.push(edit)
+    } else {
+      changes.push({ startIdx, endIdx, edits: [edit] })
+    }
+  }
+  for (const change of changes) {
+    const offset = lineOffsets[change.startIdx]
+    let text = source.slice(offset, lineOffsets[change.endIdx + 1] - 1)
+    for (const edit of [...change.edits].reverse()) {
+      text = text.slice(0, edit.start - offset) + edit.text + text.slice(edit.end - offset)
+    }
+    change.newLines = text.split('\n')
+  }
+
+  // Merge changes with overlapping context into hunks
+  const context = 3
+  const hunks = []
+  for (const change of changes) {
+    const last = hunks[hunks.length - 1]
+    if (last && change.startIdx - last.changes[last.changes.length - 1].endIdx - 1 <= context * 2) {
+      last.changes.push(change)
+    } else {
+      hunks.push({ changes: [change] })
+    }
+  }
+
+  const output = [`--- a/${path}`, `+++ b/${path}`]
+  let delta = 0
+  for (const hunk of hunks) {
+    const first = hunk.changes[0]
+    const last = hunk.changes[hunk.changes.length - 1]
+    const startIdx = Math.max(first.startIdx - context, 0)
+    const endIdx = Math.min(last.endIdx + context, lines.length - 1)
+    const body = []
+    let idx = startIdx
+    let newLength = 0
+    for (const change of hunk.changes) {
+      for (; idx < change.startIdx; idx++) {
+        body.push(` ${lines[idx]}`)
+        newLength++
+      }
+      for (; idx <= change.endIdx; idx++) {
+        body.push(`-${lines[idx]}`)
+      }
+      body.push(...change.newLines.map(line => `+${line}`))
+      newLength += change.newLines.length
+    }
+    for (; idx <= endIdx; idx++) {
+      body.push(` ${lines[idx]}`)
+      newLength++
+    }
+    const oldLength = endIdx - startIdx + 1
+    output.push(`@@ -${startIdx + 1},${oldLength} +${startIdx + 1 + delta},${newLength} @@`, ...body)
+    delta += newLength - oldLength
+  }
+  return output.join('\n')
+}
+
+/**
+ * Whether two edits overlap. Insertions at the same offset overlap, as their order would be ambiguous.
+ *
+ * @param {FixEdit} a Edit
+ * @param {FixEdit} b Other edit
+ * @returns {boolean} Whether the edits overlap
+ */
+function isOverlappingEdit (a, b) {
+  if (a.start === a.end && b.start === b.end) {
+    return a.start === b.start
+  }
+  return a.start < b.end && b.start < a.end
+}
+
+/**
+ * Whether raw contents are valid UTF-8
+ *
+ * @param {Uint8Array} raw Raw contents
+ * @returns {boolean} Whether the contents decode as UTF-8 without invalid sequences
+ */
+function isValidUTF8 (raw) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(raw)
+    return true
+  } catch {
+    return false
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Position in a document
+ *
+ * @typedef {Object} Position
+ * @property {number} line Line number, starting at 1
+ * @property {number} column Column number, starting at 1
+ */
+
+/**
+ * Location of a nit in a document
+ *
+ * The end position is exclusive: its column is the one right after the last character of the range.
+ * A location with identical start and end positions points at a single spot.
+ *
+ * @typedef {Object} Location
+ * @property {Position} start Start of the range
+ * @property {Position} end End of the range (exclusive)
+ * @property {string} [excerpt] Source text of the line(s) the range is on
+ */
+
+/**
+ * Create a location from a line and column
+ *
+ * @param {number} line Line number, starting at 1
+ * @param {number} column Column number, starting at 1. Lower values are clamped to 1.
+ * @param {Object} [opts] Additional options
+ * @param {number} [opts.length=0] Length of the range, when on a single line
+ * @param {number} [opts.endLine] End line number, defaults to the start line
+ * @param {number} [opts.endColumn] End column number (exclusive), defaults to the column after the range
+ * @param {string} [opts.excerpt] Source text of the line(s) the range is on
+ * @returns {Location} Location
+ */
+export function createLocation (line, column, { length = 0, endLine = line, endColumn, excerpt } = {}) {
+  const startColumn = Math.max(column ?? 1, 1)
+  return {
+    start: { line, column: startColumn },
+    end: { line: endLine, column: endColumn ?? startColumn + Math.max(length, 0) },
+    ...excerpt !== undefined && { excerpt }
+  }
+}
+
+/**
+ * Create a location from character offsets in a source text
+ *
+ * @param {string} source Source text
+ * @param {number} startOffset Offset of the first character of the range, starting at 0
+ * @param {number} [endOffset] Offset right after the last character of the range, defaults to the start offset
+ * @param {Object} [opts] Additional options
+ * @param {boolean} [opts.excerpt=true] Whether to include the source text of the line(s) the range is on
+ * @returns {Location} Location
+ */
+export function createLocationFromOffsets (source, startOffset, endOffset = startOffset, { excerpt = true } = {}) {
+  const start = getPositionAt(source, startOffset)
+  const end = getPositionAt(source, endOffset)
+  let lineText
+  if (excerpt) {
+    const lineStart = source.lastIndexOf('\n', startOffset - 1) + 1
+    const lineEnd = source.indexOf('\n', Math.max(endOffset - 1, startOffset))
+    lineText = source.slice(lineStart, lineEnd < 0 ? source.length : lineEnd).replace(/\r$/, '')
+  }
+  return createLocation(start.line, start.column, { endLine: end.line, endColumn: end.column, excerpt: lineText })
+}
+
+/**
+ * Get the line and column of a character offset in a source text
+ *
+ * @param {string} source Source text
+ * @param {number} offset Character offset, starting at 0
+ * @returns {Position} Position
+ */
+export function getPositionAt (source, offset) {
+  let line = 1
+  let lineStart = 0
+  for (let idx = source.indexOf('\n'); idx >= 0 && idx < offset; idx = source.indexOf('\n', idx + 1)) {
+    line++
+    lineStart = idx + 1
+  }
+  return { line, column: offset - lineStart + 1 }
+}
+
+/**
+ * Find the first occurrence of a text in a range of lines of a source text
+ *
+ * @param {string} [source] Source text
+ * @param {string|RegExp} text Text to find, or pattern to match (without the g flag)
+ * @param {Object} [opts] Additional options
+ * @param {number} [opts.startLine=1] First line to look in
+ * @param {number} [opts.endLine] Last line to look in, defaults to the last line of the source
+ * @returns {Location} Location of the occurrence, with the text of its line as excerpt, or null if not found
+ */
+export function findTextLocation (source = '', text, { startLine = 1, endLine = Infinity } = {}) {
+  let line = 1
+  let lineStart = 0
+  while (line <= endLine && lineStart <= source.length) {
+    const lineEnd = source.indexOf('\n', lineStart)
+    if (line >= startLine) {
+      const lineText = source.slice(lineStart, lineEnd < 0 ? source.length : lineEnd).replace(/\r$/, '')
+      const match = typeof text === 'string' ? { index: lineText.indexOf(text), 0: text } : text.exec(lineText)
+      if (match && match.index >= 0) {
+        return createLocation(line, match.index + 1, { length: match[0].length, excerpt: lineText })
+      }
+    }
+    if (lineEnd < 0) {
+      break
+    }
+    line++
+    lineStart = lineEnd + 1
+  }
+  return null
+}
+
+/**
+ * Convert a line entry, such as a possible issue or a value extracted by the TXT parser, to a location
+ *
+ * @param {Object} line Line entry
+ * @param {number} line.line Line number
+ * @param {number} [line.pos] Column number
+ * @param {number} [line.length] Length of the range
+ * @param {string} [line.excerpt] Text of the line
+ * @returns {Location} Location
+ */
+export function lineToLocation ({ line, pos, length, excerpt }) {
+  return createLocation(line, pos, { length, excerpt })
+}
+
+/**
+ * Convert a location to a legacy line entry
+ *
+ * @param {Location} location Location
+ * @returns {{line: number, pos: number}} Line number and start column
+ */
+export function locationToLine ({ start }) {
+  return { line: start.line, pos: start.column }
+}
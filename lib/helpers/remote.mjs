@@ -1,46 +1,54 @@
 /* c8 ignore start */
+import { BlockedFetchError, fetchAllowed } from '../remote/gateway.mjs'
+
+export const DATATRACKER_URL = 'https://datatracker.ietf.org'
+const RFC_EDITOR_URL = 'https://www.rfc-editor.org'
+
 const FILENAME_VERSION_SUFFIX_RE = /-[0-9]{2}$/
 
 /**
- * Fetch document info from Datatracker
+ * Remove the version suffix of a document name (e.g. draft-ietf-abcd-01 => draft-ietf-abcd)
  *
  * @param {String} docName Document filename
- * @returns {Object} Document info object
+ * @returns {String} Document name without version
  */
-export async function fetchRemoteDocInfo (docName) {
-  try {
-    const docNameWithoutVersion = FILENAME_VERSION_SUFFIX_RE.test(docName) ? docName.slice(0, -3) : docName
-    const resp = await fetch(`https://datatracker.ietf.org/api/v1/doc/document/${docNameWithoutVersion}/`, {
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'idnits'
-      },
-      credentials: 'omit'
-    })
-    return resp.ok ? resp.json() : null
-  } catch (err) {
-    console.warn(err.message)
-  }
+export function stripDocVersion (docName) {
+  return FILENAME_VERSION_SUFFIX_RE.test(docName) ? docName.slice(0, -3) : docName
 }
 
 /**
- * Fetch document info from Datatracker into json specialized format
+ * Fetch document info from Datatracker
  *
  * @param {String} docName Document filename
- * @returns {Object} Document info object
+ * @param {Object} [opts] Additional options
+ * @param {string} [opts.datatrackerUrl] Base URL of the Datatracker instance
+ * @param {Function} [opts.fetcher] Fetch function enforcing the allowed domains (see createFetcher())
+ * @returns {Object} Document info object (rev, state, stream) or null if not found
+ * @throws {BlockedFetchError} If Datatracker is not an allowed domain
  */
-export async function fetchRemoteDocInfoJson (docName) {
+export async function fetchRemoteDocInfo (docName, { datatrackerUrl = DATATRACKER_URL, fetcher = fetchAllowed } = {}) {
   try {
-    const docNameWithoutVersion = FILENAME_VERSION_SUFFIX_RE.test(docName) ? docName.slice(0, -3) : docName
-    const resp = await fetch(`https://datatracker.ietf.org/doc/${docNameWithoutVersion}/doc.json`, {
+    const resp = await fetcher(`${datatrackerUrl}/doc/${encodeURIComponent(stripDocVersion(docName))}/doc.json`, 'datatracker', {
       headers: {
         'Content-Type': 'application/json',
         'User-Agent': 'idnits'
       },
       credentials: 'omit'
     })
-    return resp.ok ? resp.json() : null
+    if (!resp.ok) {
+      return null
+    }
+    const info = await resp.json()
+    return {
+      rev: info.rev ?? null,
+      state: info.state ?? null,
+      // Stream name (e.g. IETF), as a lowercase slug
+      stream: info.stream?.toLowerCase() ?? null
+    }
   } catch (err) {
+    if (err instanceof BlockedFetchError) {
+      throw err
+    }
     console.warn(err.message)
   }
 }
@@ -49,11 +57,14 @@ export async function fetchRemoteDocInfoJson (docName) {
  * Fetch RFC info from rfc-editor
  *
  * @param {String|Number} rfcNum RFC Number to fetch
+ * @param {Object} [opts] Additional options
+ * @param {Function} [opts.fetcher] Fetch function enforcing the allowed domains (see createFetcher())
  * @returns {Object} RFC info object
+ * @throws {BlockedFetchError} If rfc-editor.org is not an allowed domain
  */
-export async function fetchRemoteRfcInfo (rfcNum) {
+export async function fetchRemoteRfcInfo (rfcNum, { fetcher = fetchAllowed } = {}) {
   try {
-    const resp = await fetch(`https://www.rfc-editor.org/rfc/rfc${rfcNum}.json`, {
+    const resp = await fetcher(`${RFC_EDITOR_URL}/rfc/rfc${rfcNum}.json`, 'rfc', {
       headers: {
         'Content-Type': 'application/json',
         'User-Agent': 'idnits'
@@ -62,6 +73,9 @@ export async function fetchRemoteRfcInfo (rfcNum) {
     })
     return resp.ok ? resp.json() : null
   } catch (err) {
+    if (err instanceof BlockedFetchError) {
+      throw err
+    }
     console.warn(err.message)
   }
 }
@@ -0,0 +1,269 @@
+import { CODES, getCodeAliases, resolveCodeAlias } from '../config/codes.mjs'
+import { MODES } from '../config/modes.mjs'
+import { BUILTIN_RULES } from '../config/rules.mjs'
+import { DEFAULT_SEVERITIES, SEVERITY_LEVELS, SITUATIONAL_SEVERITIES } from '../config/severities.mjs'
+
+export const DOC_TYPES = ['txt', 'xml']
+const STAGES = ['raw', 'document']
+
+const registry = new Map()
+
+/**
+ * Validation function of a rule
+ *
+ * @callback ruleValidateClb
+ * @param {Object} ctx Validation context
+ * @param {string} ctx.filename Filename of the document
+ * @param {Buffer|ArrayBuffer} ctx.raw Raw document contents
+ * @param {string} ctx.text Document contents decoded to UTF-8
+ * @param {Object} [ctx.doc] Parsed document (document stage only)
+ * @param {Object} opts Validation options (mode, offline, year, provider)
+ * @returns {Promise<Array>} List of errors/warnings/comments or empty if fully valid
+ */
+
+/**
+ * @typedef {Object} Rule
+ * @property {string} id Unique identifier of the rule (e.g. validateFQDNs)
+ * @property {string} description Progress message displayed while the rule runs
+ * @property {string} stage Whether the rule runs before parsing (raw) or on the parsed document (document)
+ * @property {string[]} docTypes Document types the rule applies to (txt, xml)
+ * @property {boolean} network Whether the rule requires network access
+ * @property {string[]} codes Codes the rule can emit
+ * @property {Object} severity Default severity per mode ([normal, forgive-checklist, submission]) of codes not defined in DEFAULT_SEVERITIES
+ * @property {ruleValidateClb} validate Validation function
+ */
+
+/**
+ * Register a rule to be run by checkNits()
+ *
+ * @param {Object} rule Rule definition
+ * @param {string} rule.id Unique identifier of the rule
+ * @param {ruleValidateClb} rule.validate Validation function
+ * @param {string} [rule.description] Progress message displayed while the rule runs
+ * @param {string} [rule.stage=document] Whether the rule runs before parsing (raw) or on the parsed document (document)
+ * @param {string[]} [rule.docTypes=['txt','xml']] Document types the rule applies to
+ * @param {boolean} [rule.network=false] Whether the rule requires network access
+ * @param {string[]} [rule.codes=[]] Codes the rule can emit
+ * @param {Object} [rule.severity={}] Default severity per mode of the codes the rule emits
+ * @returns {Rule} Registered rule
+ */
+export function registerRule (rule) {
+  if (!rule?.id || typeof rule.id !== 'string') {
+    throw new Error('A rule must have a string id.')
+  }
+  if (registry.has(rule.id)) {
+    throw new Error(`A rule with id ${rule.id} is already registered.`)
+  }
+  if (typeof rule.validate !== 'function') {
+    throw new Error(`Rule ${rule.id} must have a validate function.`)
+  }
+
+  const normalizedRule = {
+    id: rule.id,
+    description: rule.description ?? `Running ${rule.id}...`,
+    stage: rule.stage ?? 'document',
+    docTypes: rule.docTypes ?? DOC_TYPES,
+    network: rule.network ?? false,
+    codes: rule.codes ?? [],
+    severity: rule.severity ?? {},
+    validate: rule.validate
+  }
+
+  if (!STAGES.includes(normalizedRule.stage)) {
+    throw new Error(`Rule ${rule.id} has an invalid stage. Must be either ${STAGES.join(' or ')}.`)
+  }
+  if (normalizedRule.docTypes.length < 1 || !normalizedRule.docTypes.every(t => DOC_TYPES.includes(t))) {
+    throw new Error(`Rule ${rule.id} has invalid document types. Must be ${DOC_TYPES.join(' and/or ')}.`)
+  }
+  for (const [code, levels] of Object.entries(normalizedRule.severity)) {
+    if (!Array.isArray(levels) || levels.length !== 3 || !levels.every(l => SEVERITY_LEVELS.includes(l))) {
+      throw new Error(`Rule ${rule.id} has an invalid severity for ${code}. Must be an array of 3 severities (${SEVERITY_LEVELS.join(', ')}).`)
+    }
+  }
+
+  registry.set(normalizedRule.id, normalizedRule)
+  return normalizedRule
+}
+
+/**
+ * Remove a registered rule
+ *
+ * @param {string} id Identifier of the rule
+ * @returns {boolean} Whether a rule was removed
+ */
+export function unregisterRule (id) {
+  return registry.delete(id)
+}
+
+/**
+ * Get a registered rule by id
+ *
+ * @param {string} id Identifier of the rule
+ * @returns {Rule} Rule or undefined if not registered
+ */
+export function getRule (id) {
+  return registry.get(id)
+}
+
+/**
+ * Get registered rules, in registration order
+ *
+ * @param {Object} [filters] Filters
+ * @param {string} [filters.stage] Only return rules of this stage (raw, document)
+ * @param {string} [filters.docType] Only return rules applicable to this document type (txt, xml)
+ * @returns {Rule[]} List of rules
+ */
+export function getRules ({ stage, docType } = {}) {
+  return [...registry.values()].filter(rule => {
+    return (!stage || rule.stage === stage) && (!docType || rule.docTypes.includes(docType))
+  })
+}
+
+/**
+ * Get the default severity of a code for a given mode
+ *
+ * @param {string} code Nit code
+ * @param {number} mode Validation mode
+ * @returns {string} Severity (error, warning, comment, off) or undefined if the code is unknown
+ */
+export function getDefaultSeverity (code, mode) {
+  if (DEFAULT_SEVERITIES[code]) {
+    return DEFAULT_SEVERITIES[code][mode]
+  }
+  for (const rule of registry.values()) {
+    if (rule.severity[code]) {
+      return rule.severity[code][mode]
+    }
+  }
+}
+
+/**
+ * Whether a code is never reported in a given mode, by default and in every situation of SITUATIONAL_SEVERITIES
+ *
+ * @param {string} code Nit code
+ * @param {number} mode Validation mode
+ * @returns {boolean} Whether the code is off
+ */
+export function isCodeOff (code, mode) {
+  const situations = Object.values(SITUATIONAL_SEVERITIES[code] ?? {})
+  return getDefaultSeverity(code, mode) === 'off' && situations.every(situation => situation.severity[mode] === 'off')
+}
+
+/**
+ * Whether a rule should run, based on include / exclude lists of rule ids and codes
+ *
+ * A rule is skipped when its id is excluded, when all of its codes are excluded or,
+ * if an include list is given, when neither its id nor any of its codes are included.
+ *
+ * @param {Rule} rule Rule to check
+ * @param {Object} [selection] Rules selection
+ * @param {string[]} [selection.include] Rule ids / codes to run exclusively
+ * @param {string[]} [selection.exclude] Rule ids / codes to skip
+ * @returns {boolean} Whether the rule is enabled
+ */
+export function isRuleEnabled (rule, { include = [], exclude = [] } = {}) {
+  if (exclude.includes(rule.id)) {
+    return false
+  }
+  if (rule.codes.length > 0 && rule.codes.every(code => exclude.includes(code))) {
+    return false
+  }
+  if (include.length > 0) {
+    return include.includes(rule.id) || rule.codes.some(code => include.includes(code))
+  }
+  return true
+}
+
+/**
+ * Whether a code emitted by an enabled rule should be reported, based on include / exclude lists
+ *
+ * @param {string} code Code emitted by the rule
+ * @param {Rule} rule Rule that emitted the code
+ * @param {Object} [selection] Rules selection
+ * @param {string[]} [selection.include] Rule ids / codes to run exclusively
+ * @param {string[]} [selection.exclude] Rule ids / codes to skip
+ * @returns {boolean} Whether the code is enabled
+ */
+export function isCodeEnabled (code, rule, { include = [], exclude = [] } = {}) {
+  if (exclude.includes(code)) {
+    return false
+  }
+  if (include.length > 0 && !include.includes(rule.id)) {
+    return include.includes(code)
+  }
+  return true
+}
+
+/**
+ * Whether a name matches a registered rule id or a known code (including deprecated aliases)
+ *
+ * @param {string} name Rule id or code
+ * @returns {boolean} Whether the name is known
+ */
+export function isKnownRuleOrCode (name) {
+  const code = resolveCodeAlias(name)
+  if (registry.has(code) || DEFAULT_SEVERITIES[code]) {
+    return true
+  }
+  return [...registry.values()].some(rule => rule.codes.includes(code) || rule.severity[code])
+}
+
+/**
+ * @typedef {Object} CodeDetails
+ * @property {string} code Nit code
+ * @property {string} [description] Description of the nit, from the code catalog
+ * @property {string} [ref] Reference URL, from the code catalog
+ * @property {string} [bad] Example triggering the nit, from the code catalog
+ * @property {string} [good] Example fixing the nit, from the code catalog
+ * @property {string[]} severity Default severity per mode ([normal, forgive-checklist, submission])
+ * @property {Object[]} situations Situations with their own severity per mode (name, description, severity)
+ * @property {string[]} rules Ids of the registered rules emitting the code
+ * @property {string[]} docTypes Document types the code applies to (txt, xml)
+ * @property {string[]} aliases Deprecated codes replaced by this code
+ */
+
+/**
+ * Get the details of a nit code, from the code catalog and the registered rules
+ *
+ * @param {string} name Nit code or deprecated alias
+ * @returns {CodeDetails} Code details or undefined if the code is unknown
+ */
+export function getCodeDetails (name) {
+  const code = resolveCodeAlias(name)
+  const rules = [...registry.values()].filter(rule => rule.codes.includes(code) || rule.severity[code])
+  const info = CODES[code]
+  if (!info && !DEFAULT_SEVERITIES[code] && rules.length === 0) {
+    return undefined
+  }
+  return {
+    code,
+    description: info?.description,
+    ref: info?.ref,
+    bad: info?.bad,
+    good: info?.good,
+    severity: Object.values(MODES).map(mode => getDefaultSeverity(code, mode)),
+    situations: Object.entries(SITUATIONAL_SEVERITIES[code] ?? {}).map(([name, { description, severity }]) => ({ name, description, severity })),
+    rules: rules.map(rule => rule.id),
+    docTypes: info?.docTypes ?? DOC_TYPES.filter(docType => rules.some(rule => rule.docTypes.includes(docType))),
+    aliases: getCodeAliases(code)
+  }
+}
+
+/**
+ * Get the details of every nit code that can be emitted, sorted by code
+ *
+ * @returns {CodeDetails[]} List of code details
+ */
+export function getCodes () {
+  const codes = new Set([
+    ...Object.keys(CODES),
+    ...Object.keys(DEFAULT_SEVERITIES),
+    ...[...registry.values()].flatMap(rule => [...rule.codes, ...Object.keys(rule.severity)])
+  ])
+  return [...codes].sort().map(getCodeDetails)
+}
+
+// Register built-in rules
+for (const rule of BUILTIN_RULES) {
+  registerRule(rule)
+}
@@ -0,0 +1,101 @@
+import { CODES } from '../config/codes.mjs'
+import { MODES } from '../config/modes.mjs'
+import { DEFAULT_SEVERITIES, SEVERITY_LEVELS, SITUATIONAL_SEVERITIES } from '../config/severities.mjs'
+import { ValidationComment, ValidationError, ValidationWarning } from './error.mjs'
+
+const SEVERITY_CLASSES = {
+  error: ValidationError,
+  warning: ValidationWarning,
+  comment: ValidationComment
+}
+
+/**
+ * Create a validation entry for a nit code, using the severity defined for the mode in DEFAULT_SEVERITIES
+ *
+ * Codes of the catalog get the reference URL of their catalog entry (CODES).
+ *
+ * @param {string} code Nit code, in UPPERCASE snake case. (e.g. LINE_TOO_LONG)
+ * @param {string} message Long description of the nit, in human-readable format.
+ * @param {Object} [opts] Additional options
+ * @param {number} [opts.mode=0] Validation mode to use
+ * @param {string} [opts.situation] Situation of the nit, to use its severity in SITUATIONAL_SEVERITIES
+ * @param {string} [opts.ref] URL to the web reference for this nit, for codes outside of the catalog
+ * @param {Object[]} [opts.lines] Array of lines and column positions
+ * @param {Object[]} [opts.locations] Array of ranges, see createLocation()
+ * @param {string} [opts.path] Path where the nit occured
+ * @param {string} [opts.text] Text that caused the nit
+ * @param {Object} [opts.fix] Machine-applicable fix, see createFix()
+ * @returns {ValidationError|ValidationWarning|ValidationComment} Validation entry or null if the code is off for this mode (or the mode is unknown)
+ */
+export function createNit (code, message, { mode = MODES.NORMAL, situation, ...opts } = {}) {
+  const levels = SITUATIONAL_SEVERITIES[code]?.[situation]?.severity ?? DEFAULT_SEVERITIES[code]
+  const severity = levels ? levels[mode] : 'error'
+  if (!severity || severity === 'off') {
+    return null
+  }
+  return new SEVERITY_CLASSES[severity](code, message, { ...opts, ref: CODES[code]?.ref ?? opts.ref })
+}
+
+/**
+ * Validate severity overrides
+ *
+ * @param {Object} overrides Map of nit codes to severity (error, warning, comment, off)
+ * @returns {Object} The validated overrides
+ */
+export function validateSeverityOverrides (overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Severity overrides must be an object of nit codes to severity.')
+  }
+  for (const [code, severity] of Object.entries(overrides)) {
+    if (!SEVERITY_LEVELS.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for ${code}. Must be one of ${SEVERITY_LEVELS.join(', ')}.`)
+    }
+  }
+  return overrides
+}
+
+/**
+ * Get the severity of a validation entry
+ *
+ * @param {Error} entry ValidationError, ValidationWarning or ValidationComment
+ * @returns {string} Severity (error, warning or comment)
+ */
+export function getEntrySeverity (entry) {
+  if (entry instanceof ValidationComment) {
+    return 'comment'
+  } else if (entry instanceof ValidationWarning) {
+    return 'warning'
+  } else {
+    return 'error'
+  }
+}
+
+/**
+ * Apply user severity overrides to validation results
+ *
+ * Entries of an overridden code are converted to the matching severity class,
+ * or removed when the override is "off".
+ *
+ * @param {Array} result List of errors/warnings/comments
+ * @param {Object} [overrides] Map of nit codes to severity (error, warning, comment, off)
+ * @returns {Array} List of errors/warnings/comments with overrides applied
+ */
+export function applySeverityOverrides (result, overrides = {}) {
+  return result.flatMap(entry => {
+    const severity = overrides[entry.name]
+    if (!severity || severity === getEntrySeverity(entry)) {
+      return [entry]
+    } else if (severity === 'off') {
+      return []
+    }
+    const overriddenEntry = new SEVERITY_CLASSES[severity](entry.name, entry.message, {
+      ref: entry.refUrl,
+      lines: entry.lines,
+      locations: entry.locations,
+      path: entry.path,
+      text: entry.text,
+      fix: entry.fix
+    })
+    return [overriddenEntry]
+  })
+}
@@ -0,0 +1,239 @@
+import { expandCode, NIT_CODES, resolveCodeAlias } from '../config/codes.mjs'
+import { MODES } from '../config/modes.mjs'
+import { createLocation, getPositionAt } from './location.mjs'
+import { createNit } from './severity.mjs'
+
+const DIRECTIVE_RE = /idnits-(disable|enable)\b(.*?)(?:-->|$)/
+
+/**
+ * @typedef {Object} SuppressionDirective
+ * @property {string} type Whether the directive disables (disable) or re-enables (enable) codes
+ * @property {string[]} codes Codes the directive applies to. Empty for all codes.
+ * @property {number} line Line number of the directive
+ * @property {string} [path] Path of the element enclosing the directive (XML only)
+ * @property {number} [offset] Offset of the directive in the source (XML only)
+ * @property {{start: number, end: number}} [range] Offsets of the element enclosing the directive (XML only)
+ */
+
+/**
+ * Parse a suppression directive (e.g. idnits-disable NON_DOCUMENTATION_IPV4, TEXT_DOC_REF)
+ *
+ * @param {string} text Comment or line text
+ * @returns {Object} Directive type and codes or null if the text is not a directive
+ */
+export function parseSuppressionDirective (text) {
+  const match = text.match(DIRECTIVE_RE)
+  if (!match) {
+    return null
+  }
+  return {
+    type: match[1],
+    codes: match[2].split(/[\s,]+/).filter(c => c).map(resolveCodeAlias)
+  }
+}
+
+/**
+ * Extract suppression directives from the lines of a TXT document
+ *
+ * @param {string} text Document contents
+ * @returns {SuppressionDirective[]} List of directives
+ */
+export function extractTxtSuppressions (text) {
+  const directives = []
+  let lineIdx = 0
+  for (const line of text.split('\n')) {
+    lineIdx++
+    const directive = parseSuppressionDirective(line)
+    if (directive) {
+      directives.push({ ...directive, line: lineIdx })
+    }
+  }
+  return directives
+}
+
+/**
+ * Whether a path is the same as or a descendant of a scope path
+ *
+ * Array indexes are optional in the scope path, e.g. rfc.middle.section matches rfc.middle.section[2].t
+ *
+ * @param {string} path Path to check
+ * @param {string} scopePath Path of the scope
+ * @returns {boolean} Whether the path is within the scope
+ */
+export function isPathWithin (path, scopePath) {
+  if (!scopePath) {
+    return true
+  }
+  const segments = path.split('.')
+  const scopeSegments = scopePath.split('.')
+  if (scopeSegments.length > segments.length) {
+    return false
+  }
+  return scopeSegments.every((seg, idx) => {
+    return seg === segments[idx] || seg === segments[idx].replace(/\[\d+\]$/, '') || seg.replace(/\[0\]$/, '') === segments[idx]
+  })
+}
+
+/**
+ * Build suppression ranges from TXT directives
+ *
+ * A range starts at an idnits-disable line and ends at the next idnits-enable line for the same code
+ * (or an idnits-enable line without codes), or at the end of the document.
+ *
+ * @param {SuppressionDirective[]} directives List of directives
+ * @returns {Object[]} List of suppressions
+ */
+function buildTxtSuppressions (directives) {
+  const suppressions = []
+  for (const directive of directives) {
+    if (directive.type === 'disable') {
+      for (const code of directive.codes.length > 0 ? directive.codes : ['*']) {
+        suppressions.push({ code, directive, start: directive.line, end: Infinity, used: false })
+      }
+    } else {
+      for (const suppression of suppressions) {
+        if (suppression.end === Infinity && (directive.codes.length === 0 || directive.codes.includes(suppression.code))) {
+          suppression.end = directive.line
+        }
+      }
+    }
+  }
+  return suppressions
+}
+
+/**
+ * Build suppression scopes from XML directives
+ *
+ * An idnits-disable comment applies to its enclosing element and all of its descendants.
+ * An idnits-enable comment following it re-enables codes from its own position to the end of its enclosing element.
+ *
+ * Scopes are tracked by source position when the document source is known, by element path otherwise.
+ *
+ * @param {SuppressionDirective[]} directives List of directives
+ * @param {string} [source] Source of the document, the directive offsets refer to
+ * @returns {Object[]} List of suppressions
+ */
+function buildXmlSuppressions (directives, source) {
+  const toRange = (start, end) => source !== undefined && start !== undefined ? { start: getPositionAt(source, start), end: getPositionAt(source, end) } : null
+  const suppressions = []
+  for (const directive of directives.filter(d => d.type === 'disable')) {
+    for (const code of directive.codes.length > 0 ? directive.codes : ['*']) {
+      const exceptions = directives.filter(d => {
+        return d.type === 'enable' &&
+          (d.codes.length === 0 || d.codes.includes(code)) &&
+          isPathWithin(d.path, directive.path) &&
+          (d.offset === undefined || directive.offset === undefined || d.offset > directive.offset)
+      }).map(d => ({ path: d.path, range: toRange(d.offset, d.range?.end) }))
+      suppressions.push({ code, directive, path: directive.path, range: toRange(directive.range?.start, directive.range?.end), exceptions, used: false })
+    }
+  }
+  return suppressions
+}
+
+/**
+ * Whether a position is within a range (end excluded)
+ *
+ * @param {Position} position Position
+ * @param {{start: Position, end: Position}} range Range
+ * @returns {boolean} Whether the position is within the range
+ */
+function isPositionWithin (position, { start, end }) {
+  const compare = (a, b) => a.line - b.line || a.column - b.column
+  return compare(position, start) >= 0 && compare(position, end) < 0
+}
+
+/**
+ * Whether an XML entry is within a suppression scope
+ *
+ * Located entries are matched on their position, others on their path. An entry without location nor path
+ * is only within a scope covering the whole document, which is never re-enabled at its own level.
+ *
+ * @param {Object} entry Validation entry
+ * @param {Object} suppression Suppression, as built by buildXmlSuppressions()
+ * @returns {boolean} Whether the entry is suppressed
+ */
+function isWithinXmlSuppression (entry, suppression) {
+  const position = entry.locations?.[0]?.start
+  if (position && suppression.range) {
+    return isPositionWithin(position, suppression.range) &&
+      !suppression.exceptions.some(e => e.range && isPositionWithin(position, e.range))
+  }
+  if (!entry.path) {
+    return ['', 'rfc'].includes(suppression.path) && !suppression.exceptions.some(e => e.path === suppression.path)
+  }
+  // Without a position, an idnits-enable in the same element can't be ordered against the entry, so it re-enables it
+  return isPathWithin(entry.path, suppression.path) && !suppression.exceptions.some(e => isPathWithin(entry.path, e.path))
+}
+
+/**
+ * Apply the suppression directives of a document to validation results
+ *
+ * TXT entries are matched on their lines, XML entries on their position (or path when not located). Entries without a location
+ * are only suppressed by directives covering the whole document: a TXT range which is never
+ * re-enabled or an XML comment outside of / directly under the <rfc> element.
+ *
+ * @param {Array} result List of errors/warnings/comments
+ * @param {Object} doc Parsed document
+ * @returns {Object} Remaining entries (result) and directives that did not suppress anything (unused)
+ */
+export function applySuppressions (result, doc) {
+  const directives = doc?.suppressions ?? []
+  if (directives.length < 1) {
+    return { result, unused: [] }
+  }
+
+  const suppressions = doc.type === 'xml' ? buildXmlSuppressions(directives, doc.body) : buildTxtSuppressions(directives)
+  const findSuppression = (entry, matcher) => {
+    const suppression = suppressions.find(s => (s.code === '*' || expandCode(s.code).includes(entry.name)) && matcher(s))
+    if (suppression) {
+      suppression.used = true
+    }
+    return suppression
+  }
+
+  const filteredResult = []
+  for (const entry of result) {
+    if (doc.type === 'xml') {
+      if (!findSuppression(entry, s => isWithinXmlSuppression(entry, s))) {
+        filteredResult.push(entry)
+      }
+    } else if (entry.locations?.length > 0) {
+      const isKept = entry.locations.map(l => !findSuppression(entry, s => l.start.line > s.start && l.start.line < s.end))
+      const locations = entry.locations.filter((l, idx) => isKept[idx])
+      if (locations.length === entry.locations.length) {
+        filteredResult.push(entry)
+      } else if (locations.length > 0) {
+        entry.locations = locations
+        entry.lines = entry.lines.filter((l, idx) => isKept[idx])
+        filteredResult.push(entry)
+      }
+    } else if (!findSuppression(entry, s => s.end === Infinity)) {
+      filteredResult.push(entry)
+    }
+  }
+
+  return {
+    result: filteredResult,
+    unused: suppressions.filter(s => !s.used)
+  }
+}
+
+/**
+ * Create comments for suppressions that did not suppress anything
+ *
+ * @param {Object[]} unused List of unused suppressions, as returned by applySuppressions()
+ * @param {Object} [opts] Additional options
+ * @param {number} [opts.mode=0] Validation mode to use
+ * @returns {ValidationComment[]} List of comments
+ */
+export function reportUnusedSuppressions (unused, { mode = MODES.NORMAL } = {}) {
+  return unused.flatMap(s => {
+    const target = s.code === '*' ? 'all nits' : s.code
+    const nit = createNit(NIT_CODES.UNUSED_SUPPRESSION, `The idnits-disable directive for ${target} did not suppress anything.`, {
+      mode,
+      locations: [createLocation(s.directive.line, 1)],
+      ...s.directive.path !== undefined && { path: s.directive.path }
+    })
+    return nit ? [nit] : []
+  })
+}
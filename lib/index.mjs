@@ -1,60 +1,32 @@
+import { has, isUndefined, mapValues, omitBy } from 'lodash-es'
+import { expandCode, NIT_CODES } from './config/codes.mjs'
 import { ALLOWED_DOMAINS_DEFAULT } from './config/externals.mjs'
 import { MODES } from './config/modes.mjs'
-import {
-  decodeBufferToUTF8,
-  validateContent,
-  validateEncoding
-} from './modules/raw.mjs'
-import {
-  validateDocName,
-  validateFilename
-} from './modules/filename.mjs'
-import {
-  validateFQDNs
-} from './modules/fqdn.mjs'
-import {
-  validateIPs
-} from './modules/ip.mjs'
-import {
-  validate2119Keywords,
-  validateTermsStyle
-} from './modules/keywords.mjs'
-import {
-  validateAbstractSection,
-  validateAuthorSection,
-  validateIANAConsiderationsSection,
-  validateIntroductionSection,
-  validateReferencesInText,
-  validateReferencesSection,
-  validateSecurityConsiderationsSection
-} from './modules/sections.mjs'
-import {
-  validateDate,
-  validateObsoleteUpdateRef,
-  validateCategory,
-  validateVersion
-} from './modules/metadata.mjs'
-import {
-  detectDeprecatedElements,
-  validateCodeBlocks,
-  validateIprAttribute,
-  validateSubmissionType,
-  validateTextLikeRefs,
-  validateXMLBoilerplate
-} from './modules/xml.mjs'
-import {
-  validateLineLength,
-  validateCodeComments,
-  validateLineExtraSpacing,
-  validateCodeBlockLicenses
-} from './modules/txt.mjs'
-import {
-  validateDownrefs,
-  validateInformativeReferences,
-  validateNormativeReferences,
-  validateUnclassifiedReferences,
-  vlidateDraftReferences
-} from './modules/downref.mjs'
+import { decodeBufferToUTF8 } from './modules/raw.mjs'
+import { DOC_TYPES, getRules, isCodeEnabled, isCodeOff, isRuleEnabled } from './helpers/rules.mjs'
+import { configToOptions, validateConfig } from './helpers/config.mjs'
+import { applySeverityOverrides, createNit, validateSeverityOverrides } from './helpers/severity.mjs'
+import { applySuppressions, reportUnusedSuppressions } from './helpers/suppressions.mjs'
+import { BlockedFetchError } from './remote/gateway.mjs'
+import { createHttpProvider } from './remote/providers.mjs'
+
+export { CODE_ALIASES, CODE_SPLITS, NIT_CODES } from './config/codes.mjs'
+export { MODES } from './config/modes.mjs'
+export { ValidationComment, ValidationError, ValidationWarning } from './helpers/error.mjs'
+export { applyFixes, applyFixesToRaw, createFix, formatFixDiff } from './helpers/fix.mjs'
+export { createLocation, createLocationFromOffsets } from './helpers/location.mjs'
+export { getCodeDetails, getCodes, getRule, getRules, registerRule, unregisterRule } from './helpers/rules.mjs'
+export { validateConfig } from './helpers/config.mjs'
+export { getDataBundle, loadDataBundle, setDataBundle } from './remote/bundle.mjs'
+export { configureCache } from './remote/cache.mjs'
+export { BlockedFetchError, isAllowedUrl } from './remote/gateway.mjs'
+export { createBundleProvider, createHttpProvider, createMemoryProvider } from './remote/providers.mjs'
+export { loadRfcIndex, parseRfcIndex, setRfcIndex } from './remote/rfc-index.mjs'
+export { formatCheckstyle } from './reporters/checkstyle.mjs'
+export { formatGithub } from './reporters/github.mjs'
+export { formatHtml } from './reporters/html.mjs'
+export { formatJunit } from './reporters/junit.mjs'
+export { formatSarif } from './reporters/sarif.mjs'
 
 /**
  * Check Nits
@@ -63,32 +35,74 @@ import {
  * @param {string} filename Filename of the document
  * @param {Object} opts Options
  * @param {number} opts.year Expect the given year in the boilerplate
- * @param {string[]} opts.allowedDomains List of authorized domains to fetch externals from
+ * @param {string[]} opts.allowedDomains List of authorized domains (and their subdomains) to fetch externals from. Rules needing a blocked fetch are skipped and reported as FETCH_BLOCKED comments.
  * @param {string} opts.mode Validation mode to use
+ * @param {boolean} opts.offline Run validations that require an internet connection against the offline data bundle (see loadDataBundle), or disable them without one
+ * @param {Object} opts.provider Metadata provider (getDocInfo, getRfcInfo, getDownrefs, getTlds, getArpaDomains) to look up remote data with, online or offline (see createMemoryProvider)
+ * @param {string} opts.datatrackerUrl Base URL of the Datatracker instance to look up Internet-Drafts and the Downref Registry in, when online
+ * @param {Object} opts.rules Rules selection
+ * @param {string[]} opts.rules.include Only run the rules with these ids / report these codes
+ * @param {string[]} opts.rules.exclude Skip the rules with these ids / don't report these codes
+ * @param {Object} opts.severity Map of nit codes to severity (error, warning, comment, off)
+ * @param {Object} opts.config Resolved configuration file object. Other options take precedence over it.
+ * @param {string} opts.format Document format (txt, xml), to use instead of the filename extension
  * @param {Function} opts.progressReport Callback function for progress messages
+ * @param {Function} opts.ruleReport Callback function called with the outcome of each enabled rule ({ id, status, message }): ran, skipped when all its codes are off in the mode, blocked by a fetch or error when it threw. Rules not reported didn't run (e.g. after a parsing error).
  * @returns Nits Results
  */
-export async function checkNits (raw, filename, {
-  year,
-  allowedDomains = ALLOWED_DOMAINS_DEFAULT,
-  mode = MODES.NORMAL,
-  offline = false,
-  progressReport = () => {}
-} = {}) {
-  let doc = null
-  const ext = filename.endsWith('.xml') ? 'xml' : 'txt'
-  const result = []
+export async function checkNits (raw, filename, opts = {}) {
+  const configOpts = opts.config ? configToOptions(validateConfig(opts.config)) : {}
+  const {
+    year,
+    allowedDomains = ALLOWED_DOMAINS_DEFAULT,
+    mode = MODES.NORMAL,
+    offline = false,
+    provider,
+    datatrackerUrl,
+    rules: rawRules = {},
+    severity: rawSeverity = {},
+    format,
+    progressReport = () => {},
+    ruleReport = () => {}
+  } = { ...configOpts, ...omitBy(opts, isUndefined) }
+  validateSeverityOverrides(rawSeverity)
 
-  // Pre-parsing validations
-  progressReport('Validating filename...')
-  result.push(...(await validateFilename(filename, { mode })))
-  progressReport('Validating encoding...')
-  result.push(...(await validateEncoding(raw, { mode })))
+  // Deprecated and split codes are accepted in rules selection and severity overrides
+  const rules = {
+    include: rawRules.include?.flatMap(expandCode),
+    exclude: rawRules.exclude?.flatMap(expandCode)
+  }
+  const severity = {}
+  for (const [code, level] of Object.entries(rawSeverity)) {
+    const [resolved, ...splitCodes] = expandCode(code)
+    severity[resolved] = level
+    // Codes split from a former code follow its override, unless overridden themselves
+    for (const splitCode of splitCodes.filter(c => !has(rawSeverity, c))) {
+      severity[splitCode] = level
+    }
+  }
+
+  if (format && !DOC_TYPES.includes(format)) {
+    throw new Error(`Invalid format "${format}". Must be either ${DOC_TYPES.join(' or ')}.`)
+  }
+
+  const ext = format ?? (filename.endsWith('.xml') ? 'xml' : 'txt')
+  const result = []
+  const ctx = { filename, raw, text: null, doc: null }
+  const ruleOpts = {
+    mode,
+    offline,
+    year,
+    provider: provider ?? (offline ? undefined : createHttpProvider({ datatrackerUrl, allowedDomains }))
+  }
 
   progressReport('Decoding document to UTF-8...')
-  const data = await decodeBufferToUTF8(raw)
-  progressReport('Validating text...')
-  result.push(...(await validateContent(data, { mode })))
+  ctx.text = await decodeBufferToUTF8(raw)
+
+  // Pre-parsing validations
+  for (const rule of getRules({ stage: 'raw', docType: ext })) {
+    result.push(...(await runRule(rule, ctx, ruleOpts, rules, { progressReport, ruleReport })))
+  }
 
   // Parse using appropriate parser
   try {
@@ -96,13 +110,13 @@ export async function checkNits (raw, filename, {
       case 'txt': {
         progressReport('Parsing TXT document...')
         const { parse } = await import('./parsers/txt.mjs')
-        doc = await parse(data, filename)
+        ctx.doc = await parse(ctx.text, filename)
         break
       }
       case 'xml': {
         progressReport('Parsing XML document...')
         const { parse } = await import('./parsers/xml.mjs')
-        doc = await parse(data, filename)
+        ctx.doc = await parse(ctx.text, filename)
         break
       }
       default: {
@@ -110,80 +124,101 @@ export async function checkNits (raw, filename, {
       }
     }
   } catch (err) {
-    return [...result, err]
+    return applySeverityOverrides([...result, err], severity)
   }
 
-  // Run common validations
-  progressReport('Validating document name...')
-  result.push(...(await validateDocName(doc, { mode })))
-  progressReport('Validating abstract section...')
-  result.push(...(await validateAbstractSection(doc, { mode })))
-  progressReport('Validating introduction section...')
-  result.push(...(await validateIntroductionSection(doc, { mode })))
-  progressReport('Validating security considerations section...')
-  result.push(...(await validateSecurityConsiderationsSection(doc, { mode })))
-  progressReport('Validating author section(s)...')
-  result.push(...(await validateAuthorSection(doc, { mode })))
-  progressReport('Validating references section(s)...')
-  result.push(...(await validateReferencesSection(doc, { mode })))
-  progressReport('Validating IANA considerations section...')
-  result.push(...(await validateIANAConsiderationsSection(doc, { mode })))
-  progressReport('Validating FQDNs...')
-  result.push(...(await validateFQDNs(doc, { mode, offline })))
-  progressReport('Validating IPs...')
-  result.push(...(await validateIPs(doc, { mode })))
-  progressReport('Validating Requirement Level Keywords...')
-  result.push(...(await validate2119Keywords(doc, { mode })))
-  progressReport('Validating Terms...')
-  result.push(...(await validateTermsStyle(doc, { mode })))
-  progressReport('Validating Date...')
-  result.push(...(await validateDate(doc, { mode })))
-  progressReport('Validating Updates / Obsoletes References...')
-  result.push(...await validateObsoleteUpdateRef(doc, { mode, offline }))
-  progressReport('Validating Category...')
-  result.push(...await validateCategory(doc, { mode }))
-  progressReport('Validating Version...')
-  result.push(...await validateVersion(doc, { mode, offline }))
-  progressReport('Validating references in text...')
-  result.push(...await validateReferencesInText(doc, { mode }))
-  progressReport('Validating downrefs in text...')
-  result.push(...await validateDownrefs(doc, { mode }))
-  progressReport('Validating normative references statuses...')
-  result.push(...(await validateNormativeReferences(doc, { mode })))
-  progressReport('Validating draft references...')
-  result.push(...(await vlidateDraftReferences(doc, { mode })))
+  // Run document validations
+  for (const rule of getRules({ stage: 'document', docType: ctx.doc.type })) {
+    result.push(...(await runRule(rule, ctx, ruleOpts, rules, { progressReport, ruleReport })))
+  }
 
-  // Run XML-only validations
-  if (doc.type === 'xml') {
-    progressReport('Looking for deprecated elements...')
-    result.push(...(await detectDeprecatedElements(doc, { mode })))
-    progressReport('Validating submission type...')
-    result.push(...(await validateSubmissionType(doc, { mode, offline })))
-    progressReport('Validating code blocks...')
-    result.push(...(await validateCodeBlocks(doc, { mode })))
-    progressReport('Validating text-like references...')
-    result.push(...(await validateTextLikeRefs(doc, { mode })))
-    progressReport('Validating ipr attribute...')
-    result.push(...(await validateIprAttribute(doc, { mode })))
-    progressReport('Validating boilerplate...')
-    result.push(...(await validateXMLBoilerplate(doc, { mode })))
+  // Locate XML nits in the source from their path
+  if (ctx.doc.type === 'xml') {
+    const { locateXmlEntries } = await import('./parsers/xml.mjs')
+    locateXmlEntries(result, ctx.doc)
   }
 
-  // Run TXT-only validations
-  if (doc.type === 'txt') {
-    progressReport('Validating line length...')
-    result.push(...(await validateLineLength(doc, { mode })))
-    progressReport('Validating extra spacing...')
-    result.push(...(await validateLineExtraSpacing(doc, { mode })))
-    progressReport('Validating code comments...')
-    result.push(...(await validateCodeComments(doc, { mode })))
-    progressReport('Validating code block licence...')
-    result.push(...(await validateCodeBlockLicenses(doc, { mode })))
-    progressReport('Validating unclasified references...')
-    result.push(...(await validateUnclassifiedReferences(doc, { mode })))
-    progressReport('Validating informational references...')
-    result.push(...(await validateInformativeReferences(doc, { mode })))
+  // Apply inline suppression directives
+  const suppressed = applySuppressions(result, ctx.doc)
+  const unusedSuppressions = suppressed.unused.filter(s => isCodeSelected(s.code, rules))
+  if (isCodeSelected('UNUSED_SUPPRESSION', rules)) {
+    suppressed.result.push(...reportUnusedSuppressions(unusedSuppressions, { mode }))
   }
 
-  return result
+  return applySeverityOverrides(suppressed.result, severity)
+}
+
+/**
+ * Download a snapshot of the data used by remote lookups into an offline data bundle (Node.js only)
+ *
+ * The module writing the bundle is loaded on demand, so that the library can be bundled for browsers.
+ *
+ * @param {string} filePath Path of the bundle file to write
+ * @param {Object} [opts] Additional options
+ * @param {Function} [opts.progressReport] Callback function for progress messages
+ * @param {string[]} [opts.allowedDomains] List of allowed domains to download the snapshot from
+ * @returns {Promise<Object>} Written bundle
+ */
+export async function updateDataBundle (filePath, opts) {
+  const { updateDataBundle: update } = await import('./remote/bundle-update.mjs')
+  return update(filePath, opts)
+}
+
+/**
+ * Run a rule, unless disabled, resolve the severities it declares and filter out disabled codes from its results
+ *
+ * @param {Object} rule Rule to run
+ * @param {Object} ctx Validation context
+ * @param {Object} ruleOpts Validation options
+ * @param {Object} selection Rules selection (include / exclude)
+ * @param {Object} callbacks Callbacks
+ * @param {Function} callbacks.progressReport Callback function for progress messages
+ * @param {Function} callbacks.ruleReport Callback function for the outcome of the rule
+ * @returns {Promise<Array>} List of errors/warnings/comments
+ */
+async function runRule (rule, ctx, ruleOpts, selection, { progressReport, ruleReport }) {
+  if (!isRuleEnabled(rule, selection)) {
+    return []
+  }
+  // Rules whose codes are all off in this mode have nothing to report
+  if (rule.codes.length > 0 && rule.codes.every(code => isCodeOff(code, ruleOpts.mode))) {
+    ruleReport({ id: rule.id, status: 'skipped', message: `All codes of ${rule.id} are off in this mode.` })
+    return []
+  }
+  progressReport(rule.description)
+  let result
+  try {
+    result = await rule.validate(ctx, ruleOpts)
+    ruleReport({ id: rule.id, status: 'ran' })
+  } catch (err) {
+    if (!(err instanceof BlockedFetchError)) {
+      ruleReport({ id: rule.id, status: 'error', message: err.message })
+      throw err
+    }
+    ruleReport({ id: rule.id, status: 'blocked', message: err.message })
+    // The results of a rule are incomplete without the blocked lookup
+    const nit = createNit(NIT_CODES.FETCH_BLOCKED, `${rule.id} was skipped. ${err.message}`, { mode: ruleOpts.mode })
+    result = nit ? [nit] : []
+  }
+  // Resolve severities declared by the rule for the current mode
+  const ruleSeverities = mapValues(rule.severity, levels => levels[ruleOpts.mode])
+  return applySeverityOverrides(result, ruleSeverities).filter(entry => isCodeEnabled(entry.name, rule, selection))
+}
+
+/**
+ * Whether a code is reported, based on the rules selection
+ *
+ * @param {string} code Nit code or * for all codes
+ * @param {Object} selection Rules selection (include / exclude)
+ * @returns {boolean} Whether the code is selected
+ */
+function isCodeSelected (code, selection) {
+  if (code === '*') {
+    return true
+  }
+  const rule = getRules().find(r => r.codes.includes(code))
+  if (!rule) {
+    return !selection.exclude?.includes(code) && (!selection.include?.length || selection.include.includes(code))
+  }
+  return isRuleEnabled(rule, selection) && isCodeEnabled(code, rule, selection)
 }
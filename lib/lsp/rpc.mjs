@@ -0,0 +1,63 @@
+const HEADER_SEPARATOR = '\r\n\r\n'
+const CONTENT_LENGTH_RE = /^Content-Length: *(\d+)$/im
+
+export const RPC_ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INTERNAL_ERROR: -32603,
+  SERVER_NOT_INITIALIZED: -32002
+}
+
+/**
+ * Read JSON-RPC messages framed with a Content-Length header (as used by the Language Server Protocol)
+ *
+ * @param {Readable} input Stream to read messages from
+ * @param {Function} onMessage Callback function called with each parsed message
+ * @param {Function} [onError] Callback function called with messages that could not be parsed
+ */
+export function readMessages (input, onMessage, onError = () => {}) {
+  let buffer = Buffer.alloc(0)
+  input.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk])
+    while (true) {
+      const headerEnd = buffer.indexOf(HEADER_SEPARATOR)
+      if (headerEnd < 0) {
+        return
+      }
+      const lengthMatch = buffer.subarray(0, headerEnd).toString('ascii').match(CONTENT_LENGTH_RE)
+      if (!lengthMatch) {
+        // Skip the invalid header, there is no way to know the length of its content
+        buffer = buffer.subarray(headerEnd + HEADER_SEPARATOR.length)
+        onError(new Error('Missing Content-Length header'))
+        continue
+      }
+      const contentStart = headerEnd + HEADER_SEPARATOR.length
+      const contentEnd = contentStart + parseInt(lengthMatch[1], 10)
+      if (buffer.length < contentEnd) {
+        return
+      }
+      const content = buffer.subarray(contentStart, contentEnd).toString('utf8')
+      buffer = buffer.subarray(contentEnd)
+      let message
+      try {
+        message = JSON.parse(content)
+      } catch (err) {
+        onError(err)
+        continue
+      }
+      onMessage(message)
+    }
+  })
+}
+
+/**
+ * Write a JSON-RPC message framed with a Content-Length header
+ *
+ * @param {Writable} output Stream to write the message to
+ * @param {Object} message JSON-RPC message, without the jsonrpc property
+ */
+export function writeMessage (output, message) {
+  const content = JSON.stringify({ jsonrpc: '2.0', ...message })
+  output.write(`Content-Length: ${Buffer.byteLength(content, 'utf8')}${HEADER_SEPARATOR}${content}`)
+}
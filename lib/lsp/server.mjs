@@ -0,0 +1,360 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { ALLOWED_DOMAINS_DEFAULT } from '../config/externals.mjs'
+import { checkNits } from '../index.mjs'
+import { loadConfigFile, resolveConfig } from '../helpers/config-file.mjs'
+import { getPositionAt } from '../helpers/location.mjs'
+import { getCodeDetails } from '../helpers/rules.mjs'
+import { getEntrySeverity } from '../helpers/severity.mjs'
+import { readMessages, RPC_ERROR_CODES, writeMessage } from './rpc.mjs'
+
+const SUPPORTED_FILES_RE = /\.(txt|xml)$/i
+const DIAGNOSTIC_SEVERITIES = {
+  error: 1,
+  warning: 2,
+  comment: 3
+}
+const LOG_TYPES = {
+  error: 1,
+  info: 3
+}
+const TEXT_DOCUMENT_SYNC_FULL = 1
+
+/**
+ * Start a Language Server Protocol server, publishing nits of open .txt / .xml documents as diagnostics
+ *
+ * Documents are validated when opened or saved, and after a delay without changes while editing, to limit the
+ * remote lookups made by validations. Fixes of nits are offered as quick fix code actions, and the explanation of
+ * a nit code is shown when hovering its diagnostics.
+ *
+ * @param {Object} [opts] Additional options
+ * @param {Readable} [opts.input=process.stdin] Stream to read client messages from
+ * @param {Writable} [opts.output=process.stdout] Stream to write server messages to
+ * @param {Object} [opts.checkOpts] Options passed to checkNits() (mode, offline, rules, year), taking precedence over the configuration file
+ * @param {string[]} [opts.allowDomains] Domains remote lookups can fetch from, in addition to the allowed domains of the configuration file or the defaults
+ * @param {string} [opts.configPath] Path to a configuration file to use instead of the closest one of each document
+ * @param {number} [opts.debounce=500] Delay in milliseconds after the last change before validating a document
+ * @param {string} [opts.version] Version reported to the client
+ * @param {Function} [opts.onExit] Callback function called with the exit code when the client asks the server to exit
+ * @returns {{documents: Map, close: Function}} Open documents by URI, and a function to cancel pending validations
+ */
+export function startLanguageServer ({
+  input = process.stdin,
+  output = process.stdout,
+  checkOpts = {},
+  allowDomains,
+  configPath,
+  debounce = 500,
+  version,
+  onExit = (code) => process.exit(code)
+} = {}) {
+  const documents = new Map()
+  let isInitialized = false
+  let isShutdown = false
+
+  const send = (message) => writeMessage(output, message)
+  const notify = (method, params) => send({ method, params })
+  const log = (message, type = LOG_TYPES.error) => notify('window/logMessage', { type, message })
+
+  /**
+   * Validate a document and publish its diagnostics. A validation requested while one is running is run right after.
+   *
+   * @param {Object} doc Open document
+   */
+  const validateDocument = async (doc) => {
+    clearTimeout(doc.timer)
+    if (doc.isRunning) {
+      doc.isPending = true
+      return
+    }
+    doc.isRunning = true
+    const { text, version: textVersion } = doc
+    try {
+      const filePath = getFilePath(doc.uri)
+      const config = configPath ? await loadConfigFile(configPath) : await findConfig(filePath)
+      const allowedDomains = allowDomains && [...config.allowedDomains ?? ALLOWED_DOMAINS_DEFAULT, ...allowDomains]
+      const result = await checkNits(Buffer.from(text), path.basename(filePath), { ...checkOpts, allowedDomains, config })
+      // Ignore results of documents closed in the meantime
+      if (documents.get(doc.uri) === doc) {
+        doc.nits = toNits(result, text)
+        doc.validatedVersion = textVersion
+        notify('textDocument/publishDiagnostics', {
+          uri: doc.uri,
+          version: textVersion,
+          diagnostics: doc.nits.flatMap(nit => nit.diagnostics)
+        })
+      }
+    } catch (err) {
+      log(`Failed to validate ${doc.uri}: ${err.message}`)
+    }
+    doc.isRunning = false
+    if (doc.isPending) {
+      doc.isPending = false
+      await validateDocument(doc)
+    }
+  }
+
+  const handlers = {
+    initialize: () => {
+      isInitialized = true
+      return {
+        capabilities: {
+          textDocumentSync: {
+            openClose: true,
+            change: TEXT_DOCUMENT_SYNC_FULL,
+            save: { includeText: false }
+          },
+          codeActionProvider: { codeActionKinds: ['quickfix'] },
+          hoverProvider: true
+        },
+        serverInfo: { name: 'idnits', ...version && { version } }
+      }
+    },
+    initialized: () => {},
+    shutdown: () => {
+      isShutdown = true
+      close()
+      return null
+    },
+    exit: () => {
+      close()
+      onExit(isShutdown ? 0 : 1)
+    },
+    'textDocument/didOpen': ({ textDocument }) => {
+      if (!SUPPORTED_FILES_RE.test(getFilePath(textDocument.uri))) {
+        return
+      }
+      const doc = {
+        uri: textDocument.uri,
+        version: textDocument.version,
+        text: textDocument.text,
+        nits: [],
+        validatedVersion: null,
+        timer: null,
+        isRunning: false,
+        isPending: false
+      }
+      documents.set(doc.uri, doc)
+      validateDocument(doc)
+    },
+    'textDocument/didChange': ({ textDocument, contentChanges }) => {
+      const doc = documents.get(textDocument.uri)
+      if (!doc || contentChanges.length < 1) {
+        return
+      }
+      // Full document sync: the last change holds the whole text
+      doc.text = contentChanges[contentChanges.length - 1].text
+      doc.version = textDocument.version
+      clearTimeout(doc.timer)
+      doc.timer = setTimeout(() => validateDocument(doc), debounce)
+    },
+    'textDocument/didSave': ({ textDocument }) => {
+      const doc = documents.get(textDocument.uri)
+      if (doc) {
+        validateDocument(doc)
+      }
+    },
+    'textDocument/didClose': ({ textDocument }) => {
+      const doc = documents.get(textDocument.uri)
+      if (doc) {
+        clearTimeout(doc.timer)
+        documents.delete(doc.uri)
+        notify('textDocument/publishDiagnostics', { uri: doc.uri, diagnostics: [] })
+      }
+    },
+    'textDocument/codeAction': ({ textDocument, range, context }) => {
+      const doc = documents.get(textDocument.uri)
+      // Fixes are only valid for the text they were computed from
+      if (!doc || doc.validatedVersion !== doc.version || (context?.only && !context.only.includes('quickfix'))) {
+        return []
+      }
+      const actions = []
+      for (const nit of doc.nits) {
+        const diagnostics = nit.diagnostics.filter(d => isIntersecting(d.range, range))
+        if (nit.fix && diagnostics.length > 0) {
+          actions.push({
+            title: nit.fix.title,
+            kind: 'quickfix',
+            diagnostics,
+            isPreferred: true,
+            edit: { changes: { [doc.uri]: nit.fix.edits } }
+          })
+        }
+      }
+      return actions
+    },
+    'textDocument/hover': ({ textDocument, position }) => {
+      const doc = documents.get(textDocument.uri)
+      const range = { start: position, end: position }
+      const nits = doc?.nits.filter(nit => nit.diagnostics.some(d => isIntersecting(d.range, range))) ?? []
+      if (nits.length < 1) {
+        return null
+      }
+      return {
+        contents: {
+          kind: 'markdown',
+          value: nits.map(nit => getHoverText(nit.entry)).join('\n\n---\n\n')
+        }
+      }
+    }
+  }
+
+  /**
+   * Cancel pending validations
+   */
+  const close = () => {
+    for (const doc of documents.values()) {
+      clearTimeout(doc.timer)
+    }
+  }
+
+  readMessages(input, async ({ id, method, params }) => {
+    // Responses to server requests are not expected, as the server sends none
+    if (!method) {
+      return
+    }
+    const isRequest = id !== undefined && id !== null
+    const handler = handlers[method]
+    if (!isInitialized && !['initialize', 'exit'].includes(method)) {
+      if (isRequest) {
+        send({ id, error: { code: RPC_ERROR_CODES.SERVER_NOT_INITIALIZED, message: 'Server not initialized.' } })
+      }
+      return
+    }
+    if (!handler) {
+      // Unknown notifications (e.g. $/cancelRequest) are ignored
+      if (isRequest) {
+        send({ id, error: { code: RPC_ERROR_CODES.METHOD_NOT_FOUND, message: `Unhandled method ${method}.` } })
+      }
+      return
+    }
+    try {
+      const result = await handler(params ?? {})
+      if (isRequest) {
+        send({ id, result: result ?? null })
+      }
+    } catch (err) {
+      if (isRequest) {
+        send({ id, error: { code: RPC_ERROR_CODES.INTERNAL_ERROR, message: err.message } })
+      } else {
+        log(`Failed to handle ${method}: ${err.message}`)
+      }
+    }
+  }, (err) => {
+    send({ id: null, error: { code: RPC_ERROR_CODES.PARSE_ERROR, message: err.message } })
+  })
+
+  // The client closing the connection without the exit notification is an abnormal exit
+  input.on('end', () => {
+    close()
+    onExit(isShutdown ? 0 : 1)
+  })
+
+  log('idnits language server started.', LOG_TYPES.info)
+
+  return { documents, close }
+}
+
+/**
+ * Get the path of a document from its URI
+ *
+ * @param {string} uri Document URI (e.g. file:///home/user/draft-ietf-abcd-01.xml)
+ * @returns {string} Absolute path for file URIs, path component of the URI otherwise
+ */
+function getFilePath (uri) {
+  const url = new URL(uri)
+  return url.protocol === 'file:' ? fileURLToPath(url) : decodeURIComponent(url.pathname)
+}
+
+/**
+ * Find the configuration file closest to a document
+ *
+ * @param {string} filePath Path of the document
+ * @returns {Promise<Object>} Configuration or an empty object when none is found
+ */
+async function findConfig (filePath) {
+  if (!path.isAbsolute(filePath)) {
+    return {}
+  }
+  const resolvedConfig = await resolveConfig(path.dirname(filePath))
+  return resolvedConfig?.config ?? {}
+}
+
+/**
+ * Convert validation results to diagnostics, one per location in the document, and fixes to text edits
+ *
+ * Nits without a location in the document are reported at its start.
+ *
+ * @param {Array} result List of errors/warnings/comments
+ * @param {string} text Validated text of the document
+ * @returns {Object[]} Nits, with their diagnostics and fix
+ */
+function toNits (result, text) {
+  return result.map(entry => {
+    const locations = entry.locations ?? []
+    const ranges = locations.length > 0
+      ? locations.map(({ start, end }) => ({ start: toPosition(start), end: toPosition(end) }))
+      : [{ start: { line: 0, character: 0 }, end: { line: 0, character: 0 } }]
+    return {
+      entry,
+      diagnostics: ranges.map(range => ({
+        range,
+        severity: DIAGNOSTIC_SEVERITIES[getEntrySeverity(entry)],
+        code: entry.name,
+        ...entry.refUrl && { codeDescription: { href: entry.refUrl } },
+        source: 'idnits',
+        message: entry.text ? `${entry.message}\n${entry.text}` : entry.message
+      })),
+      ...entry.fix && {
+        fix: {
+          title: entry.fix.description,
+          edits: entry.fix.edits.map(edit => ({
+            range: {
+              start: toPosition(getPositionAt(text, edit.start)),
+              end: toPosition(getPositionAt(text, edit.end))
+            },
+            newText: edit.text
+          }))
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Convert a position with 1-based line and column to a zero-based LSP position
+ *
+ * @param {Object} position Position
+ * @returns {{line: number, character: number}} LSP position
+ */
+function toPosition ({ line, column }) {
+  return { line: line - 1, character: column - 1 }
+}
+
+/**
+ * Whether two LSP ranges intersect, including their ends
+ *
+ * @param {Object} a Range
+ * @param {Object} b Other range
+ * @returns {boolean} Whether the ranges intersect
+ */
+function isIntersecting (a, b) {
+  const compare = (p, q) => p.line - q.line || p.character - q.character
+  return compare(a.start, b.end) <= 0 && compare(b.start, a.end) <= 0
+}
+
+/**
+ * Get the hover text of a nit, with the explanation of its code
+ *
+ * @param {Object} entry Error/warning/comment
+ * @returns {string} Markdown text
+ */
+function getHoverText (entry) {
+  const details = getCodeDetails(entry.name)
+  return [
+    `**${entry.name}** (${getEntrySeverity(entry)})`,
+    entry.message,
+    ...details?.description ? [details.description] : [],
+    ...entry.refUrl ? [`[${entry.refUrl}](${entry.refUrl})`] : []
+  ].join('\n\n')
+}
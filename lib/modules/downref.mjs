@@ -1,9 +1,11 @@
-import { ValidationWarning, ValidationError, ValidationComment } from '../helpers/error.mjs'
+import { lineToLocation } from '../helpers/location.mjs'
+import { createNit } from '../helpers/severity.mjs'
 import { checkReferencesInDownrefs } from '../remote/downref.mjs'
+import { NIT_CODES } from '../config/codes.mjs'
 import { MODES } from '../config/modes.mjs'
 import { extractDefinedReferences } from '../helpers/utils.mjs'
 import { getStatusWeight } from '../config/rfc-status-hierarchy.mjs'
-import { fetchRemoteRfcInfo, fetchRemoteDocInfoJson } from '../helpers/remote.mjs'
+import { getProvider } from '../remote/providers.mjs'
 
 /**
  * Validate document references for RFCs and Drafts downrefs.
@@ -11,13 +13,15 @@ import { fetchRemoteRfcInfo, fetchRemoteDocInfoJson } from '../helpers/remote.mj
  * @param {Object} doc - Document to validate
  * @param {Object} [opts] - Additional options
  * @param {number} [opts.mode=0] - Validation mode to use
- * @param {boolean} [opts.offline=false] - Skip fetching remote data if true
+ * @param {boolean} [opts.offline=false] - Use the offline data bundle instead of fetching the registry, or skip without one
+ * @param {Object} [opts.provider] - Metadata provider to use instead of the remote sources / the offline data bundle
  * @returns {Array} - List of errors/warnings/comments
  */
-export async function validateDownrefs (doc, { mode = MODES.NORMAL } = {}) {
+export async function validateDownrefs (doc, { mode = MODES.NORMAL, offline = false, provider } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
+  const metadataProvider = getProvider({ offline, provider })
+  if (!metadataProvider) {
     return result
   }
 
@@ -26,23 +30,13 @@ export async function validateDownrefs (doc, { mode = MODES.NORMAL } = {}) {
       const { referenceSectionRfc, referenceSectionDraftReferences } = doc.data.extractedElements
       const rfcs = referenceSectionRfc.map((rfc) => `RFC ${rfc.value}`)
       const drafts = normalizeDraftReferences(referenceSectionDraftReferences.map((el) => el.value))
-      const downrefMatches = await checkReferencesInDownrefs([...rfcs, ...drafts])
+      const downrefMatches = await checkReferencesInDownrefs([...rfcs, ...drafts], metadataProvider)
 
       downrefMatches.forEach((match) => {
-        switch (mode) {
-          case MODES.NORMAL: {
-            result.push(new ValidationError('DOWNREF_DRAFT', `Draft ${match} is listed in the Downref Registry.`, {
-              ref: `https://datatracker.ietf.org/doc/${match}`
-            }))
-            break
-          }
-          case MODES.FORGIVE_CHECKLIST: {
-            result.push(new ValidationWarning('DOWNREF_DRAFT', `Draft ${match} is listed in the Downref Registry.`, {
-              ref: `https://datatracker.ietf.org/doc/${match}`
-            }))
-            break
-          }
-        }
+        const location = getReferenceLocation(referenceSectionRfc, match, (value) => `RFC ${value}`) ||
+          getReferenceLocation(referenceSectionDraftReferences, match, (value) => normalizeDraftReferences([value])[0])
+        const nit = createDownrefNit(match, mode, location)
+        if (nit) result.push(nit)
       })
 
       break
@@ -52,23 +46,11 @@ export async function validateDownrefs (doc, { mode = MODES.NORMAL } = {}) {
       const definedReferences = extractDefinedReferences(referencesSections)
       const normilizedReferences = normalizeXmlReferences(definedReferences)
 
-      const downrefMatches = await checkReferencesInDownrefs(normilizedReferences)
+      const downrefMatches = await checkReferencesInDownrefs(normilizedReferences, metadataProvider)
 
       downrefMatches.forEach((match) => {
-        switch (mode) {
-          case MODES.NORMAL: {
-            result.push(new ValidationError('DOWNREF_DRAFT', `Draft ${match} is listed in the Downref Registry.`, {
-              ref: `https://datatracker.ietf.org/doc/${match}`
-            }))
-            break
-          }
-          case MODES.FORGIVE_CHECKLIST: {
-            result.push(new ValidationWarning('DOWNREF_DRAFT', `Draft ${match} is listed in the Downref Registry.`, {
-              ref: `https://datatracker.ietf.org/doc/${match}`
-            }))
-            break
-          }
-        }
+        const nit = createDownrefNit(match, mode)
+        if (nit) result.push(nit)
       })
       break
     }
@@ -77,6 +59,41 @@ export async function validateDownrefs (doc, { mode = MODES.NORMAL } = {}) {
   return result
 }
 
+/**
+ * Create a downref nit for a reference listed in the Downref Registry.
+ *
+ * @param {string} match - Normalized reference (RFC number or draft name).
+ * @param {number} mode - Validation mode to use.
+ * @param {Object} [location] - Location of the reference in a TXT document.
+ * @returns {Object} - Validation entry or null if downrefs are off for this mode.
+ */
+function createDownrefNit (match, mode, location) {
+  const rfcNumber = match.match(/^RFC (\d+)$/i)?.[1]
+  if (rfcNumber) {
+    return createNit(NIT_CODES.DOWNREF_RFC, `RFC ${rfcNumber} is listed in the Downref Registry.`, {
+      mode,
+      ...location && { locations: [location] }
+    })
+  }
+  return createNit(NIT_CODES.DOWNREF_DRAFT, `Draft ${match} is listed in the Downref Registry.`, {
+    mode,
+    ...location && { locations: [location] }
+  })
+}
+
+/**
+ * Get the location of the first reference extracted by the TXT parser matching a normalized reference.
+ *
+ * @param {Array} entries - References extracted by the TXT parser.
+ * @param {string} normalized - Normalized reference to look for.
+ * @param {Function} normalize - Function normalizing the value of an extracted reference.
+ * @returns {Object} - Location of the reference or undefined if not found.
+ */
+function getReferenceLocation (entries, normalized, normalize) {
+  const entry = entries.find((el) => el.line && normalize(el.value) === normalized)
+  return entry && lineToLocation(entry)
+}
+
 /**
  * Normalize references by removing brackets, versions, and checking for drafts.
  *
@@ -127,7 +144,7 @@ function normalizeXmlReferences (references) {
  *
  * Steps:
  * 1. Extract normative references for both TXT and XML documents.
- * 2. Fetch metadata for each RFC using `fetchRemoteRfcInfo`.
+ * 2. Fetch metadata for each RFC using the metadata provider.
  * 3. Validate the fetched status:
  *    - If no status is defined or the RFC cannot be fetched, a `UNDEFINED_STATUS` comment is added.
  *    - If the status is unrecognized, an `UNKNOWN_STATUS` comment is added.
@@ -136,13 +153,16 @@ function normalizeXmlReferences (references) {
  * @param {Object} doc - The document to validate.
  * @param {Object} [opts] - Additional options.
  * @param {number} [opts.mode=MODES.NORMAL] - Validation mode (e.g., NORMAL, SUBMISSION).
+ * @param {boolean} [opts.offline=false] - Use the offline data bundle instead of fetching RFC metadata, or skip without one.
+ * @param {Object} [opts.provider] - Metadata provider to use instead of the remote sources / the offline data bundle.
  * @returns {Promise<Array>} - A list of validation results, including warnings or comments.
  */
-export async function validateNormativeReferences (doc, { mode = MODES.NORMAL } = {}) {
+export async function validateNormativeReferences (doc, { mode = MODES.NORMAL, offline = false, provider } = {}) {
   const result = []
   const RFC_NUMBER_REG = /^\d+$/
 
-  if (mode === MODES.SUBMISSION) {
+  const metadataProvider = getProvider({ offline, provider })
+  if (!metadataProvider) {
     return result
   }
 
@@ -150,47 +170,40 @@ export async function validateNormativeReferences (doc, { mode = MODES.NORMAL }
     case 'txt': {
       const normativeReferences = doc.data.extractedElements.referenceSectionRfc
         .filter((el) => el.subsection === 'normative_references' && RFC_NUMBER_REG.test(el.value))
-        .map((el) => el.value)
 
-      for (const rfcNum of normativeReferences) {
-        const rfcInfo = await fetchRemoteRfcInfo(rfcNum)
+      for (const entry of normativeReferences) {
+        const rfcNum = entry.value
+        const locations = entry.line && [lineToLocation(entry)]
+        const rfcInfo = await metadataProvider.getRfcInfo(rfcNum)
 
         if (!rfcInfo || !rfcInfo.status) {
-          result.push(new ValidationComment('UNDEFINED_STATUS', `RFC ${rfcNum} does not have a defined status or could not be fetched.`, {
-            ref: `https://www.rfc-editor.org/info/rfc${rfcNum}`
-          }))
+          const nit = createNit(NIT_CODES.UNDEFINED_STATUS, `RFC ${rfcNum} does not have a defined status or could not be fetched.`, {
+            mode,
+            ...locations && { locations }
+          })
+          if (nit) result.push(nit)
           continue
         }
 
         const statusWeight = getStatusWeight(rfcInfo.status)
 
         if (statusWeight === null) {
-          result.push(new ValidationComment('UNKNOWN_STATUS', `RFC ${rfcNum} has an unrecognized status: "${rfcInfo.status}".`, {
-            ref: `https://www.rfc-editor.org/info/rfc${rfcNum}`
-          }))
+          const nit = createNit(NIT_CODES.UNKNOWN_STATUS, `RFC ${rfcNum} has an unrecognized status: "${rfcInfo.status}".`, {
+            mode,
+            ...locations && { locations }
+          })
+          if (nit) result.push(nit)
         }
 
         if (rfcInfo.obsoleted_by.length > 0) {
           const obsoletedByList = rfcInfo.obsoleted_by.join(', ')
           const message = `The referenced document RFC ${rfcNum} is obsolete and has been replaced by: ${obsoletedByList}.`
 
-          if (mode === MODES.NORMAL) {
-            result.push(new ValidationError(
-              'OBSOLETE_DOCUMENT',
-              message,
-              {
-                ref: `https://www.rfc-editor.org/info/rfc${rfcInfo.rfc}`
-              }
-            ))
-          } else if (mode === MODES.FORGIVE_CHECKLIST) {
-            result.push(new ValidationWarning(
-              'OBSOLETE_DOCUMENT',
-              message,
-              {
-                ref: `https://www.rfc-editor.org/info/rfc${rfcInfo.rfc}`
-              }
-            ))
-          }
+          const nit = createNit(NIT_CODES.OBSOLETE_DOCUMENT, message, {
+            mode,
+            ...locations && { locations }
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -203,44 +216,27 @@ export async function validateNormativeReferences (doc, { mode = MODES.NORMAL }
         .map((ref) => ref.match(/\d+/)[0])
 
       for (const rfcNum of normilizedReferences) {
-        const rfcInfo = await fetchRemoteRfcInfo(rfcNum)
+        const rfcInfo = await metadataProvider.getRfcInfo(rfcNum)
 
         if (!rfcInfo || !rfcInfo.status) {
-          result.push(new ValidationComment('UNDEFINED_STATUS', `RFC ${rfcNum} does not have a defined status or could not be fetched.`, {
-            ref: `https://www.rfc-editor.org/info/rfc${rfcNum}`
-          }))
+          const nit = createNit(NIT_CODES.UNDEFINED_STATUS, `RFC ${rfcNum} does not have a defined status or could not be fetched.`, { mode })
+          if (nit) result.push(nit)
           continue
         }
 
         const statusWeight = getStatusWeight(rfcInfo.status)
 
         if (statusWeight === null) {
-          result.push(new ValidationComment('UNKNOWN_STATUS', `RFC ${rfcNum} has an unrecognized status: "${rfcInfo.status}".`, {
-            ref: `https://www.rfc-editor.org/info/rfc${rfcNum}`
-          }))
+          const nit = createNit(NIT_CODES.UNKNOWN_STATUS, `RFC ${rfcNum} has an unrecognized status: "${rfcInfo.status}".`, { mode })
+          if (nit) result.push(nit)
         }
 
         if (rfcInfo.obsoleted_by.length > 0) {
           const obsoletedByList = rfcInfo.obsoleted_by.join(', ')
           const message = `The referenced document RFC ${rfcNum} is obsolete and has been replaced by: ${obsoletedByList}.`
 
-          if (mode === MODES.NORMAL) {
-            result.push(new ValidationError(
-              'OBSOLETE_DOCUMENT',
-              message,
-              {
-                ref: `https://www.rfc-editor.org/info/rfc${rfcInfo.rfc}`
-              }
-            ))
-          } else if (mode === MODES.FORGIVE_CHECKLIST) {
-            result.push(new ValidationWarning(
-              'OBSOLETE_DOCUMENT',
-              message,
-              {
-                ref: `https://www.rfc-editor.org/info/rfc${rfcInfo.rfc}`
-              }
-            ))
-          }
+          const nit = createNit(NIT_CODES.OBSOLETE_DOCUMENT, message, { mode })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -259,7 +255,7 @@ export async function validateNormativeReferences (doc, { mode = MODES.NORMAL }
  * 2. The reference does not have a defined status or cannot be fetched.
  *
  * - For each unclassified reference, the function fetches its metadata using
- *   `fetchRemoteRfcInfo`.
+ *   the metadata provider.
  * - If the reference is obsolete, it generates a validation error or warning
  *   based on the provided mode.
  * - If the reference has no status or cannot be fetched, a validation comment is generated.
@@ -271,29 +267,33 @@ export async function validateNormativeReferences (doc, { mode = MODES.NORMAL }
  * @param {Object} doc - The document object to validate.
  * @param {Object} [opts] - Additional options.
  * @param {number} [opts.mode=MODES.NORMAL] - Validation mode (`NORMAL` or `FORGIVE_CHECKLIST`).
+ * @param {boolean} [opts.offline=false] - Use the offline data bundle instead of fetching RFC metadata, or skip without one.
+ * @param {Object} [opts.provider] - Metadata provider to use instead of the remote sources / the offline data bundle.
  * @returns {Promise<Array>} - A list of validation results, including errors, warnings, or comments.
  *
  */
-export async function validateUnclassifiedReferences (doc, { mode = MODES.NORMAL } = {}) {
+export async function validateUnclassifiedReferences (doc, { mode = MODES.NORMAL, offline = false, provider } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
+  const metadataProvider = getProvider({ offline, provider })
+  if (!metadataProvider) {
     return result
   }
 
   const unclassifiedReferences = doc.data.extractedElements.referenceSectionRfc
     .filter(el => el.subsection === 'unclassified_references')
-    .map(el => el.value)
 
-  for (const ref of unclassifiedReferences) {
-    const rfcInfo = await fetchRemoteRfcInfo(ref)
+  for (const entry of unclassifiedReferences) {
+    const ref = entry.value
+    const locations = entry.line && [lineToLocation(entry)]
+    const rfcInfo = await metadataProvider.getRfcInfo(ref)
 
     if (!rfcInfo || !rfcInfo.status) {
-      result.push(new ValidationComment(
-        'UNDEFINED_STATUS',
-        `The unclassified reference ${ref} does not have a defined status or could not be fetched.`,
-        { ref: `https://www.rfc-editor.org/info/rfc${ref}` }
-      ))
+      const nit = createNit(NIT_CODES.UNDEFINED_STATUS, `The unclassified reference ${ref} does not have a defined status or could not be fetched.`, {
+        mode,
+        ...locations && { locations }
+      })
+      if (nit) result.push(nit)
       continue
     }
 
@@ -301,19 +301,11 @@ export async function validateUnclassifiedReferences (doc, { mode = MODES.NORMAL
       const obsoletedByList = rfcInfo.obsoleted_by.join(', ')
       const message = `The unclassified reference ${ref} is obsolete and has been replaced by: ${obsoletedByList}.`
 
-      if (mode === MODES.NORMAL) {
-        result.push(new ValidationError(
-          'OBSOLETE_UNCLASSIFIED_REFERENCE',
-          message,
-          { ref: `https://www.rfc-editor.org/info/rfc${rfcInfo.rfc}` }
-        ))
-      } else if (mode === MODES.FORGIVE_CHECKLIST) {
-        result.push(new ValidationWarning(
-          'OBSOLETE_UNCLASSIFIED_REFERENCE',
-          message,
-          { ref: `https://www.rfc-editor.org/info/rfc${rfcInfo.rfc}` }
-        ))
-      }
+      const nit = createNit(NIT_CODES.OBSOLETE_UNCLASSIFIED_REFERENCE, message, {
+        mode,
+        ...locations && { locations }
+      })
+      if (nit) result.push(nit)
     }
   }
 
@@ -329,7 +321,7 @@ export async function validateUnclassifiedReferences (doc, { mode = MODES.NORMAL
  * 2. The reference does not have a defined status or cannot be fetched.
  *
  * - For each informative reference, the function fetches its metadata using
- *   `fetchRemoteRfcInfo`.
+ *   the metadata provider.
  * - If the reference is obsolete, it generates a validation error or warning
  *   based on the provided mode.
  * - If the reference has no status or cannot be fetched, a validation comment is generated.
@@ -341,28 +333,32 @@ export async function validateUnclassifiedReferences (doc, { mode = MODES.NORMAL
  * @param {Object} doc - The document object to validate.
  * @param {Object} [opts] - Additional options.
  * @param {number} [opts.mode=MODES.NORMAL] - Validation mode (`NORMAL` or `FORGIVE_CHECKLIST`).
+ * @param {boolean} [opts.offline=false] - Use the offline data bundle instead of fetching RFC metadata, or skip without one.
+ * @param {Object} [opts.provider] - Metadata provider to use instead of the remote sources / the offline data bundle.
  * @returns {Promise<Array>} - A list of validation results, including errors, warnings, or comments.
  */
-export async function validateInformativeReferences (doc, { mode = MODES.NORMAL } = {}) {
+export async function validateInformativeReferences (doc, { mode = MODES.NORMAL, offline = false, provider } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
+  const metadataProvider = getProvider({ offline, provider })
+  if (!metadataProvider) {
     return result
   }
 
   const informativeReferences = doc.data.extractedElements.referenceSectionRfc
     .filter(el => el.subsection === 'informative_references')
-    .map(el => el.value)
 
-  for (const ref of informativeReferences) {
-    const rfcInfo = await fetchRemoteRfcInfo(ref)
+  for (const entry of informativeReferences) {
+    const ref = entry.value
+    const locations = entry.line && [lineToLocation(entry)]
+    const rfcInfo = await metadataProvider.getRfcInfo(ref)
 
     if (!rfcInfo || !rfcInfo.status) {
-      result.push(new ValidationComment(
-        'UNDEFINED_STATUS',
-        `The informative reference RFC ${ref} does not have a defined status or could not be fetched.`,
-        { ref: `https://www.rfc-editor.org/info/rfc${ref}` }
-      ))
+      const nit = createNit(NIT_CODES.UNDEFINED_STATUS, `The informative reference RFC ${ref} does not have a defined status or could not be fetched.`, {
+        mode,
+        ...locations && { locations }
+      })
+      if (nit) result.push(nit)
       continue
     }
 
@@ -370,19 +366,11 @@ export async function validateInformativeReferences (doc, { mode = MODES.NORMAL
       const obsoletedByList = rfcInfo.obsoleted_by.join(', ')
       const message = `The informative reference RFC ${ref} is obsolete and has been replaced by: ${obsoletedByList}.`
 
-      if (mode === MODES.NORMAL) {
-        result.push(new ValidationError(
-          'OBSOLETE_INFORMATIVE_REFERENCE',
-          message,
-          { ref: `https://www.rfc-editor.org/info/rfc${rfcInfo.rfc}` }
-        ))
-      } else if (mode === MODES.FORGIVE_CHECKLIST) {
-        result.push(new ValidationWarning(
-          'OBSOLETE_INFORMATIVE_REFERENCE',
-          message,
-          { ref: `https://www.rfc-editor.org/info/rfc${rfcInfo.rfc}` }
-        ))
-      }
+      const nit = createNit(NIT_CODES.OBSOLETE_INFORMATIVE_REFERENCE, message, {
+        mode,
+        ...locations && { locations }
+      })
+      if (nit) result.push(nit)
     }
   }
 
@@ -402,14 +390,17 @@ export async function validateInformativeReferences (doc, { mode = MODES.NORMAL
  * @param {Object} doc - The document to validate. Should contain `type` and `data` properties.
  * @param {Object} [opts] - Additional options for validation.
  * @param {number} [opts.mode] - The validation mode (e.g., SUBMISSION mode skips validation).
+ * @param {boolean} [opts.offline=false] - Use the offline data bundle instead of fetching draft states, or skip without one.
+ * @param {Object} [opts.provider] - Metadata provider to use instead of the remote sources / the offline data bundle.
  *
  * @returns {Array} A list of `ValidationWarning` objects containing information about invalid references.
  */
 
-export async function vlidateDraftReferences (doc, { mode } = {}) {
+export async function vlidateDraftReferences (doc, { mode, offline = false, provider } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
+  const metadataProvider = getProvider({ offline, provider })
+  if (!metadataProvider) {
     return result
   }
 
@@ -419,21 +410,22 @@ export async function vlidateDraftReferences (doc, { mode } = {}) {
       const drafts = normalizeDraftReferences(referenceSectionDraftReferences.map((el) => el.value))
 
       for (let i = 0; i < drafts.length; i++) {
-        const draftInfo = await fetchRemoteDocInfoJson(drafts[i])
+        const location = getReferenceLocation(referenceSectionDraftReferences, drafts[i], (value) => normalizeDraftReferences([value])[0])
+        const draftInfo = await metadataProvider.getDocInfo(drafts[i])
 
         if (!draftInfo || !draftInfo.state) {
-          result.push(new ValidationWarning(
-            'UNDEFINED_STATE',
-            `The draft reference ${drafts[i]} does not have a defined state or could not be fetched.`,
-            { ref: `https://datatracker.ietf.org/doc/${drafts[i]}` }
-          ))
+          const nit = createNit(NIT_CODES.UNDEFINED_STATE, `The draft reference ${drafts[i]} does not have a defined state or could not be fetched.`, {
+            mode,
+            ...location && { locations: [location] }
+          })
+          if (nit) result.push(nit)
           continue
         } else if (draftInfo.state.toLowerCase() === 'rfc') {
-          result.push(new ValidationWarning(
-            'INVALID_STATE_FOR_DRAFT',
-            `The draft reference ${drafts[i]} is already published as an RFC and should not be referenced as a draft.`,
-            { ref: `https://datatracker.ietf.org/doc/${drafts[i]}` }
-          ))
+          const nit = createNit(NIT_CODES.INVALID_STATE_FOR_DRAFT, `The draft reference ${drafts[i]} is already published as an RFC and should not be referenced as a draft.`, {
+            mode,
+            ...location && { locations: [location] }
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -445,21 +437,15 @@ export async function vlidateDraftReferences (doc, { mode } = {}) {
       const drafts = normilizedReferences.filter((el) => el.startsWith('draft-'))
 
       for (let i = 0; i < drafts.length; i++) {
-        const draftInfo = await fetchRemoteDocInfoJson(drafts[i])
+        const draftInfo = await metadataProvider.getDocInfo(drafts[i])
 
         if (!draftInfo || !draftInfo.state) {
-          result.push(new ValidationWarning(
-            'UNDEFINED_STATE',
-            `The draft reference ${drafts[i]} does not have a defined state or could not be fetched.`,
-            { ref: `https://datatracker.ietf.org/doc/${drafts[i]}` }
-          ))
+          const nit = createNit(NIT_CODES.UNDEFINED_STATE, `The draft reference ${drafts[i]} does not have a defined state or could not be fetched.`, { mode })
+          if (nit) result.push(nit)
           continue
         } else if (draftInfo.state.toLowerCase() === 'rfc') {
-          result.push(new ValidationWarning(
-            'INVALID_STATE_FOR_DRAFT',
-            `The draft reference ${drafts[i]} is already published as an RFC and should not be referenced as a draft.`,
-            { ref: `https://datatracker.ietf.org/doc/${drafts[i]}` }
-          ))
+          const nit = createNit(NIT_CODES.INVALID_STATE_FOR_DRAFT, `The draft reference ${drafts[i]} is already published as an RFC and should not be referenced as a draft.`, { mode })
+          if (nit) result.push(nit)
         }
       }
       break
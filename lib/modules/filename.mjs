@@ -1,12 +1,12 @@
+import { NIT_CODES } from '../config/codes.mjs'
 import { MODES } from '../config/modes.mjs'
-import { ValidationError } from '../helpers/error.mjs'
+import { findTextLocation } from '../helpers/location.mjs'
+import { createNit } from '../helpers/severity.mjs'
 import { get } from 'lodash-es'
 
 const VALID_BASE_NAME_CHARS_RE = /^[a-z0-9-]+$/
 const VALID_VERSION_SUFFIX_RE = /-[0-9]{2}$/
 
-const errRefUrl = 'https://authors.ietf.org/naming-your-internet-draft'
-
 /**
  * Validate a filename
  * https://authors.ietf.org/naming-your-internet-draft
@@ -22,39 +22,47 @@ export async function validateFilename (filename, { mode = MODES.NORMAL } = {})
 
   // Check filename parts
   if (filenameParts.length < 2) {
-    result.push(new ValidationError('FILENAME_MISSING_EXTENSION', 'Filename must have an extension.', { ref: errRefUrl }))
+    const nit = createNit(NIT_CODES.FILENAME_MISSING_EXTENSION, 'Filename must have an extension.', { mode })
+    if (nit) result.push(nit)
   } else if (filenameParts.length > 2) {
-    result.push(new ValidationError('FILENAME_TOO_MANY_DOTS', 'Filename cannot have more than 1 dot, only to separate the base name from the extension.', { ref: errRefUrl }))
+    const nit = createNit(NIT_CODES.FILENAME_TOO_MANY_DOTS, 'Filename cannot have more than 1 dot, only to separate the base name from the extension.', { mode })
+    if (nit) result.push(nit)
   }
 
   // Check filename characters
   if (!VALID_BASE_NAME_CHARS_RE.test(filenameParts[0])) {
-    result.push(new ValidationError('FILENAME_INVALID_CHARS', 'Filename contains invalid characters. Must consist of lower alpha, digits and dash only.', { ref: errRefUrl }))
+    const nit = createNit(NIT_CODES.FILENAME_INVALID_CHARS, 'Filename contains invalid characters. Must consist of lower alpha, digits and dash only.', { mode })
+    if (nit) result.push(nit)
   }
 
   // Check extension
   if (!['txt', 'xml'].includes(filenameParts[1])) {
-    result.push(new ValidationError('FILENAME_EXTENSION_INVALID', 'Filename extension must be either .txt or .xml.', { ref: errRefUrl }))
+    const nit = createNit(NIT_CODES.FILENAME_EXTENSION_INVALID, 'Filename extension must be either .txt or .xml.', { mode })
+    if (nit) result.push(nit)
   }
 
   // Check length
   if (filename.length > 50) {
-    result.push(new ValidationError('FILENAME_TOO_LONG', 'Filename cannot exceed 50 characters, including the extension.', { ref: errRefUrl }))
+    const nit = createNit(NIT_CODES.FILENAME_TOO_LONG, 'Filename cannot exceed 50 characters, including the extension.', { mode })
+    if (nit) result.push(nit)
   }
 
   // Ensure filename starts with draft-
   if (!filename.startsWith('draft-')) {
-    result.push(new ValidationError('FILENAME_MISSING_DRAFT_PREFIX', 'Filename must start with "draft-".', { ref: errRefUrl }))
+    const nit = createNit(NIT_CODES.FILENAME_MISSING_DRAFT_PREFIX, 'Filename must start with "draft-".', { mode })
+    if (nit) result.push(nit)
   }
 
   // Ensure filename ends with a version
   if (!VALID_VERSION_SUFFIX_RE.test(filenameParts[0])) {
-    result.push(new ValidationError('FILENAME_INVALID_VERSION_SUFFIX', 'Filename must end with a version in format 00.', { ref: errRefUrl }))
+    const nit = createNit(NIT_CODES.FILENAME_INVALID_VERSION_SUFFIX, 'Filename must end with a version in format 00.', { mode })
+    if (nit) result.push(nit)
   }
 
   // Ensure filename has at least 4 components
   if (filenameParts[0].split('-').length < 4) {
-    result.push(new ValidationError('FILENAME_MISSING_COMPONENTS', 'Filename must consists of at least 4 components (e.g. draft-author-subject-version).', { ref: errRefUrl }))
+    const nit = createNit(NIT_CODES.FILENAME_MISSING_COMPONENTS, 'Filename must consists of at least 4 components (e.g. draft-author-subject-version).', { mode })
+    if (nit) result.push(nit)
   }
 
   return result
@@ -74,14 +82,22 @@ export async function validateDocName (doc, { mode = MODES.NORMAL } = {}) {
 
   switch (doc.type) {
     case 'txt': {
-      if (filenameParts[0] !== get(doc, 'data.slug')) {
-        result.push(new ValidationError('FILENAME_DOCNAME_MISMATCH', 'Filename does not match the name declared in the document.', { ref: errRefUrl }))
+      const docName = get(doc, 'data.slug')
+      if (filenameParts[0] !== docName) {
+        const slugLine = get(doc, 'data.markers.slug')
+        const location = docName && slugLine && findTextLocation(doc.body, docName, { startLine: slugLine, endLine: slugLine })
+        const nit = createNit(NIT_CODES.FILENAME_DOCNAME_MISMATCH, 'Filename does not match the name declared in the document.', {
+          mode,
+          ...location && { locations: [location] }
+        })
+        if (nit) result.push(nit)
       }
       break
     }
     case 'xml': {
       if (filenameParts[0] !== get(doc, 'data.rfc._attr.docName')) {
-        result.push(new ValidationError('FILENAME_DOCNAME_MISMATCH', 'Filename does not match the name declared in the document.', { ref: errRefUrl }))
+        const nit = createNit(NIT_CODES.FILENAME_DOCNAME_MISMATCH, 'Filename does not match the name declared in the document.', { mode })
+        if (nit) result.push(nit)
       }
       break
     }
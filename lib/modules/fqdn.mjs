@@ -1,7 +1,10 @@
-import { ValidationWarning } from '../helpers/error.mjs'
+import { lineToLocation } from '../helpers/location.mjs'
+import { createNit } from '../helpers/severity.mjs'
+import { NIT_CODES } from '../config/codes.mjs'
 import { MODES } from '../config/modes.mjs'
 import { traverseAllValues } from '../helpers/traversal.mjs'
 import { isValidDomainTLD, isValidArpaDomain } from '../remote/iana.mjs'
+import { getProvider } from '../remote/providers.mjs'
 
 export const FQDN_RE = /(?<domain>(?:[a-z0-9-]+\.)+(?:[a-z0-9]{2,}))\.?(?![a-z0-9-_]+)/gi
 const FALSE_POS_NUMS_RE = /^[0-9.]+$/
@@ -21,20 +24,22 @@ const isReservedDomain = (domain) => {
  * @param {Object} doc Document to validate
  * @param {Object} [opts] Additional options
  * @param {number} [opts.mode=0] Validation mode to use
+ * @param {boolean} [opts.offline=false] Check TLDs against the offline data bundle, or skip them without one
+ * @param {Object} [opts.provider] Metadata provider to get the TLDs from, instead of IANA / the offline data bundle
  * @returns {Array} List of errors/warnings/comments or empty if fully valid
  */
-export async function validateFQDNs (doc, { mode = MODES.NORMAL, offline = false } = {}) {
+export async function validateFQDNs (doc, { mode = MODES.NORMAL, offline = false, provider } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
-    return result
-  }
+  const metadataProvider = getProvider({ offline, provider })
 
   switch (doc.type) {
     case 'txt': {
       const { fqdnDomains } = doc.data.extractedElements
 
-      for (const domain of fqdnDomains) {
+      for (const entry of fqdnDomains) {
+        const domain = entry.value
+        const locations = entry.line && [lineToLocation(entry)]
         if (isReservedDomain(domain)) {
           continue
         }
@@ -43,16 +48,20 @@ export async function validateFQDNs (doc, { mode = MODES.NORMAL, offline = false
           continue
         }
 
-        if (!offline && !(await isValidDomainTLD(domain))) {
-          result.push(new ValidationWarning('INVALID_DOMAIN_TLD', `Domain "${domain}" has an invalid TLD.`, {
-            ref: 'https://www.iana.org/domains/root/db',
-            domain
-          }))
-        } else if (!offline && domain.endsWith('.arpa') && !(await isValidArpaDomain(domain))) {
-          result.push(new ValidationWarning('INVALID_ARPA_DOMAIN', `ARPA domain "${domain}" usage is invalid.`, {
-            ref: 'https://www.iana.org/domains/arpa',
-            domain
-          }))
+        if (metadataProvider && !(await isValidDomainTLD(domain, metadataProvider))) {
+          const nit = createNit(NIT_CODES.INVALID_DOMAIN_TLD, `Domain "${domain}" has an invalid TLD.`, {
+            mode,
+            domain,
+            ...locations && { locations }
+          })
+          if (nit) result.push(nit)
+        } else if (metadataProvider && domain.endsWith('.arpa') && !(await isValidArpaDomain(domain, metadataProvider))) {
+          const nit = createNit(NIT_CODES.INVALID_ARPA_DOMAIN, `ARPA domain "${domain}" usage is invalid.`, {
+            mode,
+            domain,
+            ...locations && { locations }
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -66,18 +75,20 @@ export async function validateFQDNs (doc, { mode = MODES.NORMAL, offline = false
               // -> Ignore matches are purely numbers
               continue
             }
-            if (!offline && !(await isValidDomainTLD(match.groups.domain))) {
-              result.push(new ValidationWarning('INVALID_DOMAIN_TLD', 'Domain has an invalid TLD.', {
-                ref: 'https://www.iana.org/domains/root/db',
+            if (metadataProvider && !(await isValidDomainTLD(match.groups.domain, metadataProvider))) {
+              const nit = createNit(NIT_CODES.INVALID_DOMAIN_TLD, 'Domain has an invalid TLD.', {
+                mode,
                 path: p.join('.'),
                 text: match.groups.domain
-              }))
-            } else if (!offline && match.groups.domain.endsWith('.arpa') && !(await isValidArpaDomain(match.groups.domain))) {
-              result.push(new ValidationWarning('INVALID_ARPA_DOMAIN', 'ARPA domain usage is invalid.', {
-                ref: 'https://www.iana.org/domains/arpa',
+              })
+              if (nit) result.push(nit)
+            } else if (metadataProvider && match.groups.domain.endsWith('.arpa') && !(await isValidArpaDomain(match.groups.domain, metadataProvider))) {
+              const nit = createNit(NIT_CODES.INVALID_ARPA_DOMAIN, 'ARPA domain usage is invalid.', {
+                mode,
                 path: p.join('.'),
                 text: match.groups.domain
-              }))
+              })
+              if (nit) result.push(nit)
             }
           }
         }
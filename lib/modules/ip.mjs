@@ -1,4 +1,6 @@
-import { ValidationWarning } from '../helpers/error.mjs'
+import { lineToLocation } from '../helpers/location.mjs'
+import { createNit } from '../helpers/severity.mjs'
+import { NIT_CODES } from '../config/codes.mjs'
 import { MODES } from '../config/modes.mjs'
 import { traverseAllValues } from '../helpers/traversal.mjs'
 
@@ -40,41 +42,41 @@ function isDocumentationIPv4 (ipv4Addr) {
 export async function validateIPs (doc, { mode = MODES.NORMAL } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
-    return result
-  }
-
   switch (doc.type) {
     case 'txt': {
       const ipv4Addresses = doc.data.extractedElements?.ipv4 || []
       const ipv6Addresses = doc.data.extractedElements?.ipv6 || []
 
-      for (const ipv4Addr of ipv4Addresses) {
+      for (const entry of ipv4Addresses) {
+        const ipv4Addr = entry.value
+        const locations = entry.line && [lineToLocation(entry)]
         if (!IPV4_RE.test(ipv4Addr)) {
-          result.push(new ValidationWarning('INVALID_IPV4_ADDRESS', `IPv4 address "${ipv4Addr}" is invalid.`, {
-            ref: 'https://datatracker.ietf.org/doc/html/rfc791',
-            text: ipv4Addr
-          }))
+          const nit = createNit(NIT_CODES.INVALID_IPV4_ADDRESS, `IPv4 address "${ipv4Addr}" is invalid.`, {
+            mode,
+            text: ipv4Addr,
+            ...locations && { locations }
+          })
+          if (nit) result.push(nit)
         } else if (!isDocumentationIPv4(ipv4Addr)) {
-          result.push(new ValidationWarning('NON_DOCUMENTATION_IPV4', `IPv4 address "${ipv4Addr}" is not in recommended documentation ranges.`, {
-            ref: 'https://datatracker.ietf.org/doc/html/rfc5737',
-            text: ipv4Addr
-          }))
+          const nit = createNit(NIT_CODES.NON_DOCUMENTATION_IPV4, `IPv4 address "${ipv4Addr}" is not in recommended documentation ranges.`, {
+            mode,
+            text: ipv4Addr,
+            ...locations && { locations }
+          })
+          if (nit) result.push(nit)
         }
       }
 
-      for (const ipv6Addr of ipv6Addresses) {
+      for (const entry of ipv6Addresses) {
+        const ipv6Addr = entry.value
+        const locations = entry.line && [lineToLocation(entry)]
         if (!IPV6_RE.test(ipv6Addr)) {
-          result.push(
-            new ValidationWarning(
-              'INVALID_IPV6_ADDRESS',
-              `IPv6 address "${ipv6Addr}" is invalid.`,
-              {
-                ref: 'https://datatracker.ietf.org/doc/html/rfc4291',
-                text: ipv6Addr
-              }
-            )
-          )
+          const nit = createNit(NIT_CODES.INVALID_IPV6_ADDRESS, `IPv6 address "${ipv6Addr}" is invalid.`, {
+            mode,
+            text: ipv6Addr,
+            ...locations && { locations }
+          })
+          if (nit) result.push(nit)
           continue
         }
 
@@ -83,16 +85,12 @@ export async function validateIPs (doc, { mode = MODES.NORMAL } = {}) {
           !UNIQUE_LOCAL_IPV6_RE.test(ipv6Addr) &&
           !LINK_LOCAL_IPV6_RE.test(ipv6Addr)
         ) {
-          result.push(
-            new ValidationWarning(
-              'NON_STANDARD_IPV6_ADDRESS',
-              `IPv6 address "${ipv6Addr}" does not match documentation or standard local ranges.`,
-              {
-                ref: 'https://datatracker.ietf.org/doc/html/rfc3849',
-                text: ipv6Addr
-              }
-            )
-          )
+          const nit = createNit(NIT_CODES.NON_STANDARD_IPV6_ADDRESS, `IPv6 address "${ipv6Addr}" does not match documentation or standard local ranges.`, {
+            mode,
+            text: ipv6Addr,
+            ...locations && { locations }
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -102,21 +100,23 @@ export async function validateIPs (doc, { mode = MODES.NORMAL } = {}) {
         const ipv4Matches = val.matchAll(IPV4_LOOSE_RE)
         for (const match of ipv4Matches) {
           if (!IPV4_RE.test(match[0])) {
-            result.push(new ValidationWarning('INVALID_IPV4_ADDRESS', 'IPv4 address is invalid.', {
-              ref: 'https://datatracker.ietf.org/doc/html/rfc791',
+            const nit = createNit(NIT_CODES.INVALID_IPV4_ADDRESS, 'IPv4 address is invalid.', {
+              mode,
               path: p.join('.'),
               text: match[0]
-            }))
+            })
+            if (nit) result.push(nit)
           }
         }
         const ipv6Matches = val.matchAll(IPV6_LOOSE_RE)
         for (const match of ipv6Matches) {
           if (!IPV6_RE.test(match[0])) {
-            result.push(new ValidationWarning('INVALID_IPV6_ADDRESS', 'IPv6 address is invalid.', {
-              ref: 'https://datatracker.ietf.org/doc/html/rfc4291',
+            const nit = createNit(NIT_CODES.INVALID_IPV6_ADDRESS, 'IPv6 address is invalid.', {
+              mode,
               path: p.join('.'),
               text: match[0]
-            }))
+            })
+            if (nit) result.push(nit)
           }
         }
       })
@@ -1,7 +1,14 @@
-import { ValidationComment, ValidationError, ValidationWarning } from '../helpers/error.mjs'
+import { createFix } from '../helpers/fix.mjs'
+import { createLocation, createLocationFromOffsets } from '../helpers/location.mjs'
+import { createNit } from '../helpers/severity.mjs'
+import { NIT_CODES } from '../config/codes.mjs'
 import { MODES } from '../config/modes.mjs'
 import { traverseAllValues } from '../helpers/traversal.mjs'
+import { extractRecursiveByTagAndAttribute } from '../helpers/utils.mjs'
+import { findSourceElement, findSourceText } from '../parsers/xml.mjs'
 
+const BOILERPLATE_REFERENCES = ['RFC2119', 'RFC8174']
+const BIBXML_RFC_RE = /reference\.RFC\.(\d+)\.xml$/
 const REQ_LEVEL_KEYWORDS_RE = /((NOT|not)\s)?(MUST|REQUIRED|SHALL|RECOMMENDED|OPTIONAL|MAY)(\s(NOT|not))?/g
 const REQ_LEVEL_KEYWORDS_ALLOWED = [
   'MUST',
@@ -29,10 +36,6 @@ const REQ_LEVEL_BOILETPLATE_RE = /The key\s?words (.|\n)+? in this document (.|\
 export async function validate2119Keywords (doc, { mode = MODES.NORMAL } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
-    return result
-  }
-
   switch (doc.type) {
     case 'txt': {
       const keywords = doc.data.extractedElements.keywords2119
@@ -43,39 +46,32 @@ export async function validate2119Keywords (doc, { mode = MODES.NORMAL } = {}) {
       const invalidKeywords = doc.data.possibleIssues.misspeled2119Keywords
 
       if (keywords.length && !hasBoilerplate && !hasReferences) {
-        if (mode === MODES.NORMAL) {
-          result.push(new ValidationError('MISSING_REQLEVEL_BOILERPLATE', 'One or more RFC2119 keywords are present but an RFC2119 boilerplate and a reference are missing.', {
-            ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-          }))
-        } else {
-          result.push(new ValidationWarning('MISSING_REQLEVEL_BOILERPLATE', 'One or more RFC2119 keywords are present but an RFC2119 boilerplate and a reference are missing.', {
-            ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-          }))
-        }
+        const nit = createNit(NIT_CODES.MISSING_REQLEVEL_BOILERPLATE, 'One or more RFC2119 keywords are present but an RFC2119 boilerplate and a reference are missing.', { mode })
+        if (nit) result.push(nit)
       } else if (!hasBoilerplate && doc.data.boilerplate.similar2119boilerplate) {
-        result.push(new ValidationError('MISSING_REQLEVEL_BOILERPLATE', 'An RFC2119 boilerplate is missing but a similar boilerplate was found.', {
-          ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-        }))
+        const nit = createNit(NIT_CODES.MISSING_REQLEVEL_BOILERPLATE, 'An RFC2119 boilerplate is missing but a similar boilerplate was found.', { mode })
+        if (nit) result.push(nit)
       } else if (keywords.length && hasReferences && !hasBoilerplate) {
-        result.push(new ValidationWarning('MISSING_REQLEVEL_BOILERPLATE', 'One or more RFC2119 keywords are present but an RFC2119 boilerplate is missing.', {
-          ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-        }))
+        const nit = createNit(NIT_CODES.MISSING_REQLEVEL_BOILERPLATE, 'One or more RFC2119 keywords are present but an RFC2119 boilerplate is missing.', {
+          mode,
+          situation: 'referenced'
+        })
+        if (nit) result.push(nit)
       } else if (hasBoilerplate && !hasNonBoilerplateKeywords) {
-        result.push(new ValidationWarning('MISSING_REQLEVEL_KEYWORDS', 'An RFC2119 boilerplate is present but no keywords are used in the document.', {
-          ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-        }))
+        const nit = createNit(NIT_CODES.MISSING_REQLEVEL_KEYWORDS, 'An RFC2119 boilerplate is present but no keywords are used in the document.', { mode })
+        if (nit) result.push(nit)
       } else if (keywords.find((word) => word.keyword === 'NOT RECOMMENDED') && !boilerplateKeywords.includes('NOT RECOMMENDED')) {
-        result.push(new ValidationWarning('MISSING_NOTRECOMMENDED_IN_BOILERPLATE', 'The keyword NOT RECOMMENDED appears but not included in the RFC2119 boilerplate.', {
-          ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-        }))
+        const nit = createNit(NIT_CODES.MISSING_NOTRECOMMENDED_IN_BOILERPLATE, 'The keyword NOT RECOMMENDED appears but not included in the RFC2119 boilerplate.', { mode })
+        if (nit) result.push(nit)
       }
 
       if (invalidKeywords.length > 0) {
         for (const keyword of invalidKeywords) {
-          result.push(new ValidationComment('INCORRECT_KEYWORD_SPELLING', `The keyword "${keyword.invalidKeyword}" is misspelled.`, {
-            ref: 'https://datatracker.ietf.org/doc/html/rfc2119',
-            lines: [{ line: keyword.line, pos: keyword.pos }]
-          }))
+          const nit = createNit(NIT_CODES.INCORRECT_KEYWORD_SPELLING, `The keyword "${keyword.invalidKeyword}" is misspelled.`, {
+            mode,
+            locations: [createLocation(keyword.line, keyword.pos, { length: keyword.invalidKeyword.length, excerpt: keyword.excerpt })]
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -104,10 +100,11 @@ export async function validate2119Keywords (doc, { mode = MODES.NORMAL } = {}) {
             for (const match of kwMatches) {
               hasKeywords = true
               if (!REQ_LEVEL_KEYWORDS_ALLOWED.includes(match[0])) {
-                result.push(new ValidationComment('INVALID_REQLEVEL_KEYWORD', `${match[0]} is not a valid RFC2119 Requirement Level keyword.`, {
-                  ref: 'https://datatracker.ietf.org/doc/html/rfc2119',
+                const nit = createNit(NIT_CODES.INVALID_REQLEVEL_KEYWORD, `${match[0]} is not a valid RFC2119 Requirement Level keyword.`, {
+                  mode,
                   path: p.join('.')
-                }))
+                })
+                if (nit) result.push(nit)
               }
               if (match[0] === 'NOT RECOMMENDED') {
                 hasNotRecommended = true
@@ -119,38 +116,35 @@ export async function validate2119Keywords (doc, { mode = MODES.NORMAL } = {}) {
 
       // Keywords found but no boilerplate
       if (hasKeywords && !hasBoilerplate) {
+        const fix = createBoilerplateFix(doc)
         if (hasRef) {
-          result.push(new ValidationWarning('MISSING_REQLEVEL_BOILERPLATE', 'One or more RFC2119 keywords are present and a reference to RFC2119 exists but an RFC2119 boilerplate is missing.', {
-            ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-          }))
+          const nit = createNit(NIT_CODES.MISSING_REQLEVEL_BOILERPLATE, 'One or more RFC2119 keywords are present and a reference to RFC2119 exists but an RFC2119 boilerplate is missing.', {
+            mode,
+            situation: 'referenced',
+            fix
+          })
+          if (nit) result.push(nit)
         } else {
-          if (mode === MODES.NORMAL) {
-            result.push(new ValidationError('MISSING_REQLEVEL_BOILERPLATE', 'One or more RFC2119 keywords are present but an RFC2119 boilerplate and a reference are missing.', {
-              ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-            }))
-          } else {
-            result.push(new ValidationWarning('MISSING_REQLEVEL_BOILERPLATE', 'One or more RFC2119 keywords are present but an RFC2119 boilerplate and a reference are missing.', {
-              ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-            }))
-          }
+          const nit = createNit(NIT_CODES.MISSING_REQLEVEL_BOILERPLATE, 'One or more RFC2119 keywords are present but an RFC2119 boilerplate and a reference are missing.', {
+            mode,
+            fix
+          })
+          if (nit) result.push(nit)
         }
       // Boilerplate found but no keywords
       } else if (!hasKeywords && hasBoilerplate) {
-        result.push(new ValidationWarning('MISSING_REQLEVEL_KEYWORDS', 'An RFC2119 boilerplate is present but no keywords are used in the document.', {
-          ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-        }))
+        const nit = createNit(NIT_CODES.MISSING_REQLEVEL_KEYWORDS, 'An RFC2119 boilerplate is present but no keywords are used in the document.', { mode })
+        if (nit) result.push(nit)
       // NOT RECOMMENDED appears but not in boilerplate
       } else if (hasNotRecommended && !hasNotRecommendedInBoilerplate) {
-        result.push(new ValidationWarning('MISSING_NOTRECOMMENDED_IN_BOILERPLATE', 'The keyword NOT RECOMMENDED appears but not included in the RFC2119 boilerplate.', {
-          ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-        }))
+        const nit = createNit(NIT_CODES.MISSING_NOTRECOMMENDED_IN_BOILERPLATE, 'The keyword NOT RECOMMENDED appears but not included in the RFC2119 boilerplate.', { mode })
+        if (nit) result.push(nit)
       }
 
       // Has boilerplate but no reference
       if (hasBoilerplate && !hasRef) {
-        result.push(new ValidationError('MISSING_REQLEVEL_REF', 'An RFC2119 boilerplate is present but no reference to the RFC2119 was found.', {
-          ref: 'https://www.rfc-editor.org/rfc/rfc7322.html#section-4.8.2'
-        }))
+        const nit = createNit(NIT_CODES.MISSING_REQLEVEL_REF, 'An RFC2119 boilerplate is present but no reference to the RFC2119 was found.', { mode })
+        if (nit) result.push(nit)
       }
       break
     }
@@ -159,22 +153,74 @@ export async function validate2119Keywords (doc, { mode = MODES.NORMAL } = {}) {
   return result
 }
 
+/**
+ * Create a fix inserting the RFC 8174 boilerplate as the first paragraph of the first section of an XML document
+ *
+ * The paragraph is indented like the content of the section, on a new line using the line endings of the document.
+ * The boilerplate cites RFC 2119 and RFC 8174: the fix is only offered when the document lists both references.
+ *
+ * @param {Object} doc Document to fix
+ * @returns {Object} Fix or undefined if the document has no section or lacks the references
+ */
+function createBoilerplateFix (doc) {
+  const anchors = getReferenceAnchors(doc)
+  if (!BOILERPLATE_REFERENCES.every(anchor => anchors.includes(anchor))) {
+    return
+  }
+  const section = doc.sourceTree && findSourceElement(doc.sourceTree, 'rfc.middle')?.children.find(c => c.name === 'section')
+  if (!section || section.end === section.openEnd) {
+    return
+  }
+
+  const nameElement = section.children[0]?.name === 'name' ? section.children[0] : null
+  const nextElement = nameElement ? section.children[1] : section.children[0]
+  const getIndent = (offset) => doc.body.slice(doc.body.lastIndexOf('\n', offset - 1) + 1, offset)
+  let indent = nextElement ? getIndent(nextElement.start) : ''
+  if (!/^[ \t]*$/.test(indent) || !nextElement) {
+    indent = getIndent(section.start).match(/^[ \t]*/)[0] + '  '
+  }
+
+  const keywords = REQ_LEVEL_KEYWORDS_ALLOWED.map(k => `"${k}"`)
+  const text = `The key words ${keywords.slice(0, -1).join(', ')}, and ${keywords[keywords.length - 1]} in this document are to be interpreted as described in BCP 14 <xref target="RFC2119"/> <xref target="RFC8174"/> when, and only when, they appear in all capitals, as shown here.`
+  const offset = nameElement ? nameElement.end : section.openEnd
+  const eol = doc.body.includes('\r\n') ? '\r\n' : '\n'
+  return createFix('Insert the RFC 8174 boilerplate', [{ start: offset, end: offset, text: `${eol}${indent}<t>${text}</t>` }])
+}
+
+/**
+ * Get the anchors of the references of an XML document
+ *
+ * References are either <reference> elements, bibxml files included with <xi:include> or external entities.
+ *
+ * @param {Object} doc Document
+ * @returns {string[]} Anchors, e.g. RFC2119
+ */
+function getReferenceAnchors (doc) {
+  const back = doc.data.rfc?.back ?? {}
+  const included = extractRecursiveByTagAndAttribute(back, 'xi:include', 'href').map(href => href.match(BIBXML_RFC_RE)).filter(Boolean)
+  return [
+    ...extractRecursiveByTagAndAttribute(back, 'reference', 'anchor'),
+    ...included.map(match => `RFC${parseInt(match[1])}`),
+    ...doc.externalEntities.map(entity => entity.name)
+  ]
+}
+
 // --------------------------------------------------------------------
 
 const INVALID_TERMS_RE = /demultiplexor|diffserv|e[-\s]mail|internet\sdraft|ipsec|on[-\s]line|pseudo[-\s]wire|public-key|sub-domain|sub-options|time-stamp|us-ascii/gi
 const INVALID_TERMS_ASSOC = {
-  demultiplexor: 'demultiplexer',
-  diffserv: 'Diffserv',
-  email: 'email (no hyphen)',
-  internetdraft: 'Internet-Draft (with hyphen)',
-  ipsec: 'IPsec',
-  online: 'online (no hyphen)',
-  pseudowire: 'pseudowire (no space or hyphen)',
-  publickey: 'public key (no hyphen)',
-  subdomain: 'subdomain (no hyphen)',
-  suboptions: 'suboptions (no hyphen)',
-  timestamp: 'timestamp (no hyphen)',
-  usascii: 'ASCII'
+  demultiplexor: { spelling: 'demultiplexer' },
+  diffserv: { spelling: 'Diffserv' },
+  email: { spelling: 'email', hint: 'no hyphen' },
+  internetdraft: { spelling: 'Internet-Draft', hint: 'with hyphen' },
+  ipsec: { spelling: 'IPsec' },
+  online: { spelling: 'online', hint: 'no hyphen' },
+  pseudowire: { spelling: 'pseudowire', hint: 'no space or hyphen' },
+  publickey: { spelling: 'public key', hint: 'no hyphen' },
+  subdomain: { spelling: 'subdomain', hint: 'no hyphen' },
+  suboptions: { spelling: 'suboptions', hint: 'no hyphen' },
+  timestamp: { spelling: 'timestamp', hint: 'no hyphen' },
+  usascii: { spelling: 'ASCII' }
 }
 
 /**
@@ -188,13 +234,10 @@ const INVALID_TERMS_ASSOC = {
 export async function validateTermsStyle (doc, { mode = MODES.NORMAL } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
-    return result
-  }
-
   switch (doc.type) {
     case 'txt': {
       let lineIdx = 1
+      let lineOffset = 0
       for (const line of doc.body.split('\n')) {
         for (const match of line.matchAll(INVALID_TERMS_RE)) {
           // Skip valid spellings of captured matches
@@ -204,16 +247,20 @@ export async function validateTermsStyle (doc, { mode = MODES.NORMAL } = {}) {
           // Add warning with proper spelling
           const normalizedTerm = match[0].replaceAll(/\s|-/gi, '').toLowerCase()
           if (INVALID_TERMS_ASSOC[normalizedTerm]) {
-            result.push(new ValidationComment('INCORRECT_TERM_SPELLING', `"${match[0]}" should be spelled as ${INVALID_TERMS_ASSOC[normalizedTerm]}.`, {
-              ref: 'https://www.rfc-editor.org/materials/terms-online.txt',
-              lines: [{
-                line: lineIdx,
-                pos: match.index
-              }]
-            }))
+            const start = lineOffset + match.index
+            const nit = createNit(NIT_CODES.INCORRECT_TERM_SPELLING, getTermMessage(match[0], INVALID_TERMS_ASSOC[normalizedTerm]), {
+              mode,
+              locations: [createLocation(lineIdx, match.index + 1, {
+                length: match[0].length,
+                excerpt: line
+              })],
+              fix: createTermFix(match[0], INVALID_TERMS_ASSOC[normalizedTerm], { start, end: start + match[0].length })
+            })
+            if (nit) result.push(nit)
           }
         }
         lineIdx++
+        lineOffset += line.length + 1
       }
       break
     }
@@ -221,7 +268,11 @@ export async function validateTermsStyle (doc, { mode = MODES.NORMAL } = {}) {
       await traverseAllValues(doc.data, async (val, k, p) => {
         if (['t', '#text'].includes(k)) {
           const termMatches = val.matchAll(INVALID_TERMS_RE)
+          const occurrences = {}
           for (const match of termMatches) {
+            // Count occurrences of the same text, to find the match in the source
+            const occurrence = occurrences[match[0]] ?? 0
+            occurrences[match[0]] = occurrence + 1
             // Skip valid spellings of captured matches
             if (['Diffserv', 'IPsec'].includes(match[0])) {
               continue
@@ -229,10 +280,16 @@ export async function validateTermsStyle (doc, { mode = MODES.NORMAL } = {}) {
             // Add warning with proper spelling
             const normalizedTerm = match[0].replaceAll(/\s|-/gi, '').toLowerCase()
             if (INVALID_TERMS_ASSOC[normalizedTerm]) {
-              result.push(new ValidationComment('INCORRECT_TERM_SPELLING', `"${match[0]}" should be spelled as ${INVALID_TERMS_ASSOC[normalizedTerm]}.`, {
-                ref: 'https://www.rfc-editor.org/materials/terms-online.txt',
-                path: p.join('.')
-              }))
+              const range = doc.sourceTree && findSourceText(doc.sourceTree, doc.body, p.join('.'), match[0], occurrence)
+              const nit = createNit(NIT_CODES.INCORRECT_TERM_SPELLING, getTermMessage(match[0], INVALID_TERMS_ASSOC[normalizedTerm]), {
+                mode,
+                path: p.join('.'),
+                ...range && {
+                  locations: [createLocationFromOffsets(doc.body, range.start, range.end)],
+                  fix: createTermFix(match[0], INVALID_TERMS_ASSOC[normalizedTerm], range)
+                }
+              })
+              if (nit) result.push(nit)
             }
           }
         }
@@ -243,3 +300,27 @@ export async function validateTermsStyle (doc, { mode = MODES.NORMAL } = {}) {
 
   return result
 }
+
+/**
+ * Get the message of an incorrectly spelled term
+ *
+ * @param {string} term Term found in the document
+ * @param {Object} assoc Proper spelling of the term, with an optional hint
+ * @returns {string} Message
+ */
+function getTermMessage (term, { spelling, hint }) {
+  return `"${term}" should be spelled as ${spelling}${hint ? ` (${hint})` : ''}.`
+}
+
+/**
+ * Create a fix replacing an incorrectly spelled term, keeping an initial capital letter
+ *
+ * @param {string} term Term found in the document
+ * @param {Object} assoc Proper spelling of the term
+ * @param {Object} range Offsets of the term in the source text
+ * @returns {Object} Fix
+ */
+function createTermFix (term, { spelling }, { start, end }) {
+  const text = /^[A-Z]/.test(term) && /^[a-z]/.test(spelling) ? spelling.charAt(0).toUpperCase() + spelling.slice(1) : spelling
+  return createFix(`Replace "${term}" with "${text}"`, [{ start, end, text }])
+}
@@ -1,6 +1,8 @@
-import { ValidationComment, ValidationWarning } from '../helpers/error.mjs'
+import { findTextLocation } from '../helpers/location.mjs'
+import { createNit } from '../helpers/severity.mjs'
 import { traverseAllValues } from '../helpers/traversal.mjs'
-import { fetchRemoteDocInfo, fetchRemoteRfcInfo } from '../helpers/remote.mjs'
+import { getProvider } from '../remote/providers.mjs'
+import { NIT_CODES } from '../config/codes.mjs'
 import { MODES } from '../config/modes.mjs'
 import { difference, get } from 'lodash-es'
 import { DateTime } from 'luxon'
@@ -11,6 +13,9 @@ const OBSOLETES_RE = /(?:obsoletes|replaces) ((?:\[?rfcs? ?)?[0-9]+\]?(?:, | and
 const UPDATES_RE = /updates ((?:\[?rfcs? ?)?[0-9]+\]?(?:, | and )?)+/gi
 const RFC_NUM_RE = /[0-9]+/g
 const VERSION_SUFFIX_RE = /-([0-9]{2})$/
+const CATEGORY_LINE_RE = /\b(?:Category|Intended status):.*?(?=\s{2,}|$)/i
+const OBSOLETES_KEYWORDS = 'obsoletes|replaces'
+const UPDATES_KEYWORDS = 'updates'
 
 const today = DateTime.now()
 
@@ -30,9 +35,8 @@ export async function validateDate (doc, { mode = MODES.NORMAL } = {}) {
       const docDate = doc.data.header.date
 
       if (!docDate || !Object.keys(docDate).length) {
-        result.push(new ValidationWarning('MISSING_DOC_DATE', 'The document date could not be determined.', {
-          ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#date'
-        }))
+        const nit = createNit(NIT_CODES.MISSING_DOC_DATE, 'The document date could not be determined.', { mode })
+        if (nit) result.push(nit)
       } else {
         const dt = DateTime.fromObject({
           year: docDate.year || today.year,
@@ -40,14 +44,20 @@ export async function validateDate (doc, { mode = MODES.NORMAL } = {}) {
           day: docDate.day || today.day
         })
         const daysDiff = Math.round(dt.diffNow().as('days'))
+        const dateRe = new RegExp(`${docDate.day ? `0?${docDate.day}\\s` : ''}${docDate.month}\\s${docDate.year}`, 'i')
+        const location = findTextLocation(doc.body, dateRe, getHeaderRange(doc))
         if (daysDiff < -3) {
-          result.push(new ValidationWarning('DOC_DATE_IN_PAST', `The document date is ${daysDiff * -1} days in the past. Is this intentional?`, {
-            ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#date'
-          }))
+          const nit = createNit(NIT_CODES.DOC_DATE_IN_PAST, `The document date is ${daysDiff * -1} days in the past. Is this intentional?`, {
+            mode,
+            ...location && { locations: [location] }
+          })
+          if (nit) result.push(nit)
         } else if (daysDiff > 3) {
-          result.push(new ValidationWarning('DOC_DATE_IN_FUTURE', `The document date is ${daysDiff} days in the future. Is this intentional?`, {
-            ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#date'
-          }))
+          const nit = createNit(NIT_CODES.DOC_DATE_IN_FUTURE, `The document date is ${daysDiff} days in the future. Is this intentional?`, {
+            mode,
+            ...location && { locations: [location] }
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -55,9 +65,8 @@ export async function validateDate (doc, { mode = MODES.NORMAL } = {}) {
     case 'xml': {
       const docDate = get(doc, 'data.rfc.front.date._attr')
       if (!docDate) {
-        result.push(new ValidationWarning('MISSING_DOC_DATE', 'The document date could not be determined.', {
-          ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#date'
-        }))
+        const nit = createNit(NIT_CODES.MISSING_DOC_DATE, 'The document date could not be determined.', { mode })
+        if (nit) result.push(nit)
       } else {
         const dt = DateTime.fromObject({
           year: docDate.year || today.year,
@@ -66,15 +75,17 @@ export async function validateDate (doc, { mode = MODES.NORMAL } = {}) {
         })
         const daysDiff = Math.round(dt.diffNow().as('days'))
         if (daysDiff < -3) {
-          result.push(new ValidationWarning('DOC_DATE_IN_PAST', `The document date is ${daysDiff * -1} days in the past. Is this intentional?`, {
-            ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#date',
+          const nit = createNit(NIT_CODES.DOC_DATE_IN_PAST, `The document date is ${daysDiff * -1} days in the past. Is this intentional?`, {
+            mode,
             path: 'rfc.front.date'
-          }))
+          })
+          if (nit) result.push(nit)
         } else if (daysDiff > 3) {
-          result.push(new ValidationWarning('DOC_DATE_IN_FUTURE', `The document date is ${daysDiff} days in the future. Is this intentional?`, {
-            ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#date',
+          const nit = createNit(NIT_CODES.DOC_DATE_IN_FUTURE, `The document date is ${daysDiff} days in the future. Is this intentional?`, {
+            mode,
             path: 'rfc.front.date'
-          }))
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -101,13 +112,15 @@ export async function validateCategory (doc, { mode = MODES.NORMAL } = {}) {
       const docName = doc.data.slug
 
       if (!docName.startsWith('draft-') && !docCategory) {
-        result.push(new ValidationWarning('MISSING_DOC_CATEGORY', 'The document category attribute is missing on the RFC element.', {
-          ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#category'
-        }))
+        const nit = createNit(NIT_CODES.MISSING_DOC_CATEGORY, 'The document category attribute is missing on the RFC element.', { mode })
+        if (nit) result.push(nit)
       } else if (docCategory && !rfcStatusHierarchy.find(item => item.name.toLowerCase() === docCategory.toLowerCase())) {
-        result.push(new ValidationWarning('INVALID_DOC_CATEGORY', 'The document category has an invalid value. Allowed values are Standards Track, Best Current Practice, Informational, Experimental and Historic.', {
-          ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#category'
-        }))
+        const location = findTextLocation(doc.body, CATEGORY_LINE_RE, getHeaderRange(doc))
+        const nit = createNit(NIT_CODES.INVALID_DOC_CATEGORY, 'The document category has an invalid value. Allowed values are Standards Track, Best Current Practice, Informational, Experimental and Historic.', {
+          mode,
+          ...location && { locations: [location] }
+        })
+        if (nit) result.push(nit)
       }
       break
     }
@@ -115,15 +128,17 @@ export async function validateCategory (doc, { mode = MODES.NORMAL } = {}) {
       const docCategory = get(doc, 'data.rfc._attr.category')
       const docName = get(doc, 'data.rfc._attr.docName')
       if (!docName.startsWith('draft-') && !docCategory) {
-        result.push(new ValidationWarning('MISSING_DOC_CATEGORY', 'The document category attribute is missing on the <rfc> element.', {
-          ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#category',
+        const nit = createNit(NIT_CODES.MISSING_DOC_CATEGORY, 'The document category attribute is missing on the <rfc> element.', {
+          mode,
           path: 'rfc.category'
-        }))
+        })
+        if (nit) result.push(nit)
       } else if (docCategory && !['std', 'bcp', 'info', 'exp', 'historic'].includes(docCategory)) {
-        result.push(new ValidationWarning('INVALID_DOC_CATEGORY', 'The document category has an invalid value. Allowed values are std, bcp, info, exp and historic.', {
-          ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#category',
+        const nit = createNit(NIT_CODES.INVALID_DOC_CATEGORY, 'The document category has an invalid value. Allowed values are std, bcp, info, exp and historic.', {
+          mode,
           path: 'rfc.category'
-        }))
+        })
+        if (nit) result.push(nit)
       }
       break
     }
@@ -138,15 +153,14 @@ export async function validateCategory (doc, { mode = MODES.NORMAL } = {}) {
  * @param {Object} doc Document to validate
  * @param {Object} [opts] Additional options
  * @param {number} [opts.mode=0] Validation mode to use
- * @param {boolean} [opts.offline=false] Disable checks that require an internet connection
+ * @param {boolean} [opts.offline=false] Look up RFCs in the offline data bundle, or skip them without one
+ * @param {Object} [opts.provider] Metadata provider to look up RFCs with, instead of rfc-editor.org / the offline data bundle
  * @returns {Array} List of errors/warnings/comments or empty if fully valid
  */
-export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, offline = false } = {}) {
+export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, offline = false, provider } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
-    return result
-  }
+  const metadataProvider = getProvider({ offline, provider })
 
   switch (doc.type) {
     case 'txt': {
@@ -154,6 +168,8 @@ export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, off
       const obsoletesRfc = doc.data.extractedElements.obsoletesRfc
       const updatesRfc = doc.data.extractedElements.updatesRfc
 
+      const abstractRange = doc.data.markers && { startLine: doc.data.markers.abstract.start, endLine: doc.data.markers.abstract.end || undefined }
+
       const mentionedObsoletesRfcs = [...abstract.matchAll(OBSOLETES_RE)]
         .flatMap(match => (match[0].match(RFC_NUM_RE) || []))
       const mentionedUpdatesRfcs = [...abstract.matchAll(UPDATES_RE)]
@@ -164,120 +180,99 @@ export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, off
       const updatesNotInAbstract = updatesRfc.filter(rfc => !mentionedUpdatesRfcs.includes(rfc))
 
       obsoletesNotInAbstract.forEach(rfc => {
-        result.push(new ValidationComment(
-          'OBSOLETES_NOT_IN_ABSTRACT',
-          `RFC ${rfc} is listed as "obsoleted" in metadata but is not mentioned in the abstract.`,
-          {
-            ref: 'https://authors.ietf.org/en/required-content#abstract'
-          }
-        ))
+        const location = findRfcLocation(doc, OBSOLETES_KEYWORDS, rfc)
+        const nit = createNit(NIT_CODES.OBSOLETES_NOT_IN_ABSTRACT, `RFC ${rfc} is listed as "obsoleted" in metadata but is not mentioned in the abstract.`, {
+          mode,
+          situation: 'txt',
+          ...location && { locations: [location] }
+        })
+        if (nit) result.push(nit)
       })
 
       updatesNotInAbstract.forEach(rfc => {
-        result.push(new ValidationComment(
-          'UPDATES_NOT_IN_ABSTRACT',
-          `RFC ${rfc} is listed as "updated" in metadata but is not mentioned in the abstract.`,
-          {
-            ref: 'https://authors.ietf.org/en/required-content#abstract'
-          }
-        ))
+        const location = findRfcLocation(doc, UPDATES_KEYWORDS, rfc)
+        const nit = createNit(NIT_CODES.UPDATES_NOT_IN_ABSTRACT, `RFC ${rfc} is listed as "updated" in metadata but is not mentioned in the abstract.`, {
+          mode,
+          situation: 'txt',
+          ...location && { locations: [location] }
+        })
+        if (nit) result.push(nit)
       })
 
       const mentionedButNotObsoletes = mentionedObsoletesRfcs.filter(rfc => !obsoletesRfc.includes(rfc))
       const mentionedButNotUpdates = mentionedUpdatesRfcs.filter(rfc => !updatesRfc.includes(rfc))
 
       mentionedButNotObsoletes.forEach(rfc => {
-        result.push(new ValidationComment(
-          'MENTIONED_NOT_IN_OBSOLETES',
-          `RFC ${rfc} is mentioned as "obsoleted" or "replaced" in the abstract but not listed in metadata.`,
-          {
-            ref: 'https://authors.ietf.org/en/required-content#abstract'
-          }
-        ))
+        const location = findRfcLocation(doc, OBSOLETES_KEYWORDS, rfc, abstractRange)
+        const nit = createNit(NIT_CODES.MENTIONED_NOT_IN_OBSOLETES, `RFC ${rfc} is mentioned as "obsoleted" or "replaced" in the abstract but not listed in metadata.`, {
+          mode,
+          ...location && { locations: [location] }
+        })
+        if (nit) result.push(nit)
       })
 
       mentionedButNotUpdates.forEach(rfc => {
-        result.push(new ValidationComment(
-          'MENTIONED_NOT_IN_UPDATES',
-          `RFC ${rfc} is mentioned as "updated" in the abstract but not listed in metadata.`,
-          {
-            ref: 'https://authors.ietf.org/en/required-content#abstract'
-          }
-        ))
+        const location = findRfcLocation(doc, UPDATES_KEYWORDS, rfc, abstractRange)
+        const nit = createNit(NIT_CODES.MENTIONED_NOT_IN_UPDATES, `RFC ${rfc} is mentioned as "updated" in the abstract but not listed in metadata.`, {
+          mode,
+          ...location && { locations: [location] }
+        })
+        if (nit) result.push(nit)
       })
 
-      if (!offline) {
+      if (metadataProvider) {
         // -> Obsoletes an already obsoleted rfc
-        if (mode !== MODES.SUBMISSION && obsoletesRfc.length > 0) {
+        if (obsoletesRfc.length > 0) {
           for (const ref of obsoletesRfc) {
             if (RFC_NUM_RE.test(ref)) {
-              const rfcInfo = await fetchRemoteRfcInfo(ref)
+              const rfcInfo = await metadataProvider.getRfcInfo(ref)
               if (!rfcInfo) {
-                result.push(
-                  new ValidationWarning(
-                    'OBSOLETES_RFC_NOT_FOUND',
-                    `The RFC field states that it obsoletes RFC ${ref} but no matching RFC could be found on rfc-editor.org.`,
-                    {
-                      ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#obsoletes'
-                    }
-                  )
-                )
+                const location = findRfcLocation(doc, OBSOLETES_KEYWORDS, ref)
+                const nit = createNit(NIT_CODES.OBSOLETES_RFC_NOT_FOUND, `The RFC field states that it obsoletes RFC ${ref} but no matching RFC could be found on rfc-editor.org.`, {
+                  mode,
+                  ...location && { locations: [location] }
+                })
+                if (nit) result.push(nit)
               } else if (rfcInfo.obsoleted_by?.length > 0) {
-                result.push(
-                  new ValidationWarning(
-                    'OBSOLETES_OBSOLETED_RFC',
-                    `The RFC field states that it obsoletes RFC ${ref} but it's already obsoleted by RFC ${rfcInfo.obsoleted_by.join(
-                      ', '
-                    )}.`,
-                    {
-                      ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#obsoletes'
-                    }
-                  )
-                )
+                const location = findRfcLocation(doc, OBSOLETES_KEYWORDS, ref)
+                const nit = createNit(NIT_CODES.OBSOLETES_OBSOLETED_RFC, `The RFC field states that it obsoletes RFC ${ref} but it's already obsoleted by RFC ${rfcInfo.obsoleted_by.join(', ')}.`, {
+                  mode,
+                  ...location && { locations: [location] }
+                })
+                if (nit) result.push(nit)
               }
             }
           }
         }
 
         // -> Updates an already obsoleted rfc
-        if (mode !== MODES.SUBMISSION && updatesRfc.length > 0) {
+        if (updatesRfc.length > 0) {
           for (const ref of updatesRfc) {
             if (RFC_NUM_RE.test(ref)) {
-              const rfcInfo = await fetchRemoteRfcInfo(ref)
+              const rfcInfo = await metadataProvider.getRfcInfo(ref)
               if (!rfcInfo) {
-                result.push(
-                  new ValidationWarning(
-                    'UPDATES_RFC_NOT_FOUND',
-                    `The RFC field states that it updates RFC ${ref} but no matching RFC could be found on rfc-editor.org.`,
-                    {
-                      ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#updates'
-                    }
-                  )
-                )
+                const location = findRfcLocation(doc, UPDATES_KEYWORDS, ref)
+                const nit = createNit(NIT_CODES.UPDATES_RFC_NOT_FOUND, `The RFC field states that it updates RFC ${ref} but no matching RFC could be found on rfc-editor.org.`, {
+                  mode,
+                  ...location && { locations: [location] }
+                })
+                if (nit) result.push(nit)
               } else if (rfcInfo.obsoleted_by?.length > 0) {
-                result.push(
-                  new ValidationWarning(
-                    'UPDATES_OBSOLETED_RFC',
-                    `The RFC states that it updates RFC ${ref} but it's already obsoleted by RFC ${rfcInfo.obsoleted_by.join(
-                      ', '
-                    )}.`,
-                    {
-                      ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#updates'
-                    }
-                  )
-                )
+                const location = findRfcLocation(doc, UPDATES_KEYWORDS, ref)
+                const nit = createNit(NIT_CODES.UPDATES_OBSOLETED_RFC, `The RFC states that it updates RFC ${ref} but it's already obsoleted by RFC ${rfcInfo.obsoleted_by.join(', ')}.`, {
+                  mode,
+                  ...location && { locations: [location] }
+                })
+                if (nit) result.push(nit)
               } else if (rfcInfo.updated_by?.length > 0) {
-                result.push(
-                  new ValidationWarning(
-                    'UPDATES_UPDATED_RFC',
-                    `The <rfc> field states that it updates RFC ${ref} but it's already updated by RFC ${rfcInfo.updated_by.join(
+                const location = findRfcLocation(doc, UPDATES_KEYWORDS, ref)
+                const nit = createNit(NIT_CODES.UPDATES_UPDATED_RFC, `The <rfc> field states that it updates RFC ${ref} but it's already updated by RFC ${rfcInfo.updated_by.join(
                       '`, '
-                    )}.`,
-                    {
-                      ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#updates'
-                    }
-                  )
-                )
+                    )}.`, {
+                  mode,
+                  ...location && { locations: [location] }
+                })
+                if (nit) result.push(nit)
               }
             }
           }
@@ -316,10 +311,11 @@ export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, off
       const obsoletesNotInAbs = difference(obsoletesRef, obsoletesAbs)
       if (obsoletesNotInAbs.length > 0) {
         for (const ref of obsoletesNotInAbs) {
-          result.push(new ValidationWarning('OBSOLETES_NOT_IN_ABSTRACT', `The document states that it obsoletes RFC ${ref} but doesn't explicitely mention it in the <abstract> section.`, {
-            ref: 'https://authors.ietf.org/en/required-content#abstract',
+          const nit = createNit(NIT_CODES.OBSOLETES_NOT_IN_ABSTRACT, `The document states that it obsoletes RFC ${ref} but doesn't explicitely mention it in the <abstract> section.`, {
+            mode,
             path: 'rfc.front.abstract'
-          }))
+          })
+          if (nit) result.push(nit)
         }
       }
 
@@ -327,10 +323,11 @@ export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, off
       const obsoletesNotInRef = difference(obsoletesAbs, obsoletesRef)
       if (obsoletesNotInRef.length > 0) {
         for (const ref of obsoletesNotInRef) {
-          result.push(new ValidationWarning('OBSOLETES_NOT_IN_RFC', `The document abstract states that it obsoletes RFC ${ref} but it's not mentionned in the obsoletes <rfc> field.`, {
-            ref: 'https://authors.ietf.org/en/required-content#abstract',
+          const nit = createNit(NIT_CODES.OBSOLETES_NOT_IN_RFC, `The document abstract states that it obsoletes RFC ${ref} but it's not mentionned in the obsoletes <rfc> field.`, {
+            mode,
             path: 'rfc.front.abstract'
-          }))
+          })
+          if (nit) result.push(nit)
         }
       }
 
@@ -338,10 +335,11 @@ export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, off
       const updatesNotInAbs = difference(updatesRef, updatesAbs)
       if (updatesNotInAbs.length > 0) {
         for (const ref of updatesNotInAbs) {
-          result.push(new ValidationWarning('UPDATES_NOT_IN_ABSTRACT', `The document states that it updates RFC ${ref} but doesn't explicitely mention it in the <abstract> section.`, {
-            ref: 'https://authors.ietf.org/en/required-content#abstract',
+          const nit = createNit(NIT_CODES.UPDATES_NOT_IN_ABSTRACT, `The document states that it updates RFC ${ref} but doesn't explicitely mention it in the <abstract> section.`, {
+            mode,
             path: 'rfc.front.abstract'
-          }))
+          })
+          if (nit) result.push(nit)
         }
       }
 
@@ -349,54 +347,60 @@ export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, off
       const updatesNotInRef = difference(updatesAbs, updatesRef)
       if (updatesNotInRef.length > 0) {
         for (const ref of updatesNotInRef) {
-          result.push(new ValidationWarning('UPDATES_NOT_IN_RFC', `The document abstract states that it updates RFC ${ref} but it's not mentionned in the updates <rfc> field.`, {
-            ref: 'https://authors.ietf.org/en/required-content#abstract',
+          const nit = createNit(NIT_CODES.UPDATES_NOT_IN_RFC, `The document abstract states that it updates RFC ${ref} but it's not mentionned in the updates <rfc> field.`, {
+            mode,
             path: 'rfc.front.abstract'
-          }))
+          })
+          if (nit) result.push(nit)
         }
       }
 
-      if (!offline) {
+      if (metadataProvider) {
         // -> Obsoletes an already obsoleted rfc
-        if (mode !== MODES.SUBMISSION && obsoletesRef.length > 0) {
+        if (obsoletesRef.length > 0) {
           for (const ref of obsoletesRef) {
             if (RFC_NUM_RE.test(ref)) {
-              const rfcInfo = await fetchRemoteRfcInfo(ref)
+              const rfcInfo = await metadataProvider.getRfcInfo(ref)
               if (!rfcInfo) {
-                result.push(new ValidationWarning('OBSOLETES_RFC_NOT_FOUND', `The <rfc> field states that it obsoletes RFC ${ref} but no matching RFC could be found on rfc-editor.org.`, {
-                  ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#obsoletes',
+                const nit = createNit(NIT_CODES.OBSOLETES_RFC_NOT_FOUND, `The <rfc> field states that it obsoletes RFC ${ref} but no matching RFC could be found on rfc-editor.org.`, {
+                  mode,
                   path: 'rfc.obsoletes'
-                }))
+                })
+                if (nit) result.push(nit)
               } else if (rfcInfo.obsoleted_by?.length > 0) {
-                result.push(new ValidationWarning('OBSOLETES_OSOLETED_RFC', `The <rfc> field states that it obsoletes RFC ${ref} but it's already obsoleted by RFC ${rfcInfo.obsoleted_by.join(', ')}.`, {
-                  ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#obsoletes',
+                const nit = createNit(NIT_CODES.OBSOLETES_OBSOLETED_RFC, `The <rfc> field states that it obsoletes RFC ${ref} but it's already obsoleted by RFC ${rfcInfo.obsoleted_by.join(', ')}.`, {
+                  mode,
                   path: 'rfc.obsoletes'
-                }))
+                })
+                if (nit) result.push(nit)
               }
             }
           }
         }
 
         // -> Updates an already obsoleted rfc
-        if (mode !== MODES.SUBMISSION && updatesRef.length > 0) {
+        if (updatesRef.length > 0) {
           for (const ref of updatesRef) {
             if (RFC_NUM_RE.test(ref)) {
-              const rfcInfo = await fetchRemoteRfcInfo(ref)
+              const rfcInfo = await metadataProvider.getRfcInfo(ref)
               if (!rfcInfo) {
-                result.push(new ValidationWarning('UPDATES_RFC_NOT_FOUND', `The <rfc> field states that it updates RFC ${ref} but no matching RFC could be found on rfc-editor.org.`, {
-                  ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#updates',
+                const nit = createNit(NIT_CODES.UPDATES_RFC_NOT_FOUND, `The <rfc> field states that it updates RFC ${ref} but no matching RFC could be found on rfc-editor.org.`, {
+                  mode,
                   path: 'rfc.updates'
-                }))
+                })
+                if (nit) result.push(nit)
               } else if (rfcInfo.obsoleted_by?.length > 0) {
-                result.push(new ValidationWarning('UPDATES_OSOLETED_RFC', `The <rfc> field states that it updates RFC ${ref} but it's already obsoleted by RFC ${rfcInfo.obsoleted_by.join(', ')}.`, {
-                  ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#updates',
+                const nit = createNit(NIT_CODES.UPDATES_OBSOLETED_RFC, `The <rfc> field states that it updates RFC ${ref} but it's already obsoleted by RFC ${rfcInfo.obsoleted_by.join(', ')}.`, {
+                  mode,
                   path: 'rfc.updates'
-                }))
+                })
+                if (nit) result.push(nit)
               } else if (rfcInfo.updated_by?.length > 0) {
-                result.push(new ValidationWarning('UPDATES_UPDATED_RFC', `The <rfc> field states that it updates RFC ${ref} but it's already updated by RFC ${rfcInfo.updated_by.join(', ')}.`, {
-                  ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#updates',
+                const nit = createNit(NIT_CODES.UPDATES_UPDATED_RFC, `The <rfc> field states that it updates RFC ${ref} but it's already updated by RFC ${rfcInfo.updated_by.join(', ')}.`, {
+                  mode,
                   path: 'rfc.updates'
-                }))
+                })
+                if (nit) result.push(nit)
               }
             }
           }
@@ -415,13 +419,15 @@ export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, off
  * @param {Object} doc Document to validate
  * @param {Object} [opts] Additional options
  * @param {number} [opts.mode=0] Validation mode to use
- * @param {boolean} [opts.offline=false] Disable checks that require an internet connection
+ * @param {boolean} [opts.offline=false] Look up the latest version in the offline data bundle, or skip the check without one
+ * @param {Object} [opts.provider] Metadata provider to look up the latest version with, instead of Datatracker / the offline data bundle
  * @returns {Array} List of errors/warnings/comments or empty if fully valid
  */
-export async function validateVersion (doc, { mode = MODES.NORMAL, offline = false } = {}) {
+export async function validateVersion (doc, { mode = MODES.NORMAL, offline = false, provider } = {}) {
   const result = []
 
-  if (offline) {
+  const metadataProvider = getProvider({ offline, provider })
+  if (!metadataProvider) {
     return result
   }
 
@@ -430,19 +436,36 @@ export async function validateVersion (doc, { mode = MODES.NORMAL, offline = fal
       const docName = doc.data.slug
       const versionMatch = docName.match(VERSION_SUFFIX_RE)
       if (versionMatch?.[1]) {
-        const docInfo = await fetchRemoteDocInfo(docName)
+        const location = doc.data.markers && findTextLocation(doc.body, docName, { startLine: doc.data.markers.slug, endLine: doc.data.markers.slug })
+        const docInfo = await metadataProvider.getDocInfo(docName)
         if (docInfo && docInfo.rev) {
           const latestVersion = parseInt(docInfo.rev)
           const docVersion = parseInt(versionMatch[1])
           if (latestVersion === docVersion) {
-            result.push(new ValidationWarning('DUPLICATE_DOC_VERSION', 'A document with this version already exists.'))
+            const nit = createNit(NIT_CODES.DUPLICATE_DOC_VERSION, 'A document with this version already exists.', {
+              mode,
+              ...location && { locations: [location] }
+            })
+            if (nit) result.push(nit)
           } else if (latestVersion > docVersion) {
-            result.push(new ValidationWarning('UNEXPECTED_DOC_VERSION', `The document version is unexpected. The latest version is ${latestVersion} but your document is ${docVersion}.`))
+            const nit = createNit(NIT_CODES.UNEXPECTED_DOC_VERSION, `The document version is unexpected. The latest version is ${latestVersion} but your document is ${docVersion}.`, {
+              mode,
+              ...location && { locations: [location] }
+            })
+            if (nit) result.push(nit)
           } else if (docVersion > latestVersion + 1) {
-            result.push(new ValidationWarning('UNEXPECTED_DOC_VERSION', `The document version is unexpected. The latest version is ${latestVersion} but your document is ${docVersion} and leaves a gap.`))
+            const nit = createNit(NIT_CODES.UNEXPECTED_DOC_VERSION, `The document version is unexpected. The latest version is ${latestVersion} but your document is ${docVersion} and leaves a gap.`, {
+              mode,
+              ...location && { locations: [location] }
+            })
+            if (nit) result.push(nit)
           }
         } else if (versionMatch[1] !== '00') {
-          result.push(new ValidationWarning('UNEXPECTED_DOC_VERSION', 'The document version is unexpected. As no document already exists, it should be version 00.'))
+          const nit = createNit(NIT_CODES.UNEXPECTED_DOC_VERSION, 'The document version is unexpected. As no document already exists, it should be version 00.', {
+            mode,
+            ...location && { locations: [location] }
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -451,27 +474,35 @@ export async function validateVersion (doc, { mode = MODES.NORMAL, offline = fal
       const docName = get(doc, 'data.rfc._attr.docName')
       const versionMatch = docName.match(VERSION_SUFFIX_RE)
       if (versionMatch?.[1]) {
-        const docInfo = await fetchRemoteDocInfo(docName)
+        const docInfo = await metadataProvider.getDocInfo(docName)
         if (docInfo && docInfo.rev) {
           const latestVersion = parseInt(docInfo.rev)
           const docVersion = parseInt(versionMatch[1])
           if (latestVersion === docVersion) {
-            result.push(new ValidationWarning('DUPLICATE_DOC_VERSION', 'A document with this version already exists.', {
+            const nit = createNit(NIT_CODES.DUPLICATE_DOC_VERSION, 'A document with this version already exists.', {
+              mode,
               path: 'rfc.docName'
-            }))
+            })
+            if (nit) result.push(nit)
           } else if (latestVersion > docVersion) {
-            result.push(new ValidationWarning('UNEXPECTED_DOC_VERSION', `The document version is unexpected. The latest version is ${latestVersion} but your document is ${docVersion}.`, {
+            const nit = createNit(NIT_CODES.UNEXPECTED_DOC_VERSION, `The document version is unexpected. The latest version is ${latestVersion} but your document is ${docVersion}.`, {
+              mode,
               path: 'rfc.docName'
-            }))
+            })
+            if (nit) result.push(nit)
           } else if (docVersion > latestVersion + 1) {
-            result.push(new ValidationWarning('UNEXPECTED_DOC_VERSION', `The document version is unexpected. The latest version is ${latestVersion} but your document is ${docVersion} and leaves a gap.`, {
+            const nit = createNit(NIT_CODES.UNEXPECTED_DOC_VERSION, `The document version is unexpected. The latest version is ${latestVersion} but your document is ${docVersion} and leaves a gap.`, {
+              mode,
               path: 'rfc.docName'
-            }))
+            })
+            if (nit) result.push(nit)
           }
         } else if (versionMatch[1] !== '00') {
-          result.push(new ValidationWarning('UNEXPECTED_DOC_VERSION', 'The document version is unexpected. As no document already exists, it should be version 00.', {
+          const nit = createNit(NIT_CODES.UNEXPECTED_DOC_VERSION, 'The document version is unexpected. As no document already exists, it should be version 00.', {
+            mode,
             path: 'rfc.docName'
-          }))
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -480,3 +511,26 @@ export async function validateVersion (doc, { mode = MODES.NORMAL, offline = fal
 
   return result
 }
+
+/**
+ * Get the line range of the header of a TXT document
+ *
+ * @param {Object} doc Document to validate
+ * @returns {Object} Line range to search, if the header was found
+ */
+function getHeaderRange (doc) {
+  return doc.data.markers && { startLine: doc.data.markers.header.start, endLine: doc.data.markers.header.end }
+}
+
+/**
+ * Find the location of an RFC number following obsoletes or updates keywords in a TXT document
+ *
+ * @param {Object} doc Document to validate
+ * @param {string} keywords Alternation of the keywords to look for
+ * @param {string} rfc RFC number
+ * @param {Object} [range] Line range to search
+ * @returns {Object} Location of the RFC number, null if not found
+ */
+function findRfcLocation (doc, keywords, rfc, range) {
+  return findTextLocation(doc.body, new RegExp(`(?<=\\b(?:${keywords})\\b.*)\\b${rfc}\\b`, 'i'), range)
+}
@@ -1,7 +1,9 @@
 /* eslint-disable no-control-regex */
 
 import { detect } from 'jschardet'
-import { ValidationComment, ValidationError, ValidationWarning } from '../helpers/error.mjs'
+import { createLocation } from '../helpers/location.mjs'
+import { createNit } from '../helpers/severity.mjs'
+import { NIT_CODES } from '../config/codes.mjs'
 import { MODES } from '../config/modes.mjs'
 
 const INVALID_CTRL_CHARS_RE = /[\x01-\x09\x0b\x0e-\x1f]+/g
@@ -22,21 +24,18 @@ export async function validateContent (data, { mode = MODES.NORMAL } = {}) {
   for (const line of data.split('\n')) {
     // Check for invalid control characters
     for (const ctrlMatch of line.matchAll(INVALID_CTRL_CHARS_RE)) {
-      invalidCtrlCharLines.push({
-        line: lineIdx,
-        pos: ctrlMatch.index
-      })
+      invalidCtrlCharLines.push(createLocation(lineIdx, ctrlMatch.index + 1, {
+        length: ctrlMatch[0].length,
+        excerpt: line
+      }))
     }
 
     lineIdx++
   }
 
   if (invalidCtrlCharLines.length > 0) {
-    if (mode === MODES.NORMAL) {
-      result.push(new ValidationError('INVALID_CTRL_CODES', 'Document contains control characters other than LF, CR or FF.', { lines: invalidCtrlCharLines }))
-    } else if (mode === MODES.FORGIVE_CHECKLIST) {
-      result.push(new ValidationWarning('INVALID_CTRL_CODES', 'Document contains control characters other than LF, CR or FF.', { lines: invalidCtrlCharLines }))
-    }
+    const nit = createNit(NIT_CODES.INVALID_CTRL_CODES, 'Document contains control characters other than LF, CR or FF.', { mode, locations: invalidCtrlCharLines })
+    if (nit) result.push(nit)
   }
 
   return result
@@ -57,15 +56,11 @@ export async function validateEncoding (raw, { mode = MODES.NORMAL } = {}) {
   if (detected.encoding === 'ascii') {
     // valid
   } else if (detected.encoding === 'UTF-8') {
-    if ([MODES.NORMAL, MODES.FORGIVE_CHECKLIST].includes(mode)) {
-      result.push(new ValidationComment('NON_ASCII_UTF8', 'Review RFC7997 to ensure your document respects UTF-8 rules for non-ASCII.', { ref: 'https://datatracker.ietf.org/doc/html/rfc7997#section-3' }))
-    }
+    const nit = createNit(NIT_CODES.NON_ASCII_UTF8, 'Review RFC7997 to ensure your document respects UTF-8 rules for non-ASCII.', { mode })
+    if (nit) result.push(nit)
   } else {
-    if (mode === MODES.NORMAL) {
-      result.push(new ValidationError('INVALID_ENCODING', `Document should be encoded using UTF-8, but detected ${detected.encoding}.`, { ref: 'https://datatracker.ietf.org/doc/html/rfc7997' }))
-    } else if (mode === MODES.FORGIVE_CHECKLIST) {
-      result.push(new ValidationWarning('INVALID_ENCODING', `Document should be encoded using UTF-8, but detected ${detected.encoding}.`, { ref: 'https://datatracker.ietf.org/doc/html/rfc7997' }))
-    }
+    const nit = createNit(NIT_CODES.INVALID_ENCODING, `Document should be encoded using UTF-8, but detected ${detected.encoding}.`, { mode })
+    if (nit) result.push(nit)
   }
 
   return result
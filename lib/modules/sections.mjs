@@ -1,4 +1,6 @@
-import { ValidationComment, ValidationError, ValidationWarning } from '../helpers/error.mjs'
+import { findTextLocation, lineToLocation } from '../helpers/location.mjs'
+import { createNit } from '../helpers/severity.mjs'
+import { NIT_CODES } from '../config/codes.mjs'
 import { MODES } from '../config/modes.mjs'
 import { XML_SCHEMA } from '../config/schema.mjs'
 import { find, get, has, isPlainObject } from 'lodash-es'
@@ -19,13 +21,15 @@ export async function validateAbstractSection (doc, { mode = MODES.NORMAL } = {}
   switch (doc.type) {
     case 'txt': {
       if (!doc.data.markers.abstract.start) {
-        result.push(new ValidationError('MISSING_ABSTRACT_SECTION', 'The abstract section is missing.', {
-          ref: 'https://authors.ietf.org/required-content#abstract'
-        }))
+        const nit = createNit(NIT_CODES.MISSING_ABSTRACT_SECTION, 'The abstract section is missing.', { mode })
+        if (nit) result.push(nit)
       } else if (!doc.data.content.abstract || doc.data.content.abstract.length < 2) {
-        result.push(new ValidationError('EMPTY_ABSTRACT_SECTION', 'The abstract section is present but contains no meaningful content.', {
-          ref: 'https://authors.ietf.org/required-content#abstract'
-        }))
+        const location = getHeadingLocation(doc, 'abstract')
+        const nit = createNit(NIT_CODES.EMPTY_ABSTRACT_SECTION, 'The abstract section is present but contains no meaningful content.', {
+          mode,
+          ...location && { locations: [location] }
+        })
+        if (nit) result.push(nit)
       } else {
         const abstractContent = doc.data.content.abstract.join(' ') || ''
         const updatesRfc = doc.data.extractedElements?.updatesRfc || []
@@ -40,97 +44,65 @@ export async function validateAbstractSection (doc, { mode = MODES.NORMAL } = {}
         const notAllowedRfcReferences = rfcMatches.filter(rfc => !updatesRfc.includes(rfc) && !obsoletesRfc.includes(rfc))
 
         if (notAllowedRfcReferences.length > 0) {
-          switch (mode) {
-            case MODES.NORMAL: {
-              result.push(new ValidationError('INVALID_ABSTRACT_SECTION_REF', 'The abstract section should not contain references to RFCs.', {
-                ref: 'https://authors.ietf.org/required-content#abstract'
-              }))
-              break
-            }
-            case MODES.FORGIVE_CHECKLIST: {
-              result.push(new ValidationWarning('INVALID_ABSTRACT_SECTION_REF', 'The abstract section should not contain references to RFCs.', {
-                ref: 'https://authors.ietf.org/required-content#abstract'
-              }))
-              break
-            }
-          }
+          const location = findTextLocation(doc.body, new RegExp(`\\[RFC${notAllowedRfcReferences[0]}\\]`, 'i'), getSectionRange(doc, 'abstract'))
+          const nit = createNit(NIT_CODES.INVALID_ABSTRACT_SECTION_REF, 'The abstract section should not contain references to RFCs.', {
+            mode,
+            ...location && { locations: [location] }
+          })
+          if (nit) result.push(nit)
         }
 
         if (urlPattern.test(abstractContent)) {
-          switch (mode) {
-            case MODES.NORMAL: {
-              result.push(new ValidationError('INVALID_ABSTRACT_SECTION_URL', 'The abstract section should not contain URLs.', {
-                ref: 'https://authors.ietf.org/required-content#abstract'
-              }))
-              break
-            }
-            case MODES.FORGIVE_CHECKLIST: {
-              result.push(new ValidationWarning('INVALID_ABSTRACT_SECTION_URL', 'The abstract section should not contain URLs.', {
-                ref: 'https://authors.ietf.org/required-content#abstract'
-              }))
-              break
-            }
-          }
+          const location = findTextLocation(doc.body, urlPattern, getSectionRange(doc, 'abstract'))
+          const nit = createNit(NIT_CODES.INVALID_ABSTRACT_SECTION_URL, 'The abstract section should not contain URLs.', {
+            mode,
+            ...location && { locations: [location] }
+          })
+          if (nit) result.push(nit)
         }
 
         if (sectionReferencePattern.test(abstractContent)) {
-          switch (mode) {
-            case MODES.NORMAL: {
-              result.push(new ValidationError('INVALID_ABSTRACT_SECTION_REF', 'The abstract section should not contain references to sections or appendices.', {
-                ref: 'https://authors.ietf.org/required-content#abstract'
-              }))
-              break
-            }
-            case MODES.FORGIVE_CHECKLIST: {
-              result.push(new ValidationWarning('INVALID_ABSTRACT_SECTION_REF', 'The abstract section should not contain references to sections or appendices.', {
-                ref: 'https://authors.ietf.org/required-content#abstract'
-              }))
-              break
-            }
-          }
+          const location = findTextLocation(doc.body, sectionReferencePattern, getSectionRange(doc, 'abstract'))
+          const nit = createNit(NIT_CODES.INVALID_ABSTRACT_SECTION_REF, 'The abstract section should not contain references to sections or appendices.', {
+            mode,
+            ...location && { locations: [location] }
+          })
+          if (nit) result.push(nit)
         }
       }
       break
     }
     case 'xml': {
       if (!has(doc, 'data.rfc.front.abstract')) {
-        result.push(new ValidationError('MISSING_ABSTRACT_SECTION', 'The abstract section is missing.', {
-          ref: 'https://authors.ietf.org/required-content#abstract',
+        const nit = createNit(NIT_CODES.MISSING_ABSTRACT_SECTION, 'The abstract section is missing.', {
+          mode,
           path: 'rfc.front.abstract'
-        }))
+        })
+        if (nit) result.push(nit)
       } else if (!isPlainObject(doc.data.rfc.front.abstract) || Object.keys(doc.data.rfc.front.abstract).length < 1) {
-        result.push(new ValidationError('INVALID_ABSTRACT_SECTION', 'The abstract section must consist of at least 1 <dl>, <ol>, <t> or <ul> element.', {
-          ref: 'https://www.rfc-editor.org/rfc/rfc7991.html#section-2.1',
+        const nit = createNit(NIT_CODES.INVALID_ABSTRACT_SECTION, 'The abstract section must consist of at least 1 <dl>, <ol>, <t> or <ul> element.', {
+          mode,
           path: 'rfc.front.abstract'
-        }))
+        })
+        if (nit) result.push(nit)
       } else {
         for (const key of Object.keys(doc.data.rfc.front.abstract)) {
           if (!XML_SCHEMA.abstract.allowedChildren.includes(key)) {
-            result.push(new ValidationError('INVALID_ABSTRACT_SECTION_CHILD', 'The abstract section must consist of <dl>, <ol>, <t> or <ul> elements only.', {
-              ref: 'https://www.rfc-editor.org/rfc/rfc7991.html#section-2.1',
+            const nit = createNit(NIT_CODES.INVALID_ABSTRACT_SECTION_CHILD, 'The abstract section must consist of <dl>, <ol>, <t> or <ul> elements only.', {
+              mode,
               path: `rfc.front.abstract.${key}`
-            }))
+            })
+            if (nit) result.push(nit)
             break
           }
         }
         const refEntryFound = findDescendantWith(doc.data.rfc.front.abstract, (v, k) => { return k === 'xref' })
         if (refEntryFound) {
-          switch (mode) {
-            case MODES.NORMAL: {
-              result.push(new ValidationError('INVALID_ABSTRACT_SECTION_REF', 'The abstract section should not contain references.', {
-                ref: 'https://authors.ietf.org/required-content#abstract',
-                path: `rfc.front.abstract.${refEntryFound.path.join('.')}`
-              }))
-              break
-            }
-            case MODES.FORGIVE_CHECKLIST: {
-              result.push(new ValidationWarning('INVALID_ABSTRACT_SECTION_REF', 'The abstract section should not contain references.', {
-                ref: 'https://authors.ietf.org/required-content#abstract',
-                path: `rfc.front.abstract.${refEntryFound.path.join('.')}`
-              }))
-              break
-            }
-          }
+          const nit = createNit(NIT_CODES.INVALID_ABSTRACT_SECTION_REF, 'The abstract section should not contain references.', {
+            mode,
+            path: `rfc.front.abstract.${refEntryFound.path.join('.')}`
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -156,52 +128,22 @@ export async function validateIntroductionSection (doc, { mode = MODES.NORMAL }
       const markers = doc.data.markers
 
       if (!markers.header.start || !markers.title) {
-        result.push(
-          new ValidationError(
-            'INVALID_DOCUMENT_STRUCTURE',
-            'The document is missing a valid header or title, making further validation impossible.',
-            {
-              ref: 'https://authors.ietf.org/en/required-content#introduction'
-            }
-          )
-        )
+        const nit = createNit(NIT_CODES.INVALID_DOCUMENT_STRUCTURE, 'The document is missing a valid header or title, making further validation impossible.', { mode })
+        if (nit) result.push(nit)
         break
       }
 
       if (!doc.data.markers.introduction.start) {
-        switch (mode) {
-          case MODES.NORMAL: {
-            result.push(new ValidationError(
-              'MISSING_INTRODUCTION_SECTION',
-              'The first section is missing. Expected "Introduction", "Overview", or "Background".',
-              {
-                ref: 'https://authors.ietf.org/en/required-content#introduction'
-              }
-            ))
-            break
-          }
-          case MODES.FORGIVE_CHECKLIST: {
-            result.push(new ValidationWarning(
-              'MISSING_INTRODUCTION_SECTION',
-              'The first section is missing. Expected "Introduction", "Overview", or "Background".',
-              {
-                ref: 'https://authors.ietf.org/en/required-content#introduction'
-              }
-            ))
-            break
-          }
-        }
+        const nit = createNit(NIT_CODES.MISSING_INTRODUCTION_SECTION, 'The first section is missing. Expected "Introduction", "Overview", or "Background".', { mode })
+        if (nit) result.push(nit)
       } else {
         if (doc.data.content.introduction.length < 2) {
-          result.push(
-            new ValidationError(
-              'EMPTY_INTRODUCTION_SECTION',
-              'The first section is present but contains no meaningful content.',
-              {
-                ref: 'https://authors.ietf.org/en/required-content#introduction'
-              }
-            )
-          )
+          const location = getHeadingLocation(doc, 'introduction')
+          const nit = createNit(NIT_CODES.EMPTY_INTRODUCTION_SECTION, 'The first section is present but contains no meaningful content.', {
+            mode,
+            ...location && { locations: [location] }
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -210,32 +152,18 @@ export async function validateIntroductionSection (doc, { mode = MODES.NORMAL }
       const sections = get(doc, 'data.rfc.middle.section', [])
       const introSection = find(sections, s => ['Introduction', 'Overview', 'Background'].includes(s.name))
       if (!introSection) {
-        switch (mode) {
-          case MODES.NORMAL: {
-            result.push(new ValidationError('MISSING_INTRODUCTION_SECTION', 'The introduction section is missing.', {
-              ref: 'https://authors.ietf.org/en/required-content#introduction'
-            }))
-            break
-          }
-          case MODES.FORGIVE_CHECKLIST: {
-            result.push(new ValidationWarning('MISSING_INTRODUCTION_SECTION', 'The introduction section is missing.', {
-              ref: 'https://authors.ietf.org/en/required-content#introduction'
-            }))
-            break
-          }
-        }
+        const nit = createNit(NIT_CODES.MISSING_INTRODUCTION_SECTION, 'The introduction section is missing.', { mode })
+        if (nit) result.push(nit)
       } else {
         const childrenTypes = Object.keys(introSection).filter(k => k !== 'name' && k !== '_attr')
         if (childrenTypes.length < 1) {
-          result.push(new ValidationError('INVALID_INTRODUCTION_SECTION', 'The introduction section is empty.', {
-            ref: 'https://authors.ietf.org/en/required-content#introduction'
-          }))
+          const nit = createNit(NIT_CODES.INVALID_INTRODUCTION_SECTION, 'The introduction section is empty.', { mode })
+          if (nit) result.push(nit)
         } else {
           for (const key of childrenTypes) {
             if (!XML_SCHEMA.section.allowedChildren.includes(key)) {
-              result.push(new ValidationError('INVALID_INTRODUCTION_SECTION_CHILD', `The introduction section must consist of ${XML_SCHEMA.section.allowedChildren.map(e => '<' + e + '>').join(', ')} elements only.`, {
-                ref: 'https://www.rfc-editor.org/rfc/rfc7991.html#section-2.46'
-              }))
+              const nit = createNit(NIT_CODES.INVALID_INTRODUCTION_SECTION_CHILD, `The introduction section must consist of ${XML_SCHEMA.section.allowedChildren.map(e => '<' + e + '>').join(', ')} elements only.`, { mode })
+              if (nit) result.push(nit)
               break
             }
           }
@@ -262,39 +190,16 @@ export async function validateSecurityConsiderationsSection (doc, { mode = MODES
   switch (doc.type) {
     case 'txt': {
       if (!doc.data.markers.securityConsiderations.start) {
-        switch (mode) {
-          case MODES.NORMAL: {
-            result.push(new ValidationError(
-              'MISSING_SECURITY_CONSIDERATIONS_SECTION',
-              'The security considerations section is missing.',
-              {
-                ref: 'https://authors.ietf.org/en/required-content#security-considerations'
-              }
-            ))
-            break
-          }
-          case MODES.FORGIVE_CHECKLIST: {
-            result.push(new ValidationWarning(
-              'MISSING_SECURITY_CONSIDERATIONS_SECTION',
-              'The security considerations section is missing.',
-              {
-                ref: 'https://authors.ietf.org/en/required-content#security-considerations'
-              }
-            ))
-            break
-          }
-        }
+        const nit = createNit(NIT_CODES.MISSING_SECURITY_CONSIDERATIONS_SECTION, 'The security considerations section is missing.', { mode })
+        if (nit) result.push(nit)
       } else {
         if (doc.data.content.securityConsiderations.length < 2) {
-          result.push(
-            new ValidationError(
-              'EMPTY_SECURITY_CONSIDERATIONS_SECTION',
-              'The security considerations section is present but contains no meaningful content.',
-              {
-                ref: 'https://authors.ietf.org/en/required-content#security-considerations'
-              }
-            )
-          )
+          const location = getHeadingLocation(doc, 'securityConsiderations')
+          const nit = createNit(NIT_CODES.EMPTY_SECURITY_CONSIDERATIONS_SECTION, 'The security considerations section is present but contains no meaningful content.', {
+            mode,
+            ...location && { locations: [location] }
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -303,32 +208,18 @@ export async function validateSecurityConsiderationsSection (doc, { mode = MODES
       const sections = get(doc, 'data.rfc.middle.section', [])
       const secSection = find(sections, s => ['Security Considerations'].includes(s.name))
       if (!secSection) {
-        switch (mode) {
-          case MODES.NORMAL: {
-            result.push(new ValidationError('MISSING_SECURITY_CONSIDERATIONS_SECTION', 'The security considerations section is missing.', {
-              ref: 'https://authors.ietf.org/en/required-content#security-considerations'
-            }))
-            break
-          }
-          case MODES.FORGIVE_CHECKLIST: {
-            result.push(new ValidationWarning('MISSING_SECURITY_CONSIDERATIONS_SECTION', 'The security considerations section is missing.', {
-              ref: 'https://authors.ietf.org/en/required-content#security-considerations'
-            }))
-            break
-          }
-        }
+        const nit = createNit(NIT_CODES.MISSING_SECURITY_CONSIDERATIONS_SECTION, 'The security considerations section is missing.', { mode })
+        if (nit) result.push(nit)
       } else {
         const childrenTypes = Object.keys(secSection).filter(k => k !== 'name' && k !== '_attr')
         if (childrenTypes.length < 1) {
-          result.push(new ValidationError('INVALID_SECURITY_CONSIDERATIONS_SECTION', 'The security considerations section is empty.', {
-            ref: 'https://authors.ietf.org/en/required-content#security-considerations'
-          }))
+          const nit = createNit(NIT_CODES.INVALID_SECURITY_CONSIDERATIONS_SECTION, 'The security considerations section is empty.', { mode })
+          if (nit) result.push(nit)
         } else {
           for (const key of childrenTypes) {
             if (!XML_SCHEMA.section.allowedChildren.includes(key)) {
-              result.push(new ValidationError('INVALID_SECURITY_CONSIDERATIONS_SECTION_CHILD', `The security considerations section must consist of ${XML_SCHEMA.section.allowedChildren.map(e => '<' + e + '>').join(', ')} elements only.`, {
-                ref: 'https://www.rfc-editor.org/rfc/rfc7991.html#section-2.46'
-              }))
+              const nit = createNit(NIT_CODES.INVALID_SECURITY_CONSIDERATIONS_SECTION_CHILD, `The security considerations section must consist of ${XML_SCHEMA.section.allowedChildren.map(e => '<' + e + '>').join(', ')} elements only.`, { mode })
+              if (nit) result.push(nit)
               break
             }
           }
@@ -352,53 +243,24 @@ export async function validateSecurityConsiderationsSection (doc, { mode = MODES
 export async function validateAuthorSection (doc, { mode = MODES.NORMAL } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
-    return result
-  }
-
   switch (doc.type) {
     case 'txt': {
       if (!doc.data.markers.authorAddress.start) {
-        switch (mode) {
-          case MODES.NORMAL:
-            result.push(
-              new ValidationError(
-                'MISSING_AUTHOR_SECTION',
-                'The author section is missing.',
-                {
-                  ref: 'https://authors.ietf.org/en/required-content#authors-addresses'
-                }
-              )
-            )
-            break
-          case MODES.FORGIVE_CHECKLIST:
-            result.push(
-              new ValidationWarning(
-                'MISSING_AUTHOR_SECTION',
-                'The author section is missing.',
-                {
-                  ref: 'https://authors.ietf.org/en/required-content#authors-addresses'
-                }
-              )
-            )
-            break
-        }
+        const nit = createNit(NIT_CODES.MISSING_AUTHOR_SECTION, 'The author section is missing.', { mode })
+        if (nit) result.push(nit)
       } else {
         const authorSectionTitle = doc.data.content.authorAddress[0]?.trim()
 
         if (authorSectionTitle) {
           const invalidPossessiveMark = /[^a-z\s\u2018\u2019\u201B'`] (Addresses|contact information)$/i.test(authorSectionTitle)
           if (invalidPossessiveMark) {
-            result.push(
-              new ValidationWarning(
-                'MISUSED_POSSESSIVE_MARK',
-                `The author's address section title "${authorSectionTitle}" uses an incorrect possessive mark or character other than a single quote.`,
-                {
-                  ref: 'https://authors.ietf.org/en/required-content#authors-addresses',
-                  path: 'data.content.authorAddress[0]'
-                }
-              )
-            )
+            const location = getHeadingLocation(doc, 'authorAddress')
+            const nit = createNit(NIT_CODES.MISUSED_POSSESSIVE_MARK, `The author's address section title "${authorSectionTitle}" uses an incorrect possessive mark or character other than a single quote.`, {
+              mode,
+              path: 'data.content.authorAddress[0]',
+              ...location && { locations: [location] }
+            })
+            if (nit) result.push(nit)
           }
         }
       }
@@ -411,54 +273,47 @@ export async function validateAuthorSection (doc, { mode = MODES.NORMAL } = {})
         authors = [authors]
       }
       if (!authors || authors.length < 1) {
-        switch (mode) {
-          case MODES.NORMAL: {
-            result.push(new ValidationError('MISSING_AUTHOR_SECTION', 'The author section is missing.', {
-              ref: 'https://authors.ietf.org/en/required-content#authors-addresses'
-            }))
-            break
-          }
-          case MODES.FORGIVE_CHECKLIST: {
-            result.push(new ValidationWarning('MISSING_AUTHOR_SECTION', 'The author section is missing.', {
-              ref: 'https://authors.ietf.org/en/required-content#authors-addresses'
-            }))
-            break
-          }
-        }
+        const nit = createNit(NIT_CODES.MISSING_AUTHOR_SECTION, 'The author section is missing.', { mode })
+        if (nit) result.push(nit)
       } else {
         if (authors.length > 5) {
-          result.push(new ValidationComment('TOO_MANY_AUTHORS', 'There are more than 5 authors / editors.  If there is a need to list more, discuss the need with the relevant stream leadership as early in the process as possible. For the IETF stream, consult an Area Director.', {
-            ref: 'https://authors.ietf.org/en/required-content#authors-addresses',
+          const nit = createNit(NIT_CODES.TOO_MANY_AUTHORS, 'There are more than 5 authors / editors.  If there is a need to list more, discuss the need with the relevant stream leadership as early in the process as possible. For the IETF stream, consult an Area Director.', {
+            mode,
             path: 'rfc.front.author'
-          }))
+          })
+          if (nit) result.push(nit)
         }
         let idx = 0
         for (const author of authors) {
           const hasOrg = has(author, 'organization')
           const orgName = has(author, 'organization.#text') ? author.organization['#text'].trim() : author?.organization?.trim()
           if (hasOrg && orgName?.length < 1) {
-            result.push(new ValidationWarning('EMPTY_AUTHOR_ORGANIZATION', 'The author organization is defined but empty.', {
-              ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#author',
+            const nit = createNit(NIT_CODES.EMPTY_AUTHOR_ORGANIZATION, 'The author organization is defined but empty.', {
+              mode,
               path: `rfc.front.author[${idx}].organization`
-            }))
+            })
+            if (nit) result.push(nit)
           }
           if (!hasOrg && !author?._attr?.fullname) {
-            result.push(new ValidationWarning('MISSING_AUTHOR_FULLNAME', 'The author fullname attribute is missing.', {
-              ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#author',
+            const nit = createNit(NIT_CODES.MISSING_AUTHOR_FULLNAME, 'The author fullname attribute is missing.', {
+              mode,
               path: `rfc.front.author[${idx}].fullname`
-            }))
+            })
+            if (nit) result.push(nit)
           }
           if ((has(author, '_attr.asciiFullname') || has(author, '_attr.asciiInitials') || has(author, '_attr.asciiSurname')) && !author?._attr?.fullname) {
-            result.push(new ValidationWarning('MISSING_AUTHOR_FULLNAME_WITH_ASCII', 'An author ascii[Fullname|Initials|Surname] attribute is defined but the fullname attribute is missing.', {
-              ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#author',
+            const nit = createNit(NIT_CODES.MISSING_AUTHOR_FULLNAME_WITH_ASCII, 'An author ascii[Fullname|Initials|Surname] attribute is defined but the fullname attribute is missing.', {
+              mode,
               path: `rfc.front.author[${idx}].fullname`
-            }))
+            })
+            if (nit) result.push(nit)
           }
           if (has(author, 'role') && author?.role !== 'editor') {
-            result.push(new ValidationWarning('INVALID_AUTHOR_ROLE', 'The author role attribute is defined but has an invalid value. Should be "editor".', {
-              ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#author',
+            const nit = createNit(NIT_CODES.INVALID_AUTHOR_ROLE, 'The author role attribute is defined but has an invalid value. Should be "editor".', {
+              mode,
               path: `rfc.front.author[${idx}].editor`
-            }))
+            })
+            if (nit) result.push(nit)
           }
           idx++
         }
@@ -481,69 +336,21 @@ export async function validateAuthorSection (doc, { mode = MODES.NORMAL } = {})
 export async function validateReferencesSection (doc, { mode = MODES.NORMAL } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
-    return result
-  }
-
   switch (doc.type) {
     case 'txt': {
       const referencesContent = doc.data.content.references
 
       if (!doc.data.markers.references.start) {
-        switch (mode) {
-          case MODES.NORMAL: {
-            result.push(
-              new ValidationError(
-                'MISSING_REFERENCES_SECTION',
-                'The references section is missing',
-                {
-                  ref: 'https://authors.ietf.org/required-content#references'
-                }
-              )
-            )
-            break
-          }
-          case MODES.FORGIVE_CHECKLIST: {
-            result.push(
-              new ValidationWarning(
-                'MISSING_REFERENCES_SECTION',
-                'The references section is missing',
-                {
-                  ref: 'https://authors.ietf.org/required-content#references'
-                }
-              )
-            )
-            break
-          }
-        }
+        const nit = createNit(NIT_CODES.MISSING_REFERENCES_SECTION, 'The references section is missing', { mode })
+        if (nit) result.push(nit)
         break
       } else if (referencesContent.length < 2) {
-        switch (mode) {
-          case MODES.NORMAL: {
-            result.push(
-              new ValidationError(
-                'EMPTY_REFERENCES_SECTION',
-                'The references section is present but contains no meaningful content.',
-                {
-                  ref: 'https://authors.ietf.org/required-content#references'
-                }
-              )
-            )
-            break
-          }
-          case MODES.FORGIVE_CHECKLIST: {
-            result.push(
-              new ValidationWarning(
-                'EMPTY_REFERENCES_SECTION',
-                'The references section is present but contains no meaningful content.',
-                {
-                  ref: 'https://authors.ietf.org/required-content#references'
-                }
-              )
-            )
-            break
-          }
-        }
+        const location = getHeadingLocation(doc, 'references')
+        const nit = createNit(NIT_CODES.EMPTY_REFERENCES_SECTION, 'The references section is present but contains no meaningful content.', {
+          mode,
+          ...location && { locations: [location] }
+        })
+        if (nit) result.push(nit)
       }
 
       const subsectionPattern = /^\d+\.\d+\.\s+(.+)$/i
@@ -559,63 +366,18 @@ export async function validateReferencesSection (doc, { mode = MODES.NORMAL } =
       }
 
       if (subsections.length === 0) {
-        switch (mode) {
-          case MODES.NORMAL: {
-            result.push(
-              new ValidationError(
-                'MISSING_REFERENCES_SUBSECTIONS',
-                'The references section does not contain any valid subsections.',
-                {
-                  ref: 'https://authors.ietf.org/required-content#references'
-                }
-              )
-            )
-            break
-          }
-          case MODES.FORGIVE_CHECKLIST: {
-            result.push(
-              new ValidationWarning(
-                'MISSING_REFERENCES_SUBSECTIONS',
-                'The references section does not contain any valid subsections.',
-                {
-                  ref: 'https://authors.ietf.org/required-content#references'
-                }
-              )
-            )
-            break
-          }
-        }
+        const nit = createNit(NIT_CODES.MISSING_REFERENCES_SUBSECTIONS, 'The references section does not contain any valid subsections.', { mode })
+        if (nit) result.push(nit)
       } else {
         for (const subsection of subsections) {
           if (!normativePattern.test(subsection) && !informativePattern.test(subsection)) {
-            switch (mode) {
-              case MODES.NORMAL: {
-                result.push(
-                  new ValidationError(
-                    'UNCLASSIFIED_REFERENCES_SUBSECTION',
-                    `The subsection "${subsection}" is not classified as Normative or Informative.`,
-                    {
-                      ref: 'https://authors.ietf.org/required-content#references',
-                      line: subsection
-                    }
-                  )
-                )
-                break
-              }
-              case MODES.FORGIVE_CHECKLIST: {
-                result.push(
-                  new ValidationWarning(
-                    'UNCLASSIFIED_REFERENCES_SUBSECTION',
-                    `The subsection "${subsection}" is not classified as Normative or Informative.`,
-                    {
-                      ref: 'https://authors.ietf.org/required-content#references',
-                      line: subsection
-                    }
-                  )
-                )
-                break
-              }
-            }
+            const location = findTextLocation(doc.body, subsection, getSectionRange(doc, 'references'))
+            const nit = createNit(NIT_CODES.UNCLASSIFIED_REFERENCES_SUBSECTION, `The subsection "${subsection}" is not classified as Normative or Informative.`, {
+              mode,
+              line: subsection,
+              ...location && { locations: [location] }
+            })
+            if (nit) result.push(nit)
           }
         }
       }
@@ -631,42 +393,20 @@ export async function validateReferencesSection (doc, { mode = MODES.NORMAL } =
         let idx = 0
         for (const refs of refsSections) {
           if (!refs._attr?.title) {
-            switch (mode) {
-              case MODES.NORMAL: {
-                result.push(new ValidationError('MISSING_REFERENCES_TITLE', 'The references section is missing a title attribute.', {
-                  ref: 'https://authors.ietf.org/required-content#references',
-                  path: `rfc.back.references[${idx}].title`
-                }))
-                break
-              }
-              case MODES.FORGIVE_CHECKLIST: {
-                result.push(new ValidationWarning('MISSING_REFERENCES_TITLE', 'The references section is missing a title attribute.', {
-                  ref: 'https://authors.ietf.org/required-content#references',
-                  path: `rfc.back.references[${idx}].title`
-                }))
-                break
-              }
-            }
+            const nit = createNit(NIT_CODES.MISSING_REFERENCES_TITLE, 'The references section is missing a title attribute.', {
+              mode,
+              path: `rfc.back.references[${idx}].title`
+            })
+            if (nit) result.push(nit)
             continue
           }
           const titleAttr = refs._attr.title.toLowerCase()
           if (!(titleAttr.indexOf('informative') >= 0 || titleAttr.indexOf('normative') >= 0)) {
-            switch (mode) {
-              case MODES.NORMAL: {
-                result.push(new ValidationError('INVALID_REFERENCES_TITLE', 'The references section title attribute should be Normative or Informative.', {
-                  ref: 'https://authors.ietf.org/required-content#references',
-                  path: `rfc.back.references[${idx}].title`
-                }))
-                break
-              }
-              case MODES.FORGIVE_CHECKLIST: {
-                result.push(new ValidationWarning('INVALID_REFERENCES_TITLE', 'The references section title attribute should be Normative or Informative.', {
-                  ref: 'https://authors.ietf.org/required-content#references',
-                  path: `rfc.back.references[${idx}].title`
-                }))
-                break
-              }
-            }
+            const nit = createNit(NIT_CODES.INVALID_REFERENCES_TITLE, 'The references section title attribute should be Normative or Informative.', {
+              mode,
+              path: `rfc.back.references[${idx}].title`
+            })
+            if (nit) result.push(nit)
           }
           idx++
         }
@@ -694,34 +434,20 @@ export async function validateIANAConsiderationsSection (doc, { mode = MODES.NOR
       const IANAConsiderationsSection = doc.data.content.ianaConsiderations
 
       if (!IANAConsiderationsSection?.length) {
-        if (doc.docKind === 'rfc') {
-          if (mode === MODES.NORMAL || mode === MODES.FORGIVE_CHECKLIST) {
-            result.push(new ValidationComment('MISSING_IANA_CONSIDERATIONS_SECTION', 'The IANA considerations section is missing.', {
-              ref: 'https://authors.ietf.org/en/required-content#iana-considerations'
-            }))
-          }
-        } else {
-          switch (mode) {
-            case MODES.NORMAL: {
-              result.push(new ValidationError('MISSING_IANA_CONSIDERATIONS_SECTION', 'The IANA considerations section is missing.', {
-                ref: 'https://authors.ietf.org/en/required-content#iana-considerations'
-              }))
-              break
-            }
-            case MODES.FORGIVE_CHECKLIST: {
-              result.push(new ValidationWarning('MISSING_IANA_CONSIDERATIONS_SECTION', 'The IANA considerations section is missing.', {
-                ref: 'https://authors.ietf.org/en/required-content#iana-considerations'
-              }))
-              break
-            }
-          }
-        }
+        const nit = createNit(NIT_CODES.MISSING_IANA_CONSIDERATIONS_SECTION, 'The IANA considerations section is missing.', {
+          mode,
+          situation: doc.docKind === 'rfc' ? 'rfc' : undefined
+        })
+        if (nit) result.push(nit)
       } else {
         const childrenTypes = IANAConsiderationsSection.filter(line => line.trim() !== '').slice(1)
         if (childrenTypes.length < 1) {
-          result.push(new ValidationError('INVALID_IANA_CONSIDERATIONS_SECTION', 'The IANA considerations section is empty.', {
-            ref: 'https://authors.ietf.org/en/required-content#iana-considerations'
-          }))
+          const location = getHeadingLocation(doc, 'ianaConsiderations')
+          const nit = createNit(NIT_CODES.INVALID_IANA_CONSIDERATIONS_SECTION, 'The IANA considerations section is empty.', {
+            mode,
+            ...location && { locations: [location] }
+          })
+          if (nit) result.push(nit)
         }
       }
       break
@@ -730,40 +456,21 @@ export async function validateIANAConsiderationsSection (doc, { mode = MODES.NOR
       const sections = get(doc, 'data.rfc.middle.section', [])
       const secSection = find(sections, s => ['IANA Considerations'].includes(s.name))
       if (!secSection) {
-        if (doc.docKind === 'rfc') {
-          if (mode === MODES.NORMAL || mode === MODES.FORGIVE_CHECKLIST) {
-            result.push(new ValidationComment('MISSING_IANA_CONSIDERATIONS_SECTION', 'The IANA considerations section is missing.', {
-              ref: 'https://authors.ietf.org/en/required-content#iana-considerations'
-            }))
-          }
-        } else {
-          switch (mode) {
-            case MODES.NORMAL: {
-              result.push(new ValidationError('MISSING_IANA_CONSIDERATIONS_SECTION', 'The IANA considerations section is missing.', {
-                ref: 'https://authors.ietf.org/en/required-content#iana-considerations'
-              }))
-              break
-            }
-            case MODES.FORGIVE_CHECKLIST: {
-              result.push(new ValidationWarning('MISSING_IANA_CONSIDERATIONS_SECTION', 'The IANA considerations section is missing.', {
-                ref: 'https://authors.ietf.org/en/required-content#iana-considerations'
-              }))
-              break
-            }
-          }
-        }
+        const nit = createNit(NIT_CODES.MISSING_IANA_CONSIDERATIONS_SECTION, 'The IANA considerations section is missing.', {
+          mode,
+          situation: doc.docKind === 'rfc' ? 'rfc' : undefined
+        })
+        if (nit) result.push(nit)
       } else {
         const childrenTypes = Object.keys(secSection).filter(k => k !== 'name' && k !== '_attr')
         if (childrenTypes.length < 1) {
-          result.push(new ValidationError('INVALID_IANA_CONSIDERATIONS_SECTION', 'The IANA considerations section is empty.', {
-            ref: 'https://authors.ietf.org/en/required-content#iana-considerations'
-          }))
+          const nit = createNit(NIT_CODES.INVALID_IANA_CONSIDERATIONS_SECTION, 'The IANA considerations section is empty.', { mode })
+          if (nit) result.push(nit)
         } else {
           for (const key of childrenTypes) {
             if (!XML_SCHEMA.section.allowedChildren.includes(key)) {
-              result.push(new ValidationError('INVALID_IANA_CONSIDERATIONS_SECTION_CHILD', `The security considerations section must consist of ${XML_SCHEMA.section.allowedChildren.map(e => '<' + e + '>').join(', ')} elements only.`, {
-                ref: 'https://www.rfc-editor.org/rfc/rfc7991.html#section-2.46'
-              }))
+              const nit = createNit(NIT_CODES.INVALID_IANA_CONSIDERATIONS_SECTION_CHILD, `The security considerations section must consist of ${XML_SCHEMA.section.allowedChildren.map(e => '<' + e + '>').join(', ')} elements only.`, { mode })
+              if (nit) result.push(nit)
               break
             }
           }
@@ -793,18 +500,19 @@ export async function validateReferencesInText (doc, { mode = MODES.NORMAL } = {
 
   switch (doc.type) {
     case 'txt': {
-      const declaredReferences = [...doc.data.extractedElements.referenceSectionRfc.map((el) => el.value), ...doc.data.extractedElements.referenceSectionDraftReferences.map((el) => el.value)]
+      const declaredReferences = [...doc.data.extractedElements.referenceSectionRfc, ...doc.data.extractedElements.referenceSectionDraftReferences]
       const mentionedReferences = [...doc.data.extractedElements.nonReferenceSectionRfc, ...doc.data.extractedElements.nonReferenceSectionDraftReferences]
 
       // Find references declared but not used
-      const unusedReferences = declaredReferences.filter(ref => !mentionedReferences.includes(ref))
-
-      unusedReferences.forEach(ref => {
-        result.push(new ValidationWarning(
-          'REFERENCE_NOT_USED',
-          `The reference RFC ${ref} is listed in the References section but is not mentioned in the document text.`,
-          { ref: 'https://authors.ietf.org/en/required-content#references' }
-        ))
+      const unusedReferences = declaredReferences.filter(el => !mentionedReferences.includes(el.value))
+
+      unusedReferences.forEach(el => {
+        const location = el.line && lineToLocation(el)
+        const nit = createNit(NIT_CODES.REFERENCE_NOT_USED, `The reference RFC ${el.value} is listed in the References section but is not mentioned in the document text.`, {
+          mode,
+          ...location && { locations: [location] }
+        })
+        if (nit) result.push(nit)
       })
 
       break
@@ -827,11 +535,8 @@ export async function validateReferencesInText (doc, { mode = MODES.NORMAL } = {
       const unusedReferences = definedReferences.filter(ref => !usedReferences.includes(ref))
 
       unusedReferences.forEach(ref => {
-        result.push(new ValidationWarning(
-          'REFERENCE_NOT_USED',
-          `The reference ${ref} is listed in the References section but is not mentioned in the document text.`,
-          { ref: 'https://authors.ietf.org/en/required-content#references' }
-        ))
+        const nit = createNit(NIT_CODES.REFERENCE_NOT_USED, `The reference ${ref} is listed in the References section but is not mentioned in the document text.`, { mode })
+        if (nit) result.push(nit)
       })
 
       break
@@ -840,3 +545,28 @@ export async function validateReferencesInText (doc, { mode = MODES.NORMAL } = {
 
   return result
 }
+
+/**
+ * Get the line range of a section of a TXT document
+ *
+ * @param {Object} doc Document to validate
+ * @param {string} section Name of the section marker
+ * @returns {Object} Line range to search, if the section was found
+ */
+function getSectionRange (doc, section) {
+  const marker = doc.data.markers?.[section]
+  return marker?.start && { startLine: marker.start, endLine: marker.end || undefined }
+}
+
+/**
+ * Find the location of the heading of a section of a TXT document
+ *
+ * @param {Object} doc Document to validate
+ * @param {string} section Name of the section marker
+ * @returns {Object} Location of the heading, null if not found
+ */
+function getHeadingLocation (doc, section) {
+  const line = doc.data.markers?.[section]?.start
+  const heading = doc.data.content?.[section]?.[0]
+  return line && heading ? findTextLocation(doc.body, heading, { startLine: line, endLine: line }) : null
+}
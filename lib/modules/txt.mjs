@@ -1,4 +1,6 @@
-import { ValidationError, ValidationWarning } from '../helpers/error.mjs'
+import { createLocation, lineToLocation } from '../helpers/location.mjs'
+import { createNit } from '../helpers/severity.mjs'
+import { NIT_CODES } from '../config/codes.mjs'
 import { MODES } from '../config/modes.mjs'
 
 /**
@@ -15,26 +17,23 @@ export async function validateLineLength (doc, { mode = MODES.NORMAL } = {}) {
   let idx = 1
   let longestLineNum = 0
   let longestLineLength = 72
+  let longestLine = ''
   for (const line of doc.body.split('\n')) {
     if (line.length > longestLineLength) {
       longestLineNum = idx
       longestLineLength = line.length
+      longestLine = line
     }
     idx++
   }
 
   if (longestLineNum > 0) {
-    if (mode === MODES.NORMAL) {
-      result.push(new ValidationError('LINE_TOO_LONG', 'The document contains over-long lines of more than 72 characters.', {
-        lines: [{ line: longestLineNum, pos: longestLineLength }],
-        ref: 'https://authors.ietf.org/en/drafting-in-plaintext#checklist'
-      }))
-    } else {
-      result.push(new ValidationWarning('LINE_TOO_LONG', 'The document contains over-long lines of more than 72 characters.', {
-        lines: [{ line: longestLineNum, pos: longestLineLength }],
-        ref: 'https://authors.ietf.org/en/drafting-in-plaintext#checklist'
-      }))
-    }
+    const nit = createNit(NIT_CODES.LINE_TOO_LONG, 'The document contains over-long lines of more than 72 characters.', {
+      mode,
+      // Range of the characters past the 72nd column
+      locations: [createLocation(longestLineNum, 73, { endColumn: longestLineLength + 1, excerpt: longestLine })]
+    })
+    if (nit) result.push(nit)
   }
 
   return result
@@ -52,17 +51,11 @@ export async function validateLineExtraSpacing (doc, { mode = MODES.NORMAL } = {
   const result = []
 
   if (doc.data.possibleIssues.linesWithSpaces.length > 50) {
-    if (mode === MODES.NORMAL) {
-      result.push(new ValidationError('RAGGED_RIGHT', 'The document does not appear to be ragged-right (more than 50 lines of intra-line extra spacing).', {
-        lines: doc.data.possibleIssues.linesWithSpaces.map((obj) => obj),
-        ref: 'https://authors.ietf.org/en/drafting-in-plaintext#checklist'
-      }))
-    } else if (mode === MODES.FORGIVE_CHECKLIST) {
-      result.push(new ValidationWarning('RAGGED_RIGHT', 'The document does not appear to be ragged-right (more than 50 lines of intra-line extra spacing).', {
-        lines: doc.data.possibleIssues.linesWithSpaces.map((obj) => obj),
-        ref: 'https://authors.ietf.org/en/drafting-in-plaintext#checklist'
-      }))
-    }
+    const nit = createNit(NIT_CODES.RAGGED_RIGHT, 'The document does not appear to be ragged-right (more than 50 lines of intra-line extra spacing).', {
+      mode,
+      locations: doc.data.possibleIssues.linesWithSpaces.map(lineToLocation)
+    })
+    if (nit) result.push(nit)
   }
 
   return result
@@ -82,10 +75,11 @@ export async function validateCodeComments (doc, { mode = MODES.NORMAL } = {}) {
   const outOfBlockInlineComments = doc.data.possibleIssues.inlineCode
 
   if (doc.data.possibleIssues.inlineCode.length > 0) {
-    result.push(new ValidationWarning('COMMENT_OUT_OF_CODE_BLOCK', 'Found something which looks like a code comment -- if you have code sections in the document, please surround them with \'<CODE BEGINS>\' and \'<CODE ENDS>\' lines.', {
-      lines: outOfBlockInlineComments.map((obj) => ({ line: obj.line, pos: obj.pos })),
-      ref: 'https://datatracker.ietf.org/doc/rfc8879'
-    }))
+    const nit = createNit(NIT_CODES.COMMENT_OUT_OF_CODE_BLOCK, 'Found something which looks like a code comment -- if you have code sections in the document, please surround them with \'<CODE BEGINS>\' and \'<CODE ENDS>\' lines.', {
+      mode,
+      locations: outOfBlockInlineComments.map(lineToLocation)
+    })
+    if (nit) result.push(nit)
   }
 
   return result
@@ -102,15 +96,9 @@ export async function validateCodeComments (doc, { mode = MODES.NORMAL } = {}) {
 export async function validateCodeBlockLicenses (doc, { mode = MODES.NORMAL } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) return result
-
   if (doc.data.contains.codeBlocks && !doc.data.contains.revisedBsdLicense) {
-    result.push(new ValidationWarning(
-      'CODE_BLOCK_MISSING_LICENSE',
-      'A code-block is detected, but the document does not contain a license declaration.',
-      {
-        ref: 'https://trustee.ietf.org/license-info'
-      }))
+    const nit = createNit(NIT_CODES.CODE_BLOCK_MISSING_LICENSE, 'A code-block is detected, but the document does not contain a license declaration.', { mode })
+    if (nit) result.push(nit)
   }
 
   return result
@@ -1,9 +1,12 @@
-import { ValidationError, ValidationWarning } from '../helpers/error.mjs'
+import { createNit } from '../helpers/severity.mjs'
+import { createFix } from '../helpers/fix.mjs'
+import { findSourceElement } from '../parsers/xml.mjs'
+import { NIT_CODES } from '../config/codes.mjs'
 import { MODES } from '../config/modes.mjs'
 import { XML_SCHEMA } from '../config/schema.mjs'
-import { get, has, last } from 'lodash-es'
+import { get, has } from 'lodash-es'
 import { findAllDescendantsWith, traverseAll } from '../helpers/traversal.mjs'
-import { fetchRemoteDocInfo } from '../helpers/remote.mjs'
+import { getProvider } from '../remote/providers.mjs'
 
 const TEXT_REFS_RE = /\[(?:RFC)?[0-9]+\]/gi
 
@@ -24,10 +27,12 @@ export async function detectDeprecatedElements (doc, { mode = MODES.NORMAL } = {
   if (entriesFound.length > 0) {
     for (const entry of entriesFound) {
       const schemaElement = XML_SCHEMA._deprecated[entry.key]
-      result.push(new ValidationWarning('DEPRECATED_ELEMENT', `The <${entry.key}> element is deprecated. ${schemaElement.suggestion}`, {
-        ref: schemaElement.ref,
-        path: `rfc.${entry.path.join('.')}`
-      }))
+      const nit = createNit(NIT_CODES.DEPRECATED_ELEMENT, `The <${entry.key}> element is deprecated. ${schemaElement.suggestion}`, {
+        mode,
+        path: `rfc.${entry.path.join('.')}`,
+        fix: schemaElement.replacement && createElementReplacementFix(doc, entry, schemaElement.replacement)
+      })
+      if (nit) result.push(nit)
     }
   }
 
@@ -51,12 +56,29 @@ export async function validateIprAttribute (doc, { mode = MODES.NORMAL } = {}) {
     'noDerivativesTrust200902'
   ]
 
+  const rfcElement = doc.sourceTree && findSourceElement(doc.sourceTree, 'rfc')
+
   if (!has(doc, 'data.rfc._attr.ipr')) {
-    result.push(new ValidationError('MISSING_IPR_ATTRIBUTE', 'The ipr attribute is missing from the <rfc> element.', { ref: 'https://authors.ietf.org/en/required-content#copyright-notice' }))
+    const nit = createNit(NIT_CODES.MISSING_IPR_ATTRIBUTE, 'The ipr attribute is missing from the <rfc> element.', {
+      mode,
+      ...rfcElement && {
+        fix: createFix('Add ipr="trust200902"', [{ start: rfcElement.start + '<rfc'.length, end: rfcElement.start + '<rfc'.length, text: ' ipr="trust200902"' }])
+      }
+    })
+    if (nit) result.push(nit)
   } else if (!allowedValues.includes(doc.data.rfc._attr.ipr)) {
-    result.push(new ValidationWarning('INVALID_IPR_VALUE', 'The ipr attribute should be one of "trust200902", "noModificationTrust200902", "noDerivativesTrust200902", or "pre5378Trust200902".', { ref: 'https://authors.ietf.org/en/required-content#copyright-notice' }))
+    // Fix the case of a known value, otherwise use the value required for the IETF stream
+    const ipr = allowedValues.find(v => v.toLowerCase() === String(doc.data.rfc._attr.ipr).toLowerCase()) ?? 'trust200902'
+    const nit = createNit(NIT_CODES.INVALID_IPR_VALUE, 'The ipr attribute should be one of "trust200902", "noModificationTrust200902", "noDerivativesTrust200902", or "pre5378Trust200902".', {
+      mode,
+      ...rfcElement?.attributes.ipr && {
+        fix: createFix(`Set ipr="${ipr}"`, [{ ...rfcElement.attributes.ipr, text: `ipr="${ipr}"` }])
+      }
+    })
+    if (nit) result.push(nit)
   } else if (get(doc, 'data.rfc._attr.submissionType') && ['noDerivativesTrust200902', 'noModificationTrust200902'].includes(doc.data.rfc._attr.ipr)) {
-    result.push(new ValidationError('FORBIDDEN_IPR_VALUE_FOR_STREAM', 'The ipr attribute cannot be "noDerivativesTrust200902" or "noModificationTrust200902" when document is a stream.', { ref: 'https://authors.ietf.org/en/required-content#copyright-notice' }))
+    const nit = createNit(NIT_CODES.FORBIDDEN_IPR_VALUE_FOR_STREAM, 'The ipr attribute cannot be "noDerivativesTrust200902" or "noModificationTrust200902" when document is a stream.', { mode })
+    if (nit) result.push(nit)
   }
 
   return result
@@ -73,22 +95,20 @@ export async function validateIprAttribute (doc, { mode = MODES.NORMAL } = {}) {
 export async function validateCodeBlocks (doc, { mode = MODES.NORMAL } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
-    return result
-  }
-
   await traverseAll(doc.data, (v, k, p) => {
     if (typeof v === 'string' && v.toLowerCase().includes('<code begins>')) {
       if (k === 'sourcecode') {
-        result.push(new ValidationWarning('UNNECESSARY_CODE_BEGINS', 'The text inside a <sourcecode> tag contains the string <CODE BEGINS>. This is unnecessary and may duplicate what a presentation format converter will produce.', {
-          ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#sourcecode',
+        const nit = createNit(NIT_CODES.UNNECESSARY_CODE_BEGINS, 'The text inside a <sourcecode> tag contains the string <CODE BEGINS>. This is unnecessary and may duplicate what a presentation format converter will produce.', {
+          mode,
           path: `rfc.${[...p, k].join('.')}`
-        }))
+        })
+        if (nit) result.push(nit)
       } else {
-        result.push(new ValidationWarning('MISSING_SOURCECODE_TAG', 'Consider using the <sourcecode> tag instead of <CODE BEGINS> for code blocks.', {
-          ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#sourcecode',
+        const nit = createNit(NIT_CODES.MISSING_SOURCECODE_TAG, 'Consider using the <sourcecode> tag instead of <CODE BEGINS> for code blocks.', {
+          mode,
           path: `rfc.${[...p, k].join('.')}`
-        }))
+        })
+        if (nit) result.push(nit)
       }
     }
   })
@@ -107,16 +127,13 @@ export async function validateCodeBlocks (doc, { mode = MODES.NORMAL } = {}) {
 export async function validateTextLikeRefs (doc, { mode = MODES.NORMAL } = {}) {
   const result = []
 
-  if (mode === MODES.SUBMISSION) {
-    return result
-  }
-
   await traverseAll(doc.data, (v, k, p) => {
     if (typeof v === 'string' && v.match(TEXT_REFS_RE)) {
-      result.push(new ValidationWarning('TEXT_DOC_REF', 'Text occurs that looks like a text-document reference (e.g. [1] or [RFC...]). A reference should instead use an <eref> tag.', {
-        ref: 'https://authors.ietf.org/en/references-in-rfcxml',
+      const nit = createNit(NIT_CODES.TEXT_DOC_REF, 'Text occurs that looks like a text-document reference (e.g. [1] or [RFC...]). A reference should instead use an <eref> tag.', {
+        mode,
         path: `rfc.${[...p, k].join('.')}`
-      }))
+      })
+      if (nit) result.push(nit)
     }
   })
 
@@ -129,10 +146,13 @@ export async function validateTextLikeRefs (doc, { mode = MODES.NORMAL } = {}) {
  * @param {Object} doc Document to validate
  * @param {Object} [opts] Additional options
  * @param {number} [opts.mode=0] Validation mode to use
+ * @param {boolean} [opts.offline=false] Skip the comparison with the stream of the existing version, unless looked up with a provider
+ * @param {Object} [opts.provider] Metadata provider to look up the existing version with, instead of Datatracker
  * @returns {Array} List of errors/warnings/comments or empty if fully valid
  */
-export async function validateSubmissionType (doc, { mode = MODES.NORMAL, offline = false } = {}) {
+export async function validateSubmissionType (doc, { mode = MODES.NORMAL, offline = false, provider } = {}) {
   const result = []
+  const metadataProvider = getProvider({ offline, provider })
 
   const submissionType = get(doc, 'data.rfc._attr.submissionType')?.toLowerCase()
   const filenameStream = doc.filename?.split('.')[0]?.split('-')?.[1]
@@ -140,35 +160,39 @@ export async function validateSubmissionType (doc, { mode = MODES.NORMAL, offlin
 
   // -> Check submissionType value
   if (submissionType && !['ietf', 'iab', 'irtf', 'independent', 'editorial'].includes(submissionType)) {
-    result.push(new ValidationError('SUBMISSION_TYPE_INVALID', 'The document stream specified in the rfc tag is invalid. Should be either IETF, IAB, IRTF, independent or editorial.', {
-      ref: 'https://www.rfc-editor.org/rfc/rfc7841.html',
+    const nit = createNit(NIT_CODES.SUBMISSION_TYPE_INVALID, 'The document stream specified in the rfc tag is invalid. Should be either IETF, IAB, IRTF, independent or editorial.', {
+      mode,
       path: 'rfc.submissionType'
-    }))
+    })
+    if (nit) result.push(nit)
   // -> Check filename stream === submissionType (if not independent / editorial)
   } else if (['iab', 'irtf'].includes(filenameStream) && submissionType !== filenameStream) {
-    result.push(new ValidationError('SUBMISSION_TYPE_MISMATCH', 'The document stream specified in the rfc tag doesn\'t match the stream from the filename.', {
-      ref: 'https://www.rfc-editor.org/rfc/rfc7841.html',
+    const nit = createNit(NIT_CODES.SUBMISSION_TYPE_MISMATCH, 'The document stream specified in the rfc tag doesn\'t match the stream from the filename.', {
+      mode,
       path: 'rfc.submissionType'
-    }))
+    })
+    if (nit) result.push(nit)
   // -> Check for existing doc stream mismatch
-  } else if (!offline && docName) {
-    const docInfo = await fetchRemoteDocInfo(docName)
+  } else if (metadataProvider && docName) {
+    const docInfo = await metadataProvider.getDocInfo(docName)
 
-    // -> Existing version on Datatracker
-    if (docInfo) {
-      const existingStream = docInfo.stream && last(docInfo.stream.split('/').filter(p => p))
+    // -> Existing version on Datatracker (the stream is unknown in the offline data bundle)
+    if (docInfo && docInfo.stream !== undefined) {
+      const existingStream = docInfo.stream
       // -> Existing has no stream but doc specifies one
       if (!existingStream && ['ietf', 'iab', 'irtf'].includes(submissionType)) {
-        result.push(new ValidationError('SUBMISSION_TYPE_UNEXPECTED', 'A document stream is specified in the rfc tag but the existing version has no stream on Datatracker. Is this intentional?', {
-          ref: 'https://www.rfc-editor.org/rfc/rfc7841.html',
+        const nit = createNit(NIT_CODES.SUBMISSION_TYPE_UNEXPECTED, 'A document stream is specified in the rfc tag but the existing version has no stream on Datatracker. Is this intentional?', {
+          mode,
           path: 'rfc.submissionType'
-        }))
+        })
+        if (nit) result.push(nit)
       // -> Existing stream doesn't match submission type
       } else if (existingStream && ['ietf', 'iab', 'irtf'].includes(submissionType) && submissionType !== existingStream) {
-        result.push(new ValidationError('SUBMISSION_TYPE_UNEXPECTED', 'The document stream specified in the rfc tag does not match the existing version on Datatracker.', {
-          ref: 'https://www.rfc-editor.org/rfc/rfc7841.html',
+        const nit = createNit(NIT_CODES.SUBMISSION_TYPE_UNEXPECTED, 'The document stream specified in the rfc tag does not match the existing version on Datatracker.', {
+          mode,
           path: 'rfc.submissionType'
-        }))
+        })
+        if (nit) result.push(nit)
       }
     }
   }
@@ -200,3 +224,40 @@ export async function validateXMLBoilerplate (doc, { mode = MODES.NORMAL } = {})
 
   return result
 }
+
+/**
+ * Create a fix replacing deprecated elements with their replacement element, keeping their content
+ *
+ * @param {Object} doc Document to fix
+ * @param {Object} entry Deprecated element(s) found, with their key, value and path
+ * @param {Object} replacement Replacement definition of XML_SCHEMA._deprecated
+ * @returns {Object} Fix or undefined if an element has no replacement or cannot be found in the source
+ */
+function createElementReplacementFix (doc, { key, value, path }, replacement) {
+  if (!doc.sourceTree) {
+    return
+  }
+  const parent = findSourceElement(doc.sourceTree, ['rfc', ...path.slice(0, -1)].join('.'))
+  const values = Array.isArray(value) ? value : [value]
+  const elements = parent?.children.filter(c => c.name === key) ?? []
+  if (elements.length !== values.length) {
+    return
+  }
+
+  const edits = []
+  const names = new Set()
+  for (const [idx, element] of elements.entries()) {
+    const name = replacement.elements[get(values[idx], `_attr.${replacement.attribute}`, replacement.defaultValue)]
+    if (!name) {
+      return
+    }
+    names.add(name)
+    if (element.end === element.openEnd) {
+      edits.push({ start: element.start, end: element.end, text: `<${name}/>` })
+    } else {
+      edits.push({ start: element.start, end: element.openEnd, text: `<${name}>` })
+      edits.push({ start: doc.body.lastIndexOf('</', element.end - 1), end: element.end, text: `</${name}>` })
+    }
+  }
+  return createFix(`Replace <${key}> with <${[...names].join('>, <')}>`, edits)
+}
@@ -1,4 +1,6 @@
+import { CODES, NIT_CODES } from '../config/codes.mjs'
 import { ValidationError } from '../helpers/error.mjs'
+import { extractTxtSuppressions } from '../helpers/suppressions.mjs'
 import { DateTime } from 'luxon'
 import { FQDN_RE } from '../modules/fqdn.mjs'
 import { IPV6_LOOSE_RE } from '../modules/ip.mjs'
@@ -115,6 +117,7 @@ const UPDATES_RE = /updates\s*:\s*((?:rfc\s*[0-9]+(?:,|\s|and)*\s*)+)/gi
  * @property {Object} data Parsed TXT tree
  * @property {string} docKind Whether the document is an Internet Draft (draft) or an RFC (rfc)
  * @property {string} filename Filename of the document
+ * @property {Object[]} suppressions Array of idnits-disable / idnits-enable line directives
  * @property {string} type Document file type (txt)
  * @property {number} version Document version number (2 or 3)
  * @property {string} versionCertainty Whether the version was explicity specified (strict) or guessed (guess)
@@ -228,6 +231,8 @@ export async function parse (rawText, filename) {
 
     for (const line of rawText.split('\n')) {
       const trimmedLine = line.trim()
+      // Matches in the trimmed line are offset by the indentation to get their column
+      const indent = line.length - line.trimStart().length
       lineIdx++
 
       // Page Break
@@ -254,7 +259,11 @@ export async function parse (rawText, filename) {
           if (rfcNumber && !data.extractedElements.referenceSectionRfc.find((el) => el.value === rfcNumber)) {
             data.extractedElements.referenceSectionRfc.push({
               value: rfcNumber,
-              subsection: currentSubSection
+              subsection: currentSubSection,
+              line: lineIdx,
+              pos: indent + rfcMatch.index + 1,
+              length: rfcMatch[0].length,
+              excerpt: line
             })
           }
         }
@@ -271,7 +280,11 @@ export async function parse (rawText, filename) {
           if (!data.extractedElements.referenceSectionDraftReferences.find((el) => el.value === draftName)) {
             data.extractedElements.referenceSectionDraftReferences.push({
               value: draftName,
-              subsection: currentSubSection
+              subsection: currentSubSection,
+              line: lineIdx,
+              pos: indent + draftMatch.index + 1,
+              length: draftName.length,
+              excerpt: line
             })
           }
         }
@@ -294,12 +307,13 @@ export async function parse (rawText, filename) {
       // Check for invalid keyword combinations
       const invalidMatches = [...line.matchAll(INVALID_COMBINATIONS_PATTERN)]
       invalidMatches.forEach(match => {
-        data.possibleIssues.misspeled2119Keywords.push({ invalidKeyword: match[0], line: lineIdx, pos: ++match.index })
+        data.possibleIssues.misspeled2119Keywords.push({ invalidKeyword: match[0], line: lineIdx, pos: ++match.index, length: match[0].length, excerpt: line })
       })
 
       // Check line spaces
-      if (SPACING_PATTERN.test(trimmedLine) && !trimmedLine.trim().startsWith('Internet.Draft') && !trimmedLine.trim().startsWith('INTERNET.DRAFT')) {
-        data.possibleIssues.linesWithSpaces.push({ line: lineIdx, pos: line.length })
+      const spacingMatch = SPACING_PATTERN.exec(line)
+      if (spacingMatch && !trimmedLine.trim().startsWith('Internet.Draft') && !trimmedLine.trim().startsWith('INTERNET.DRAFT')) {
+        data.possibleIssues.linesWithSpaces.push({ line: lineIdx, pos: spacingMatch.index + 1, length: spacingMatch[0].length, excerpt: line })
       }
 
       // Code block detection
@@ -318,26 +332,25 @@ export async function parse (rawText, filename) {
         if (match) {
           data.possibleIssues.inlineCode.push({
             line: lineIdx,
-            pos: ++match.index
+            pos: ++match.index,
+            length: match[0].length,
+            excerpt: line
           })
         }
       }
 
       // FQRN Domain extraction
-      const domainMatches = [...trimmedLine.matchAll(FQDN_RE)]
-      if (domainMatches.length > 0) {
-        domainMatches.forEach(match => data.extractedElements.fqdnDomains.push(match.groups.domain))
+      for (const match of trimmedLine.matchAll(FQDN_RE)) {
+        data.extractedElements.fqdnDomains.push(toExtractedValue(match.groups.domain, lineIdx, indent + match.index, line))
       }
 
       // IPv4 and IPv6 extraction
-      const ipv4Matches = [...trimmedLine.matchAll(IPV4_REGEX)]
-      if (ipv4Matches.length > 0) {
-        ipv4Matches.forEach(match => data.extractedElements.ipv4.push(match[0]))
+      for (const match of trimmedLine.matchAll(IPV4_REGEX)) {
+        data.extractedElements.ipv4.push(toExtractedValue(match[0], lineIdx, indent + match.index, line))
       }
 
-      const ipv6Matches = [...trimmedLine.matchAll(IPV6_LOOSE_RE)]
-      if (ipv6Matches.length > 0) {
-        ipv6Matches.forEach(match => data.extractedElements.ipv6.push(match[0]))
+      for (const match of trimmedLine.matchAll(IPV6_LOOSE_RE)) {
+        data.extractedElements.ipv6.push(toExtractedValue(match[0], lineIdx, indent + match.index, line))
       }
 
       // Header
@@ -535,20 +548,32 @@ export async function parse (rawText, filename) {
     }
     data.markers = markers
   } catch (err) {
-    throw new ValidationError('TXT_PARSING_FAILED', `Error while parsing Line ${lineIdx}: ${err.message}`)
+    throw new ValidationError(NIT_CODES.TXT_PARSING_FAILED, `Error while parsing Line ${lineIdx}: ${err.message}`, { ref: CODES.TXT_PARSING_FAILED.ref })
   }
 
-  console.info(data.header.authors)
-
   return {
     docKind,
     body: rawText,
     data,
     filename,
+    suppressions: extractTxtSuppressions(rawText),
     type: 'txt'
   }
 }
 
+/**
+ * Create an extracted value, with its position in the document
+ *
+ * @param {string} value Matched text
+ * @param {number} line Line number
+ * @param {number} index Index of the match in the line, starting at 0
+ * @param {string} excerpt Text of the line
+ * @returns {{value: string, line: number, pos: number, length: number, excerpt: string}} Extracted value
+ */
+function toExtractedValue (value, line, index, excerpt) {
+  return { value, line, pos: index + 1, length: value.length, excerpt }
+}
+
 /**
  * Function to check if at least one match is found among the specified groups of patterns in the text
  *
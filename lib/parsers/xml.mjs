@@ -1,16 +1,24 @@
+import { CODES, NIT_CODES } from '../config/codes.mjs'
 import { ValidationError } from '../helpers/error.mjs'
+import { createLocationFromOffsets, locationToLine } from '../helpers/location.mjs'
+import { parseSuppressionDirective } from '../helpers/suppressions.mjs'
 import { XMLParser } from 'fast-xml-parser'
 import { get, toSafeInteger } from 'lodash-es'
 
 const externalEntityRgx = /<!ENTITY\s+([a-zA-Z0-9-._]+)\s+(SYSTEM|PUBLIC)\s+"(.*)">/g
+const sourceAttributeRgx = /([^\s=/>]+)\s*=\s*("[^"]*"|'[^']*')/g
+const sourceTokenRgx = /<!--([\s\S]*?)-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)(?:[^>"']|"[^"]*"|'[^']*')*?(\/?)>/g
 
 /**
  * @typedef {Object} XMLDocObject
+ * @property {string} body Source text of the document
  * @property {Object} data Parsed XML tree
  * @property {string} docKind Whether the document is an Internet Draft (draft) or an RFC (rfc)
  * @property {string} docKindCertainty Whether the document kind was explicity specified (strict) or guessed (guess)
  * @property {Object[]} externalEntities Array of external entities
  * @property {string} filename Filename of the document
+ * @property {SourceNode} sourceTree Elements of the source with their offsets, see scanXmlSource()
+ * @property {Object[]} suppressions Array of idnits-disable / idnits-enable comment directives
  * @property {string} type Document file type (xml)
  * @property {number} version Document version number (2 or 3)
  * @property {string} versionCertainty Whether the version was explicity specified (strict) or guessed (guess)
@@ -48,7 +56,7 @@ export async function parse (rawText, filename) {
   try {
     data = parser.parse(cleanRawText)
   } catch (err) {
-    throw new ValidationError('XML_PARSING_FAILED', err.message)
+    throw new ValidationError(NIT_CODES.XML_PARSING_FAILED, err.message, { ref: CODES.XML_PARSING_FAILED.ref })
   }
 
   // determine document version
@@ -67,7 +75,8 @@ export async function parse (rawText, filename) {
     versionCertainty = 'guess'
   }
   if (version < 2 || version > 3) {
-    throw new ValidationError('XML_UNSUPPORTED_VERSION', 'The schema version of this document is unsupported.', {
+    throw new ValidationError(NIT_CODES.XML_UNSUPPORTED_VERSION, 'The schema version of this document is unsupported.', {
+      ref: CODES.XML_UNSUPPORTED_VERSION.ref,
       path: 'rfc.version'
     })
   }
@@ -83,7 +92,8 @@ export async function parse (rawText, filename) {
     docKind = 'rfc'
     docKindCertainty = 'strict'
   } else if (get(data, 'rfc.front.seriesInfo._attr.name')) {
-    throw new ValidationError('XML_UNSUPPORTED_DOC_KIND', 'The document is neither an Internet Draft or RFC.', {
+    throw new ValidationError(NIT_CODES.XML_UNSUPPORTED_DOC_KIND, 'The document is neither an Internet Draft or RFC.', {
+      ref: CODES.XML_UNSUPPORTED_DOC_KIND.ref,
       path: 'rfc.front.seriesInfo.name'
     })
   } else {
@@ -92,20 +102,340 @@ export async function parse (rawText, filename) {
     } else if (filename.startsWith('rfc-')) {
       docKind = 'rfc'
     } else {
-      throw new ValidationError('XML_UNRECOGNIZED_DOC_KIND', 'Unable to determine whether the document is an Internet Draft or RFC. Use the <seriesInfo> tag or a proper prefix (draft-, rfc-) in your filename.')
+      throw new ValidationError(NIT_CODES.XML_UNRECOGNIZED_DOC_KIND, 'Unable to determine whether the document is an Internet Draft or RFC. Use the <seriesInfo> tag or a proper prefix (draft-, rfc-) in your filename.', {
+        ref: CODES.XML_UNRECOGNIZED_DOC_KIND.ref
+      })
     }
 
     docKindCertainty = 'guess'
   }
 
+  const sourceTree = scanXmlSource(rawText)
+
   return {
+    body: rawText,
     data,
     docKind,
     docKindCertainty,
     externalEntities,
     filename,
+    sourceTree,
+    suppressions: extractXmlSuppressions(sourceTree),
     type: 'xml',
     version,
     versionCertainty
   }
 }
+
+/**
+ * Range of a scanned source construct, as character offsets in the source text
+ *
+ * @typedef {Object} SourceRange
+ * @property {number} start Offset of the first character
+ * @property {number} end Offset right after the last character
+ */
+
+/**
+ * Element scanned from the XML source
+ *
+ * @typedef {Object} SourceNode
+ * @property {string} name Element name (null for the root node)
+ * @property {string} path Tree path of the element, e.g. rfc.middle.section[2].t
+ * @property {number} line Line number of the start tag
+ * @property {number} start Offset of the start tag
+ * @property {number} openEnd Offset right after the start tag
+ * @property {number} end Offset right after the end tag (or the start tag, when self-closing)
+ * @property {Object<string, SourceRange>} attributes Ranges of the attributes of the start tag, by name
+ * @property {SourceRange[]} texts Ranges of the non-blank text nodes and CDATA sections, whitespace excluded
+ * @property {SourceNode[]} children Nested elements
+ * @property {Object[]} comments Comments directly within the element, with their text, line number and start offset
+ */
+
+/**
+ * Scan the XML source for elements, text nodes and comments, without parsing the content
+ *
+ * Element paths use the same notation as the parsed tree, e.g. rfc.middle.section[2].t
+ *
+ * @param {string} rawText Input text
+ * @returns {SourceNode} Root node, with nested children elements and comments
+ */
+export function scanXmlSource (rawText) {
+  const root = { name: null, path: '', line: 1, start: 0, openEnd: 0, end: rawText.length, attributes: {}, texts: [], children: [], comments: [] }
+  const stack = [root]
+  let line = 1
+  let lastIndex = 0
+  let lastEnd = 0
+  for (const match of rawText.matchAll(sourceTokenRgx)) {
+    line += countNewLines(rawText, lastIndex, match.index)
+    lastIndex = match.index
+    const parent = stack[stack.length - 1]
+    const end = match.index + match[0].length
+    addTextRange(parent, rawText, lastEnd, match.index)
+    lastEnd = end
+    if (match[1] !== undefined) {
+      parent.comments.push({ text: match[1], line, start: match.index })
+    } else if (match[2]) {
+      if (stack.length > 1) {
+        parent.end = end
+        stack.pop()
+      }
+    } else if (match[3]) {
+      const node = { name: match[3], path: '', line, start: match.index, openEnd: end, end, attributes: {}, texts: [], children: [], comments: [] }
+      for (const attrMatch of match[0].matchAll(sourceAttributeRgx)) {
+        const attrStart = match.index + attrMatch.index
+        node.attributes[attrMatch[1]] = { start: attrStart, end: attrStart + attrMatch[0].length }
+      }
+      parent.children.push(node)
+      if (!match[4]) {
+        stack.push(node)
+      }
+    } else if (match[0].startsWith('<![CDATA[')) {
+      addTextRange(parent, rawText, match.index + 9, end - 3)
+    }
+  }
+  assignPaths(root)
+  return root
+}
+
+/**
+ * Find local files included by a document, through external entities or <xi:include> elements
+ *
+ * Remote includes (e.g. https://bib.ietf.org/...) are ignored.
+ *
+ * @param {string} rawText Input text
+ * @returns {string[]} List of included paths, relative to the document
+ */
+export function findLocalIncludes (rawText) {
+  const includes = new Set()
+  for (const match of rawText.matchAll(/<!ENTITY\s+%?\s*[\w.-]+\s+SYSTEM\s+(["'])(.+?)\1/g)) {
+    includes.add(match[2])
+  }
+  for (const match of rawText.matchAll(/<xi:include\s[^>]*?href=(["'])(.+?)\1/g)) {
+    includes.add(match[2])
+  }
+  return [...includes]
+    .filter(href => !/^[a-z][a-z0-9+.-]+:/i.test(href) || /^file:/i.test(href))
+    .map(href => href.replace(/^file:(\/\/)?/i, ''))
+}
+
+/**
+ * Find the source line of the element closest to a tree path
+ *
+ * The path is followed as deep as it matches scanned elements. Remaining segments (e.g. attributes) are ignored.
+ * Array indexes are optional, e.g. rfc.front.author[0] matches a single <author> element.
+ *
+ * @param {Object} root Root node, as returned by scanXmlSource()
+ * @param {string} path Tree path, e.g. rfc.middle.section[2].t
+ * @returns {number} Line number of the element or 1 if no element matches
+ */
+export function findSourceLine (root, path) {
+  return findSourceNode(root, path).node.line
+}
+
+/**
+ * Find the source range closest to a tree path
+ *
+ * The path is followed as deep as it matches scanned elements, then resolved to:
+ * - the given text, when found within the element
+ * - an attribute of the element, e.g. rfc.docName or rfc._attr.docName
+ * - the text nodes of the element, for #text segments
+ * - the whole element, for elements without children elements
+ * - the start tag of the element otherwise
+ *
+ * @param {SourceNode} root Root node, as returned by scanXmlSource()
+ * @param {string} rawText Input text, as given to scanXmlSource()
+ * @param {string} path Tree path, e.g. rfc.middle.section[2].t
+ * @param {Object} [opts] Additional options
+ * @param {string} [opts.text] Text to look for within the element
+ * @returns {SourceRange} Range or null if no element matches
+ */
+export function findSourceRange (root, rawText, path, { text } = {}) {
+  const { node, rest } = findSourceNode(root, path)
+  if (node === root) {
+    return null
+  }
+
+  if (text) {
+    const textIdx = rawText.indexOf(text, node.openEnd)
+    if (textIdx >= 0 && textIdx + text.length <= node.end) {
+      return { start: textIdx, end: textIdx + text.length }
+    }
+  }
+
+  const segments = rest.filter(segment => segment !== '_attr')
+  const attribute = node.attributes[segments[0]?.replace(/\[\d+\]$/, '')]
+  if (attribute) {
+    return attribute
+  } else if (segments[0] === '#text' && node.texts.length > 0) {
+    return { start: node.texts[0].start, end: node.texts[node.texts.length - 1].end }
+  } else if (node.children.length === 0) {
+    return { start: node.start, end: node.end }
+  }
+  return { start: node.start, end: node.openEnd }
+}
+
+/**
+ * Find the scanned element matching a tree path exactly
+ *
+ * @param {SourceNode} root Root node, as returned by scanXmlSource()
+ * @param {string} path Tree path, e.g. rfc.middle.section[2].t. A trailing #text segment is ignored.
+ * @returns {SourceNode} Element or null if no element matches the whole path
+ */
+export function findSourceElement (root, path) {
+  const { node, rest } = findSourceNode(root, path.replace(/\.#text$/, ''))
+  return node !== root && rest.length === 0 ? node : null
+}
+
+/**
+ * Find the range of an occurrence of a text within the text nodes of an element
+ *
+ * Parsed values don't keep source offsets, this maps a match in a parsed value back to the source.
+ *
+ * @param {SourceNode} root Root node, as returned by scanXmlSource()
+ * @param {string} rawText Input text, as given to scanXmlSource()
+ * @param {string} path Tree path of the element, e.g. rfc.middle.section[2].t or rfc.middle.section[2].t.#text
+ * @param {string} text Text to find
+ * @param {number} [occurrence=0] Index of the occurrence, among the occurrences of the text in the element
+ * @returns {SourceRange} Range or null if not found
+ */
+export function findSourceText (root, rawText, path, text, occurrence = 0) {
+  const node = findSourceElement(root, path)
+  if (!node || !text) {
+    return null
+  }
+  let count = 0
+  for (const range of node.texts) {
+    for (let idx = rawText.indexOf(text, range.start); idx >= 0 && idx + text.length <= range.end; idx = rawText.indexOf(text, idx + text.length)) {
+      if (count === occurrence) {
+        return { start: idx, end: idx + text.length }
+      }
+      count++
+    }
+  }
+  return null
+}
+
+/**
+ * Locate validation results of an XML document in its source, from their path
+ *
+ * Entries which already have locations or no path are left as is.
+ *
+ * @param {Array} result List of errors/warnings/comments
+ * @param {XMLDocObject} doc Parsed document
+ * @returns {Array} The same list, with locations and lines set on the entries found in the source
+ */
+export function locateXmlEntries (result, doc) {
+  for (const entry of result) {
+    if (!entry.path || entry.locations?.length > 0) {
+      continue
+    }
+    const range = findSourceRange(doc.sourceTree, doc.body, entry.path, { text: entry.text })
+    if (range) {
+      entry.locations = [createLocationFromOffsets(doc.body, range.start, range.end)]
+      entry.lines = entry.locations.map(locationToLine)
+    }
+  }
+  return result
+}
+
+/**
+ * Follow a tree path as deep as it matches scanned elements
+ *
+ * @param {SourceNode} root Root node, as returned by scanXmlSource()
+ * @param {string} path Tree path, e.g. rfc.middle.section[2].t
+ * @returns {{node: SourceNode, rest: string[]}} Deepest matching element (or the root node) and the remaining path segments
+ */
+function findSourceNode (root, path) {
+  let node = root
+  const segments = path.split('.')
+  while (segments.length > 0) {
+    const segment = segments[0]
+    const name = segment.replace(/\[\d+\]$/, '')
+    const child = node.children.find(c => c.name === name && (segment === name || c.path.endsWith(segment) || !c.path.endsWith(']')))
+    if (!child) {
+      break
+    }
+    node = child
+    segments.shift()
+  }
+  return { node, rest: segments }
+}
+
+/**
+ * Extract idnits-disable / idnits-enable directives from XML comments
+ *
+ * @param {SourceNode} root Root node, as returned by scanXmlSource()
+ * @returns {Object[]} List of directives, with their offset and the path / range of their enclosing element
+ */
+function extractXmlSuppressions (root) {
+  const directives = []
+  const visit = (node) => {
+    for (const comment of node.comments) {
+      const directive = parseSuppressionDirective(comment.text)
+      if (directive) {
+        directives.push({ ...directive, line: comment.line, path: node.path, offset: comment.start, range: { start: node.start, end: node.end } })
+      }
+    }
+    node.children.forEach(visit)
+  }
+  visit(root)
+  return directives
+}
+
+/**
+ * Assign tree paths to scanned elements. Repeated sibling elements are indexed, as they are parsed into an array.
+ *
+ * @param {Object} node Scanned element
+ */
+function assignPaths (node) {
+  const counts = {}
+  for (const child of node.children) {
+    counts[child.name] = (counts[child.name] ?? 0) + 1
+  }
+  const indexes = {}
+  for (const child of node.children) {
+    const idx = indexes[child.name] ?? 0
+    indexes[child.name] = idx + 1
+    const segment = counts[child.name] > 1 ? `${child.name}[${idx}]` : child.name
+    child.path = node.path ? `${node.path}.${segment}` : segment
+    assignPaths(child)
+  }
+}
+
+/**
+ * Add the range of a text node to an element, when not blank. Leading and trailing whitespace is excluded.
+ *
+ * @param {SourceNode} node Scanned element
+ * @param {string} text Input text
+ * @param {number} start Start index
+ * @param {number} end End index (excluded)
+ */
+function addTextRange (node, text, start, end) {
+  while (start < end && /\s/.test(text.charAt(start))) {
+    start++
+  }
+  while (end > start && /\s/.test(text.charAt(end - 1))) {
+    end--
+  }
+  if (start < end) {
+    node.texts.push({ start, end })
+  }
+}
+
+/**
+ * Count new lines in a section of a string
+ *
+ * @param {string} text Input text
+ * @param {number} start Start index
+ * @param {number} end End index (excluded)
+ * @returns {number} Number of new lines
+ */
+function countNewLines (text, start, end) {
+  let count = 0
+  for (let i = start; i < end; i++) {
+    if (text.charCodeAt(i) === 10) {
+      count++
+    }
+  }
+  return count
+}
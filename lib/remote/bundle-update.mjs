@@ -0,0 +1,70 @@
+import { ALLOWED_DOMAINS_DEFAULT } from '../config/externals.mjs'
+import { DATA_BUNDLE_VERSION } from './bundle.mjs'
+import { DOWNREF_REGISTRY_URL, parseDownrefRegistry } from './downref.mjs'
+import { writeFileAtomic } from './files.mjs'
+import { fetchAllowedUrl } from './gateway.mjs'
+import { ARPA_ZONE_DB, ROOT_ZONE_DB, parseArpaDomains, parseRootZoneTlds } from './iana.mjs'
+import { RFC_INDEX_URL, parseRfcIndex } from './rfc-index.mjs'
+
+export const DRAFT_INDEX_URL = 'https://www.ietf.org/id/all_id.txt'
+
+const DRAFT_LINE_RE = /^(?<name>draft-[a-z0-9-]+?)-(?<rev>\d{2})\t[^\t\n]*\t(?<state>[^\t\n]*)/gim
+
+/**
+ * Parse the Internet-Drafts index of ietf.org (all_id.txt)
+ *
+ * @param {string} text Contents of all_id.txt
+ * @returns {Object} Map of draft names, without version, to their latest revision and state (e.g. Active, Expired, RFC)
+ */
+export function parseDraftIndex (text) {
+  const drafts = {}
+  for (const { groups } of text.matchAll(DRAFT_LINE_RE)) {
+    drafts[groups.name] = { rev: groups.rev, state: groups.state.trim() }
+  }
+  return drafts
+}
+
+/**
+ * Download a snapshot of the data used by remote lookups into an offline data bundle
+ *
+ * @param {string} filePath Path of the bundle file to write
+ * @param {Object} [opts] Additional options
+ * @param {Function} [opts.progressReport] Callback function for progress messages
+ * @param {string[]} [opts.allowedDomains] List of allowed domains to download the snapshot from
+ * @returns {Promise<Object>} Written bundle
+ */
+export async function updateDataBundle (filePath, { progressReport = () => {}, allowedDomains = ALLOWED_DOMAINS_DEFAULT } = {}) {
+  const sources = [
+    { key: 'tlds', name: 'Root Zone TLDs', url: ROOT_ZONE_DB, parse: parseRootZoneTlds },
+    { key: 'arpa', name: '.arpa domains', url: ARPA_ZONE_DB, parse: parseArpaDomains },
+    { key: 'rfcs', name: 'RFC index', url: RFC_INDEX_URL, parse: parseRfcIndex },
+    { key: 'downrefs', name: 'Downref Registry', url: DOWNREF_REGISTRY_URL, parse: parseDownrefRegistry },
+    { key: 'drafts', name: 'Internet-Drafts index', url: DRAFT_INDEX_URL, parse: parseDraftIndex }
+  ]
+  const bundle = {
+    version: DATA_BUNDLE_VERSION,
+    createdAt: new Date().toISOString()
+  }
+  for (const source of sources) {
+    progressReport(`Downloading ${source.name}...`)
+    let resp
+    try {
+      // Snapshots are downloaded fresh, bypassing the cache of remote lookups
+      resp = await fetchAllowedUrl(source.url, { headers: { 'User-Agent': 'idnits' }, credentials: 'omit' }, { allowedDomains })
+    } catch (err) {
+      throw new Error(`Failed to download ${source.name} from ${source.url}: ${err.message}`)
+    }
+    if (!resp.ok) {
+      throw new Error(`Failed to download ${source.name} from ${source.url}: HTTP ${resp.status}`)
+    }
+    bundle[source.key] = source.parse(await resp.text())
+    // An empty list means the page layout changed, don't replace a working bundle with it
+    if (Object.keys(bundle[source.key]).length < 1) {
+      throw new Error(`No entries found in ${source.name} from ${source.url}.`)
+    }
+  }
+
+  progressReport('Writing offline data bundle...')
+  await writeFileAtomic(filePath, JSON.stringify(bundle))
+  return bundle
+}
@@ -0,0 +1,77 @@
+export const DATA_BUNDLE_VERSION = 1
+export const DATA_BUNDLE_FILENAME = 'data.json'
+
+// Offline data bundle used by remote lookups in offline mode
+let dataBundle = null
+
+/**
+ * Load an offline data bundle (written by idnits data update), to use for remote lookups in offline mode
+ *
+ * Node.js only, use setDataBundle() in other environments.
+ *
+ * @param {string} filePath Path of the bundle file
+ * @returns {Promise<Object>} Loaded bundle
+ * @throws {Error} If the file cannot be read or is not a valid bundle
+ */
+export async function loadDataBundle (filePath) {
+  let bundle
+  try {
+    const { readTextFile } = await import('./files.mjs')
+    bundle = JSON.parse(await readTextFile(filePath))
+  } catch (err) {
+    throw new Error(`Failed to read offline data bundle ${filePath}: ${err.message}`)
+  }
+  try {
+    setDataBundle(bundle)
+  } catch (err) {
+    throw new Error(`Invalid offline data bundle ${filePath}: ${err.message}`)
+  }
+  return bundle
+}
+
+/**
+ * Set the offline data bundle to use for remote lookups in offline mode
+ *
+ * @param {Object} bundle Bundle, or null to unset it
+ * @throws {Error} If the bundle is not valid
+ */
+export function setDataBundle (bundle) {
+  if (bundle) {
+    validateDataBundle(bundle)
+  }
+  dataBundle = bundle ?? null
+}
+
+/**
+ * Get the offline data bundle used for remote lookups in offline mode
+ *
+ * @returns {Object} Bundle or null if none is loaded
+ */
+export function getDataBundle () {
+  return dataBundle
+}
+
+/**
+ * Validate the structure of an offline data bundle
+ *
+ * @param {Object} bundle Bundle
+ * @throws {Error} If the bundle is not valid
+ */
+function validateDataBundle (bundle) {
+  if (bundle.version !== DATA_BUNDLE_VERSION) {
+    throw new Error(`Unsupported version ${bundle.version}, expected ${DATA_BUNDLE_VERSION}. Run idnits data update to download it again.`)
+  }
+  if (Number.isNaN(Date.parse(bundle.createdAt))) {
+    throw new Error('Missing snapshot date.')
+  }
+  for (const key of ['tlds', 'arpa', 'downrefs']) {
+    if (!Array.isArray(bundle[key])) {
+      throw new Error(`${key} must be an array.`)
+    }
+  }
+  for (const key of ['rfcs', 'drafts']) {
+    if (typeof bundle[key] !== 'object' || bundle[key] === null || Array.isArray(bundle[key])) {
+      throw new Error(`${key} must be an object.`)
+    }
+  }
+}
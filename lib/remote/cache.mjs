@@ -0,0 +1,155 @@
+import { CACHE_TTL_DEFAULTS } from '../config/externals.mjs'
+
+const CACHED_HEADERS = ['content-type', 'etag', 'last-modified']
+
+const settings = {
+  dir: null,
+  refresh: false,
+  ttl: { ...CACHE_TTL_DEFAULTS }
+}
+// Entries fetched or revalidated during this process, by URL
+const memoryCache = new Map()
+
+/**
+ * Configure the cache of remote lookups. Caching is disabled until a directory is set.
+ *
+ * @param {Object} [opts] Cache options
+ * @param {string} [opts.dir] Directory to store cached responses in, or null to disable caching
+ * @param {boolean} [opts.refresh=false] Revalidate all cached responses once, regardless of their TTL
+ * @param {Object} [opts.ttl] Map of resource types (iana, downref, rfc, datatracker) to their TTL in seconds
+ */
+export function configureCache ({ dir = null, refresh = false, ttl = {} } = {}) {
+  validateCacheTtl(ttl)
+  settings.dir = dir
+  settings.refresh = refresh
+  settings.ttl = { ...CACHE_TTL_DEFAULTS, ...ttl }
+  memoryCache.clear()
+}
+
+/**
+ * Validate TTLs of resource types
+ *
+ * @param {Object} ttl Map of resource types to their TTL in seconds
+ * @throws {Error} If a resource type is unknown or a TTL is not a positive number
+ */
+export function validateCacheTtl (ttl) {
+  for (const [type, seconds] of Object.entries(ttl)) {
+    if (!Object.hasOwn(CACHE_TTL_DEFAULTS, type)) {
+      throw new Error(`Unknown cache resource type "${type}". Must be either ${Object.keys(CACHE_TTL_DEFAULTS).join(', ')}.`)
+    }
+    if (typeof seconds !== 'number' || !(seconds >= 0)) {
+      throw new Error(`Cache TTL of ${type} must be a positive number of seconds.`)
+    }
+  }
+}
+
+/**
+ * Fetch a remote resource, using the cache when enabled
+ *
+ * Cached responses are used as is during the TTL of their resource type, then revalidated with their ETag / Last-Modified
+ * headers. Only successful responses are cached. When the network is unavailable, an expired cached response is used.
+ * The cache directory is only accessed in Node.js, through a lazily loaded module.
+ *
+ * @param {string} url URL of the resource
+ * @param {string} type Resource type (iana, downref, rfc, datatracker), defining the TTL
+ * @param {Object} [init] fetch() options
+ * @param {function(string, Object): Promise<Response>} [fetchFn=fetch] Function making the request, taking the URL and fetch() options
+ * @returns {Promise<Response>} Response
+ */
+export async function fetchWithCache (url, type, init = {}, fetchFn = fetch) {
+  if (!settings.dir) {
+    return fetchFn(url, init)
+  }
+  if (!Object.hasOwn(settings.ttl, type)) {
+    throw new Error(`Unknown cache resource type "${type}".`)
+  }
+
+  const files = await import('./files.mjs')
+  const filePath = files.getCacheEntryPath(settings.dir, type, url)
+  let entry = memoryCache.get(url)
+  if (!entry) {
+    entry = await readEntry(files, filePath)
+    // Entries stored by previous runs are revalidated once when refreshing
+    if (entry && settings.refresh) {
+      entry.storedAt = 0
+    }
+  }
+  if (entry && Date.now() - entry.storedAt < settings.ttl[type] * 1000) {
+    memoryCache.set(url, entry)
+    return toResponse(entry)
+  }
+
+  const headers = { ...init.headers }
+  if (entry?.headers.etag) {
+    headers['If-None-Match'] = entry.headers.etag
+  }
+  if (entry?.headers['last-modified']) {
+    headers['If-Modified-Since'] = entry.headers['last-modified']
+  }
+  let resp
+  try {
+    resp = await fetchFn(url, { ...init, headers })
+  } catch (err) {
+    if (entry) {
+      return toResponse(entry)
+    }
+    throw err
+  }
+
+  if (resp.status === 304 && entry) {
+    entry = { ...entry, storedAt: Date.now() }
+  } else if (resp.ok) {
+    const cachedHeaders = {}
+    for (const name of CACHED_HEADERS) {
+      if (resp.headers.has(name)) {
+        cachedHeaders[name] = resp.headers.get(name)
+      }
+    }
+    entry = { url, status: resp.status, headers: cachedHeaders, body: await resp.text(), storedAt: Date.now() }
+  } else {
+    return resp
+  }
+  memoryCache.set(url, entry)
+  await writeEntry(files, filePath, entry)
+  return toResponse(entry)
+}
+
+/**
+ * Read a cached entry
+ *
+ * @param {Object} files Filesystem module (lib/remote/files.mjs)
+ * @param {string} filePath Path of the entry file
+ * @returns {Promise<Object>} Entry or null if missing / unreadable
+ */
+async function readEntry (files, filePath) {
+  try {
+    return JSON.parse(await files.readTextFile(filePath))
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Write a cached entry. Concurrent runs sharing the directory never read a partially written entry.
+ *
+ * @param {Object} files Filesystem module (lib/remote/files.mjs)
+ * @param {string} filePath Path of the entry file
+ * @param {Object} entry Entry
+ */
+async function writeEntry (files, filePath, entry) {
+  try {
+    await files.writeFileAtomic(filePath, JSON.stringify(entry))
+  } catch (err) {
+    // The cache is best effort, e.g. on a read-only filesystem
+  }
+}
+
+/**
+ * Build a response from a cached entry
+ *
+ * @param {Object} entry Entry
+ * @returns {Response} Response
+ */
+function toResponse (entry) {
+  return new Response(entry.body, { status: entry.status, headers: entry.headers })
+}
@@ -1,35 +1,56 @@
-const DOWNREF_REGISTRY_URL = 'https://datatracker.ietf.org/doc/downref/'
-let cachedDownrefRegistry = null
+import { BlockedFetchError, fetchAllowed } from './gateway.mjs'
+import { DATATRACKER_URL } from '../helpers/remote.mjs'
+
+export const DOWNREF_REGISTRY_URL = `${DATATRACKER_URL}/doc/downref/`
+// Parsed registries, by URL
+const cachedDownrefRegistries = new Map()
+
+/**
+ * Parse the references listed in the Downref Registry HTML page.
+ * @param {string} html - Contents of the page.
+ * @returns {string[]} - References (e.g. RFC 2119 or draft names).
+ */
+export function parseDownrefRegistry (html) {
+  const rfcRegex = /<a href="\/doc\/rfc(\d+)\/">([^<]+)<\/a>/g
+  const referenceRegex = /<a href="\/doc\/(?:rfc|draft-[^/]+)\/">([^<]+)<\/a>/g
+  const references = new Set()
+  let match
+
+  while ((match = rfcRegex.exec(html)) !== null) {
+    references.add(`RFC ${match[1].trim()}`)
+  }
+
+  while ((match = referenceRegex.exec(html)) !== null) {
+    references.add(match[1].trim())
+  }
+
+  return [...references]
+}
 
 /**
  * Fetch and parse the Downref Registry HTML to extract references.
  * Caches the result to avoid redundant network requests.
- * @returns {Promise<Set<string>>} - A set of references from the Downref Registry.
+ * @param {string} [url=DOWNREF_REGISTRY_URL] - URL of the registry page.
+ * @param {Object} [opts] - Additional options.
+ * @param {Function} [opts.fetcher] - Fetch function enforcing the allowed domains (see createFetcher()).
+ * @returns {Promise<string[]>} - References from the Downref Registry.
+ * @throws {BlockedFetchError} - If the registry is not on an allowed domain.
  */
-async function fetchDownrefRegistry () {
-  if (cachedDownrefRegistry) {
-    return cachedDownrefRegistry
+export async function fetchDownrefRegistry (url = DOWNREF_REGISTRY_URL, { fetcher = fetchAllowed } = {}) {
+  if (cachedDownrefRegistries.has(url)) {
+    return cachedDownrefRegistries.get(url)
   }
 
   try {
-    const response = await fetch(DOWNREF_REGISTRY_URL, { credentials: 'omit' })
-    const html = await response.text()
-    const rfcRegex = /<a href="\/doc\/rfc(\d+)\/">([^<]+)<\/a>/g
-    const referenceRegex = /<a href="\/doc\/(?:rfc|draft-[^/]+)\/">([^<]+)<\/a>/g
-    const references = new Set()
-    let match
-
-    while ((match = rfcRegex.exec(html)) !== null) {
-      references.add(`RFC ${match[1].trim()}`)
-    }
+    const response = await fetcher(url, 'downref', { credentials: 'omit' })
+    const references = parseDownrefRegistry(await response.text())
 
-    while ((match = referenceRegex.exec(html)) !== null) {
-      references.add(match[1].trim())
-    }
-
-    cachedDownrefRegistry = references
+    cachedDownrefRegistries.set(url, references)
     return references
   } catch (err) {
+    if (err instanceof BlockedFetchError) {
+      throw err
+    }
     throw new Error(`Failed to fetch Downref Registry: ${err.message}`)
   }
 }
@@ -37,10 +58,11 @@ async function fetchDownrefRegistry () {
 /**
  * Validate references against the Downref Registry.
  * @param {string[]} references - List of references to validate.
+ * @param {Object} provider - Metadata provider to get the registry from (see getProvider()).
  * @returns {Promise<string[]>} - A list of references found in the Downref Registry.
  */
-export async function checkReferencesInDownrefs (references) {
-  const downrefRegistry = await fetchDownrefRegistry()
+export async function checkReferencesInDownrefs (references, provider) {
+  const downrefRegistry = await provider.getDownrefs()
 
   const foundDownrefs = []
 
@@ -0,0 +1,57 @@
+import { createHash } from 'node:crypto'
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+
+// Filesystem access of remote lookups (cache, offline data bundle, RFC index), Node.js only.
+// Other modules load it lazily when given a path, so that the library can be bundled for browsers.
+
+/**
+ * Get the default cache directory, following the platform conventions
+ *
+ * @returns {string} Path of the directory
+ */
+export function getDefaultCacheDir () {
+  if (process.env.XDG_CACHE_HOME) {
+    return path.join(process.env.XDG_CACHE_HOME, 'idnits')
+  }
+  if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    return path.join(process.env.LOCALAPPDATA, 'idnits', 'cache')
+  }
+  return path.join(os.homedir(), '.cache', 'idnits')
+}
+
+/**
+ * Get the path of the cached entry of a remote resource
+ *
+ * @param {string} dir Cache directory
+ * @param {string} type Resource type (iana, downref, rfc, datatracker)
+ * @param {string} url URL of the resource
+ * @returns {string} Path of the entry file
+ */
+export function getCacheEntryPath (dir, type, url) {
+  return path.join(dir, type, `${createHash('sha256').update(url).digest('hex')}.json`)
+}
+
+/**
+ * Read a text file
+ *
+ * @param {string} filePath Path of the file
+ * @returns {Promise<string>} Contents of the file, decoded as UTF-8
+ */
+export async function readTextFile (filePath) {
+  return readFile(filePath, 'utf8')
+}
+
+/**
+ * Write a file, creating its directory. Concurrent runs never read a partially written file.
+ *
+ * @param {string} filePath Path of the file
+ * @param {string} contents Contents of the file
+ */
+export async function writeFileAtomic (filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`
+  await mkdir(path.dirname(filePath), { recursive: true })
+  await writeFile(tmpPath, contents)
+  await rename(tmpPath, filePath)
+}
@@ -0,0 +1,114 @@
+import { ALLOWED_DOMAINS_DEFAULT } from '../config/externals.mjs'
+import { fetchWithCache } from './cache.mjs'
+
+export const MAX_REDIRECTS = 5
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+
+/**
+ * Error thrown when fetching a URL outside of the allowed domains
+ */
+export class BlockedFetchError extends Error {
+  /**
+   * @param {string} url URL that was blocked
+   * @param {string} host Host of the URL, or null if the URL is invalid / not http(s)
+   */
+  constructor (url, host) {
+    super(host ? `Fetching ${url} is blocked: ${host} is not an allowed domain.` : `Fetching ${url} is blocked: only http(s) URLs are allowed.`)
+    this.name = 'BlockedFetchError'
+    this.url = url
+    this.host = host
+  }
+}
+
+/**
+ * Whether a URL can be fetched, i.e. is an http(s) URL on an allowed domain or one of its subdomains
+ *
+ * @param {string} url URL to fetch
+ * @param {string[]} [allowedDomains] List of allowed domains (e.g. ietf.org allows datatracker.ietf.org)
+ * @returns {boolean} Whether the URL is allowed
+ */
+export function isAllowedUrl (url, allowedDomains = ALLOWED_DOMAINS_DEFAULT) {
+  const host = getHttpHost(url)
+  return Boolean(host) && allowedDomains.some(domain => {
+    const allowed = domain.toLowerCase().replace(/^\.+|\.+$/g, '')
+    return host === allowed || host.endsWith(`.${allowed}`)
+  })
+}
+
+/**
+ * Ensure a URL can be fetched
+ *
+ * @param {string} url URL to fetch
+ * @param {string[]} [allowedDomains] List of allowed domains
+ * @throws {BlockedFetchError} If the URL is not allowed
+ */
+export function assertAllowedUrl (url, allowedDomains = ALLOWED_DOMAINS_DEFAULT) {
+  if (!isAllowedUrl(url, allowedDomains)) {
+    throw new BlockedFetchError(url, getHttpHost(url))
+  }
+}
+
+/**
+ * Fetch a URL on the allowed domains, following redirects only to allowed URLs
+ *
+ * Redirects are followed manually, so that the URL of each hop is checked before it is requested.
+ *
+ * @param {string} url URL to fetch
+ * @param {Object} [init] fetch() options
+ * @param {Object} [opts] Additional options
+ * @param {string[]} [opts.allowedDomains] List of allowed domains
+ * @returns {Promise<Response>} Response
+ * @throws {BlockedFetchError} If the URL or one of its redirects is not allowed
+ * @throws {Error} If there are more than MAX_REDIRECTS redirects
+ */
+export async function fetchAllowedUrl (url, init = {}, { allowedDomains = ALLOWED_DOMAINS_DEFAULT } = {}) {
+  let target = url
+  for (let hops = 0; ; hops++) {
+    assertAllowedUrl(target, allowedDomains)
+    const resp = await fetch(target, { ...init, redirect: 'manual' })
+    const location = resp.headers.get('location')
+    if (!REDIRECT_STATUSES.includes(resp.status) || !location) {
+      return resp
+    }
+    if (hops >= MAX_REDIRECTS) {
+      throw new Error(`Fetching ${url} failed: more than ${MAX_REDIRECTS} redirects.`)
+    }
+    target = new URL(location, target).href
+  }
+}
+
+/**
+ * Create the function through which remote lookups are fetched, rejecting URLs outside of the allowed domains
+ * before any request is made, redirects included. Allowed URLs are fetched through the cache of remote lookups.
+ *
+ * @param {Object} [opts] Additional options
+ * @param {string[]} [opts.allowedDomains] List of allowed domains
+ * @returns {function(string, string, Object): Promise<Response>} Fetch function, taking the URL, the cache resource type and fetch() options
+ */
+export function createFetcher ({ allowedDomains = ALLOWED_DOMAINS_DEFAULT } = {}) {
+  return async (url, type, init) => {
+    assertAllowedUrl(url, allowedDomains)
+    return fetchWithCache(url, type, init, (target, targetInit) => fetchAllowedUrl(target, targetInit, { allowedDomains }))
+  }
+}
+
+/**
+ * Fetch a remote lookup on the default allowed domains
+ */
+export const fetchAllowed = createFetcher()
+
+/**
+ * Get the lowercase host of an http(s) URL
+ *
+ * @param {string} url URL
+ * @returns {string} Host, without port, or null if the URL is invalid / not http(s)
+ */
+function getHttpHost (url) {
+  try {
+    const { protocol, hostname } = new URL(url)
+    return ['http:', 'https:'].includes(protocol) ? hostname.toLowerCase().replace(/\.$/, '') : null
+  } catch (err) {
+    return null
+  }
+}
@@ -1,10 +1,13 @@
 import { decode } from 'entities'
+import { BlockedFetchError, fetchAllowed } from './gateway.mjs'
 
-const ROOT_ZONE_DB = 'https://www.iana.org/domains/root/db'
-const ARPA_ZONE_DB = 'https://www.iana.org/domains/arpa'
+export const ROOT_ZONE_DB = 'https://www.iana.org/domains/root/db'
+export const ARPA_ZONE_DB = 'https://www.iana.org/domains/arpa'
+
+const RESERVED_TLDS = ['.test', '.example', '.invalid', '.localhost']
 
 const data = {
-  tlds: ['.test', '.example', '.invalid', '.localhost'],
+  tlds: [],
   tldsCached: false,
   arpa: [],
   arpaCached: false
@@ -13,46 +16,112 @@ const data = {
 const rootZoneTldRgx = /<span class="domain tld"><a href="(?:.+?)(?<xn>xn--[a-z0-9]+)?\.html">(?<tld>.*)<\/a><\/span>/gi
 const arpaDomainRgx = /<span class="domain label">(?<domain>.*)<\/span>/gi
 
-export async function isValidDomainTLD (domain) {
+/**
+ * Parse the TLDs listed in the IANA Root Zone Database page
+ *
+ * @param {string} html Contents of the page
+ * @returns {string[]} TLDs, with their leading dot. IDN TLDs are listed both decoded and in their xn-- form.
+ */
+export function parseRootZoneTlds (html) {
+  const tlds = []
+  for (const match of html.matchAll(rootZoneTldRgx)) {
+    if (match.groups.xn) {
+      tlds.push(`.${match.groups.xn}`)
+    }
+    tlds.push(decode(match.groups.tld))
+  }
+  return tlds
+}
+
+/**
+ * Parse the domains listed in the IANA .arpa Zone Management page
+ *
+ * @param {string} html Contents of the page
+ * @returns {string[]} Domains under .arpa (e.g. in-addr.arpa)
+ */
+export function parseArpaDomains (html) {
+  const domains = []
+  for (const match of html.matchAll(arpaDomainRgx)) {
+    if (match.groups.domain === 'arpa') { continue }
+    domains.push(match.groups.domain)
+  }
+  return domains
+}
+
+/**
+ * Fetch the TLDs of the IANA Root Zone Database. The list is fetched once per process.
+ *
+ * @param {Object} [opts] Additional options
+ * @param {Function} [opts.fetcher] Fetch function enforcing the allowed domains (see createFetcher())
+ * @returns {Promise<string[]>} TLDs, with their leading dot
+ * @throws {Error} If the root zone cannot be fetched
+ */
+export async function fetchRootZoneTlds ({ fetcher = fetchAllowed } = {}) {
   if (!data.tldsCached) {
     try {
-      const resp = await fetch(ROOT_ZONE_DB, { credentials: 'omit' }).then(r => r.text())
+      const resp = await fetcher(ROOT_ZONE_DB, 'iana', { credentials: 'omit' }).then(r => r.text())
       if (resp) {
-        const matches = resp.matchAll(rootZoneTldRgx)
-        for (const match of matches) {
-          if (match.groups.xn) {
-            data.tlds.push(`.${match.groups.xn}`)
-          }
-          data.tlds.push(decode(match.groups.tld))
-        }
+        data.tlds.push(...parseRootZoneTlds(resp))
       } else {
         throw new Error('Empty response.')
       }
       data.tldsCached = true
     } catch (err) {
+      if (err instanceof BlockedFetchError) {
+        throw err
+      }
       throw new Error(`Failed to fetch Root Zone TLDs from IANA: ${err.message}`)
     }
   }
-  return data.tlds.some(t => domain.endsWith(t))
+  return data.tlds
 }
 
-export async function isValidArpaDomain (domain) {
+/**
+ * Fetch the domains of the IANA .arpa zone. The list is fetched once per process.
+ *
+ * @param {Object} [opts] Additional options
+ * @param {Function} [opts.fetcher] Fetch function enforcing the allowed domains (see createFetcher())
+ * @returns {Promise<string[]>} Domains under .arpa
+ * @throws {Error} If the .arpa zone cannot be fetched
+ */
+export async function fetchArpaDomains ({ fetcher = fetchAllowed } = {}) {
   if (!data.arpaCached) {
     try {
-      const resp = await fetch(ARPA_ZONE_DB, { credentials: 'omit' }).then(r => r.text())
+      const resp = await fetcher(ARPA_ZONE_DB, 'iana', { credentials: 'omit' }).then(r => r.text())
       if (resp) {
-        const matches = resp.matchAll(arpaDomainRgx)
-        for (const match of matches) {
-          if (match.groups.domain === 'arpa') { continue }
-          data.arpa.push(match.groups.domain)
-        }
+        data.arpa.push(...parseArpaDomains(resp))
       } else {
         throw new Error('Empty response.')
       }
       data.arpaCached = true
     } catch (err) {
+      if (err instanceof BlockedFetchError) {
+        throw err
+      }
       throw new Error(`Failed to fetch ARPA Zone Domains from IANA: ${err.message}`)
     }
   }
-  return data.arpa.some(d => domain.endsWith(d))
+  return data.arpa
+}
+
+/**
+ * Whether a domain ends with a TLD of the root zone or a reserved TLD
+ *
+ * @param {string} domain Domain
+ * @param {Object} provider Metadata provider to get the root zone TLDs from (see getProvider())
+ * @returns {Promise<boolean>} Whether the TLD is valid
+ */
+export async function isValidDomainTLD (domain, provider) {
+  return [...RESERVED_TLDS, ...await provider.getTlds()].some(t => domain.endsWith(t))
+}
+
+/**
+ * Whether a .arpa domain is under a domain of the .arpa zone
+ *
+ * @param {string} domain Domain
+ * @param {Object} provider Metadata provider to get the .arpa zone domains from (see getProvider())
+ * @returns {Promise<boolean>} Whether the domain is valid
+ */
+export async function isValidArpaDomain (domain, provider) {
+  return (await provider.getArpaDomains()).some(d => domain.endsWith(d))
 }
@@ -0,0 +1,137 @@
+import { DATATRACKER_URL, fetchRemoteDocInfo, fetchRemoteRfcInfo, stripDocVersion } from '../helpers/remote.mjs'
+import { ALLOWED_DOMAINS_DEFAULT } from '../config/externals.mjs'
+import { getDataBundle } from './bundle.mjs'
+import { fetchDownrefRegistry } from './downref.mjs'
+import { createFetcher } from './gateway.mjs'
+import { fetchArpaDomains, fetchRootZoneTlds } from './iana.mjs'
+import { getRfcIndex } from './rfc-index.mjs'
+
+/**
+ * Internet-Draft metadata
+ *
+ * @typedef {Object} DocInfo
+ * @property {string} rev Latest revision (e.g. 03)
+ * @property {string} state State of the draft (e.g. Active, Expired, RFC)
+ * @property {string} [stream] Stream slug (ietf, iab, irtf, ise, editorial), null without a stream or undefined when unknown
+ */
+
+/**
+ * Source of the remote metadata used by validations
+ *
+ * @typedef {Object} MetadataProvider
+ * @property {function(string): Promise<DocInfo>} getDocInfo Get the metadata of an Internet-Draft, by name with or without version, or null if not found
+ * @property {function(string|number): Promise<Object>} getRfcInfo Get the metadata of an RFC (rfc, title, status, obsoleted_by, updated_by, is_also), or null if not found
+ * @property {function(): Promise<string[]>} getDownrefs Get the references listed in the Downref Registry (e.g. RFC 2119 or draft names)
+ * @property {function(): Promise<string[]>} getTlds Get the TLDs of the root zone, with their leading dot
+ * @property {function(): Promise<string[]>} getArpaDomains Get the domains of the .arpa zone (e.g. in-addr.arpa)
+ */
+
+/**
+ * Create a provider fetching metadata from Datatracker, rfc-editor.org and IANA, through the cache of remote lookups
+ *
+ * RFC metadata is looked up in the RFC index instead when one is loaded (see loadRfcIndex()). Fetching a URL outside
+ * of the allowed domains throws a BlockedFetchError, without making any request.
+ *
+ * @param {Object} [opts] Additional options
+ * @param {string} [opts.datatrackerUrl] Base URL of the Datatracker instance (e.g. a local staging instance)
+ * @param {string[]} [opts.allowedDomains] List of domains to allow fetching from
+ * @returns {MetadataProvider} Provider
+ * @throws {Error} If the Datatracker URL is not an http(s) URL
+ */
+export function createHttpProvider ({ datatrackerUrl = DATATRACKER_URL, allowedDomains = ALLOWED_DOMAINS_DEFAULT } = {}) {
+  if (!/^https?:\/\/[^/]/i.test(datatrackerUrl)) {
+    throw new Error(`Invalid Datatracker URL "${datatrackerUrl}". Must be an http(s) URL.`)
+  }
+  const baseUrl = datatrackerUrl.replace(/\/+$/, '')
+  const fetcher = createFetcher({ allowedDomains })
+  return {
+    getDocInfo: async (name) => fetchRemoteDocInfo(name, { datatrackerUrl: baseUrl, fetcher }),
+    getRfcInfo: async (rfcNum) => getRfcIndex() ? getRfcEntry(getRfcIndex(), rfcNum) : fetchRemoteRfcInfo(rfcNum, { fetcher }),
+    getDownrefs: async () => fetchDownrefRegistry(`${baseUrl}/doc/downref/`, { fetcher }),
+    getTlds: async () => fetchRootZoneTlds({ fetcher }),
+    getArpaDomains: async () => fetchArpaDomains({ fetcher })
+  }
+}
+
+/**
+ * Create a provider looking up metadata in an offline data bundle
+ *
+ * The bundle has no streams of Internet-Drafts. RFC metadata is looked up in the RFC index instead when one is loaded.
+ *
+ * @param {Object} [bundle] Offline data bundle. When omitted, the bundle loaded with loadDataBundle() is used.
+ * @returns {MetadataProvider} Provider
+ */
+export function createBundleProvider (bundle) {
+  const provider = createMemoryProvider(() => bundle ?? getDataBundle() ?? {})
+  return {
+    ...provider,
+    getRfcInfo: async (rfcNum) => getRfcIndex() ? getRfcEntry(getRfcIndex(), rfcNum) : provider.getRfcInfo(rfcNum)
+  }
+}
+
+/**
+ * Create a provider answering from in-memory data, e.g. fixtures in tests
+ *
+ * @param {Object|Function} data Data, in the format of the offline data bundle, or a function returning it
+ * @param {Object} [data.drafts] Map of draft names (without version) to their metadata
+ * @param {Object} [data.rfcs] Map of RFC numbers to their metadata
+ * @param {string[]} [data.downrefs] References listed in the Downref Registry
+ * @param {string[]} [data.tlds] TLDs of the root zone, with their leading dot
+ * @param {string[]} [data.arpa] Domains of the .arpa zone
+ * @returns {MetadataProvider} Provider
+ */
+export function createMemoryProvider (data = {}) {
+  const getData = typeof data === 'function' ? data : () => data
+  return {
+    getDocInfo: async (name) => getEntry(getData().drafts, stripDocVersion(name)),
+    getRfcInfo: async (rfcNum) => getRfcEntry(getData().rfcs, rfcNum),
+    getDownrefs: async () => getData().downrefs ?? [],
+    getTlds: async () => getData().tlds ?? [],
+    getArpaDomains: async () => getData().arpa ?? []
+  }
+}
+
+const defaultProviders = {
+  http: createHttpProvider(),
+  bundle: createBundleProvider()
+}
+
+/**
+ * Get the provider to look up remote metadata with
+ *
+ * @param {Object} [opts] Validation options
+ * @param {boolean} [opts.offline=false] Whether validations run offline
+ * @param {MetadataProvider} [opts.provider] Provider passed to checkNits(), used as is
+ * @returns {MetadataProvider} Provider or null when offline without a data bundle
+ */
+export function getProvider ({ offline = false, provider } = {}) {
+  if (provider) {
+    return provider
+  }
+  if (!offline) {
+    return defaultProviders.http
+  }
+  return getDataBundle() ? defaultProviders.bundle : null
+}
+
+/**
+ * Get the metadata of an RFC in a map of RFCs
+ *
+ * @param {Object} rfcs Map of RFC numbers to their metadata
+ * @param {string|number} rfcNum RFC number, with or without zero padding
+ * @returns {Object} Metadata or null if missing
+ */
+function getRfcEntry (rfcs, rfcNum) {
+  return getEntry(rfcs, String(parseInt(rfcNum, 10)))
+}
+
+/**
+ * Get an entry of a map of documents
+ *
+ * @param {Object} entries Map of documents by name / number
+ * @param {string} name Name of the entry
+ * @returns {Object} Entry or null if missing
+ */
+function getEntry (entries, name) {
+  return entries && Object.hasOwn(entries, name) ? entries[name] : null
+}
@@ -0,0 +1,99 @@
+import { decode } from 'entities'
+import { ALLOWED_DOMAINS_DEFAULT } from '../config/externals.mjs'
+import { createFetcher } from './gateway.mjs'
+
+export const RFC_INDEX_URL = 'https://www.rfc-editor.org/rfc-index.xml'
+
+const RFC_ENTRY_RE = /<rfc-entry>([\s\S]*?)<\/rfc-entry>/g
+const DOC_ID_RE = /<doc-id>([A-Z]+)0*(\d+)<\/doc-id>/g
+
+// RFC metadata by RFC number, when an RFC index is loaded
+let rfcIndex = null
+
+/**
+ * Parse the RFC index of rfc-editor.org
+ *
+ * @param {string} xml Contents of rfc-index.xml
+ * @returns {Object} Map of RFC numbers to their info (rfc, title, status, obsoleted_by, updated_by, is_also), as returned by rfc-editor.org
+ */
+export function parseRfcIndex (xml) {
+  const rfcs = {}
+  for (const [, entry] of xml.matchAll(RFC_ENTRY_RE)) {
+    // The first doc-id of an entry is the RFC itself
+    const rfc = entry.match(/<doc-id>RFC0*(\d+)<\/doc-id>/)?.[1]
+    if (!rfc) {
+      continue
+    }
+    // Documents listed in a child element, e.g. RFC numbers in <obsoleted-by> or BCP14 in <is-also>
+    const getDocIds = (tag) => {
+      const list = entry.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`))?.[1] ?? ''
+      return [...list.matchAll(DOC_ID_RE)].map(([, type, num]) => type === 'RFC' ? num : `${type}${num}`)
+    }
+    const title = entry.match(/<title>([^<]*)<\/title>/)?.[1]
+    rfcs[rfc] = {
+      rfc,
+      title: title ? decode(title.trim()) : null,
+      status: entry.match(/<current-status>([^<]*)<\/current-status>/)?.[1].trim() ?? null,
+      obsoleted_by: getDocIds('obsoleted-by'),
+      updated_by: getDocIds('updated-by'),
+      is_also: getDocIds('is-also')
+    }
+  }
+  return rfcs
+}
+
+/**
+ * Load an RFC index, to answer RFC metadata lookups from memory instead of fetching each RFC
+ *
+ * @param {string} [filePath] Path of a local rfc-index.xml file (Node.js only). When omitted, it is downloaded from
+ * rfc-editor.org, through the cache of remote lookups.
+ * @param {Object} [opts] Additional options
+ * @param {string[]} [opts.allowedDomains] List of allowed domains to download the index from
+ * @returns {Promise<Object>} Map of RFC numbers to their info
+ * @throws {Error} If the index cannot be read or has no RFC entries
+ */
+export async function loadRfcIndex (filePath, { allowedDomains = ALLOWED_DOMAINS_DEFAULT } = {}) {
+  let xml
+  if (filePath) {
+    try {
+      const { readTextFile } = await import('./files.mjs')
+      xml = await readTextFile(filePath)
+    } catch (err) {
+      throw new Error(`Failed to read RFC index ${filePath}: ${err.message}`)
+    }
+  } else {
+    try {
+      const resp = await createFetcher({ allowedDomains })(RFC_INDEX_URL, 'rfc', { credentials: 'omit' })
+      if (!resp.ok) {
+        throw new Error(`HTTP ${resp.status}`)
+      }
+      xml = await resp.text()
+    } catch (err) {
+      throw new Error(`Failed to download RFC index from ${RFC_INDEX_URL}: ${err.message}`)
+    }
+  }
+  const rfcs = parseRfcIndex(xml)
+  if (Object.keys(rfcs).length < 1) {
+    throw new Error(`No RFC entries found in ${filePath ?? RFC_INDEX_URL}.`)
+  }
+  rfcIndex = rfcs
+  return rfcs
+}
+
+/**
+ * Set the RFC index used for RFC metadata lookups
+ *
+ * @param {Object} rfcs Map of RFC numbers to their info, as returned by parseRfcIndex(), or null to fetch each RFC again
+ */
+export function setRfcIndex (rfcs) {
+  rfcIndex = rfcs ?? null
+}
+
+/**
+ * Get the RFC index used for RFC metadata lookups
+ *
+ * @returns {Object} Map of RFC numbers to their info or null if none is loaded
+ */
+export function getRfcIndex () {
+  return rfcIndex
+}
@@ -0,0 +1,40 @@
+import { getEntrySeverity } from '../helpers/severity.mjs'
+import { escapeXml } from './utils.mjs'
+
+const CHECKSTYLE_SEVERITIES = {
+  error: 'error',
+  warning: 'warning',
+  comment: 'info'
+}
+
+/**
+ * Format validation results as a Checkstyle XML report
+ *
+ * Each nit is an <error> element, repeated for each of its lines. Nits without a line are reported on line 0.
+ *
+ * @param {Object[]} files Validated files
+ * @param {string} files[].path Path of the file
+ * @param {Array} files[].result List of errors/warnings/comments of the file
+ * @returns {string} Checkstyle XML report
+ */
+export function formatCheckstyle (files) {
+  const output = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<checkstyle version="4.3">'
+  ]
+
+  for (const file of files) {
+    output.push(`  <file name="${escapeXml(file.path)}">`)
+    for (const entry of file.result) {
+      const severity = CHECKSTYLE_SEVERITIES[getEntrySeverity(entry)]
+      const lines = entry.lines?.length > 0 ? entry.lines : [{ line: 0, pos: 0 }]
+      for (const line of lines) {
+        output.push(`    <error line="${line.line}" column="${line.pos ?? 0}" severity="${severity}" message="${escapeXml(entry.message)}" source="${escapeXml(entry.name)}"/>`)
+      }
+    }
+    output.push('  </file>')
+  }
+
+  output.push('</checkstyle>')
+  return output.join('\n')
+}
@@ -0,0 +1,77 @@
+import { getEntrySeverity } from '../helpers/severity.mjs'
+import { findSourceLine, scanXmlSource } from '../parsers/xml.mjs'
+import { getDocType } from './utils.mjs'
+
+const GITHUB_COMMANDS = {
+  error: 'error',
+  warning: 'warning',
+  comment: 'notice'
+}
+
+/**
+ * Format validation results as GitHub Actions workflow commands, displayed as annotations
+ *
+ * Nits are annotated on each of their locations, over the whole range. XML nits with only a path are annotated on the line
+ * of the matching element, which requires the source of the file.
+ *
+ * @param {Object[]} files Validated files
+ * @param {string} files[].path Path of the file, relative to the repository root
+ * @param {Array} files[].result List of errors/warnings/comments of the file
+ * @param {string} [files[].format] Document format (txt, xml), to use instead of the path extension
+ * @param {string} [files[].source] Contents of the file, to resolve XML paths to lines
+ * @returns {string} Workflow commands, one per line
+ */
+export function formatGithub (files) {
+  const output = []
+  for (const file of files) {
+    let xmlRoot = null
+    for (const entry of file.result) {
+      const command = GITHUB_COMMANDS[getEntrySeverity(entry)]
+      let locations = []
+      if (entry.locations?.length > 0) {
+        locations = entry.locations.map(({ start, end }) => ({
+          line: start.line,
+          col: start.column,
+          ...(end.line !== start.line || end.column !== start.column) && { endLine: end.line, endColumn: end.column }
+        }))
+      } else if (entry.path && getDocType(file) === 'xml') {
+        if (!xmlRoot && file.source) {
+          xmlRoot = scanXmlSource(file.source)
+        }
+        locations = [{ line: xmlRoot ? findSourceLine(xmlRoot, entry.path) : 1 }]
+      }
+      for (const location of locations.length > 0 ? locations : [{}]) {
+        const props = [
+          `file=${escapeProperty(file.path)}`,
+          ...location.line ? [`line=${location.line}`] : [],
+          ...location.endLine ? [`endLine=${location.endLine}`] : [],
+          ...location.col ? [`col=${location.col}`] : [],
+          ...location.endColumn ? [`endColumn=${location.endColumn}`] : [],
+          `title=${escapeProperty(entry.name)}`
+        ]
+        output.push(`::${command} ${props.join(',')}::${escapeData(entry.message)}`)
+      }
+    }
+  }
+  return output.join('\n')
+}
+
+/**
+ * Escape the message of a workflow command
+ *
+ * @param {string} str Message
+ * @returns {string} Escaped message
+ */
+function escapeData (str) {
+  return String(str ?? '').replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A')
+}
+
+/**
+ * Escape a property value of a workflow command
+ *
+ * @param {string} str Property value
+ * @returns {string} Escaped property value
+ */
+function escapeProperty (str) {
+  return escapeData(str).replace(/:/g, '%3A').replace(/,/g, '%2C')
+}
@@ -0,0 +1,178 @@
+import { MODES } from '../config/modes.mjs'
+import { getRules } from '../helpers/rules.mjs'
+import { getEntrySeverity } from '../helpers/severity.mjs'
+import { findSourceLine, scanXmlSource } from '../parsers/xml.mjs'
+import { escapeXml, getDocType } from './utils.mjs'
+
+const MODE_NAMES = {
+  [MODES.NORMAL]: 'normal',
+  [MODES.FORGIVE_CHECKLIST]: 'forgive-checklist',
+  [MODES.SUBMISSION]: 'submission'
+}
+
+const SEVERITY_LABELS = {
+  error: 'Errors',
+  warning: 'Warnings',
+  comment: 'Comments'
+}
+
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #222; }
+h1 { font-size: 1.5rem; }
+h2 { font-size: 1.2rem; margin-top: 2rem; word-break: break-all; }
+.meta { color: #666; }
+.summary { display: flex; gap: 1rem; margin: 1rem 0; }
+.summary div { border-radius: 4px; padding: .5rem 1rem; font-weight: bold; }
+.error { background: #fde2e1; color: #a11; }
+.warning { background: #fff3cd; color: #7a5a00; }
+.comment { background: #dff1f7; color: #035a75; }
+.pass { color: #1a7f37; font-weight: bold; }
+details { border: 1px solid #ddd; border-radius: 4px; margin: .5rem 0; }
+summary { cursor: pointer; padding: .5rem; background: #f6f8fa; font-family: monospace; }
+.nit { border-top: 1px solid #eee; padding: .5rem 1rem; }
+.nit .badge { border-radius: 3px; font-size: .75rem; padding: 0 .4rem; text-transform: uppercase; }
+.nit dl { display: grid; grid-template-columns: max-content auto; gap: .2rem 1rem; margin: .5rem 0; font-size: .9rem; }
+.nit dt { color: #666; }
+.nit dd { margin: 0; word-break: break-all; }
+pre { background: #f6f8fa; padding: .5rem; overflow-x: auto; margin: .5rem 0; }
+pre .ln { color: #999; user-select: none; }
+mark { background: #ffd33d; }
+`.trim()
+
+/**
+ * Format validation results as a standalone HTML report
+ *
+ * The report has a summary by severity and, for each file, a collapsible list of nits grouped by rule.
+ * When the source of a file is given, an excerpt of the offending lines is displayed, with the range highlighted.
+ *
+ * @param {Object[]} files Validated files
+ * @param {string} files[].path Path of the file
+ * @param {Array} files[].result List of errors/warnings/comments of the file
+ * @param {string} [files[].format] Document format (txt, xml), to use instead of the path extension
+ * @param {string} [files[].source] Contents of the file, to display excerpts of the offending lines
+ * @param {Object} [opts] Additional options
+ * @param {number} [opts.mode=0] Validation mode used
+ * @param {string} [opts.version] Version of idnits
+ * @param {Date} [opts.date] Date of the report, defaults to now
+ * @param {string} [opts.dataSnapshot] Snapshot date of the offline data bundle used by remote-dependent validations
+ * @returns {string} HTML document
+ */
+export function formatHtml (files, { mode = MODES.NORMAL, version, date = new Date(), dataSnapshot } = {}) {
+  const counts = { error: 0, warning: 0, comment: 0 }
+  for (const file of files) {
+    for (const entry of file.result) {
+      counts[getEntrySeverity(entry)]++
+    }
+  }
+
+  const body = [
+    `<h1>idnits report${version ? ` <small class="meta">v${escapeXml(version)}</small>` : ''}</h1>`,
+    `<p class="meta">Mode: ${escapeXml(MODE_NAMES[mode] ?? mode)} &middot; Generated on ${escapeXml(date.toISOString())}${dataSnapshot ? ` &middot; Offline data snapshot of ${escapeXml(dataSnapshot)}` : ''}</p>`,
+    '<div class="summary">',
+    ...Object.entries(counts).map(([severity, count]) => `<div class="${severity}">${count} ${SEVERITY_LABELS[severity]}</div>`),
+    '</div>',
+    ...files.map(renderFile)
+  ]
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>idnits report - ${escapeXml(files.map(f => f.path).join(', '))}</title>`,
+    `<style>\n${STYLES}\n</style>`,
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>'
+  ].join('\n')
+}
+
+/**
+ * Render the nits of a file, grouped by rule
+ *
+ * @param {Object} file Validated file
+ * @returns {string} HTML fragment
+ */
+function renderFile (file) {
+  if (file.result.length === 0) {
+    return `<h2>${escapeXml(file.path)}</h2>\n<p class="pass">Document is valid.</p>`
+  }
+
+  const rules = getRules()
+  const groups = new Map()
+  for (const entry of file.result) {
+    const group = rules.find(r => r.codes.includes(entry.name))?.id ?? entry.name
+    if (!groups.has(group)) {
+      groups.set(group, [])
+    }
+    groups.get(group).push(entry)
+  }
+
+  const sourceLines = file.source?.split(/\r?\n/) ?? []
+  const xmlRoot = file.source && getDocType(file) === 'xml' ? scanXmlSource(file.source) : null
+
+  const output = [`<h2>${escapeXml(file.path)}</h2>`]
+  for (const [group, entries] of groups) {
+    output.push(`<details open>\n<summary>${escapeXml(group)} (${entries.length})</summary>`)
+    for (const entry of entries) {
+      const severity = getEntrySeverity(entry)
+      const details = [['Code', escapeXml(entry.name)]]
+      if (entry.refUrl) {
+        details.push(['Ref', `<a href="${escapeXml(entry.refUrl)}">${escapeXml(entry.refUrl)}</a>`])
+      }
+      if (entry.path) {
+        details.push(['Path', escapeXml(entry.path)])
+      }
+      if (entry.text) {
+        details.push(['Text', escapeXml(entry.text)])
+      }
+      if (entry.locations?.length > 0) {
+        details.push(['Line', entry.locations.map(l => `Ln ${l.start.line} Col ${l.start.column}`).join(', ')])
+      }
+
+      let locations = entry.locations ?? []
+      if (locations.length === 0 && entry.path && xmlRoot) {
+        const line = findSourceLine(xmlRoot, entry.path)
+        locations = [{ start: { line }, end: { line } }]
+      }
+
+      output.push([
+        '<div class="nit">',
+        `<span class="badge ${severity}">${severity}</span> ${escapeXml(entry.message)}`,
+        `<dl>${details.map(([key, value]) => `<dt>${key}</dt><dd>${value}</dd>`).join('')}</dl>`,
+        ...locations.filter(l => sourceLines[l.start.line - 1] !== undefined).map(l => renderExcerpt(sourceLines, l)),
+        '</div>'
+      ].join('\n'))
+    }
+    output.push('</details>')
+  }
+  return output.join('\n')
+}
+
+/**
+ * Render an excerpt of the source around the start line of a location, with its range highlighted
+ *
+ * Ranges spanning multiple lines are highlighted up to the end of the start line. Empty ranges highlight a single character.
+ *
+ * @param {string[]} sourceLines Lines of the file
+ * @param {Object} location Location, see createLocation()
+ * @returns {string} HTML fragment
+ */
+function renderExcerpt (sourceLines, { start, end }) {
+  const { line, column } = start
+  const excerpt = []
+  for (let idx = Math.max(line - 1, 1); idx <= Math.min(line + 1, sourceLines.length); idx++) {
+    let text = escapeXml(sourceLines[idx - 1])
+    if (idx === line && column !== undefined) {
+      const raw = sourceLines[idx - 1]
+      const col = Math.min(Math.max(column, 1), raw.length) - 1
+      const endCol = end.line > line ? raw.length : Math.max(Math.min(end.column - 1, raw.length), col + 1)
+      text = col >= 0 ? `${escapeXml(raw.slice(0, col))}<mark>${escapeXml(raw.slice(col, endCol))}</mark>${escapeXml(raw.slice(endCol))}` : text
+    }
+    excerpt.push(`<span class="ln">${String(idx).padStart(5)} ${idx === line ? '&gt;' : ' '} </span>${text}`)
+  }
+  return `<pre>${excerpt.join('\n')}</pre>`
+}
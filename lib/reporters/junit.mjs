@@ -0,0 +1,94 @@
+import { getRules, isRuleEnabled } from '../helpers/rules.mjs'
+import { describeEntry, escapeXml, getDocType } from './utils.mjs'
+
+/**
+ * Format validation results as a JUnit XML report
+ *
+ * Each file is a test suite, each rule applicable to the file is a test case and each nit a failure
+ * of the test case of the rule that emitted it. Nits not emitted by a registered rule (e.g. parsing
+ * errors) are reported in a test case named after their code. With the outcome of the rules, rules
+ * which threw are reported as errors and rules which didn't run as skipped.
+ *
+ * @param {Object[]} files Validated files
+ * @param {string} files[].path Path of the file
+ * @param {Array} files[].result List of errors/warnings/comments of the file
+ * @param {string} [files[].format] Document format (txt, xml), to use instead of the path extension
+ * @param {Object} [files[].rules] Outcome of the rules, by rule id, as reported by the ruleReport callback of checkNits(). Without it, all the rules are considered run.
+ * @param {string} [files[].error] Error which stopped the validation of the file
+ * @param {Object} [opts] Additional options
+ * @param {Object} [opts.rules] Rules selection used for the validation (include / exclude), to skip disabled rules
+ * @returns {string} JUnit XML report
+ */
+export function formatJunit (files, { rules: selection = {} } = {}) {
+  const suites = []
+  const totals = { tests: 0, failures: 0, errors: 0 }
+
+  for (const file of files) {
+    const rules = getRules({ docType: getDocType(file) }).filter(rule => isRuleEnabled(rule, selection))
+    const testcases = new Map(rules.map(rule => [rule.id, []]))
+    for (const entry of file.result) {
+      // Blocked fetches are reported as errors of the rule they stopped
+      if (file.rules && entry.name === 'FETCH_BLOCKED') {
+        continue
+      }
+      const rule = rules.find(r => r.codes.includes(entry.name))
+      const testcase = rule?.id ?? entry.name
+      if (!testcases.has(testcase)) {
+        testcases.set(testcase, [])
+      }
+      testcases.get(testcase).push(entry)
+    }
+
+    const counts = { tests: 0, failures: 0, errors: 0, skipped: 0 }
+    const cases = []
+    const addCase = (name, children) => {
+      const attrs = `name="${escapeXml(name)}" classname="${escapeXml(file.path)}"`
+      cases.push(children.length > 0 ? `    <testcase ${attrs}>\n${children.join('\n')}\n    </testcase>` : `    <testcase ${attrs}/>`)
+      counts.tests++
+    }
+    for (const [name, entries] of testcases) {
+      const outcome = file.rules && rules.some(r => r.id === name) ? file.rules[name] : { status: 'ran' }
+      switch (outcome?.status) {
+        case 'ran': {
+          addCase(name, entries.map(entry => {
+            return `      <failure message="${escapeXml(entry.message)}" type="${escapeXml(entry.name)}">${escapeXml(describeEntry(entry).join('\n'))}</failure>`
+          }))
+          counts.failures += entries.length
+          break
+        }
+        case 'blocked':
+        case 'error': {
+          const type = outcome.status === 'blocked' ? 'FETCH_BLOCKED' : 'INTERNAL_ERROR'
+          addCase(name, [`      <error message="${escapeXml(outcome.message)}" type="${type}"/>`])
+          counts.errors++
+          break
+        }
+        default: {
+          addCase(name, [`      <skipped message="${escapeXml(outcome?.message ?? 'The rule did not run.')}"/>`])
+          counts.skipped++
+        }
+      }
+    }
+    // Errors stopping the validation outside of a rule (e.g. unreadable file)
+    if (file.error && !rules.some(rule => file.rules?.[rule.id]?.status === 'error')) {
+      addCase('validation', [`      <error message="${escapeXml(file.error)}" type="INTERNAL_ERROR"/>`])
+      counts.errors++
+    }
+
+    for (const key of Object.keys(totals)) {
+      totals[key] += counts[key]
+    }
+    suites.push([
+      `  <testsuite name="${escapeXml(file.path)}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n'))
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="idnits" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}">`,
+    ...suites,
+    '</testsuites>'
+  ].join('\n')
+}
@@ -0,0 +1,126 @@
+import { MODES } from '../config/modes.mjs'
+import { getDefaultSeverity } from '../helpers/rules.mjs'
+import { getEntrySeverity } from '../helpers/severity.mjs'
+
+const SARIF_LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  comment: 'note',
+  off: 'none'
+}
+
+/**
+ * Format validation results as a SARIF 2.1.0 log
+ *
+ * @param {Object[]} files Validated files
+ * @param {string} files[].path Path of the file, preferably relative to the repository root
+ * @param {Array} files[].result List of errors/warnings/comments of the file
+ * @param {Object} [opts] Additional options
+ * @param {number} [opts.mode=0] Validation mode used, to determine the default level of rules
+ * @param {string} [opts.version] Version of idnits
+ * @param {string} [opts.dataSnapshot] Snapshot date of the offline data bundle used by remote-dependent validations
+ * @returns {string} SARIF log, as a JSON string
+ */
+export function formatSarif (files, { mode = MODES.NORMAL, version, dataSnapshot } = {}) {
+  const rules = []
+  const rulesIndex = new Map()
+  const results = []
+
+  for (const file of files) {
+    for (const entry of file.result) {
+      if (!rulesIndex.has(entry.name)) {
+        rulesIndex.set(entry.name, rules.length)
+        rules.push({
+          id: entry.name,
+          ...entry.refUrl && { helpUri: entry.refUrl },
+          defaultConfiguration: {
+            level: SARIF_LEVELS[getDefaultSeverity(entry.name, mode) ?? getEntrySeverity(entry)]
+          }
+        })
+      }
+
+      const locations = entry.locations?.length > 0 ? entry.locations : [null]
+      results.push({
+        ruleId: entry.name,
+        ruleIndex: rulesIndex.get(entry.name),
+        level: SARIF_LEVELS[getEntrySeverity(entry)],
+        message: { text: entry.message },
+        locations: locations.map(location => ({
+          physicalLocation: {
+            artifactLocation: { uri: toUri(file.path) },
+            ...location && toRegions(location)
+          },
+          ...entry.path && {
+            logicalLocations: [{
+              fullyQualifiedName: entry.path,
+              kind: 'element'
+            }]
+          }
+        }))
+      })
+    }
+  }
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'idnits',
+          informationUri: 'https://github.com/ietf-tools/idnits',
+          ...version && { version },
+          rules
+        }
+      },
+      artifacts: files.map(file => ({ location: { uri: toUri(file.path) } })),
+      results,
+      ...dataSnapshot && { properties: { dataSnapshot } }
+    }]
+  }, null, 2)
+}
+
+/**
+ * Convert a location to the region of a physical location, with the source line(s) as context region
+ *
+ * The end of the region is omitted for locations pointing at a single spot.
+ *
+ * @param {Object} location Location, see createLocation()
+ * @returns {Object} Region and, when the location has an excerpt, context region
+ */
+function toRegions ({ start, end, excerpt }) {
+  const isRange = end.line !== start.line || end.column !== start.column
+  return {
+    region: {
+      startLine: start.line,
+      startColumn: start.column,
+      ...isRange && {
+        endLine: end.line,
+        endColumn: end.column
+      }
+    },
+    ...excerpt !== undefined && {
+      contextRegion: {
+        startLine: start.line,
+        endLine: end.line,
+        snippet: { text: excerpt }
+      }
+    }
+  }
+}
+
+/**
+ * Convert a file path to an URI reference. Relative paths stay relative, absolute paths use the file scheme.
+ *
+ * @param {string} filePath File path
+ * @returns {string} URI reference
+ */
+function toUri (filePath) {
+  const uri = filePath.split(/[\\/]/).map(seg => /^[a-z]:$/i.test(seg) ? seg : encodeURIComponent(seg)).join('/')
+  if (uri.startsWith('/')) {
+    return `file://${uri}`
+  } else if (/^[a-z]:\//i.test(uri)) {
+    return `file:///${uri}`
+  }
+  return uri
+}
@@ -0,0 +1,54 @@
+import { getEntrySeverity } from '../helpers/severity.mjs'
+
+/**
+ * Escape a string for use in XML / HTML text and attribute values
+ *
+ * Control characters, which are invalid in XML 1.0, are removed.
+ *
+ * @param {string} str String to escape
+ * @returns {string} Escaped string
+ */
+export function escapeXml (str) {
+  return String(str ?? '')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '') // eslint-disable-line no-control-regex
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Get the document type of a validated file, from its format or path
+ *
+ * @param {Object} file Validated file
+ * @param {string} file.path File path
+ * @param {string} [file.format] Document format (txt, xml), to use instead of the path extension
+ * @returns {string} Document type (txt, xml)
+ */
+export function getDocType (file) {
+  return file.format ?? (file.path.endsWith('.xml') ? 'xml' : 'txt')
+}
+
+/**
+ * Describe the location and severity of an entry as plain text lines
+ *
+ * @param {Error} entry ValidationError, ValidationWarning or ValidationComment
+ * @returns {string[]} Lines of text
+ */
+export function describeEntry (entry) {
+  const details = [`${getEntrySeverity(entry)}: ${entry.message}`]
+  for (const { start } of entry.locations ?? []) {
+    details.push(`Line ${start.line}, column ${start.column}`)
+  }
+  if (entry.path) {
+    details.push(`Path: ${entry.path}`)
+  }
+  if (entry.text) {
+    details.push(`Text: ${entry.text}`)
+  }
+  if (entry.refUrl) {
+    details.push(`Ref: ${entry.refUrl}`)
+  }
+  return details
+}
@@ -0,0 +1,99 @@
+import { describe, expect, test } from '@jest/globals'
+import { ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { filterBaseline, getBaselineNitsForFile, getFingerprint, parseBaseline } from '../lib/helpers/baseline.mjs'
+
+describe('baseline', () => {
+  describe('getFingerprint()', () => {
+    test('should not depend on line numbers', async () => {
+      const a = new ValidationError('LINE_TOO_LONG', 'The document contains over-long lines.', { lines: [{ line: 10, pos: 80 }] })
+      const b = new ValidationError('LINE_TOO_LONG', 'The document contains over-long lines.', { lines: [{ line: 42, pos: 80 }] })
+      expect(getFingerprint(a)).toMatch(/^[0-9a-f]{8}$/)
+      expect(getFingerprint(a)).toBe(getFingerprint(b))
+    })
+    test('should use the normalized text when available', async () => {
+      const a = new ValidationWarning('INVALID_DOMAIN_TLD', 'Invalid TLD.', { text: 'example.invalid', path: 'rfc.middle.section[0].t' })
+      const b = new ValidationWarning('INVALID_DOMAIN_TLD', 'Invalid TLD.', { text: '  Example.invalid ', path: 'rfc.middle.section[3].t' })
+      const c = new ValidationWarning('INVALID_DOMAIN_TLD', 'Invalid TLD.', { text: 'other.invalid', path: 'rfc.middle.section[0].t' })
+      expect(getFingerprint(a)).toBe(getFingerprint(b))
+      expect(getFingerprint(a)).not.toBe(getFingerprint(c))
+    })
+    test('should ignore array indexes in paths', async () => {
+      const a = new ValidationWarning('INVALID_REFERENCES_TITLE', 'Invalid title.', { path: 'rfc.back.references[0].title' })
+      const b = new ValidationWarning('INVALID_REFERENCES_TITLE', 'Invalid title.', { path: 'rfc.back.references[1].title' })
+      const c = new ValidationWarning('MISSING_REFERENCES_TITLE', 'Invalid title.', { path: 'rfc.back.references[1].title' })
+      expect(getFingerprint(a)).toBe(getFingerprint(b))
+      expect(getFingerprint(a)).not.toBe(getFingerprint(c))
+    })
+  })
+  describe('filterBaseline()', () => {
+    test('should remove nits recorded in the baseline', async () => {
+      const known = new ValidationError('LINE_TOO_LONG', 'Too long.', { lines: [{ line: 12, pos: 80 }] })
+      const added = new ValidationWarning('MISSING_DOC_DATE', 'Missing date.')
+      const baselineNits = [{ code: 'LINE_TOO_LONG', fingerprint: getFingerprint(known) }]
+      expect(filterBaseline([known, added], baselineNits)).toEqual([added])
+    })
+    test('should report additional occurrences of a baseline nit', async () => {
+      const nit = new ValidationWarning('INVALID_AUTHOR_ROLE', 'Invalid role.', { path: 'rfc.front.author[0].editor' })
+      const nit2 = new ValidationWarning('INVALID_AUTHOR_ROLE', 'Invalid role.', { path: 'rfc.front.author[1].editor' })
+      const baselineNits = [{ code: 'INVALID_AUTHOR_ROLE', fingerprint: getFingerprint(nit) }]
+      expect(filterBaseline([nit, nit2], baselineNits)).toEqual([nit2])
+    })
+    test('should match nits recorded under a deprecated code', async () => {
+      const nit = new ValidationWarning('OBSOLETES_OBSOLETED_RFC', 'Already obsoleted.', { path: 'rfc.obsoletes' })
+      const baselineNits = [{ code: 'OBSOLETES_OSOLETED_RFC', fingerprint: getFingerprint(nit, 'OBSOLETES_OSOLETED_RFC') }]
+      expect(getFingerprint(nit, 'OBSOLETES_OSOLETED_RFC')).not.toBe(getFingerprint(nit))
+      expect(filterBaseline([nit], baselineNits)).toHaveLength(0)
+    })
+    test('should match RFC downrefs recorded as DOWNREF_DRAFT', async () => {
+      const nit = new ValidationError('DOWNREF_RFC', 'RFC 2119 is listed in the Downref Registry.')
+      const formerNit = new ValidationError('DOWNREF_DRAFT', 'Draft RFC 2119 is listed in the Downref Registry.')
+      const draftNit = new ValidationError('DOWNREF_DRAFT', 'Draft draft-ietf-beep-boop is listed in the Downref Registry.')
+      const baselineNits = [{ code: 'DOWNREF_DRAFT', fingerprint: getFingerprint(formerNit) }]
+      expect(filterBaseline([nit, draftNit], baselineNits)).toEqual([draftNit])
+    })
+    test('should keep all nits with an empty baseline', async () => {
+      const nit = new ValidationWarning('MISSING_DOC_DATE', 'Missing date.')
+      expect(filterBaseline([nit])).toEqual([nit])
+    })
+  })
+  describe('parseBaseline()', () => {
+    test('should return the nits of a JSON output', async () => {
+      const nits = [{ code: 'MISSING_DOC_DATE', desc: 'Missing date.', fingerprint: 'abcd1234' }]
+      expect(parseBaseline({ result: 'fail', nits })).toEqual(nits)
+    })
+    test('should tag the nits of multiple files with their filename', async () => {
+      const nits = parseBaseline({
+        result: 'fail',
+        files: [
+          { result: 'fail', file: { path: '/drafts/draft-a-00.xml' }, nits: [{ code: 'A_CODE', fingerprint: 'abcd1234' }] },
+          { result: 'fail', file: { path: '/drafts/wg/draft-b-00.txt' }, nits: [{ code: 'B_CODE', fingerprint: 'abcd1234' }] }
+        ]
+      })
+      expect(nits).toEqual([
+        { code: 'A_CODE', fingerprint: 'abcd1234', file: 'draft-a-00.xml' },
+        { code: 'B_CODE', fingerprint: 'abcd1234', file: 'draft-b-00.txt' }
+      ])
+      expect(getBaselineNitsForFile(nits, '/other/draft-b-00.txt').map(n => n.code)).toEqual(['B_CODE'])
+      expect(getBaselineNitsForFile([{ code: 'C_CODE', fingerprint: 'abcd1234' }], 'draft-b-00.txt')).toHaveLength(1)
+    })
+    test('should match the nits of multiple files across revisions', async () => {
+      const nits = parseBaseline({
+        result: 'fail',
+        files: [
+          { result: 'fail', file: { path: '/drafts/draft-a-00.xml' }, nits: [{ code: 'A_CODE', fingerprint: 'abcd1234' }] },
+          { result: 'fail', file: { path: '/drafts/draft-a-10.txt' }, nits: [{ code: 'B_CODE', fingerprint: 'abcd1234' }] },
+          { result: 'fail', file: { path: '/drafts/draft-ab-00.xml' }, nits: [{ code: 'C_CODE', fingerprint: 'abcd1234' }] }
+        ]
+      })
+      expect(getBaselineNitsForFile(nits, '/drafts/draft-a-01.xml').map(n => n.code)).toEqual(['A_CODE'])
+      expect(getBaselineNitsForFile(nits, 'draft-a-11.txt').map(n => n.code)).toEqual(['B_CODE'])
+      expect(getBaselineNitsForFile(nits, 'draft-ab-01.xml').map(n => n.code)).toEqual(['C_CODE'])
+    })
+    test('should reject invalid baselines', async () => {
+      expect(() => parseBaseline({})).toThrow()
+      expect(() => parseBaseline({ nits: [{ code: 'MISSING_DOC_DATE' }] })).toThrow()
+      expect(() => parseBaseline(null)).toThrow()
+      expect(() => parseBaseline({ files: [{ file: { path: 'a.xml' } }] })).toThrow()
+    })
+  })
+})
@@ -0,0 +1,233 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { cloneDeep, set } from 'lodash-es'
+import { MODES } from '../lib/config/modes.mjs'
+import { toContainError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { validateFQDNs } from '../lib/modules/fqdn.mjs'
+import { validateObsoleteUpdateRef, validateVersion } from '../lib/modules/metadata.mjs'
+import { validateDownrefs, validateNormativeReferences, vlidateDraftReferences } from '../lib/modules/downref.mjs'
+import { getDataBundle, loadDataBundle, setDataBundle } from '../lib/remote/bundle.mjs'
+import { DRAFT_INDEX_URL, parseDraftIndex, updateDataBundle } from '../lib/remote/bundle-update.mjs'
+import { DOWNREF_REGISTRY_URL } from '../lib/remote/downref.mjs'
+import { ARPA_ZONE_DB, ROOT_ZONE_DB } from '../lib/remote/iana.mjs'
+import { getProvider } from '../lib/remote/providers.mjs'
+import { parseRfcIndex, RFC_INDEX_URL } from '../lib/remote/rfc-index.mjs'
+import { baseTXTDoc, baseXMLDoc } from './fixtures/base-doc.mjs'
+import fetchMock from 'jest-fetch-mock'
+
+fetchMock.enableMocks()
+
+expect.extend({
+  toContainError
+})
+
+const RFC_INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<rfc-index xmlns="https://www.rfc-editor.org/rfc-index">
+  <rfc-entry>
+    <doc-id>RFC0791</doc-id>
+    <title>Internet Protocol</title>
+    <updated-by>
+      <doc-id>RFC1349</doc-id>
+      <doc-id>RFC2474</doc-id>
+    </updated-by>
+    <current-status>INTERNET STANDARD</current-status>
+  </rfc-entry>
+  <rfc-entry>
+    <doc-id>RFC2026</doc-id>
+    <obsoletes>
+      <doc-id>RFC1602</doc-id>
+    </obsoletes>
+    <current-status>BEST CURRENT PRACTICE</current-status>
+  </rfc-entry>
+  <rfc-entry>
+    <doc-id>RFC1602</doc-id>
+    <obsoleted-by>
+      <doc-id>RFC2026</doc-id>
+    </obsoleted-by>
+    <current-status>INFORMATIONAL</current-status>
+  </rfc-entry>
+</rfc-index>`
+
+const DRAFT_INDEX = `Internet-Drafts Status Summary
+
+draft-ietf-beep-boop-03\t2024-05-01\tActive\t
+draft-ietf-quic-transport-34\t2021-01-14\tRFC\t9000
+draft-foo-bar-01\t2019-02-03\tExpired\t
+`
+
+const BUNDLE = {
+  version: 1,
+  createdAt: '2024-10-01T08:00:00.000Z',
+  tlds: ['.arpa', '.com', '.org'],
+  arpa: ['in-addr.arpa'],
+  rfcs: parseRfcIndex(RFC_INDEX),
+  downrefs: ['RFC 1602', 'draft-ietf-foo-downref'],
+  drafts: parseDraftIndex(DRAFT_INDEX)
+}
+
+describe('remote data should be parsed into an offline data bundle', () => {
+  test('parseDraftIndex() should list the latest revision and state of each draft', async () => {
+    expect(parseDraftIndex(DRAFT_INDEX)).toEqual({
+      'draft-ietf-beep-boop': { rev: '03', state: 'Active' },
+      'draft-ietf-quic-transport': { rev: '34', state: 'RFC' },
+      'draft-foo-bar': { rev: '01', state: 'Expired' }
+    })
+  })
+
+  describe('updateDataBundle()', () => {
+    let tmpDir = null
+    beforeAll(async () => {
+      tmpDir = await mkdtemp(path.join(tmpdir(), 'idnits-'))
+    })
+    afterAll(async () => {
+      await rm(tmpDir, { recursive: true, force: true })
+    })
+    beforeEach(() => {
+      fetchMock.resetMocks()
+    })
+
+    const responses = {
+      [ROOT_ZONE_DB]: '<span class="domain tld"><a href="/domains/root/db/com.html">.com</a></span>',
+      [ARPA_ZONE_DB]: '<span class="domain label">arpa</span>\n<span class="domain label">in-addr.arpa</span>',
+      [RFC_INDEX_URL]: RFC_INDEX,
+      [DOWNREF_REGISTRY_URL]: '<a href="/doc/rfc1602/">RFC 1602</a>',
+      [DRAFT_INDEX_URL]: DRAFT_INDEX
+    }
+
+    test('should download a snapshot of every source into the bundle file', async () => {
+      fetchMock.mockResponse(async req => responses[req.url])
+      const filePath = path.join(tmpDir, 'data', 'data.json')
+      const progress = []
+      const bundle = await updateDataBundle(filePath, { progressReport: msg => progress.push(msg) })
+      expect(bundle).toMatchObject({
+        version: 1,
+        tlds: ['.com'],
+        arpa: ['in-addr.arpa'],
+        downrefs: ['RFC 1602'],
+        rfcs: { 1602: { obsoleted_by: ['2026'] } },
+        drafts: { 'draft-ietf-beep-boop': { rev: '03' } }
+      })
+      expect(Date.parse(bundle.createdAt)).not.toBeNaN()
+      expect(JSON.parse(await readFile(filePath, 'utf8'))).toEqual(bundle)
+      expect(progress).toContain('Downloading RFC index...')
+    })
+    test('should not write a bundle when a source fails or has no entries', async () => {
+      const filePath = path.join(tmpDir, 'failed.json')
+      fetchMock.mockResponse(async req => req.url === RFC_INDEX_URL ? { status: 503, body: '' } : responses[req.url])
+      await expect(updateDataBundle(filePath)).rejects.toThrow(`Failed to download RFC index from ${RFC_INDEX_URL}: HTTP 503`)
+      fetchMock.mockResponse(async req => req.url === DOWNREF_REGISTRY_URL ? '<p>Moved</p>' : responses[req.url])
+      await expect(updateDataBundle(filePath)).rejects.toThrow('No entries found in Downref Registry')
+      await expect(readFile(filePath)).rejects.toThrow()
+    })
+    test('should only download from allowed domains', async () => {
+      const filePath = path.join(tmpDir, 'blocked.json')
+      fetchMock.mockResponse(async req => responses[req.url])
+      await expect(updateDataBundle(filePath, { allowedDomains: ['iana.org'] })).rejects.toThrow(`Failed to download RFC index from ${RFC_INDEX_URL}: Fetching ${RFC_INDEX_URL} is blocked`)
+      expect(fetchMock.mock.calls.map(call => call[0])).toEqual([ROOT_ZONE_DB, ARPA_ZONE_DB])
+      fetchMock.mockResponse(async req => req.url === DRAFT_INDEX_URL ? { status: 302, headers: { Location: 'https://example.com/all_id.txt' } } : responses[req.url])
+      await expect(updateDataBundle(filePath)).rejects.toThrow('Fetching https://example.com/all_id.txt is blocked')
+      await expect(readFile(filePath)).rejects.toThrow()
+    })
+  })
+
+  describe('loadDataBundle()', () => {
+    let tmpDir = null
+    beforeAll(async () => {
+      tmpDir = await mkdtemp(path.join(tmpdir(), 'idnits-'))
+    })
+    afterAll(async () => {
+      setDataBundle(null)
+      await rm(tmpDir, { recursive: true, force: true })
+    })
+
+    test('should load a bundle for offline lookups', async () => {
+      const filePath = path.join(tmpDir, 'data.json')
+      await writeFile(filePath, JSON.stringify(BUNDLE))
+      setDataBundle(null)
+      expect(getProvider({ offline: true })).toBeNull()
+      await expect(loadDataBundle(filePath)).resolves.toEqual(BUNDLE)
+      expect(getDataBundle()).toEqual(BUNDLE)
+      expect(getProvider({ offline: true })).not.toBeNull()
+    })
+    test('should reject missing files and invalid bundles', async () => {
+      await expect(loadDataBundle(path.join(tmpDir, 'missing.json'))).rejects.toThrow('Failed to read offline data bundle')
+      const filePath = path.join(tmpDir, 'invalid.json')
+      await writeFile(filePath, JSON.stringify({ ...BUNDLE, version: 0 }))
+      await expect(loadDataBundle(filePath)).rejects.toThrow('Unsupported version 0')
+      await writeFile(filePath, JSON.stringify({ ...BUNDLE, createdAt: 'yesterday' }))
+      await expect(loadDataBundle(filePath)).rejects.toThrow('Missing snapshot date.')
+      await writeFile(filePath, JSON.stringify({ ...BUNDLE, tlds: {} }))
+      await expect(loadDataBundle(filePath)).rejects.toThrow('tlds must be an array.')
+      await writeFile(filePath, JSON.stringify({ ...BUNDLE, rfcs: [] }))
+      await expect(loadDataBundle(filePath)).rejects.toThrow('rfcs must be an object.')
+    })
+  })
+})
+
+describe('remote-dependent validations should use the offline data bundle', () => {
+  beforeEach(() => {
+    fetchMock.resetMocks()
+    fetchMock.mockReject(new Error('Network access in offline mode'))
+    setDataBundle(BUNDLE)
+  })
+  afterEach(() => {
+    setDataBundle(null)
+  })
+
+  test('validateFQDNs() should check TLDs and .arpa domains', async () => {
+    const doc = cloneDeep(baseTXTDoc)
+    set(doc, 'data.extractedElements.fqdnDomains', [{ value: 'www.ietf.org' }, { value: 'beep.example.com' }, { value: '192.0.2.10' }, { value: 'beep.boop' }, { value: '1.2.in-addr.arpa' }, { value: 'beep.arpa' }])
+    const result = await validateFQDNs(doc, { offline: true })
+    expect(result.map(r => r.message)).toEqual(['Domain "beep.boop" has an invalid TLD.', 'ARPA domain "beep.arpa" usage is invalid.'])
+  })
+  test('validateFQDNs() should check TLDs and .arpa domains of XML documents', async () => {
+    const doc = cloneDeep(baseXMLDoc)
+    set(doc, 'data.rfc.middle.t', 'See www.ietf.org, beep.boop, 1.2.in-addr.arpa, beep.arpa and 192.0.2.10.')
+    const result = await validateFQDNs(doc, { offline: true })
+    expect(result.map(r => [r.name, r.text])).toEqual([['INVALID_DOMAIN_TLD', 'beep.boop'], ['INVALID_ARPA_DOMAIN', 'beep.arpa']])
+    expect(result[0].path).toBe('rfc.middle.t')
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+  test('validateObsoleteUpdateRef() should look up obsoleted and updated RFCs', async () => {
+    const getDoc = (field, rfc) => {
+      const doc = cloneDeep(baseTXTDoc)
+      set(doc, `data.extractedElements.${field}Rfc`, [rfc])
+      set(doc, 'data.content.abstract', [`This document ${field} RFC ${rfc}.`])
+      return doc
+    }
+    await expect(validateObsoleteUpdateRef(getDoc('obsoletes', '1602'), { offline: true })).resolves.toContainError('OBSOLETES_OBSOLETED_RFC', ValidationWarning)
+    await expect(validateObsoleteUpdateRef(getDoc('updates', '791'), { offline: true })).resolves.toContainError('UPDATES_UPDATED_RFC', ValidationWarning)
+    await expect(validateObsoleteUpdateRef(getDoc('updates', '9999'), { offline: true })).resolves.toContainError('UPDATES_RFC_NOT_FOUND', ValidationWarning)
+  })
+  test('validateVersion() should compare with the latest revision', async () => {
+    const doc = cloneDeep(baseXMLDoc)
+    set(doc, 'data.rfc._attr.docName', 'draft-ietf-beep-boop-03')
+    await expect(validateVersion(doc, { offline: true })).resolves.toContainError('DUPLICATE_DOC_VERSION', ValidationWarning)
+    set(doc, 'data.rfc._attr.docName', 'draft-ietf-beep-boop-04')
+    await expect(validateVersion(doc, { offline: true })).resolves.toHaveLength(0)
+  })
+  test('reference validations should look up the Downref Registry, RFC statuses and draft states', async () => {
+    const doc = cloneDeep(baseTXTDoc)
+    set(doc, 'data.extractedElements.referenceSectionRfc', [{ value: '1602', subsection: 'normative_references' }])
+    set(doc, 'data.extractedElements.referenceSectionDraftReferences', [{ value: 'draft-ietf-quic-transport-34' }])
+    await expect(validateDownrefs(doc, { offline: true })).resolves.toContainError('DOWNREF_RFC')
+    await expect(validateNormativeReferences(doc, { offline: true })).resolves.toContainError('OBSOLETE_DOCUMENT')
+    await expect(vlidateDraftReferences(doc, { offline: true })).resolves.toContainError('INVALID_STATE_FOR_DRAFT', ValidationWarning)
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+  test('validations should be skipped offline without a bundle', async () => {
+    setDataBundle(null)
+    const doc = cloneDeep(baseTXTDoc)
+    set(doc, 'data.extractedElements.referenceSectionRfc', [{ value: '1602', subsection: 'normative_references' }])
+    set(doc, 'data.extractedElements.fqdnDomains', [{ value: 'beep.boop' }])
+    await expect(validateFQDNs(doc, { offline: true })).resolves.toHaveLength(0)
+    const xmlDoc = cloneDeep(baseXMLDoc)
+    set(xmlDoc, 'data.rfc.middle.t', 'See beep.boop and beep.arpa.')
+    await expect(validateFQDNs(xmlDoc, { offline: true })).resolves.toHaveLength(0)
+    await expect(validateNormativeReferences(doc, { offline: true })).resolves.toHaveLength(0)
+    await expect(validateNormativeReferences(doc, { offline: true, mode: MODES.SUBMISSION })).resolves.toHaveLength(0)
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+})
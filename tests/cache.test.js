@@ -0,0 +1,123 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { configureCache, fetchWithCache } from '../lib/remote/cache.mjs'
+import { getDefaultCacheDir } from '../lib/remote/files.mjs'
+import fetchMock from 'jest-fetch-mock'
+
+fetchMock.enableMocks()
+
+const RFC_URL = 'https://www.rfc-editor.org/rfc/rfc2119.json'
+
+describe('remote lookups should be cached', () => {
+  let tmpDir = null
+  beforeAll(async () => {
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'idnits-'))
+  })
+  afterAll(async () => {
+    configureCache()
+    await rm(tmpDir, { recursive: true, force: true })
+  })
+  beforeEach(async () => {
+    fetchMock.resetMocks()
+    await rm(path.join(tmpDir, 'cache'), { recursive: true, force: true })
+  })
+
+  test('caching should be disabled without a directory', async () => {
+    configureCache()
+    fetchMock.mockResponse('{"status":"BEST CURRENT PRACTICE"}')
+    await fetchWithCache(RFC_URL, 'rfc')
+    await fetchWithCache(RFC_URL, 'rfc')
+    expect(fetchMock.mock.calls).toHaveLength(2)
+  })
+  test('responses should be reused across runs during their TTL', async () => {
+    configureCache({ dir: path.join(tmpDir, 'cache') })
+    fetchMock.mockResponseOnce('{"status":"BEST CURRENT PRACTICE"}', { headers: { 'Content-Type': 'application/json' } })
+    await expect(fetchWithCache(RFC_URL, 'rfc').then(r => r.json())).resolves.toEqual({ status: 'BEST CURRENT PRACTICE' })
+    expect(await readdir(path.join(tmpDir, 'cache', 'rfc'))).toHaveLength(1)
+
+    // Another run, without the entries kept in memory
+    configureCache({ dir: path.join(tmpDir, 'cache') })
+    const resp = await fetchWithCache(RFC_URL, 'rfc')
+    expect(resp.ok).toBe(true)
+    expect(resp.headers.get('content-type')).toBe('application/json')
+    await expect(resp.json()).resolves.toEqual({ status: 'BEST CURRENT PRACTICE' })
+    expect(fetchMock.mock.calls).toHaveLength(1)
+  })
+  test('expired responses should be revalidated', async () => {
+    configureCache({ dir: path.join(tmpDir, 'cache'), ttl: { rfc: 0 } })
+    fetchMock.mockResponseOnce('{"status":"BEST CURRENT PRACTICE"}', { headers: { ETag: '"abc"', 'Last-Modified': 'Tue, 01 Oct 2024 00:00:00 GMT' } })
+    fetchMock.mockResponseOnce('', { status: 304 })
+    await fetchWithCache(RFC_URL, 'rfc')
+    await expect(fetchWithCache(RFC_URL, 'rfc').then(r => r.json())).resolves.toEqual({ status: 'BEST CURRENT PRACTICE' })
+    expect(fetchMock.mock.calls[1][1].headers).toEqual({
+      'If-None-Match': '"abc"',
+      'If-Modified-Since': 'Tue, 01 Oct 2024 00:00:00 GMT'
+    })
+  })
+  test('refreshing should revalidate responses of previous runs once', async () => {
+    configureCache({ dir: path.join(tmpDir, 'cache') })
+    fetchMock.mockResponseOnce('{"status":"PROPOSED STANDARD"}')
+    await fetchWithCache(RFC_URL, 'rfc')
+    configureCache({ dir: path.join(tmpDir, 'cache'), refresh: true })
+    fetchMock.mockResponseOnce('{"status":"INTERNET STANDARD"}')
+    await expect(fetchWithCache(RFC_URL, 'rfc').then(r => r.json())).resolves.toEqual({ status: 'INTERNET STANDARD' })
+    await expect(fetchWithCache(RFC_URL, 'rfc').then(r => r.json())).resolves.toEqual({ status: 'INTERNET STANDARD' })
+    expect(fetchMock.mock.calls).toHaveLength(2)
+  })
+  test('expired responses should be used when the network is unavailable', async () => {
+    configureCache({ dir: path.join(tmpDir, 'cache'), ttl: { rfc: 0 } })
+    fetchMock.mockResponseOnce('{"status":"BEST CURRENT PRACTICE"}')
+    fetchMock.mockRejectOnce(new Error('getaddrinfo ENOTFOUND'))
+    await fetchWithCache(RFC_URL, 'rfc')
+    await expect(fetchWithCache(RFC_URL, 'rfc').then(r => r.json())).resolves.toEqual({ status: 'BEST CURRENT PRACTICE' })
+    fetchMock.mockRejectOnce(new Error('getaddrinfo ENOTFOUND'))
+    await expect(fetchWithCache('https://www.rfc-editor.org/rfc/rfc8174.json', 'rfc')).rejects.toThrow('getaddrinfo ENOTFOUND')
+  })
+  test('unsuccessful responses should not be cached', async () => {
+    configureCache({ dir: path.join(tmpDir, 'cache') })
+    fetchMock.mockResponse('Not Found', { status: 404 })
+    await expect(fetchWithCache(RFC_URL, 'rfc')).resolves.toHaveProperty('status', 404)
+    await fetchWithCache(RFC_URL, 'rfc')
+    expect(fetchMock.mock.calls).toHaveLength(2)
+  })
+  test('configureCache() should reject unknown resource types and invalid TTLs', async () => {
+    expect(() => configureCache({ ttl: { rfcs: 60 } })).toThrow('Unknown cache resource type "rfcs".')
+    expect(() => configureCache({ ttl: { rfc: -1 } })).toThrow('Cache TTL of rfc must be a positive number of seconds.')
+  })
+  test('getDefaultCacheDir() should follow XDG_CACHE_HOME', async () => {
+    const xdgCacheHome = process.env.XDG_CACHE_HOME
+    process.env.XDG_CACHE_HOME = '/tmp/xdg'
+    expect(getDefaultCacheDir()).toBe(path.join('/tmp/xdg', 'idnits'))
+    if (xdgCacheHome === undefined) {
+      delete process.env.XDG_CACHE_HOME
+    } else {
+      process.env.XDG_CACHE_HOME = xdgCacheHome
+    }
+  })
+})
+
+describe('the library should be usable outside of Node.js', () => {
+  test('the entry point should not statically import Node.js built-in modules', async () => {
+    const visited = new Set()
+    const builtins = []
+    const visit = async (url) => {
+      if (visited.has(url.href)) {
+        return
+      }
+      visited.add(url.href)
+      const source = await readFile(url, 'utf8')
+      for (const [, specifier] of source.matchAll(/^(?:import|export)\s[^'"]*?from\s+'([^']+)'/gm)) {
+        if (specifier.startsWith('node:')) {
+          builtins.push(`${path.basename(url.pathname)}: ${specifier}`)
+        } else if (specifier.startsWith('.')) {
+          await visit(new URL(specifier, url))
+        }
+      }
+    }
+    await visit(new URL('../lib/index.mjs', import.meta.url))
+    expect(visited.has(new URL('../lib/remote/cache.mjs', import.meta.url).href)).toBe(true)
+    expect(builtins).toEqual([])
+  })
+})
@@ -0,0 +1,75 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import { execFile } from 'node:child_process'
+import { copyFile, mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const cliPath = fileURLToPath(new URL('../cli.js', import.meta.url))
+
+/**
+ * Run the CLI in a directory
+ *
+ * @param {string[]} args CLI arguments
+ * @param {string} cwd Working directory
+ * @returns {Promise<Object>} Exit code and standard output
+ */
+function runCli (args, cwd) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [cliPath, ...args], { cwd, timeout: 60000 }, (err, stdout) => {
+      resolve({ code: err ? err.code : 0, stdout })
+    })
+  })
+}
+
+describe('CLI should report documents which could not be validated', () => {
+  let tmpDir
+
+  beforeAll(async () => {
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'idnits-'))
+    await copyFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url), path.join(tmpDir, 'draft-beep-boop.txt'))
+    // Validators expect an <rfc> root element
+    await writeFile(path.join(tmpDir, 'draft-broken-00.xml'), '<?xml version="1.0" encoding="utf-8"?>\n<html/>\n')
+  })
+  afterAll(async () => {
+    await rm(tmpDir, { recursive: true, force: true })
+  })
+
+  test('json output of a single failed document', async () => {
+    const { code, stdout } = await runCli(['--offline', '-o', 'json', 'draft-broken-00.xml'], tmpDir)
+    expect(code).toBe(4)
+    const report = JSON.parse(stdout)
+    expect(report).toMatchObject({ result: 'error', file: { path: path.join(tmpDir, 'draft-broken-00.xml') } })
+    expect(report.message).toMatch(/^Validation failed: /)
+    expect(report).not.toHaveProperty('files')
+  })
+  test('json output of multiple documents, one of them failed', async () => {
+    const { code, stdout } = await runCli(['--offline', '-o', 'json', 'draft-beep-boop.txt', 'draft-broken-00.xml'], tmpDir)
+    expect(code).toBe(4)
+    const report = JSON.parse(stdout)
+    expect(report.result).toBe('error')
+    expect(report.files.map(f => f.result)).toEqual(['fail', 'error'])
+    expect(report.files[1].message).toMatch(/^Validation failed: /)
+  })
+  test('count output of a single failed document', async () => {
+    const { code, stdout } = await runCli(['--offline', '-o', 'count', 'draft-broken-00.xml'], tmpDir)
+    expect(code).toBe(4)
+    expect(stdout).toBe('error\n')
+  })
+  test('count output of multiple documents, one of them failed', async () => {
+    const { code, stdout } = await runCli(['--offline', '-o', 'count', 'draft-beep-boop.txt', 'draft-broken-00.xml'], tmpDir)
+    expect(code).toBe(4)
+    const lines = stdout.trim().split('\n')
+    expect(lines).toHaveLength(3)
+    expect(lines[0]).toMatch(/^\d+ draft-beep-boop\.txt$/)
+    expect(lines[1]).toBe('error draft-broken-00.xml')
+    expect(lines[2]).toBe(`${parseInt(lines[0])} total`)
+  })
+  test('junit output of multiple documents, one of them failed', async () => {
+    const { code, stdout } = await runCli(['--offline', '-o', 'junit', 'draft-beep-boop.txt', 'draft-broken-00.xml'], tmpDir)
+    expect(code).toBe(4)
+    expect(stdout).toContain('<testsuite name="draft-beep-boop.txt" ')
+    expect(stdout).toMatch(/<testsuite name="draft-broken-00.xml" tests="\d+" failures="0" errors="1" skipped="[1-9]\d*">/)
+    expect(stdout).toMatch(/<testcase name="validate\w+" classname="draft-broken-00.xml">\n\s+<error message="[^"]+" type="INTERNAL_ERROR"\/>/)
+  })
+})
@@ -1,9 +1,12 @@
 import { afterEach, beforeEach, describe, expect, test } from '@jest/globals'
+import { readFile } from 'node:fs/promises'
 import { MODES } from '../lib/config/modes.mjs'
 import { toContainError, ValidationWarning, ValidationError, ValidationComment } from '../lib/helpers/error.mjs'
 import { baseXMLDoc, baseTXTDoc } from './fixtures/base-doc.mjs'
 import { cloneDeep, set } from 'lodash-es'
 import { validateDownrefs, validateInformativeReferences, validateNormativeReferences, validateUnclassifiedReferences, vlidateDraftReferences } from '../lib/modules/downref.mjs'
+import { parse } from '../lib/parsers/txt.mjs'
+import { createMemoryProvider } from '../lib/remote/providers.mjs'
 import fetchMock from 'jest-fetch-mock'
 
 expect.extend({
@@ -52,7 +55,7 @@ describe('validateDownrefs', () => {
       fetchMock.dontMockOnce()
 
       const result = await validateDownrefs(doc, { mode: MODES.NORMAL })
-      expect(result).toContainError('DOWNREF_DRAFT', ValidationError)
+      expect(result).toContainError('DOWNREF_RFC', ValidationError)
     })
 
     test('FORGIVE_CHECKLIST mode returns warnings', async () => {
@@ -67,6 +70,16 @@ describe('validateDownrefs', () => {
       const result = await validateDownrefs(doc, { mode: MODES.FORGIVE_CHECKLIST })
       expect(result).toContainError('DOWNREF_DRAFT', ValidationWarning)
     })
+    test('downrefs should be located in the parsed document', async () => {
+      const doc = await parse((await readFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url), 'utf8')), 'draft-beep-boop.txt')
+      const result = await validateDownrefs(doc, { provider: createMemoryProvider({ downrefs: ['RFC 4360'] }) })
+      expect(result).toContainError('DOWNREF_RFC', ValidationError)
+      expect(result[0].locations).toEqual([{
+        start: { line: 294, column: 4 },
+        end: { line: 294, column: 13 },
+        excerpt: '   [RFC4360]  Sangli, S., Tappan, D., and Y. Rekhter, "BGP Extended'
+      }])
+    })
   })
 
   describe('XML Document Type', () => {
@@ -105,7 +118,7 @@ describe('validateDownrefs', () => {
       fetchMock.dontMockOnce()
 
       const result = await validateDownrefs(doc, { mode: MODES.FORGIVE_CHECKLIST })
-      expect(result).toContainError('DOWNREF_DRAFT', ValidationWarning)
+      expect(result).toContainError('DOWNREF_RFC', ValidationWarning)
     })
   })
 })
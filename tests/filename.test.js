@@ -1,6 +1,8 @@
 import { describe, expect, test } from '@jest/globals'
+import { readFile } from 'node:fs/promises'
 import { toContainError } from '../lib/helpers/error.mjs'
 import { validateFilename, validateDocName } from '../lib/modules/filename.mjs'
+import { parse } from '../lib/parsers/txt.mjs'
 import { baseTXTDoc, baseXMLDoc } from './fixtures/base-doc.mjs'
 import { cloneDeep, set } from 'lodash-es'
 
@@ -50,6 +52,16 @@ describe('filename base name matches the name declared in the document', () => {
       set(doc, 'data.slug', 'draft-ietf-abcd-02')
       await expect(validateDocName(doc)).resolves.toContainError('FILENAME_DOCNAME_MISMATCH')
     })
+    test('non-matching name should be located in the parsed document', async () => {
+      const doc = await parse((await readFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url), 'utf8')), 'draft-beep-boop.txt')
+      const result = await validateDocName(doc)
+      expect(result).toContainError('FILENAME_DOCNAME_MISMATCH')
+      expect(result[0].locations).toEqual([{
+        start: { line: 14, column: 18 },
+        end: { line: 14, column: 56 },
+        excerpt: '                 draft-ietf-idr-rt-derived-community-00'
+      }])
+    })
   })
   describe('XML Document Type', () => {
     test('matching name', async () => {
@@ -1,9 +1,12 @@
 import { describe, expect, test } from '@jest/globals'
+import { readFile } from 'node:fs/promises'
 import { MODES } from '../lib/config/modes.mjs'
 import { toContainError, ValidationWarning } from '../lib/helpers/error.mjs'
 import {
   validateFQDNs
 } from '../lib/modules/fqdn.mjs'
+import { parse } from '../lib/parsers/txt.mjs'
+import { createMemoryProvider } from '../lib/remote/providers.mjs'
 import { baseXMLDoc } from './fixtures/base-doc.mjs'
 import { cloneDeep, set } from 'lodash-es'
 
@@ -19,11 +22,11 @@ describe('document should have valid FQDN mentions', () => {
         data: {
           extractedElements: {
             fqdnDomains: [
-              'example.com',
-              'example.org',
-              'example.net',
-              'localhost',
-              'test.localhost'
+              { value: 'example.com' },
+              { value: 'example.org' },
+              { value: 'example.net' },
+              { value: 'localhost' },
+              { value: 'test.localhost' }
             ]
           }
         }
@@ -39,8 +42,8 @@ describe('document should have valid FQDN mentions', () => {
         data: {
           extractedElements: {
             fqdnDomains: [
-              'invalid.example.invalidtld',
-              'another.invalidtld'
+              { value: 'invalid.example.invalidtld' },
+              { value: 'another.invalidtld' }
             ]
           }
         }
@@ -65,8 +68,8 @@ describe('document should have valid FQDN mentions', () => {
         data: {
           extractedElements: {
             fqdnDomains: [
-              'random.arpa',
-              'invalid.arpa'
+              { value: 'random.arpa' },
+              { value: 'invalid.arpa' }
             ]
           }
         }
@@ -91,7 +94,7 @@ describe('document should have valid FQDN mentions', () => {
         data: {
           extractedElements: {
             fqdnDomains: [
-              'www.ietf.org'
+              { value: 'www.ietf.org' }
             ]
           }
         }
@@ -107,10 +110,10 @@ describe('document should have valid FQDN mentions', () => {
         data: {
           extractedElements: {
             fqdnDomains: [
-              'example.com',
-              'random.arpa',
-              'invalid.example.invalidtld',
-              'www.ietf.org'
+              { value: 'example.com' },
+              { value: 'random.arpa' },
+              { value: 'invalid.example.invalidtld' },
+              { value: 'www.ietf.org' }
             ]
           }
         }
@@ -128,6 +131,17 @@ describe('document should have valid FQDN mentions', () => {
         })
       ])
     })
+    test('invalid TLD should be located in the parsed document', async () => {
+      const lines = (await readFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url), 'utf8')).split('\n')
+      lines.splice(17, 0, '   The server is at 999.8.8.8 or beep.boop.')
+      const doc = await parse(lines.join('\n'), 'draft-beep-boop.txt')
+      const result = await validateFQDNs(doc, { provider: createMemoryProvider({ tlds: ['.org', '.com'] }) })
+      expect(result.find(r => r.name === 'INVALID_DOMAIN_TLD').locations).toEqual([{
+        start: { line: 18, column: 34 },
+        end: { line: 18, column: 43 },
+        excerpt: '   The server is at 999.8.8.8 or beep.boop.'
+      }])
+    })
   })
 
   describe('XML Document Type', () => {
@@ -0,0 +1,111 @@
+import { beforeEach, describe, expect, test } from '@jest/globals'
+import { checkNits } from '../lib/index.mjs'
+import { toContainError, ValidationComment } from '../lib/helpers/error.mjs'
+import { ALLOWED_DOMAINS_DEFAULT } from '../lib/config/externals.mjs'
+import { fetchRemoteDocInfo } from '../lib/helpers/remote.mjs'
+import { assertAllowedUrl, BlockedFetchError, createFetcher, fetchAllowedUrl, isAllowedUrl, MAX_REDIRECTS } from '../lib/remote/gateway.mjs'
+import { createHttpProvider } from '../lib/remote/providers.mjs'
+import fetchMock from 'jest-fetch-mock'
+
+fetchMock.enableMocks()
+
+expect.extend({
+  toContainError
+})
+
+const xml = '<?xml version="1.0" encoding="utf-8"?>\n<rfc version="3" docName="draft-ietf-beep-boop-03" ipr="trust200902"></rfc>'
+
+describe('remote lookups should only fetch from allowed domains', () => {
+  beforeEach(() => {
+    fetchMock.resetMocks()
+  })
+
+  test('isAllowedUrl() should allow http(s) URLs on allowed domains and their subdomains', async () => {
+    expect(isAllowedUrl('https://datatracker.ietf.org/doc/downref/')).toBe(true)
+    expect(isAllowedUrl('https://www.iana.org/domains/root/db')).toBe(true)
+    expect(isAllowedUrl('https://WWW.RFC-EDITOR.ORG./rfc/rfc2119.json')).toBe(true)
+    expect(isAllowedUrl('http://localhost:8000/doc/downref/', ['localhost'])).toBe(true)
+    expect(isAllowedUrl('https://evil-ietf.org/')).toBe(false)
+    expect(isAllowedUrl('https://ietf.org.example.com/')).toBe(false)
+    expect(isAllowedUrl('https://datatracker.ietf.org/', ['rfc-editor.org'])).toBe(false)
+    expect(isAllowedUrl('file:///etc/passwd')).toBe(false)
+    expect(isAllowedUrl('not a url')).toBe(false)
+  })
+  test('assertAllowedUrl() should throw a BlockedFetchError for blocked URLs', async () => {
+    expect(() => assertAllowedUrl('https://example.com/dtd')).toThrow(BlockedFetchError)
+    expect(() => assertAllowedUrl('https://example.com/dtd')).toThrow('Fetching https://example.com/dtd is blocked: example.com is not an allowed domain.')
+    expect(() => assertAllowedUrl('ftp://ietf.org/')).toThrow('only http(s) URLs are allowed')
+    expect(() => assertAllowedUrl('https://ietf.org/', ALLOWED_DOMAINS_DEFAULT)).not.toThrow()
+  })
+  test('createFetcher() should not make any request for blocked URLs', async () => {
+    const fetcher = createFetcher({ allowedDomains: ['rfc-editor.org'] })
+    await expect(fetcher('https://datatracker.ietf.org/doc/downref/', 'downref')).rejects.toThrow(BlockedFetchError)
+    fetchMock.mockResponseOnce('{"status":"BEST CURRENT PRACTICE"}')
+    await expect(fetcher('https://www.rfc-editor.org/rfc/rfc2119.json', 'rfc').then(r => r.json())).resolves.toEqual({ status: 'BEST CURRENT PRACTICE' })
+    expect(fetchMock.mock.calls).toHaveLength(1)
+  })
+  test('fetchAllowedUrl() should only follow redirects to allowed URLs', async () => {
+    fetchMock.mockResponse(async req => req.url === 'https://www.rfc-editor.org/rfc/rfc2119.json'
+      ? { status: 301, headers: { Location: '/rfc/rfc2119.txt' } }
+      : { status: 302, headers: { Location: 'https://example.com/rfc2119.json' } })
+    await expect(fetchAllowedUrl('https://www.rfc-editor.org/rfc/rfc2119.json')).rejects.toThrow('Fetching https://example.com/rfc2119.json is blocked')
+    expect(fetchMock.mock.calls.map(call => call[0])).toEqual(['https://www.rfc-editor.org/rfc/rfc2119.json', 'https://www.rfc-editor.org/rfc/rfc2119.txt'])
+    expect(fetchMock.mock.calls[0][1]).toHaveProperty('redirect', 'manual')
+
+    fetchMock.resetMocks()
+    fetchMock.mockResponse(async req => req.url.endsWith('.json') ? { status: 307, headers: { Location: 'https://rfc-editor.org/rfc2119.json' } } : 'ok')
+    await expect(fetchAllowedUrl('https://www.rfc-editor.org/rfc/rfc2119.json', {}, { allowedDomains: ['www.rfc-editor.org'] })).rejects.toThrow(BlockedFetchError)
+    await expect(fetchAllowedUrl('https://www.rfc-editor.org/rfc/rfc2119.json')).rejects.toThrow(`more than ${MAX_REDIRECTS} redirects`)
+    await expect(fetchAllowedUrl('https://www.rfc-editor.org/rfc/rfc2119.txt').then(r => r.text())).resolves.toBe('ok')
+  })
+  test('createFetcher() should check redirects against its allowed domains', async () => {
+    const fetcher = createFetcher({ allowedDomains: ['localhost'] })
+    fetchMock.mockResponse(async req => req.url.startsWith('http://localhost:8000/')
+      ? { status: 302, headers: { Location: 'https://datatracker.ietf.org/doc/downref/' } }
+      : '<a href="/doc/rfc1602/">RFC 1602</a>')
+    await expect(fetcher('http://localhost:8000/doc/downref/', 'downref')).rejects.toThrow(BlockedFetchError)
+    await expect(createFetcher()('https://www.ietf.org/doc/downref/', 'downref').then(r => r.text())).resolves.toBe('<a href="/doc/rfc1602/">RFC 1602</a>')
+    expect(fetchMock.mock.calls).toHaveLength(2)
+  })
+  test('fetchRemoteDocInfo() should encode the document name in the URL', async () => {
+    fetchMock.mockResponse(JSON.stringify({ rev: '03' }))
+    await fetchRemoteDocInfo('draft-beep-boop/../../api?x=1', { datatrackerUrl: 'https://datatracker.ietf.org' })
+    expect(fetchMock.mock.calls[0][0]).toBe('https://datatracker.ietf.org/doc/draft-beep-boop%2F..%2F..%2Fapi%3Fx%3D1/doc.json')
+  })
+  test('the HTTP provider should throw for lookups outside of its allowed domains', async () => {
+    const provider = createHttpProvider({ datatrackerUrl: 'http://localhost:8000' })
+    await expect(provider.getDocInfo('draft-ietf-beep-boop')).rejects.toThrow(BlockedFetchError)
+    await expect(provider.getDownrefs()).rejects.toThrow(BlockedFetchError)
+    await expect(createHttpProvider({ allowedDomains: ['ietf.org'] }).getRfcInfo(2119)).rejects.toThrow(BlockedFetchError)
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+  test('checkNits() should skip rules with blocked fetches and report them as comments', async () => {
+    const result = await checkNits(Buffer.from(xml), 'draft-ietf-beep-boop-03.xml', {
+      datatrackerUrl: 'http://localhost:8000',
+      rules: { include: ['validateVersion'] }
+    })
+    expect(result).toContainError('FETCH_BLOCKED', ValidationComment)
+    expect(result.map(r => r.message)).toEqual([
+      'validateVersion was skipped. Fetching http://localhost:8000/doc/draft-ietf-beep-boop/doc.json is blocked: localhost is not an allowed domain.'
+    ])
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+  test('checkNits() should fetch from domains added to allowedDomains', async () => {
+    fetchMock.mockResponse(JSON.stringify({ rev: '03', state: 'Active', stream: 'IETF' }))
+    const result = await checkNits(Buffer.from(xml), 'draft-ietf-beep-boop-03.xml', {
+      datatrackerUrl: 'http://localhost:8000',
+      allowedDomains: [...ALLOWED_DOMAINS_DEFAULT, 'localhost'],
+      rules: { include: ['validateVersion'] }
+    })
+    expect(result.map(r => r.name)).toEqual(['DUPLICATE_DOC_VERSION'])
+    expect(fetchMock.mock.calls[0][0]).toBe('http://localhost:8000/doc/draft-ietf-beep-boop/doc.json')
+  })
+  test('allowedDomains of the configuration should be enforced', async () => {
+    const result = await checkNits(Buffer.from(xml), 'draft-ietf-beep-boop-03.xml', {
+      config: { allowedDomains: ['rfc-editor.org'] },
+      rules: { include: ['validateVersion'] }
+    })
+    expect(result.map(r => r.name)).toEqual(['FETCH_BLOCKED'])
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+})
@@ -1,5 +1,22 @@
-import { describe, expect, test } from '@jest/globals'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
 import { findDescendantWith, findAllDescendantsWith } from '../lib/helpers/traversal.mjs'
+import { configToOptions, validateConfig } from '../lib/helpers/config.mjs'
+import { findConfigFile, loadConfigFile, resolveConfig } from '../lib/helpers/config-file.mjs'
+import { EXIT_CODES, getExitCode } from '../lib/helpers/exit.mjs'
+import { globToRegExp, isGlobPattern, resolveInputFiles } from '../lib/helpers/files.mjs'
+import { applySeverityOverrides, createNit, getEntrySeverity } from '../lib/helpers/severity.mjs'
+import { toContainError, ValidationComment, ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { createLocation, createLocationFromOffsets, getPositionAt } from '../lib/helpers/location.mjs'
+import { applyFixes, applyFixesToRaw, createFix, formatFixDiff } from '../lib/helpers/fix.mjs'
+import { MODES } from '../lib/config/modes.mjs'
+import { checkNits } from '../lib/index.mjs'
+
+expect.extend({
+  toContainError
+})
 
 describe('traversal', () => {
   describe('findDescendantWith()', () => {
@@ -53,3 +70,374 @@ describe('traversal', () => {
   // TODO: traverseAll()
   // TODO: traverseAllValues()
 })
+
+describe('config', () => {
+  let tmpDir = ''
+
+  beforeAll(async () => {
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'idnits-'))
+    await mkdir(path.join(tmpDir, 'drafts', 'wg'), { recursive: true })
+    await writeFile(path.join(tmpDir, '.idnitsrc'), JSON.stringify({ mode: 'submission', offline: true }))
+    await writeFile(path.join(tmpDir, 'drafts', 'invalid.json'), '{ mode: ')
+  })
+  afterAll(async () => {
+    await rm(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('validateConfig()', () => {
+    test('should accept a valid configuration', async () => {
+      const config = {
+        mode: 'fc',
+        offline: true,
+        year: 2024,
+        output: 'json',
+        filter: ['errors'],
+        failOn: 'warning',
+        maxWarnings: 10,
+        allowedDomains: ['ietf.org'],
+        enable: ['validateFQDNs'],
+        disable: ['TEXT_DOC_REF'],
+        severity: { LINE_TOO_LONG: 'comment' },
+        cacheDir: '.cache/idnits',
+        cacheTtl: { rfc: 3600 },
+        dataFile: 'idnits-data.json',
+        rfcIndex: 'rfc-index.xml',
+        datatrackerUrl: 'http://localhost:8000'
+      }
+      expect(validateConfig(config)).toEqual(config)
+    })
+    test('should reject invalid configurations', async () => {
+      expect(() => validateConfig([])).toThrow()
+      expect(() => validateConfig({ unknown: true })).toThrow()
+      expect(() => validateConfig({ offline: 'yes' })).toThrow()
+      expect(() => validateConfig({ disable: 'TEXT_DOC_REF' })).toThrow()
+      expect(() => validateConfig({ mode: 'strict' })).toThrow()
+      expect(() => validateConfig({ severity: { LINE_TOO_LONG: 'fatal' } })).toThrow()
+      expect(() => validateConfig({ failOn: 'errors' })).toThrow()
+      expect(() => validateConfig({ maxWarnings: -1 })).toThrow()
+      expect(() => validateConfig({ cacheTtl: { rfcs: 3600 } })).toThrow()
+      expect(() => validateConfig({ dataFile: true })).toThrow()
+      expect(() => validateConfig({ severity: ['LINE_TOO_LONG'] })).toThrow('option "severity" must be of type object')
+    })
+  })
+  describe('configToOptions()', () => {
+    test('should convert a configuration to checkNits() options', async () => {
+      expect(configToOptions({
+        mode: 's',
+        offline: false,
+        year: 2024,
+        output: 'json',
+        datatrackerUrl: 'http://localhost:8000',
+        disable: ['TEXT_DOC_REF'],
+        severity: { LINE_TOO_LONG: 'comment' }
+      })).toEqual({
+        mode: MODES.SUBMISSION,
+        offline: false,
+        year: 2024,
+        datatrackerUrl: 'http://localhost:8000',
+        rules: { include: [], exclude: ['TEXT_DOC_REF'] },
+        severity: { LINE_TOO_LONG: 'comment' }
+      })
+      expect(configToOptions()).toEqual({})
+    })
+  })
+  describe('findConfigFile()', () => {
+    test('should find the closest configuration file in parent directories', async () => {
+      expect(await findConfigFile(path.join(tmpDir, 'drafts', 'wg'))).toBe(path.join(tmpDir, '.idnitsrc'))
+    })
+    test('should prefer a configuration file in the document directory', async () => {
+      const filePath = path.join(tmpDir, 'drafts', 'wg', 'idnits.config.json')
+      await writeFile(filePath, JSON.stringify({ mode: 'normal' }))
+      expect(await findConfigFile(path.join(tmpDir, 'drafts', 'wg'))).toBe(filePath)
+      expect(await resolveConfig(path.join(tmpDir, 'drafts', 'wg'))).toEqual({ path: filePath, config: { mode: 'normal' } })
+      await rm(filePath)
+    })
+  })
+  describe('loadConfigFile()', () => {
+    test('should load a configuration file', async () => {
+      expect(await loadConfigFile(path.join(tmpDir, '.idnitsrc'))).toEqual({ mode: 'submission', offline: true })
+    })
+    test('should throw on an invalid or missing configuration file', async () => {
+      await expect(loadConfigFile(path.join(tmpDir, 'drafts', 'invalid.json'))).rejects.toThrow()
+      await expect(loadConfigFile(path.join(tmpDir, 'missing.json'))).rejects.toThrow()
+    })
+  })
+  describe('checkNits()', () => {
+    test('should use options from the config object', async () => {
+      const raw = await readFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url))
+      const result = await checkNits(raw, 'draft-beep-boop.txt', {
+        config: {
+          mode: 'submission',
+          offline: true,
+          enable: ['LINE_TOO_LONG'],
+          severity: { LINE_TOO_LONG: 'comment' }
+        }
+      })
+      expect(result.length).toBeGreaterThan(0)
+      expect(result.every(r => r.name === 'LINE_TOO_LONG' && r instanceof ValidationComment)).toBe(true)
+    })
+    test('should let explicit options take precedence over the config object', async () => {
+      const raw = await readFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url))
+      const result = await checkNits(raw, 'draft-beep-boop.txt', {
+        config: {
+          mode: 'normal',
+          offline: true,
+          enable: ['LINE_TOO_LONG']
+        },
+        mode: MODES.SUBMISSION,
+        severity: { LINE_TOO_LONG: 'off' }
+      })
+      expect(result).toHaveLength(0)
+    })
+  })
+})
+
+describe('severity', () => {
+  test('createNit() should use the default severity of the code for the mode', async () => {
+    const nit = createNit('LINE_TOO_LONG', 'Line too long.', { mode: MODES.NORMAL, lines: [{ line: 1, pos: 73 }] })
+    expect(nit).toBeInstanceOf(ValidationError)
+    expect(nit).toMatchObject({ name: 'LINE_TOO_LONG', message: 'Line too long.', lines: [{ line: 1, pos: 73 }] })
+    expect(nit.mode).toBeUndefined()
+    expect(createNit('LINE_TOO_LONG', 'Line too long.', { mode: MODES.FORGIVE_CHECKLIST })).toBeInstanceOf(ValidationWarning)
+    expect(createNit('NON_ASCII_UTF8', 'Non-ASCII.', { mode: MODES.NORMAL })).toBeInstanceOf(ValidationComment)
+  })
+  test('createNit() should return null when the code is off for the mode', async () => {
+    expect(createNit('RAGGED_RIGHT', 'Ragged right.', { mode: MODES.SUBMISSION })).toBeNull()
+  })
+  test('createNit() should use the severity of the situation when given', async () => {
+    expect(createNit('MISSING_IANA_CONSIDERATIONS_SECTION', 'No IANA.', { mode: MODES.NORMAL })).toBeInstanceOf(ValidationError)
+    expect(createNit('MISSING_IANA_CONSIDERATIONS_SECTION', 'No IANA.', { mode: MODES.NORMAL, situation: 'rfc' })).toBeInstanceOf(ValidationComment)
+    expect(createNit('MISSING_IANA_CONSIDERATIONS_SECTION', 'No IANA.', { mode: MODES.SUBMISSION, situation: 'rfc' })).toBeNull()
+    expect(createNit('LINE_TOO_LONG', 'Line too long.', { mode: MODES.NORMAL, situation: 'rfc' })).toBeInstanceOf(ValidationError)
+  })
+  test('createNit() should default to error for unknown codes', async () => {
+    expect(createNit('UNKNOWN_CODE', 'Unknown.')).toBeInstanceOf(ValidationError)
+  })
+  test('getEntrySeverity() should return the severity of an entry', async () => {
+    expect(getEntrySeverity(new ValidationError('TEST'))).toBe('error')
+    expect(getEntrySeverity(new ValidationWarning('TEST'))).toBe('warning')
+    expect(getEntrySeverity(new ValidationComment('TEST'))).toBe('comment')
+  })
+  test('applySeverityOverrides() should convert or remove overridden entries', async () => {
+    const result = applySeverityOverrides([
+      new ValidationError('LINE_TOO_LONG', 'Line too long.', { lines: [{ line: 1, pos: 73 }] }),
+      new ValidationWarning('REFERENCE_NOT_USED', 'Reference not used.'),
+      new ValidationWarning('TEXT_DOC_REF', 'Text doc ref.')
+    ], {
+      LINE_TOO_LONG: 'comment',
+      REFERENCE_NOT_USED: 'off'
+    })
+    expect(result).toHaveLength(2)
+    expect(result).toContainError('LINE_TOO_LONG', ValidationComment)
+    expect(result).toContainError('TEXT_DOC_REF', ValidationWarning)
+    expect(result[0].lines).toEqual([{ line: 1, pos: 73 }])
+    expect(result[0].locations).toEqual([{ start: { line: 1, column: 73 }, end: { line: 1, column: 73 } }])
+  })
+})
+
+describe('location', () => {
+  test('createLocation() should build a range from a length or an end position', async () => {
+    expect(createLocation(3, 5, { length: 4, excerpt: 'abc defg' })).toEqual({
+      start: { line: 3, column: 5 },
+      end: { line: 3, column: 9 },
+      excerpt: 'abc defg'
+    })
+    expect(createLocation(3, 5, { endLine: 4, endColumn: 2 })).toEqual({
+      start: { line: 3, column: 5 },
+      end: { line: 4, column: 2 }
+    })
+    expect(createLocation(3, 0)).toEqual({ start: { line: 3, column: 1 }, end: { line: 3, column: 1 } })
+  })
+  test('createLocationFromOffsets() should resolve lines and columns', async () => {
+    const source = 'first\nsecond line\nthird'
+    expect(getPositionAt(source, 0)).toEqual({ line: 1, column: 1 })
+    expect(getPositionAt(source, 6)).toEqual({ line: 2, column: 1 })
+    expect(getPositionAt(source, 13)).toEqual({ line: 2, column: 8 })
+    expect(createLocationFromOffsets(source, 13, 17)).toEqual({
+      start: { line: 2, column: 8 },
+      end: { line: 2, column: 12 },
+      excerpt: 'second line'
+    })
+    expect(createLocationFromOffsets(source, 2, 20, { excerpt: false })).toEqual({
+      start: { line: 1, column: 3 },
+      end: { line: 3, column: 3 }
+    })
+    expect(createLocationFromOffsets(source, 2, 20).excerpt).toBe('first\nsecond line\nthird')
+  })
+  test('ValidationError should derive lines from locations and locations from lines', async () => {
+    const fromLocations = new ValidationError('A_CODE', 'A', { locations: [createLocation(2, 7, { length: 3 })] })
+    expect(fromLocations.lines).toEqual([{ line: 2, pos: 7 }])
+    const fromLines = new ValidationError('A_CODE', 'A', { lines: [{ line: 2, pos: 0 }] })
+    expect(fromLines.locations).toEqual([{ start: { line: 2, column: 1 }, end: { line: 2, column: 1 } }])
+    expect(new ValidationError('A_CODE', 'A').locations).toBeUndefined()
+  })
+  test('locations should only point within the validated document', async () => {
+    expect(createLocation(3, 5, { file: 'inc.xml' })).not.toHaveProperty('file')
+    const raw = await readFile(new URL('fixtures/draft-beep-boop.txt', import.meta.url))
+    const result = await checkNits(raw, 'draft-beep-boop.txt', { offline: true })
+    const locations = result.flatMap(entry => entry.locations ?? [])
+    expect(locations.length).toBeGreaterThan(0)
+    for (const location of locations) {
+      expect(Object.keys(location).filter(key => !['start', 'end', 'excerpt'].includes(key))).toEqual([])
+    }
+  })
+})
+
+describe('fix', () => {
+  const source = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\neight\nnine\nten\neleven\ntwelve'
+  const fixAt = (word, text) => {
+    const start = source.indexOf(word)
+    return new ValidationComment('A_CODE', 'A', { fix: createFix(`Replace ${word}`, [{ start, end: start + word.length, text }]) })
+  }
+
+  test('createFix() should sort edits by offset', async () => {
+    expect(createFix('Fix', [{ start: 5, end: 6, text: 'b' }, { start: 1, end: 2, text: 'a' }]).edits.map(edit => edit.text)).toEqual(['a', 'b'])
+  })
+  test('applyFixes() should apply fixes and skip overlapping ones', async () => {
+    const first = fixAt('two', '2')
+    const overlapping = fixAt('tw', 'TW')
+    const last = fixAt('twelve', '12')
+    const unfixable = new ValidationComment('B_CODE', 'B')
+    const { output, edits, fixed, remaining } = applyFixes(source, [last, unfixable, first, overlapping])
+    expect(output).toBe(source.replace('two', '2').replace('twelve', '12'))
+    expect(edits).toHaveLength(2)
+    expect(fixed).toEqual([first, last])
+    expect(remaining).toEqual([unfixable, overlapping])
+  })
+  test('applyFixesToRaw() should apply fixes to documents with a byte order mark and keep it', async () => {
+    const raw = await readFile(new URL('fixtures/draft-beep-boop-bom.xml', import.meta.url))
+    const opts = { offline: true, rules: { include: ['validateIprAttribute'] } }
+    const result = await checkNits(raw, 'draft-beep-boop-00.xml', opts)
+    expect(result.map(r => r.name)).toEqual(['INVALID_IPR_VALUE'])
+    const { raw: fixedRaw, source, fixed } = await applyFixesToRaw(raw, result)
+    expect(fixed).toHaveLength(1)
+    expect(source.startsWith('<?xml')).toBe(true)
+    expect([...fixedRaw.slice(0, 3)]).toEqual([0xEF, 0xBB, 0xBF])
+    expect(Buffer.from(fixedRaw).toString('utf8')).toBe(raw.toString('utf8').replace('ipr="TRUST200902"', 'ipr="trust200902"'))
+    await expect(checkNits(Buffer.from(fixedRaw), 'draft-beep-boop-00.xml', opts)).resolves.toHaveLength(0)
+  })
+  test('applyFixesToRaw() should not add a byte order mark', async () => {
+    const { raw } = await applyFixesToRaw(Buffer.from(source), [fixAt('two', '2')])
+    expect(Buffer.from(raw).toString('utf8')).toBe(source.replace('two', '2'))
+  })
+  test('applyFixesToRaw() should refuse documents which are not UTF-8', async () => {
+    // "café" encoded as Latin-1
+    const raw = Buffer.concat([Buffer.from(source), Buffer.from([0x63, 0x61, 0x66, 0xE9, 0x0A])])
+    await expect(applyFixesToRaw(raw, [fixAt('two', '2')])).rejects.toThrow('Fixes can only be applied to UTF-8 documents.')
+  })
+  test('applyFixes() should leave the source untouched without fixes', async () => {
+    expect(applyFixes(source, [new ValidationComment('B_CODE', 'B')]).output).toBe(source)
+  })
+  test('formatFixDiff() should format edits as unified diff hunks', async () => {
+    const { edits } = applyFixes(source, [fixAt('two', '2'), fixAt('three', '3\nthree'), fixAt('twelve', '12')])
+    expect(formatFixDiff(source, edits, { path: 'draft.txt' })).toBe([
+      '--- a/draft.txt',
+      '+++ b/draft.txt',
+      '@@ -1,6 +1,7 @@',
+      ' one',
+      '-two',
+      '-three',
+      '+2',
+      '+3',
+      '+three',
+      ' four',
+      ' five',
+      ' six',
+      '@@ -9,4 +10,4 @@',
+      ' nine',
+      ' ten',
+      ' eleven',
+      '-twelve',
+      '+12'
+    ].join('\n'))
+    expect(formatFixDiff(source, [])).toBe('')
+  })
+})
+
+describe('files', () => {
+  let tmpDir = ''
+
+  beforeAll(async () => {
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'idnits-'))
+    await mkdir(path.join(tmpDir, 'drafts', 'wg'), { recursive: true })
+    await mkdir(path.join(tmpDir, 'drafts', '.git'), { recursive: true })
+    await mkdir(path.join(tmpDir, 'drafts', 'node_modules'), { recursive: true })
+    for (const filePath of [
+      'drafts/draft-a-00.xml',
+      'drafts/draft-b-00.txt',
+      'drafts/README.md',
+      'drafts/wg/draft-c-00.xml',
+      'drafts/.git/draft-d-00.xml',
+      'drafts/node_modules/draft-e-00.xml'
+    ]) {
+      await writeFile(path.join(tmpDir, filePath), '')
+    }
+  })
+  afterAll(async () => {
+    await rm(tmpDir, { recursive: true, force: true })
+  })
+
+  test('isGlobPattern() should detect glob characters', async () => {
+    expect(isGlobPattern('drafts/*.xml')).toBe(true)
+    expect(isGlobPattern('drafts/draft-{a,b}-00.xml')).toBe(true)
+    expect(isGlobPattern('drafts/draft-a-00.xml')).toBe(false)
+  })
+  test('globToRegExp() should match paths', async () => {
+    expect(globToRegExp('*.xml').test('draft-a-00.xml')).toBe(true)
+    expect(globToRegExp('*.xml').test('wg/draft-c-00.xml')).toBe(false)
+    expect(globToRegExp('**/*.xml').test('draft-a-00.xml')).toBe(true)
+    expect(globToRegExp('**/*.xml').test('wg/sub/draft-c-00.xml')).toBe(true)
+    expect(globToRegExp('draft-?-00.{txt,xml}').test('draft-b-00.txt')).toBe(true)
+    expect(globToRegExp('draft-[!a]-00.xml').test('draft-a-00.xml')).toBe(false)
+  })
+  test('resolveInputFiles() should list documents of a directory', async () => {
+    const files = await resolveInputFiles(['drafts'], { cwd: tmpDir })
+    expect(files).toEqual([
+      path.join(tmpDir, 'drafts/draft-a-00.xml'),
+      path.join(tmpDir, 'drafts/draft-b-00.txt')
+    ])
+  })
+  test('resolveInputFiles() should list documents of subdirectories when recursive', async () => {
+    const files = await resolveInputFiles(['drafts'], { cwd: tmpDir, recursive: true })
+    expect(files.map(f => path.relative(tmpDir, f).split(path.sep).join('/'))).toEqual([
+      'drafts/draft-a-00.xml',
+      'drafts/draft-b-00.txt',
+      'drafts/wg/draft-c-00.xml'
+    ])
+  })
+  test('resolveInputFiles() should expand glob patterns and remove duplicates', async () => {
+    const files = await resolveInputFiles(['drafts/**/*.xml', 'drafts/draft-a-00.xml'], { cwd: tmpDir })
+    expect(files.map(f => path.relative(tmpDir, f).split(path.sep).join('/'))).toEqual([
+      'drafts/draft-a-00.xml',
+      'drafts/wg/draft-c-00.xml'
+    ])
+  })
+  test('resolveInputFiles() should throw on missing inputs', async () => {
+    await expect(resolveInputFiles(['drafts/*.json'], { cwd: tmpDir })).rejects.toThrow('No document matches')
+    await expect(resolveInputFiles(['missing.xml'], { cwd: tmpDir })).rejects.toThrow('Failed to read missing.xml')
+  })
+})
+
+describe('exit codes', () => {
+  const comment = new ValidationComment('A_CODE', 'A')
+  const warning = new ValidationWarning('B_CODE', 'B')
+  const error = new ValidationError('C_CODE', 'C')
+
+  test('getExitCode() should reflect the worst severity', async () => {
+    expect(getExitCode([])).toBe(EXIT_CODES.CLEAN)
+    expect(getExitCode([comment])).toBe(EXIT_CODES.COMMENTS)
+    expect(getExitCode([comment, warning])).toBe(EXIT_CODES.WARNINGS)
+    expect(getExitCode([error, comment, warning])).toBe(EXIT_CODES.ERRORS)
+  })
+  test('getExitCode() should ignore severities below the fail-on threshold', async () => {
+    expect(getExitCode([comment, warning], { failOn: 'error' })).toBe(EXIT_CODES.CLEAN)
+    expect(getExitCode([comment, warning], { failOn: 'warning' })).toBe(EXIT_CODES.WARNINGS)
+    expect(getExitCode([comment], { failOn: 'comment' })).toBe(EXIT_CODES.COMMENTS)
+    expect(() => getExitCode([], { failOn: 'fatal' })).toThrow()
+  })
+  test('getExitCode() should fail when exceeding the maximum number of warnings', async () => {
+    expect(getExitCode([warning, warning], { failOn: 'error', maxWarnings: 2 })).toBe(EXIT_CODES.CLEAN)
+    expect(getExitCode([warning, warning, warning], { failOn: 'error', maxWarnings: 2 })).toBe(EXIT_CODES.WARNINGS)
+    expect(getExitCode([error, warning], { maxWarnings: 0 })).toBe(EXIT_CODES.ERRORS)
+  })
+})
@@ -0,0 +1,89 @@
+import { beforeEach, describe, expect, test } from '@jest/globals'
+import { BlockedFetchError, createFetcher } from '../lib/remote/gateway.mjs'
+import {
+  ARPA_ZONE_DB,
+  fetchArpaDomains,
+  fetchRootZoneTlds,
+  isValidArpaDomain,
+  isValidDomainTLD,
+  parseArpaDomains,
+  parseRootZoneTlds,
+  ROOT_ZONE_DB
+} from '../lib/remote/iana.mjs'
+import { createMemoryProvider } from '../lib/remote/providers.mjs'
+import fetchMock from 'jest-fetch-mock'
+
+fetchMock.enableMocks()
+
+const ROOT_ZONE_HTML = `<table>
+  <tr><td><span class="domain tld"><a href="/domains/root/db/com.html">.com</a></span></td></tr>
+  <tr><td><span class="domain tld"><a href="/domains/root/db/xn--p1ai.html">.&#1088;&#1092;</a></span></td></tr>
+</table>`
+const ARPA_ZONE_HTML = '<span class="domain label">arpa</span>\n<span class="domain label">in-addr.arpa</span>\n<span class="domain label">ip6.arpa</span>'
+
+describe('IANA zones should be parsed', () => {
+  test('parseRootZoneTlds() should list TLDs, with the xn-- form of IDN TLDs', async () => {
+    expect(parseRootZoneTlds(ROOT_ZONE_HTML)).toEqual(['.com', '.xn--p1ai', '.рф'])
+    expect(parseRootZoneTlds('<html></html>')).toEqual([])
+  })
+  test('parseArpaDomains() should list domains under .arpa', async () => {
+    expect(parseArpaDomains(ARPA_ZONE_HTML)).toEqual(['in-addr.arpa', 'ip6.arpa'])
+  })
+})
+
+describe('IANA zones should be fetched once per process', () => {
+  beforeEach(() => {
+    fetchMock.resetMocks()
+  })
+
+  test('fetchRootZoneTlds() should not fetch from blocked domains', async () => {
+    const fetcher = createFetcher({ allowedDomains: ['ietf.org'] })
+    await expect(fetchRootZoneTlds({ fetcher })).rejects.toThrow(BlockedFetchError)
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+  test('fetchRootZoneTlds() should report failed and empty responses', async () => {
+    fetchMock.mockRejectOnce(new Error('Network down'))
+    await expect(fetchRootZoneTlds()).rejects.toThrow('Failed to fetch Root Zone TLDs from IANA: Network down')
+    fetchMock.mockResponseOnce('')
+    await expect(fetchRootZoneTlds()).rejects.toThrow('Failed to fetch Root Zone TLDs from IANA: Empty response.')
+  })
+  test('fetchRootZoneTlds() should keep the TLDs of the first successful response', async () => {
+    fetchMock.mockResponseOnce(ROOT_ZONE_HTML)
+    await expect(fetchRootZoneTlds()).resolves.toEqual(['.com', '.xn--p1ai', '.рф'])
+    await expect(fetchRootZoneTlds()).resolves.toEqual(['.com', '.xn--p1ai', '.рф'])
+    expect(fetchMock.mock.calls.map(call => call[0])).toEqual([ROOT_ZONE_DB])
+  })
+  test('fetchArpaDomains() should not fetch from blocked domains', async () => {
+    const fetcher = createFetcher({ allowedDomains: ['ietf.org'] })
+    await expect(fetchArpaDomains({ fetcher })).rejects.toThrow(BlockedFetchError)
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+  test('fetchArpaDomains() should report failed and empty responses', async () => {
+    fetchMock.mockRejectOnce(new Error('Network down'))
+    await expect(fetchArpaDomains()).rejects.toThrow('Failed to fetch ARPA Zone Domains from IANA: Network down')
+    fetchMock.mockResponseOnce('')
+    await expect(fetchArpaDomains()).rejects.toThrow('Failed to fetch ARPA Zone Domains from IANA: Empty response.')
+  })
+  test('fetchArpaDomains() should keep the domains of the first successful response', async () => {
+    fetchMock.mockResponseOnce(ARPA_ZONE_HTML)
+    await expect(fetchArpaDomains()).resolves.toEqual(['in-addr.arpa', 'ip6.arpa'])
+    await expect(fetchArpaDomains()).resolves.toEqual(['in-addr.arpa', 'ip6.arpa'])
+    expect(fetchMock.mock.calls.map(call => call[0])).toEqual([ARPA_ZONE_DB])
+  })
+})
+
+describe('domains should be checked against the zones of a provider', () => {
+  const provider = createMemoryProvider({ tlds: ['.com', '.arpa'], arpa: ['in-addr.arpa'] })
+
+  test('isValidDomainTLD() should accept TLDs of the root zone and reserved TLDs', async () => {
+    await expect(isValidDomainTLD('www.example.com', provider)).resolves.toBe(true)
+    await expect(isValidDomainTLD('beep.test', provider)).resolves.toBe(true)
+    await expect(isValidDomainTLD('beep.boop', provider)).resolves.toBe(false)
+    await expect(isValidDomainTLD('beep.test', createMemoryProvider())).resolves.toBe(true)
+  })
+  test('isValidArpaDomain() should accept domains under the .arpa zone', async () => {
+    await expect(isValidArpaDomain('1.2.in-addr.arpa', provider)).resolves.toBe(true)
+    await expect(isValidArpaDomain('beep.arpa', provider)).resolves.toBe(false)
+    await expect(isValidArpaDomain('1.2.in-addr.arpa', createMemoryProvider())).resolves.toBe(false)
+  })
+})
@@ -1,9 +1,11 @@
 import { describe, expect, test } from '@jest/globals'
+import { readFile } from 'node:fs/promises'
 import { MODES } from '../lib/config/modes.mjs'
 import { toContainError, ValidationWarning } from '../lib/helpers/error.mjs'
 import {
   validateIPs
 } from '../lib/modules/ip.mjs'
+import { parse } from '../lib/parsers/txt.mjs'
 import { baseXMLDoc } from './fixtures/base-doc.mjs'
 import { cloneDeep, set } from 'lodash-es'
 
@@ -19,12 +21,12 @@ describe('document should have valid IP Address mentions', () => {
         data: {
           extractedElements: {
             ipv4: [
-              '192.0.2.1',
-              '198.51.100.23',
-              '203.0.113.45',
-              '233.252.0.10',
-              '0.0.0.0',
-              '255.255.255.255'
+              { value: '192.0.2.1' },
+              { value: '198.51.100.23' },
+              { value: '203.0.113.45' },
+              { value: '233.252.0.10' },
+              { value: '0.0.0.0' },
+              { value: '255.255.255.255' }
             ]
           }
         }
@@ -40,11 +42,11 @@ describe('document should have valid IP Address mentions', () => {
         data: {
           extractedElements: {
             ipv4: [
-              '256.0.0.1',
-              '192.0.2.300',
-              '192.0.2',
-              '192.0.2.1/33',
-              'abc.def.ghi.jkl'
+              { value: '256.0.0.1' },
+              { value: '192.0.2.300' },
+              { value: '192.0.2' },
+              { value: '192.0.2.1/33' },
+              { value: 'abc.def.ghi.jkl' }
             ]
           }
         }
@@ -81,9 +83,9 @@ describe('document should have valid IP Address mentions', () => {
         data: {
           extractedElements: {
             ipv4: [
-              '8.8.8.8',
-              '1.1.1.1',
-              '123.45.67.89'
+              { value: '8.8.8.8' },
+              { value: '1.1.1.1' },
+              { value: '123.45.67.89' }
             ]
           }
         }
@@ -107,13 +109,13 @@ describe('document should have valid IP Address mentions', () => {
     })
 
     test('Valid IPv6 documentation address', async () => {
-      const input = { type: 'txt', data: { extractedElements: { ipv4: [], ipv6: ['2001:db8::1'] } } }
+      const input = { type: 'txt', data: { extractedElements: { ipv4: [], ipv6: [{ value: '2001:db8::1' }] } } }
       const result = await validateIPs(input, { mode: 0 })
       expect(result).toEqual([])
     })
 
     test('Invalid IPv6 address', async () => {
-      const input = { type: 'txt', data: { extractedElements: { ipv4: [], ipv6: ['1234:5678:90ab::g'] } } }
+      const input = { type: 'txt', data: { extractedElements: { ipv4: [], ipv6: [{ value: '1234:5678:90ab::g' }] } } }
       const result = await validateIPs(input, { mode: 0 })
       expect(result).toEqual([
         new ValidationWarning('INVALID_IPV6_ADDRESS', 'IPv6 address "1234:5678:90ab::g" is invalid.', {
@@ -124,7 +126,7 @@ describe('document should have valid IP Address mentions', () => {
     })
 
     test('Non-standard IPv6 address', async () => {
-      const input = { type: 'txt', data: { extractedElements: { ipv4: [], ipv6: ['abcd::1234'] } } }
+      const input = { type: 'txt', data: { extractedElements: { ipv4: [], ipv6: [{ value: 'abcd::1234' }] } } }
       const result = await validateIPs(input, { mode: 0 })
       expect(result).toEqual([
         new ValidationWarning('NON_STANDARD_IPV6_ADDRESS', 'IPv6 address "abcd::1234" does not match documentation or standard local ranges.', {
@@ -135,13 +137,13 @@ describe('document should have valid IP Address mentions', () => {
     })
 
     test('Mixed valid IPv4 and IPv6', async () => {
-      const input = { type: 'txt', data: { extractedElements: { ipv4: ['192.0.2.1'], ipv6: ['2001:db8::1'] } } }
+      const input = { type: 'txt', data: { extractedElements: { ipv4: [{ value: '192.0.2.1' }], ipv6: [{ value: '2001:db8::1' }] } } }
       const result = await validateIPs(input, { mode: 0 })
       expect(result).toEqual([])
     })
 
     test('Mixed invalid IPv4 and IPv6', async () => {
-      const input = { type: 'txt', data: { extractedElements: { ipv4: ['999.999.999.999'], ipv6: ['abcd::g'] } } }
+      const input = { type: 'txt', data: { extractedElements: { ipv4: [{ value: '999.999.999.999' }], ipv6: [{ value: 'abcd::g' }] } } }
       const result = await validateIPs(input, { mode: 0 })
       expect(result).toEqual([
         new ValidationWarning('INVALID_IPV4_ADDRESS', 'IPv4 address "999.999.999.999" is invalid.', {
@@ -154,6 +156,18 @@ describe('document should have valid IP Address mentions', () => {
         })
       ])
     })
+    test('invalid IPv4 should be located in the parsed document', async () => {
+      const lines = (await readFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url), 'utf8')).split('\n')
+      lines.splice(17, 0, '   The server is at 999.8.8.8 or beep.boop.')
+      const doc = await parse(lines.join('\n'), 'draft-beep-boop.txt')
+      const result = await validateIPs(doc)
+      expect(result).toContainError('INVALID_IPV4_ADDRESS', ValidationWarning)
+      expect(result.find(r => r.name === 'INVALID_IPV4_ADDRESS').locations).toEqual([{
+        start: { line: 18, column: 21 },
+        end: { line: 18, column: 30 },
+        excerpt: '   The server is at 999.8.8.8 or beep.boop.'
+      }])
+    })
   })
 
   describe('XML Document Type', () => {
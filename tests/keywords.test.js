@@ -5,6 +5,8 @@ import {
   validate2119Keywords,
   validateTermsStyle
 } from '../lib/modules/keywords.mjs'
+import { applyFixes } from '../lib/helpers/fix.mjs'
+import { parse } from '../lib/parsers/xml.mjs'
 import { baseTXTDoc, baseXMLDoc } from './fixtures/base-doc.mjs'
 import { cloneDeep, set } from 'lodash-es'
 
@@ -576,6 +578,40 @@ describe('document should have valid RFC2119 keywords', () => {
       ])
       await expect(validate2119Keywords(doc)).resolves.toHaveLength(0)
     })
+    const back = '<back>\n    <references>\n      <reference anchor="RFC2119"/>\n      <reference anchor="RFC8174"/>\n    </references>\n  </back>'
+    test('missing boilerplate is fixed by inserting it in the first section', async () => {
+      const xml = `<rfc version="3">\n  <middle>\n    <section>\n      <name>Intro</name>\n      <t>Lorem ipsum MUST NOT lorem.</t>\n    </section>\n  </middle>\n  ${back}\n</rfc>`
+      const doc = await parse(xml, 'draft-beep-boop-00.xml')
+      const result = await validate2119Keywords(doc)
+      expect(result).toContainError('MISSING_REQLEVEL_BOILERPLATE', ValidationError)
+      const { output, fixed } = applyFixes(xml, result)
+      expect(fixed).toHaveLength(1)
+      expect(output).toContain('<name>Intro</name>\n      <t>The key words "MUST", "MUST NOT", "REQUIRED", "SHALL", "SHALL NOT", "SHOULD", "SHOULD NOT", "RECOMMENDED", "NOT RECOMMENDED", "MAY", and "OPTIONAL" in this document')
+      const fixedDoc = await parse(output, 'draft-beep-boop-00.xml')
+      await expect(validate2119Keywords(fixedDoc)).resolves.not.toContainError('MISSING_REQLEVEL_BOILERPLATE', ValidationError)
+    })
+    test('missing boilerplate is inserted with the line endings of the document', async () => {
+      const xml = `<rfc version="3">\r\n  <middle>\r\n    <section>\r\n      <name>Intro</name>\r\n      <t>Lorem ipsum MUST NOT lorem.</t>\r\n    </section>\r\n  </middle>\r\n  ${back.replaceAll('\n', '\r\n')}\r\n</rfc>`
+      const doc = await parse(xml, 'draft-beep-boop-00.xml')
+      const { output } = applyFixes(xml, await validate2119Keywords(doc))
+      expect(output).toContain('<name>Intro</name>\r\n      <t>The key words')
+      expect(output.replaceAll('\r\n', '')).not.toContain('\n')
+    })
+    test('missing boilerplate is not fixed without references to RFC 2119 and RFC 8174', async () => {
+      const middle = '<middle>\n    <section>\n      <name>Intro</name>\n      <t>Lorem ipsum MUST NOT lorem.</t>\n    </section>\n  </middle>'
+      const withoutRefs = await parse(`<rfc version="3">\n  ${middle}\n</rfc>`, 'draft-beep-boop-00.xml')
+      const [nit] = (await validate2119Keywords(withoutRefs)).filter(r => r.name === 'MISSING_REQLEVEL_BOILERPLATE')
+      expect(nit.fix).toBeUndefined()
+      const withRfc2119 = await parse(`<rfc version="3">\n  ${middle}\n  <back>\n    <references>\n      <reference anchor="RFC2119"/>\n    </references>\n  </back>\n</rfc>`, 'draft-beep-boop-00.xml')
+      expect((await validate2119Keywords(withRfc2119)).find(r => r.name === 'MISSING_REQLEVEL_BOILERPLATE').fix).toBeUndefined()
+    })
+    test('missing boilerplate is fixed with references included from bibxml', async () => {
+      const include = n => `<xi:include href="https://bib.ietf.org/public/rfc/bibxml/reference.RFC.${n}.xml"/>`
+      const xml = `<rfc version="3" xmlns:xi="http://www.w3.org/2001/XInclude">\n  <middle>\n    <section>\n      <t>Lorem ipsum MUST NOT lorem.</t>\n    </section>\n  </middle>\n  <back>\n    <references>\n      ${include(2119)}\n      ${include(8174)}\n    </references>\n  </back>\n</rfc>`
+      const doc = await parse(xml, 'draft-beep-boop-00.xml')
+      const { fixed } = applyFixes(xml, await validate2119Keywords(doc))
+      expect(fixed).toHaveLength(1)
+    })
   })
 })
 
@@ -600,6 +636,22 @@ describe('document should have valid term spelling', () => {
       await expect(validateTermsStyle(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('INCORRECT_TERM_SPELLING', ValidationComment)
       await expect(validateTermsStyle(doc, { mode: MODES.SUBMISSION })).resolves.toHaveLength(0)
     })
+    test('locates the misspelled term', async () => {
+      const doc = cloneDeep(baseTXTDoc)
+      doc.body = 'Lorem ipsum.\nAn on-line e-mail address.'
+      const result = await validateTermsStyle(doc)
+      expect(result.map(nit => nit.locations[0])).toEqual([
+        { start: { line: 2, column: 4 }, end: { line: 2, column: 11 }, excerpt: 'An on-line e-mail address.' },
+        { start: { line: 2, column: 12 }, end: { line: 2, column: 18 }, excerpt: 'An on-line e-mail address.' }
+      ])
+    })
+    test('fixes the misspelled term', async () => {
+      const doc = cloneDeep(baseTXTDoc)
+      doc.body = 'Lorem ipsum.\nE-mail the sub-domain owner.'
+      const result = await validateTermsStyle(doc)
+      expect(result.map(nit => nit.fix.description)).toEqual(['Replace "E-mail" with "Email"', 'Replace "sub-domain" with "subdomain"'])
+      expect(applyFixes(doc.body, result).output).toBe('Lorem ipsum.\nEmail the subdomain owner.')
+    })
   })
   describe('XML Document Type', () => {
     test('valid terms', async () => {
@@ -621,5 +673,13 @@ describe('document should have valid term spelling', () => {
       await expect(validateTermsStyle(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('INCORRECT_TERM_SPELLING', ValidationComment)
       await expect(validateTermsStyle(doc, { mode: MODES.SUBMISSION })).resolves.toHaveLength(0)
     })
+    test('locates and fixes the misspelled term in the source', async () => {
+      const xml = '<rfc version="3">\n  <middle>\n    <section><name>Intro</name>\n      <t>An on-line service, <em>a</em> on-line e-mail.</t>\n    </section>\n  </middle>\n</rfc>'
+      const doc = await parse(xml, 'draft-beep-boop-00.xml')
+      const result = await validateTermsStyle(doc)
+      expect(result).toHaveLength(3)
+      expect(result[0].locations[0]).toEqual({ start: { line: 4, column: 13 }, end: { line: 4, column: 20 }, excerpt: '      <t>An on-line service, <em>a</em> on-line e-mail.</t>' })
+      expect(applyFixes(xml, result).output).toBe(xml.replaceAll('on-line', 'online').replace('e-mail', 'email'))
+    })
   })
 })
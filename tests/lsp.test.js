@@ -0,0 +1,256 @@
+import { afterAll, afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { PassThrough } from 'node:stream'
+import { pathToFileURL } from 'node:url'
+import { readMessages, RPC_ERROR_CODES, writeMessage } from '../lib/lsp/rpc.mjs'
+import { startLanguageServer } from '../lib/lsp/server.mjs'
+import fetchMock from 'jest-fetch-mock'
+
+fetchMock.enableMocks()
+
+const xml = `<?xml version="1.0" encoding="utf-8"?>
+<rfc version="3" docName="draft-beep-boop-00" ipr="trust200902">
+  <middle>
+    <section><name>Intro</name>
+      <t>Some <spanx style="verb">code</spanx>, by e-mail.</t>
+    </section>
+  </middle>
+</rfc>`
+const uri = 'untitled:draft-beep-boop-00.xml'
+
+/**
+ * Start a language server connected to an in-memory client
+ *
+ * @param {Object} [opts] Options of the server
+ * @returns {Object} Client
+ */
+function startClient (opts = {}) {
+  const input = new PassThrough()
+  const output = new PassThrough()
+  const messages = []
+  const waiters = []
+  readMessages(output, (message) => {
+    const waiter = waiters.find(w => w.predicate(message))
+    if (waiter) {
+      waiters.splice(waiters.indexOf(waiter), 1)
+      waiter.resolve(message)
+    } else {
+      messages.push(message)
+    }
+  })
+  const onExit = jest.fn()
+  const server = startLanguageServer({
+    input,
+    output,
+    onExit,
+    debounce: 20,
+    checkOpts: { offline: true, rules: { include: ['detectDeprecatedElements', 'validateTermsStyle'] } },
+    ...opts
+  })
+  const waitFor = (predicate) => new Promise(resolve => {
+    const message = messages.find(predicate)
+    if (message) {
+      messages.splice(messages.indexOf(message), 1)
+      resolve(message)
+    } else {
+      waiters.push({ predicate, resolve })
+    }
+  })
+  const send = (message) => writeMessage(input, message)
+  let lastId = 0
+  return {
+    server,
+    messages,
+    onExit,
+    send,
+    waitFor,
+    waitForDiagnostics: (docUri = uri) => waitFor(m => m.method === 'textDocument/publishDiagnostics' && m.params.uri === docUri).then(m => m.params),
+    request: (method, params) => {
+      const id = ++lastId
+      send({ id, method, params })
+      return waitFor(m => m.id === id)
+    },
+    open: (text = xml, docUri = uri) => {
+      send({ method: 'textDocument/didOpen', params: { textDocument: { uri: docUri, languageId: 'xml', version: 1, text } } })
+    }
+  }
+}
+
+describe('JSON-RPC messages should be framed with a Content-Length header', () => {
+  test('readMessages() should parse messages split across chunks', async () => {
+    const input = new PassThrough()
+    const onMessage = jest.fn()
+    const onError = jest.fn()
+    readMessages(input, onMessage, onError)
+    input.write('Content-Length: 24\r\n\r\n{"jsonrpc":"2.0","id":1}Content-')
+    input.write('Length: 15\r\n\r\n{"method":"é"}Content-Length: 3\r\n\r\n{"a')
+    input.write('Content-Length: 11\r\n\r\n{"id":"ok"}')
+    await new Promise(resolve => setImmediate(resolve))
+    expect(onMessage.mock.calls.map(call => call[0])).toEqual([{ jsonrpc: '2.0', id: 1 }, { method: 'é' }, { id: 'ok' }])
+    expect(onError).toHaveBeenCalledTimes(1)
+  })
+  test('writeMessage() should write the length of the content in bytes', async () => {
+    const output = new PassThrough()
+    writeMessage(output, { method: 'é' })
+    expect(output.read().toString()).toBe('Content-Length: 31\r\n\r\n{"jsonrpc":"2.0","method":"é"}')
+  })
+})
+
+describe('Language server should report nits of open documents', () => {
+  let client = null
+  afterEach(() => {
+    client?.server.close()
+  })
+
+  test('initialize should return the server capabilities', async () => {
+    client = startClient({ version: '3.0.0' })
+    await expect(client.request('textDocument/hover', {})).resolves.toMatchObject({ error: { code: RPC_ERROR_CODES.SERVER_NOT_INITIALIZED } })
+    const { result } = await client.request('initialize', { capabilities: {} })
+    expect(result.serverInfo).toEqual({ name: 'idnits', version: '3.0.0' })
+    expect(result.capabilities).toMatchObject({
+      textDocumentSync: { openClose: true, change: 1 },
+      codeActionProvider: { codeActionKinds: ['quickfix'] },
+      hoverProvider: true
+    })
+    await expect(client.request('unknown/method', {})).resolves.toMatchObject({ error: { code: RPC_ERROR_CODES.METHOD_NOT_FOUND } })
+  })
+  test('opening a document should publish its diagnostics', async () => {
+    client = startClient()
+    await client.request('initialize', { capabilities: {} })
+    client.open()
+    const { version, diagnostics } = await client.waitForDiagnostics()
+    expect(version).toBe(1)
+    expect(diagnostics).toEqual([
+      {
+        range: { start: { line: 4, character: 51 }, end: { line: 4, character: 57 } },
+        severity: 3,
+        code: 'INCORRECT_TERM_SPELLING',
+        codeDescription: { href: 'https://www.rfc-editor.org/materials/terms-online.txt' },
+        source: 'idnits',
+        message: '"e-mail" should be spelled as email (no hyphen).'
+      },
+      {
+        range: { start: { line: 4, character: 14 }, end: { line: 4, character: 46 } },
+        severity: 2,
+        code: 'DEPRECATED_ELEMENT',
+        codeDescription: { href: 'https://authors.ietf.org/en/rfcxml-vocabulary' },
+        source: 'idnits',
+        message: expect.stringContaining('The <spanx> element is deprecated.')
+      }
+    ])
+  })
+  test('nits with a fix should be offered as quick fixes', async () => {
+    client = startClient()
+    await client.request('initialize', { capabilities: {} })
+    client.open()
+    await client.waitForDiagnostics()
+    const range = { start: { line: 4, character: 53 }, end: { line: 4, character: 53 } }
+    const { result } = await client.request('textDocument/codeAction', { textDocument: { uri }, range, context: { diagnostics: [] } })
+    expect(result).toEqual([{
+      title: 'Replace "e-mail" with "email"',
+      kind: 'quickfix',
+      diagnostics: [expect.objectContaining({ code: 'INCORRECT_TERM_SPELLING' })],
+      isPreferred: true,
+      edit: {
+        changes: {
+          [uri]: [{ range: { start: { line: 4, character: 51 }, end: { line: 4, character: 57 } }, newText: 'email' }]
+        }
+      }
+    }])
+    const { result: sourceActions } = await client.request('textDocument/codeAction', { textDocument: { uri }, range, context: { diagnostics: [], only: ['source'] } })
+    expect(sourceActions).toEqual([])
+  })
+  test('hovering a nit should explain its code', async () => {
+    client = startClient()
+    await client.request('initialize', { capabilities: {} })
+    client.open()
+    await client.waitForDiagnostics()
+    const { result } = await client.request('textDocument/hover', { textDocument: { uri }, position: { line: 4, character: 20 } })
+    expect(result.contents.kind).toBe('markdown')
+    expect(result.contents.value).toContain('**DEPRECATED_ELEMENT** (warning)')
+    expect(result.contents.value).toContain('[https://authors.ietf.org/en/rfcxml-vocabulary](https://authors.ietf.org/en/rfcxml-vocabulary)')
+    const { result: empty } = await client.request('textDocument/hover', { textDocument: { uri }, position: { line: 0, character: 0 } })
+    expect(empty).toBeNull()
+  })
+  test('changes should be validated once after a delay', async () => {
+    client = startClient()
+    await client.request('initialize', { capabilities: {} })
+    client.open()
+    await client.waitForDiagnostics()
+    for (const version of [2, 3]) {
+      client.send({ method: 'textDocument/didChange', params: { textDocument: { uri, version }, contentChanges: [{ text: xml.replace('e-mail', 'email') }] } })
+    }
+    // Fixes of the previous version no longer match the text
+    const range = { start: { line: 4, character: 53 }, end: { line: 4, character: 53 } }
+    await expect(client.request('textDocument/codeAction', { textDocument: { uri }, range, context: { diagnostics: [] } })).resolves.toMatchObject({ result: [] })
+    const { version, diagnostics } = await client.waitForDiagnostics()
+    expect(version).toBe(3)
+    expect(diagnostics.map(d => d.code)).toEqual(['DEPRECATED_ELEMENT'])
+    await new Promise(resolve => setTimeout(resolve, 50))
+    expect(client.messages.filter(m => m.method === 'textDocument/publishDiagnostics')).toHaveLength(0)
+  })
+  test('closing a document should clear its diagnostics', async () => {
+    client = startClient()
+    await client.request('initialize', { capabilities: {} })
+    client.open()
+    await client.waitForDiagnostics()
+    client.send({ method: 'textDocument/didClose', params: { textDocument: { uri } } })
+    await expect(client.waitForDiagnostics()).resolves.toEqual({ uri, diagnostics: [] })
+    expect(client.server.documents.size).toBe(0)
+  })
+  test('only .txt and .xml documents should be validated', async () => {
+    client = startClient()
+    await client.request('initialize', { capabilities: {} })
+    client.open('# Readme', 'untitled:README.md')
+    await client.request('shutdown')
+    expect(client.server.documents.size).toBe(0)
+  })
+  test('exit should exit with a code reflecting whether shutdown was requested', async () => {
+    client = startClient()
+    await client.request('initialize', { capabilities: {} })
+    await client.request('shutdown')
+    client.send({ method: 'exit' })
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(client.onExit).toHaveBeenCalledWith(0)
+  })
+
+  describe('configuration file', () => {
+    let tmpDir = null
+    beforeAll(async () => {
+      tmpDir = await mkdtemp(path.join(tmpdir(), 'idnits-'))
+      await writeFile(path.join(tmpDir, '.idnitsrc'), JSON.stringify({ severity: { INCORRECT_TERM_SPELLING: 'off', DEPRECATED_ELEMENT: 'error' } }))
+    })
+    afterAll(async () => {
+      await rm(tmpDir, { recursive: true, force: true })
+    })
+
+    test('the closest configuration file of a document should be used', async () => {
+      const fileUri = pathToFileURL(path.join(tmpDir, 'draft-beep-boop-00.xml')).href
+      client = startClient()
+      await client.request('initialize', { capabilities: {} })
+      client.open(xml, fileUri)
+      const { diagnostics } = await client.waitForDiagnostics(fileUri)
+      expect(diagnostics).toEqual([expect.objectContaining({ code: 'DEPRECATED_ELEMENT', severity: 1 })])
+    })
+    test('allowDomains should extend the allowed domains of the configuration file', async () => {
+      const configPath = path.join(tmpDir, 'allowed.json')
+      await writeFile(configPath, JSON.stringify({ allowedDomains: ['rfc-editor.org'] }))
+      fetchMock.resetMocks()
+      fetchMock.mockResponse(JSON.stringify({ rev: '00', state: 'Active', stream: 'IETF' }))
+      const checkOpts = { datatrackerUrl: 'http://localhost:8000', rules: { include: ['validateVersion'] } }
+      client = startClient({ configPath, checkOpts })
+      await client.request('initialize', { capabilities: {} })
+      client.open()
+      await expect(client.waitForDiagnostics()).resolves.toMatchObject({ diagnostics: [{ code: 'FETCH_BLOCKED' }] })
+      client.server.close()
+
+      client = startClient({ configPath, checkOpts, allowDomains: ['localhost'] })
+      await client.request('initialize', { capabilities: {} })
+      client.open()
+      await expect(client.waitForDiagnostics()).resolves.toMatchObject({ diagnostics: [{ code: 'DUPLICATE_DOC_VERSION' }] })
+      expect(fetchMock.mock.calls.map(call => call[0])).toEqual(['http://localhost:8000/doc/draft-beep-boop/doc.json'])
+    })
+  })
+})
@@ -1,4 +1,5 @@
 import { describe, expect, test } from '@jest/globals'
+import { readFile } from 'node:fs/promises'
 import { MODES } from '../lib/config/modes.mjs'
 import { toContainError, ValidationWarning, ValidationComment } from '../lib/helpers/error.mjs'
 import {
@@ -7,6 +8,8 @@ import {
   validateObsoleteUpdateRef,
   validateVersion
 } from '../lib/modules/metadata.mjs'
+import { parse } from '../lib/parsers/txt.mjs'
+import { createMemoryProvider } from '../lib/remote/providers.mjs'
 import { baseXMLDoc, baseTXTDoc } from './fixtures/base-doc.mjs'
 import { cloneDeep, set } from 'lodash-es'
 import { DateTime } from 'luxon'
@@ -506,8 +509,8 @@ describe('document should have valid obsoletes / updates references', () => {
       })
       set(doc, 'data.rfc.front.abstract.t', 'This document obsoletes RFC 1234 and 2345.')
       fetch.mockResponse(JSON.stringify({ obsoleted_by: ['3456'] }))
-      await expect(validateObsoleteUpdateRef(doc)).resolves.toContainError('OBSOLETES_OSOLETED_RFC', ValidationWarning)
-      await expect(validateObsoleteUpdateRef(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('OBSOLETES_OSOLETED_RFC', ValidationWarning)
+      await expect(validateObsoleteUpdateRef(doc)).resolves.toContainError('OBSOLETES_OBSOLETED_RFC', ValidationWarning)
+      await expect(validateObsoleteUpdateRef(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('OBSOLETES_OBSOLETED_RFC', ValidationWarning)
       await expect(validateObsoleteUpdateRef(doc, { mode: MODES.SUBMISSION })).resolves.toHaveLength(0)
     })
     test('updates a non-existant RFC', async () => {
@@ -528,8 +531,8 @@ describe('document should have valid obsoletes / updates references', () => {
       })
       set(doc, 'data.rfc.front.abstract.t', 'This document updates RFC 1234 and 2345.')
       fetch.mockResponse(JSON.stringify({ obsoleted_by: ['3456'] }))
-      await expect(validateObsoleteUpdateRef(doc)).resolves.toContainError('UPDATES_OSOLETED_RFC', ValidationWarning)
-      await expect(validateObsoleteUpdateRef(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('UPDATES_OSOLETED_RFC', ValidationWarning)
+      await expect(validateObsoleteUpdateRef(doc)).resolves.toContainError('UPDATES_OBSOLETED_RFC', ValidationWarning)
+      await expect(validateObsoleteUpdateRef(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('UPDATES_OBSOLETED_RFC', ValidationWarning)
       await expect(validateObsoleteUpdateRef(doc, { mode: MODES.SUBMISSION })).resolves.toHaveLength(0)
     })
     test('updates an already updated RFC', async () => {
@@ -657,5 +660,16 @@ describe('document should have valid version', () => {
       await expect(validateVersion(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('UNEXPECTED_DOC_VERSION', ValidationWarning)
       await expect(validateVersion(doc, { mode: MODES.SUBMISSION })).resolves.toContainError('UNEXPECTED_DOC_VERSION', ValidationWarning)
     })
+    test('duplicate version should be located in the parsed document', async () => {
+      const doc = await parse(await readFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url), 'utf8'), 'draft-beep-boop.txt')
+      const provider = createMemoryProvider({ drafts: { 'draft-ietf-idr-rt-derived-community': { rev: '00' } } })
+      const result = await validateVersion(doc, { provider })
+      expect(result).toContainError('DUPLICATE_DOC_VERSION', ValidationWarning)
+      expect(result[0].locations).toEqual([{
+        start: { line: 14, column: 18 },
+        end: { line: 14, column: 56 },
+        excerpt: '                 draft-ietf-idr-rt-derived-community-00'
+      }])
+    })
   })
 })
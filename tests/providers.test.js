@@ -0,0 +1,131 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals'
+import { cloneDeep, set } from 'lodash-es'
+import { checkNits } from '../lib/index.mjs'
+import { toContainError, ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { validateFQDNs } from '../lib/modules/fqdn.mjs'
+import { validateObsoleteUpdateRef } from '../lib/modules/metadata.mjs'
+import { validateDownrefs, validateNormativeReferences, vlidateDraftReferences } from '../lib/modules/downref.mjs'
+import { validateSubmissionType } from '../lib/modules/xml.mjs'
+import { setDataBundle } from '../lib/remote/bundle.mjs'
+import { createBundleProvider, createHttpProvider, createMemoryProvider, getProvider } from '../lib/remote/providers.mjs'
+import { baseTXTDoc, baseXMLDoc } from './fixtures/base-doc.mjs'
+import fetchMock from 'jest-fetch-mock'
+
+fetchMock.enableMocks()
+
+expect.extend({
+  toContainError
+})
+
+const DATA = {
+  drafts: {
+    'draft-ietf-beep-boop': { rev: '03', state: 'Active', stream: 'ietf' },
+    'draft-ietf-quic-transport': { rev: '34', state: 'RFC', stream: 'ietf' }
+  },
+  rfcs: {
+    791: { rfc: '791', status: 'INTERNET STANDARD', obsoleted_by: [], updated_by: ['1349'], is_also: ['STD5'] },
+    1602: { rfc: '1602', status: 'INFORMATIONAL', obsoleted_by: ['2026'], updated_by: [], is_also: [] }
+  },
+  downrefs: ['RFC 1602'],
+  tlds: ['.arpa', '.com', '.org'],
+  arpa: ['in-addr.arpa']
+}
+
+describe('validations should look up remote data with the provider passed in options', () => {
+  const provider = createMemoryProvider(DATA)
+  beforeEach(() => {
+    fetchMock.resetMocks()
+    fetchMock.mockReject(new Error('Unexpected remote lookup'))
+  })
+  afterEach(() => {
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+
+  test('validateFQDNs() should check TLDs and .arpa domains', async () => {
+    const doc = cloneDeep(baseTXTDoc)
+    set(doc, 'data.extractedElements.fqdnDomains', [{ value: 'www.ietf.org' }, { value: 'beep.boop' }, { value: '1.2.in-addr.arpa' }, { value: 'beep.arpa' }])
+    const result = await validateFQDNs(doc, { provider })
+    expect(result.map(r => r.message)).toEqual(['Domain "beep.boop" has an invalid TLD.', 'ARPA domain "beep.arpa" usage is invalid.'])
+  })
+  test('validateObsoleteUpdateRef() should look up RFCs', async () => {
+    const doc = cloneDeep(baseTXTDoc)
+    set(doc, 'data.extractedElements.obsoletesRfc', ['1602'])
+    set(doc, 'data.content.abstract', ['This document obsoletes RFC 1602.'])
+    await expect(validateObsoleteUpdateRef(doc, { provider })).resolves.toContainError('OBSOLETES_OBSOLETED_RFC', ValidationWarning)
+  })
+  test('reference validations should look up the Downref Registry, RFC statuses and draft states', async () => {
+    const doc = cloneDeep(baseTXTDoc)
+    set(doc, 'data.extractedElements.referenceSectionRfc', [{ value: '1602', subsection: 'normative_references' }])
+    set(doc, 'data.extractedElements.referenceSectionDraftReferences', [{ value: 'draft-ietf-quic-transport-34' }])
+    await expect(validateDownrefs(doc, { provider })).resolves.toContainError('DOWNREF_RFC')
+    await expect(validateNormativeReferences(doc, { provider })).resolves.toContainError('OBSOLETE_DOCUMENT')
+    await expect(vlidateDraftReferences(doc, { provider })).resolves.toContainError('INVALID_STATE_FOR_DRAFT', ValidationWarning)
+  })
+  test('validateSubmissionType() should compare with the stream of the existing version', async () => {
+    const doc = cloneDeep(baseXMLDoc)
+    set(doc, 'data.rfc._attr.submissionType', 'IAB')
+    set(doc, 'data.rfc._attr.docName', 'draft-ietf-beep-boop-04')
+    set(doc, 'filename', 'draft-ietf-beep-boop-04.xml')
+    await expect(validateSubmissionType(doc, { provider })).resolves.toContainError('SUBMISSION_TYPE_UNEXPECTED', ValidationError)
+    set(doc, 'data.rfc._attr.submissionType', 'IETF')
+    await expect(validateSubmissionType(doc, { provider })).resolves.toHaveLength(0)
+  })
+  test('a provider should be used offline, without a data bundle', async () => {
+    const doc = cloneDeep(baseTXTDoc)
+    set(doc, 'data.extractedElements.referenceSectionRfc', [{ value: '1602', subsection: 'normative_references' }])
+    await expect(validateNormativeReferences(doc, { offline: true, provider })).resolves.toContainError('OBSOLETE_DOCUMENT')
+  })
+  test('checkNits() should pass the provider to rules', async () => {
+    const xml = '<?xml version="1.0" encoding="utf-8"?>\n<rfc version="3" docName="draft-ietf-beep-boop-03" ipr="trust200902"></rfc>'
+    const result = await checkNits(Buffer.from(xml), 'draft-ietf-beep-boop-03.xml', { provider, rules: { include: ['validateVersion'] } })
+    expect(result.map(r => r.name)).toEqual(['DUPLICATE_DOC_VERSION'])
+  })
+})
+
+describe('built-in providers', () => {
+  beforeEach(() => {
+    fetchMock.resetMocks()
+  })
+  afterEach(() => {
+    setDataBundle(null)
+  })
+
+  test('getProvider() should use the provider passed in options, then the HTTP or offline data bundle providers', async () => {
+    const provider = createMemoryProvider()
+    expect(getProvider({ provider, offline: true })).toBe(provider)
+    expect(getProvider({ offline: true })).toBeNull()
+    setDataBundle({ ...DATA, version: 1, createdAt: '2024-10-01T08:00:00.000Z' })
+    await expect(getProvider({ offline: true }).getDocInfo('draft-ietf-beep-boop-03')).resolves.toMatchObject({ rev: '03' })
+    expect(getProvider()).not.toBe(getProvider({ offline: true }))
+  })
+  test('the offline data bundle provider should use the given bundle', async () => {
+    const provider = createBundleProvider({ downrefs: ['RFC 2119'] })
+    await expect(provider.getDownrefs()).resolves.toEqual(['RFC 2119'])
+    await expect(provider.getRfcInfo('2119')).resolves.toBeNull()
+  })
+  test('the HTTP provider should look up drafts and the Downref Registry in the Datatracker instance', async () => {
+    const provider = createHttpProvider({ datatrackerUrl: 'http://localhost:8000/', allowedDomains: ['localhost'] })
+    fetchMock.mockResponseOnce(JSON.stringify({ name: 'draft-ietf-beep-boop', rev: '03', state: 'Active', stream: 'IETF' }))
+    await expect(provider.getDocInfo('draft-ietf-beep-boop-04')).resolves.toEqual({ rev: '03', state: 'Active', stream: 'ietf' })
+    fetchMock.mockResponseOnce('<a href="/doc/rfc1602/">RFC 1602</a>')
+    await expect(provider.getDownrefs()).resolves.toEqual(['RFC 1602'])
+    expect(fetchMock.mock.calls.map(call => call[0])).toEqual([
+      'http://localhost:8000/doc/draft-ietf-beep-boop/doc.json',
+      'http://localhost:8000/doc/downref/'
+    ])
+  })
+  test('the HTTP provider should reject invalid Datatracker URLs', async () => {
+    expect(() => createHttpProvider({ datatrackerUrl: 'localhost:8000' })).toThrow('Invalid Datatracker URL "localhost:8000". Must be an http(s) URL.')
+  })
+  test('checkNits() should look up drafts in the Datatracker instance set with datatrackerUrl', async () => {
+    fetchMock.mockResponse(JSON.stringify({ rev: '02', state: 'Active', stream: 'IETF' }))
+    const xml = '<?xml version="1.0" encoding="utf-8"?>\n<rfc version="3" docName="draft-ietf-beep-boop-03" ipr="trust200902"></rfc>'
+    const result = await checkNits(Buffer.from(xml), 'draft-ietf-beep-boop-03.xml', {
+      datatrackerUrl: 'https://datatracker.example',
+      allowedDomains: ['datatracker.example'],
+      rules: { include: ['validateVersion'] }
+    })
+    expect(result).toHaveLength(0)
+    expect(fetchMock.mock.calls[0][0]).toBe('https://datatracker.example/doc/draft-ietf-beep-boop/doc.json')
+  })
+})
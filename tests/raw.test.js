@@ -23,6 +23,10 @@ describe('input does not include invalid control chars', () => {
     await expect(validateContent('abc\bdef\tgeh', { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('INVALID_CTRL_CODES', ValidationWarning)
     await expect(validateContent('abc\bdef\tgeh', { mode: MODES.SUBMISSION })).resolves.toHaveLength(0)
   })
+  test('should locate invalid chars', async () => {
+    const [nit] = await validateContent('abc\ndef\b\bgeh')
+    expect(nit.locations).toEqual([{ start: { line: 2, column: 4 }, end: { line: 2, column: 6 }, excerpt: 'def\b\bgeh' }])
+  })
   test('invalid 0B char', async () => {
     await expect(validateContent('abc\vdef')).resolves.toContainError('INVALID_CTRL_CODES', ValidationError)
     await expect(validateContent('abc\vdef', { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('INVALID_CTRL_CODES', ValidationWarning)
@@ -0,0 +1,283 @@
+import { describe, expect, test } from '@jest/globals'
+import { MODES } from '../lib/config/modes.mjs'
+import { ValidationComment, ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { createLocation } from '../lib/helpers/location.mjs'
+import { findSourceLine, scanXmlSource } from '../lib/parsers/xml.mjs'
+import { formatCheckstyle } from '../lib/reporters/checkstyle.mjs'
+import { formatGithub } from '../lib/reporters/github.mjs'
+import { formatHtml } from '../lib/reporters/html.mjs'
+import { formatJunit } from '../lib/reporters/junit.mjs'
+import { formatSarif } from '../lib/reporters/sarif.mjs'
+import { escapeXml } from '../lib/reporters/utils.mjs'
+
+const RESULT = [
+  new ValidationError('FILENAME_MISSING_COMPONENTS', 'The filename is missing components.', {
+    ref: 'https://authors.ietf.org/naming-your-internet-draft'
+  }),
+  new ValidationWarning('LINE_TOO_LONG', 'The document contains over-long lines.', {
+    lines: [{ line: 18, pos: 79 }, { line: 42, pos: 0 }]
+  }),
+  new ValidationComment('DEPRECATED_ELEMENT', 'The <strike> element is deprecated.', {
+    path: 'rfc.middle.section[1].t[0]'
+  })
+]
+
+describe('sarif', () => {
+  test('should produce a valid SARIF 2.1.0 log', async () => {
+    const log = JSON.parse(formatSarif([{ path: 'drafts/draft-beep-boop-00.txt', result: RESULT }], { version: '3.0.0' }))
+    expect(log.version).toBe('2.1.0')
+    expect(log.$schema).toContain('sarif-2.1.0')
+    expect(log.runs).toHaveLength(1)
+    expect(log.runs[0].tool.driver).toMatchObject({ name: 'idnits', version: '3.0.0' })
+    expect(log.runs[0].artifacts).toEqual([{ location: { uri: 'drafts/draft-beep-boop-00.txt' } }])
+    expect(log.runs[0].results).toHaveLength(3)
+  })
+  test('should state the snapshot date of the offline data bundle', async () => {
+    const log = JSON.parse(formatSarif([{ path: 'a.txt', result: RESULT }], { dataSnapshot: '2024-10-01T00:00:00.000Z' }))
+    expect(log.runs[0].properties).toEqual({ dataSnapshot: '2024-10-01T00:00:00.000Z' })
+    expect(JSON.parse(formatSarif([{ path: 'a.txt', result: RESULT }])).runs[0].properties).toBeUndefined()
+  })
+  test('should list each code once as a rule', async () => {
+    const log = JSON.parse(formatSarif([
+      { path: 'a.txt', result: RESULT },
+      { path: 'b.txt', result: [RESULT[1]] }
+    ], { mode: MODES.SUBMISSION }))
+    const { rules } = log.runs[0].tool.driver
+    expect(rules.map(r => r.id)).toEqual(['FILENAME_MISSING_COMPONENTS', 'LINE_TOO_LONG', 'DEPRECATED_ELEMENT'])
+    expect(rules[0].helpUri).toBe('https://authors.ietf.org/naming-your-internet-draft')
+    expect(log.runs[0].results.map(r => r.ruleIndex)).toEqual([0, 1, 2, 1])
+  })
+  test('should map severities to levels', async () => {
+    const log = JSON.parse(formatSarif([{ path: 'a.txt', result: RESULT }]))
+    expect(log.runs[0].results.map(r => r.level)).toEqual(['error', 'warning', 'note'])
+  })
+  test('should include physical and logical locations', async () => {
+    const log = JSON.parse(formatSarif([{ path: 'a.txt', result: RESULT }]))
+    const [noLocation, lines, xmlPath] = log.runs[0].results
+    expect(noLocation.locations).toEqual([{ physicalLocation: { artifactLocation: { uri: 'a.txt' } } }])
+    expect(lines.locations.map(l => l.physicalLocation.region)).toEqual([
+      { startLine: 18, startColumn: 79 },
+      { startLine: 42, startColumn: 1 }
+    ])
+    expect(xmlPath.locations[0].logicalLocations).toEqual([{ fullyQualifiedName: 'rfc.middle.section[1].t[0]', kind: 'element' }])
+  })
+  test('should include ranges and source excerpts', async () => {
+    const log = JSON.parse(formatSarif([{
+      path: 'a.txt',
+      result: [new ValidationWarning('LINE_TOO_LONG', 'Too long.', { locations: [createLocation(3, 73, { length: 4, excerpt: 'x'.repeat(76) })] })]
+    }]))
+    expect(log.runs[0].results[0].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'a.txt' },
+      region: { startLine: 3, startColumn: 73, endLine: 3, endColumn: 77 },
+      contextRegion: { startLine: 3, endLine: 3, snippet: { text: 'x'.repeat(76) } }
+    })
+  })
+  test('should encode file paths as URIs', async () => {
+    const log = JSON.parse(formatSarif([
+      { path: 'my drafts/draft.txt', result: [] },
+      { path: '/home/user/draft.txt', result: [] },
+      { path: 'C:\\drafts\\draft.txt', result: [] }
+    ]))
+    expect(log.runs[0].artifacts.map(a => a.location.uri)).toEqual([
+      'my%20drafts/draft.txt',
+      'file:///home/user/draft.txt',
+      'file:///C:/drafts/draft.txt'
+    ])
+  })
+})
+
+describe('junit', () => {
+  test('should report each rule as a test case and each nit as a failure', async () => {
+    const xml = formatJunit([{ path: 'draft-beep-boop-00.txt', result: RESULT.slice(0, 2) }])
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="idnits" tests="\d+" failures="2" errors="0">/)
+    expect(xml).toContain('<testsuite name="draft-beep-boop-00.txt"')
+    expect(xml).toMatch(/<testcase name="validateFilename" classname="draft-beep-boop-00.txt">\n\s+<failure message="The filename is missing components." type="FILENAME_MISSING_COMPONENTS">/)
+    expect(xml).toMatch(/<testcase name="validateLineLength" classname="draft-beep-boop-00.txt">\n\s+<failure [^>]+type="LINE_TOO_LONG">warning: .+\nLine 18, column 79\nLine 42, column 1<\/failure>/)
+    expect(xml).toContain('<testcase name="validateEncoding" classname="draft-beep-boop-00.txt"/>')
+  })
+  test('should only list rules applicable to the document type', async () => {
+    const xml = formatJunit([{ path: 'draft-beep-boop-00.xml', result: [] }])
+    expect(xml).not.toContain('name="validateLineLength"')
+    expect(xml).toContain('failures="0"')
+    expect(formatJunit([{ path: 'stdin', format: 'xml', result: [] }])).not.toContain('name="validateLineLength"')
+  })
+  test('should skip disabled rules', async () => {
+    const xml = formatJunit([{ path: 'draft-beep-boop-00.txt', result: [] }], { rules: { exclude: ['validateEncoding'] } })
+    expect(xml).not.toContain('name="validateEncoding"')
+  })
+  test('should report nits without a rule in a test case named after their code', async () => {
+    const xml = formatJunit([{ path: 'draft.xml', result: [new ValidationError('XML_PARSING_FAILED', 'Invalid <rfc> element.')] }])
+    expect(xml).toContain('<testcase name="XML_PARSING_FAILED" classname="draft.xml">')
+    expect(xml).toContain('message="Invalid &lt;rfc&gt; element."')
+  })
+  test('should report rules which threw as errors and rules which did not run as skipped', async () => {
+    const blocked = new ValidationComment('FETCH_BLOCKED', 'validateDownrefs was skipped. Fetching https://datatracker.ietf.org is blocked.')
+    const xml = formatJunit([{
+      path: 'draft-beep-boop-00.txt',
+      result: [RESULT[1], blocked],
+      rules: {
+        validateLineLength: { status: 'ran' },
+        validateEncoding: { status: 'ran' },
+        validateDownrefs: { status: 'blocked', message: 'Fetching https://datatracker.ietf.org is blocked.' },
+        validateCodeComments: { status: 'skipped', message: 'All codes of validateCodeComments are off in this mode.' },
+        validateDate: { status: 'error', message: 'Invalid date.' }
+      },
+      error: 'Validation failed: Invalid date.'
+    }])
+    expect(xml).toMatch(/<testcase name="validateLineLength" classname="draft-beep-boop-00.txt">\n\s+<failure [^>]+type="LINE_TOO_LONG">/)
+    expect(xml).toContain('<testcase name="validateEncoding" classname="draft-beep-boop-00.txt"/>')
+    expect(xml).toMatch(/<testcase name="validateDownrefs" classname="draft-beep-boop-00.txt">\n\s+<error message="Fetching https:\/\/datatracker.ietf.org is blocked." type="FETCH_BLOCKED"\/>/)
+    expect(xml).toMatch(/<testcase name="validateDate" classname="draft-beep-boop-00.txt">\n\s+<error message="Invalid date." type="INTERNAL_ERROR"\/>/)
+    expect(xml).toMatch(/<testcase name="validateCodeComments" classname="draft-beep-boop-00.txt">\n\s+<skipped message="All codes of validateCodeComments are off in this mode."\/>/)
+    expect(xml).toMatch(/<testcase name="validateFilename" classname="draft-beep-boop-00.txt">\n\s+<skipped message="The rule did not run."\/>/)
+    expect(xml).not.toContain('name="FETCH_BLOCKED"')
+    expect(xml).not.toContain('name="validation"')
+    expect(xml).toMatch(/<testsuite name="draft-beep-boop-00.txt" tests="\d+" failures="1" errors="2" skipped="\d+">/)
+    expect(xml).toMatch(/<testsuites name="idnits" tests="\d+" failures="1" errors="2">/)
+  })
+  test('should report errors which stopped the validation outside of a rule', async () => {
+    const xml = formatJunit([{ path: 'draft-beep-boop-00.txt', result: [], rules: {}, error: 'Failed to read document: Permission denied.' }])
+    expect(xml).toMatch(/<testcase name="validation" classname="draft-beep-boop-00.txt">\n\s+<error message="Failed to read document: Permission denied." type="INTERNAL_ERROR"\/>/)
+    expect(xml).not.toContain('<failure')
+    expect(xml).toMatch(/ failures="0" errors="1" skipped="[1-9]\d*">/)
+  })
+})
+
+describe('checkstyle', () => {
+  test('should report each nit as an error element', async () => {
+    const xml = formatCheckstyle([{ path: 'draft-beep-boop-00.txt', result: RESULT }])
+    expect(xml.split('\n')).toEqual([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<checkstyle version="4.3">',
+      '  <file name="draft-beep-boop-00.txt">',
+      '    <error line="0" column="0" severity="error" message="The filename is missing components." source="FILENAME_MISSING_COMPONENTS"/>',
+      '    <error line="18" column="79" severity="warning" message="The document contains over-long lines." source="LINE_TOO_LONG"/>',
+      '    <error line="42" column="0" severity="warning" message="The document contains over-long lines." source="LINE_TOO_LONG"/>',
+      '    <error line="0" column="0" severity="info" message="The &lt;strike&gt; element is deprecated." source="DEPRECATED_ELEMENT"/>',
+      '  </file>',
+      '</checkstyle>'
+    ])
+  })
+})
+
+describe('github', () => {
+  const XML_SOURCE = `<?xml version="1.0" encoding="utf-8"?>
+<rfc version="3" docName="draft-ietf-beep-boop-00">
+  <front>
+    <title>Beep Boop</title>
+    <author fullname="Jane Doe"/>
+  </front>
+  <middle>
+    <section><t>One</t></section>
+    <section>
+      <t>Two</t>
+      <t>Three</t>
+    </section>
+  </middle>
+</rfc>`
+
+  test('should print a workflow command for each line of a nit', async () => {
+    expect(formatGithub([{ path: 'draft-beep-boop-00.txt', result: RESULT }]).split('\n')).toEqual([
+      '::error file=draft-beep-boop-00.txt,title=FILENAME_MISSING_COMPONENTS::The filename is missing components.',
+      '::warning file=draft-beep-boop-00.txt,line=18,col=79,title=LINE_TOO_LONG::The document contains over-long lines.',
+      '::warning file=draft-beep-boop-00.txt,line=42,col=1,title=LINE_TOO_LONG::The document contains over-long lines.',
+      '::notice file=draft-beep-boop-00.txt,title=DEPRECATED_ELEMENT::The <strike> element is deprecated.'
+    ])
+  })
+  test('should annotate ranges', async () => {
+    const output = formatGithub([{
+      path: 'draft.txt',
+      result: [new ValidationWarning('A_CODE', 'A', { locations: [createLocation(3, 4, { length: 5 }), createLocation(7, 2, { endLine: 8, endColumn: 1 })] })]
+    }])
+    expect(output.split('\n')).toEqual([
+      '::warning file=draft.txt,line=3,endLine=3,col=4,endColumn=9,title=A_CODE::A',
+      '::warning file=draft.txt,line=7,endLine=8,col=2,endColumn=1,title=A_CODE::A'
+    ])
+  })
+  test('should resolve XML paths to source lines', async () => {
+    const output = formatGithub([{
+      path: 'draft-beep-boop-00.xml',
+      source: XML_SOURCE,
+      result: [
+        new ValidationWarning('A_CODE', 'A', { path: 'rfc.middle.section[1].t[1]' }),
+        new ValidationWarning('B_CODE', 'B', { path: 'rfc.front.author[0].fullname' }),
+        new ValidationWarning('C_CODE', 'C', { path: 'rfc.back.references' })
+      ]
+    }])
+    expect(output.split('\n').map(l => l.match(/line=(\d+)/)[1])).toEqual(['11', '5', '2'])
+  })
+  test('should fall back to line 1 without the XML source', async () => {
+    const output = formatGithub([{ path: 'draft.xml', result: [new ValidationWarning('A_CODE', 'A', { path: 'rfc.front' })] }])
+    expect(output).toBe('::warning file=draft.xml,line=1,title=A_CODE::A')
+  })
+  test('should escape messages and properties', async () => {
+    const output = formatGithub([{ path: 'dir,1/a:b.txt', result: [new ValidationError('A_CODE', '100% wrong\nreally')] }])
+    expect(output).toBe('::error file=dir%2C1/a%3Ab.txt,title=A_CODE::100%25 wrong%0Areally')
+  })
+  test('findSourceLine() should follow paths with optional indexes', async () => {
+    const root = scanXmlSource(XML_SOURCE)
+    expect(findSourceLine(root, 'rfc.front.title')).toBe(4)
+    expect(findSourceLine(root, 'rfc[0].middle.section')).toBe(8)
+    expect(findSourceLine(root, 'rfc.middle.section[1]')).toBe(9)
+    expect(findSourceLine(root, 'rfc.middle.section[5].t')).toBe(7)
+    expect(findSourceLine(root, 'unknown')).toBe(1)
+  })
+})
+
+describe('html', () => {
+  test('should produce a standalone document with a summary by severity', async () => {
+    const html = formatHtml([{ path: 'draft-beep-boop-00.txt', result: RESULT }], { mode: MODES.SUBMISSION, version: '3.0.0' })
+    expect(html).toMatch(/^<!DOCTYPE html>/)
+    expect(html).toContain('<style>')
+    expect(html).not.toMatch(/<(script|link)\b/)
+    expect(html).toContain('Mode: submission')
+    expect(html).toContain('<div class="error">1 Errors</div>')
+    expect(html).toContain('<div class="warning">1 Warnings</div>')
+    expect(html).toContain('<div class="comment">1 Comments</div>')
+  })
+  test('should state the snapshot date of the offline data bundle', async () => {
+    const html = formatHtml([{ path: 'draft-beep-boop-00.txt', result: RESULT }], { dataSnapshot: '2024-10-01T00:00:00.000Z' })
+    expect(html).toContain('Offline data snapshot of 2024-10-01T00:00:00.000Z')
+  })
+  test('should group nits by rule in collapsible sections', async () => {
+    const html = formatHtml([{ path: 'draft-beep-boop-00.txt', result: RESULT }])
+    expect(html).toContain('<summary>validateFilename (1)</summary>')
+    expect(html).toContain('<summary>validateLineLength (1)</summary>')
+    expect(html).toContain('<summary>detectDeprecatedElements (1)</summary>')
+    expect(html).toContain('<a href="https://authors.ietf.org/naming-your-internet-draft">')
+    expect(html).toContain('The &lt;strike&gt; element is deprecated.')
+  })
+  test('should display an excerpt of the source with the column highlighted', async () => {
+    const source = ['line one', 'line two', 'a <b> & c', 'line four', 'line five'].join('\n')
+    const html = formatHtml([{
+      path: 'draft.txt',
+      source,
+      result: [new ValidationWarning('A_CODE', 'A', { lines: [{ line: 3, pos: 3 }] })]
+    }])
+    expect(html).toContain([
+      '<pre><span class="ln">    2   </span>line two',
+      '<span class="ln">    3 &gt; </span>a <mark>&lt;</mark>b&gt; &amp; c',
+      '<span class="ln">    4   </span>line four</pre>'
+    ].join('\n'))
+  })
+  test('should highlight the range of a location', async () => {
+    const source = ['line one', 'a <b> & c'].join('\n')
+    const html = formatHtml([{
+      path: 'draft.txt',
+      source,
+      result: [new ValidationWarning('A_CODE', 'A', { locations: [createLocation(2, 3, { length: 3 })] })]
+    }])
+    expect(html).toContain('<span class="ln">    2 &gt; </span>a <mark>&lt;b&gt;</mark> &amp; c</pre>')
+  })
+  test('should report valid files', async () => {
+    expect(formatHtml([{ path: 'draft.txt', result: [] }])).toContain('<p class="pass">Document is valid.</p>')
+  })
+})
+
+describe('utils', () => {
+  test('escapeXml() should escape special and control characters', async () => {
+    expect(escapeXml('<a href="x">Tom & Jerry\'s</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;')
+    expect(escapeXml('a\x0Cb\nc')).toBe('ab\nc')
+    expect(escapeXml(undefined)).toBe('')
+  })
+})
@@ -0,0 +1,145 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { cloneDeep, set } from 'lodash-es'
+import { validateNormativeReferences } from '../lib/modules/downref.mjs'
+import { getProvider } from '../lib/remote/providers.mjs'
+import { getRfcIndex, loadRfcIndex, parseRfcIndex, RFC_INDEX_URL, setRfcIndex } from '../lib/remote/rfc-index.mjs'
+import { baseTXTDoc } from './fixtures/base-doc.mjs'
+import fetchMock from 'jest-fetch-mock'
+
+fetchMock.enableMocks()
+
+const RFC_INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<rfc-index xmlns="https://www.rfc-editor.org/rfc-index">
+  <bcp-entry>
+    <doc-id>BCP0014</doc-id>
+    <is-also>
+      <doc-id>RFC2119</doc-id>
+      <doc-id>RFC8174</doc-id>
+    </is-also>
+  </bcp-entry>
+  <rfc-entry>
+    <doc-id>RFC0791</doc-id>
+    <title>Internet Protocol</title>
+    <updated-by>
+      <doc-id>RFC1349</doc-id>
+      <doc-id>RFC2474</doc-id>
+    </updated-by>
+    <is-also>
+      <doc-id>STD0005</doc-id>
+    </is-also>
+    <current-status>INTERNET STANDARD</current-status>
+  </rfc-entry>
+  <rfc-entry>
+    <doc-id>RFC1602</doc-id>
+    <title>The Internet Standards Process -- Revision 2</title>
+    <obsoleted-by>
+      <doc-id>RFC2026</doc-id>
+    </obsoleted-by>
+    <current-status>INFORMATIONAL</current-status>
+  </rfc-entry>
+  <rfc-entry>
+    <doc-id>RFC2119</doc-id>
+    <title>Key words for use in RFCs to Indicate Requirement Levels</title>
+    <updated-by>
+      <doc-id>RFC8174</doc-id>
+    </updated-by>
+    <is-also>
+      <doc-id>BCP0014</doc-id>
+    </is-also>
+    <current-status>BEST CURRENT PRACTICE</current-status>
+  </rfc-entry>
+  <rfc-entry>
+    <doc-id>RFC9999</doc-id>
+    <title>Beep &amp; Boop &lt;Protocol&gt;</title>
+    <current-status>UNKNOWN</current-status>
+  </rfc-entry>
+</rfc-index>`
+
+describe('rfc-index.xml should be parsed into RFC metadata', () => {
+  test('parseRfcIndex() should list the title, status, obsoleted-by, updated-by and is-also of each RFC', async () => {
+    expect(parseRfcIndex(RFC_INDEX)).toEqual({
+      791: { rfc: '791', title: 'Internet Protocol', status: 'INTERNET STANDARD', obsoleted_by: [], updated_by: ['1349', '2474'], is_also: ['STD5'] },
+      1602: { rfc: '1602', title: 'The Internet Standards Process -- Revision 2', status: 'INFORMATIONAL', obsoleted_by: ['2026'], updated_by: [], is_also: [] },
+      2119: { rfc: '2119', title: 'Key words for use in RFCs to Indicate Requirement Levels', status: 'BEST CURRENT PRACTICE', obsoleted_by: [], updated_by: ['8174'], is_also: ['BCP14'] },
+      9999: { rfc: '9999', title: 'Beep & Boop <Protocol>', status: 'UNKNOWN', obsoleted_by: [], updated_by: [], is_also: [] }
+    })
+  })
+})
+
+describe('loadRfcIndex()', () => {
+  let tmpDir = null
+  beforeAll(async () => {
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'idnits-'))
+  })
+  afterAll(async () => {
+    await rm(tmpDir, { recursive: true, force: true })
+  })
+  beforeEach(() => {
+    fetchMock.resetMocks()
+    setRfcIndex(null)
+  })
+  afterEach(() => {
+    setRfcIndex(null)
+  })
+
+  test('should load a local file', async () => {
+    const filePath = path.join(tmpDir, 'rfc-index.xml')
+    await writeFile(filePath, RFC_INDEX)
+    await expect(loadRfcIndex(filePath)).resolves.toHaveProperty('2119.is_also', ['BCP14'])
+    expect(getRfcIndex()).toHaveProperty('1602.obsoleted_by', ['2026'])
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+  test('should download the index without a path', async () => {
+    fetchMock.mockResponseOnce(RFC_INDEX)
+    await expect(loadRfcIndex()).resolves.toHaveProperty('791.status', 'INTERNET STANDARD')
+    expect(fetchMock.mock.calls[0][0]).toBe(RFC_INDEX_URL)
+  })
+  test('should reject missing files, failed downloads and indexes without entries', async () => {
+    await expect(loadRfcIndex(path.join(tmpDir, 'missing.xml'))).rejects.toThrow('Failed to read RFC index')
+    fetchMock.mockResponseOnce('', { status: 503 })
+    await expect(loadRfcIndex()).rejects.toThrow(`Failed to download RFC index from ${RFC_INDEX_URL}: HTTP 503`)
+    const filePath = path.join(tmpDir, 'empty.xml')
+    await writeFile(filePath, '<rfc-index></rfc-index>')
+    await expect(loadRfcIndex(filePath)).rejects.toThrow(`No RFC entries found in ${filePath}.`)
+    expect(getRfcIndex()).toBeNull()
+  })
+  test('should only download the index from allowed domains', async () => {
+    await expect(loadRfcIndex(undefined, { allowedDomains: ['ietf.org'] })).rejects.toThrow(`Failed to download RFC index from ${RFC_INDEX_URL}: Fetching ${RFC_INDEX_URL} is blocked`)
+    expect(fetchMock.mock.calls).toHaveLength(0)
+    fetchMock.mockResponseOnce('', { status: 302, headers: { Location: 'https://example.com/rfc-index.xml' } })
+    await expect(loadRfcIndex()).rejects.toThrow('Fetching https://example.com/rfc-index.xml is blocked')
+    expect(fetchMock.mock.calls).toHaveLength(1)
+  })
+})
+
+describe('RFC lookups should be answered from a loaded RFC index', () => {
+  beforeEach(() => {
+    fetchMock.resetMocks()
+    fetchMock.mockReject(new Error('Unexpected RFC lookup'))
+    setRfcIndex(parseRfcIndex(RFC_INDEX))
+  })
+  afterEach(() => {
+    setRfcIndex(null)
+  })
+
+  test('the default provider should not fetch each RFC', async () => {
+    const provider = getProvider()
+    await expect(provider.getRfcInfo('0791')).resolves.toMatchObject({ rfc: '791', is_also: ['STD5'] })
+    await expect(provider.getRfcInfo(2119)).resolves.toMatchObject({ title: 'Key words for use in RFCs to Indicate Requirement Levels' })
+    await expect(provider.getRfcInfo('1234')).resolves.toBeNull()
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+  test('validateNormativeReferences() should look up each normative reference', async () => {
+    const doc = cloneDeep(baseTXTDoc)
+    set(doc, 'data.extractedElements.referenceSectionRfc', [
+      { value: '1602', subsection: 'normative_references' },
+      { value: '2119', subsection: 'normative_references' }
+    ])
+    const result = await validateNormativeReferences(doc)
+    expect(result.map(r => r.name)).toEqual(['OBSOLETE_DOCUMENT'])
+    expect(fetchMock.mock.calls).toHaveLength(0)
+  })
+})
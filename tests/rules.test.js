@@ -0,0 +1,391 @@
+import { afterEach, describe, expect, test } from '@jest/globals'
+import { readdir, readFile } from 'node:fs/promises'
+import { CODE_ALIASES, CODE_SPLITS, CODES, expandCode, getSplitSources, NIT_CODES, resolveCodeAlias } from '../lib/config/codes.mjs'
+import { MODES } from '../lib/config/modes.mjs'
+import { DEFAULT_SEVERITIES } from '../lib/config/severities.mjs'
+import { BUILTIN_RULES } from '../lib/config/rules.mjs'
+import { toContainError, ValidationComment, ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { getCodeDetails, getCodes, getDefaultSeverity, getRule, getRules, isCodeEnabled, isCodeOff, isKnownRuleOrCode, isRuleEnabled, registerRule, unregisterRule } from '../lib/helpers/rules.mjs'
+import { checkNits } from '../lib/index.mjs'
+import { BlockedFetchError } from '../lib/remote/gateway.mjs'
+import { createMemoryProvider } from '../lib/remote/providers.mjs'
+
+expect.extend({
+  toContainError
+})
+
+const TXT_FIXTURE = new URL('./fixtures/draft-beep-boop.txt', import.meta.url)
+
+afterEach(() => {
+  unregisterRule('validateWgTerms')
+})
+
+describe('rule registry', () => {
+  test('built-in rules are registered in order', async () => {
+    expect(getRules().map(r => r.id)).toEqual(BUILTIN_RULES.map(r => r.id))
+  })
+  test('built-in rule codes all have a default severity', async () => {
+    for (const rule of getRules()) {
+      for (const code of rule.codes) {
+        expect(DEFAULT_SEVERITIES).toHaveProperty(code)
+      }
+    }
+  })
+  test('getRules() filters by stage and document type', async () => {
+    expect(getRules({ stage: 'raw' }).map(r => r.id)).toEqual(['validateFilename', 'validateEncoding', 'validateContent'])
+    expect(getRules({ docType: 'txt' }).some(r => r.id === 'detectDeprecatedElements')).toBe(false)
+    expect(getRules({ docType: 'xml' }).some(r => r.id === 'detectDeprecatedElements')).toBe(true)
+  })
+  test('registerRule() applies defaults', async () => {
+    const rule = registerRule({ id: 'validateWgTerms', validate: async () => [] })
+    expect(rule).toMatchObject({
+      stage: 'document',
+      docTypes: ['txt', 'xml'],
+      network: false,
+      codes: [],
+      severity: {}
+    })
+    expect(getRule('validateWgTerms')).toBe(rule)
+  })
+  test('registerRule() rejects invalid rules', async () => {
+    expect(() => registerRule({ validate: async () => [] })).toThrow()
+    expect(() => registerRule({ id: 'validateWgTerms' })).toThrow()
+    expect(() => registerRule({ id: 'validateFQDNs', validate: async () => [] })).toThrow()
+    expect(() => registerRule({ id: 'validateWgTerms', stage: 'post', validate: async () => [] })).toThrow()
+    expect(() => registerRule({ id: 'validateWgTerms', docTypes: ['pdf'], validate: async () => [] })).toThrow()
+    expect(() => registerRule({ id: 'validateWgTerms', severity: { WG_TERM: ['error'] }, validate: async () => [] })).toThrow()
+  })
+  test('unregisterRule() removes a rule', async () => {
+    registerRule({ id: 'validateWgTerms', validate: async () => [] })
+    expect(unregisterRule('validateWgTerms')).toBe(true)
+    expect(getRule('validateWgTerms')).toBeUndefined()
+  })
+  test('getDefaultSeverity() resolves built-in and registered codes', async () => {
+    registerRule({
+      id: 'validateWgTerms',
+      codes: ['WG_TERM'],
+      severity: { WG_TERM: ['warning', 'comment', 'off'] },
+      validate: async () => []
+    })
+    expect(getDefaultSeverity('LINE_TOO_LONG', MODES.NORMAL)).toBe('error')
+    expect(getDefaultSeverity('LINE_TOO_LONG', MODES.FORGIVE_CHECKLIST)).toBe('warning')
+    expect(getDefaultSeverity('WG_TERM', MODES.FORGIVE_CHECKLIST)).toBe('comment')
+    expect(getDefaultSeverity('UNKNOWN_CODE', MODES.NORMAL)).toBeUndefined()
+  })
+})
+
+describe('code catalog', () => {
+  test('every code with a default severity is documented', async () => {
+    for (const code of Object.keys(DEFAULT_SEVERITIES)) {
+      expect(CODES).toHaveProperty(code)
+      expect(CODES[code]).toEqual(expect.objectContaining({
+        description: expect.any(String),
+        ref: expect.stringMatching(/^https:\/\//),
+        bad: expect.any(String),
+        good: expect.any(String)
+      }))
+    }
+    expect(Object.keys(CODES).sort()).toEqual(Object.keys(DEFAULT_SEVERITIES).sort())
+  })
+  test('getCodeDetails() merges the catalog with registered rules', async () => {
+    expect(getCodeDetails('RAGGED_RIGHT')).toMatchObject({
+      code: 'RAGGED_RIGHT',
+      ref: CODES.RAGGED_RIGHT.ref,
+      severity: ['error', 'warning', 'off'],
+      rules: ['validateLineExtraSpacing'],
+      docTypes: ['txt']
+    })
+    expect(getCodeDetails('UNDEFINED_STATUS').rules).toEqual(['validateNormativeReferences', 'validateUnclassifiedReferences', 'validateInformativeReferences'])
+    expect(getCodeDetails('XML_PARSING_FAILED')).toMatchObject({ rules: [], docTypes: ['xml'] })
+    expect(getCodeDetails('UNKNOWN_CODE')).toBeUndefined()
+    expect(getCodeDetails('MISSING_IANA_CONSIDERATIONS_SECTION').situations).toEqual([
+      { name: 'rfc', description: expect.any(String), severity: ['comment', 'comment', 'off'] }
+    ])
+  })
+  test('isCodeOff() checks the default severity and every situation', async () => {
+    expect(isCodeOff('RAGGED_RIGHT', MODES.SUBMISSION)).toBe(true)
+    expect(isCodeOff('RAGGED_RIGHT', MODES.NORMAL)).toBe(false)
+    expect(isCodeOff('MISSING_IANA_CONSIDERATIONS_SECTION', MODES.SUBMISSION)).toBe(true)
+    expect(isCodeOff('LINE_TOO_LONG', MODES.SUBMISSION)).toBe(false)
+  })
+  test('validators only emit cataloged codes through createNit()', async () => {
+    const dirs = ['modules', 'parsers', 'helpers']
+    for (const dir of dirs) {
+      for (const file of await readdir(new URL(`../lib/${dir}/`, import.meta.url))) {
+        const source = await readFile(new URL(`../lib/${dir}/${file}`, import.meta.url), 'utf8')
+        expect(source).not.toMatch(/(createNit|new Validation(Error|Warning|Comment))\(\s*['`]/)
+        // Parsers throw fatal errors, which are not subject to severities
+        if (dir !== 'parsers') {
+          expect(source).not.toMatch(/new Validation(Error|Warning|Comment)\(/)
+          expect(source).not.toMatch(/mode [!=]== MODES\.SUBMISSION/)
+        }
+        for (const [, code] of source.matchAll(/NIT_CODES\.(\w+)/g)) {
+          expect(NIT_CODES).toHaveProperty(code)
+        }
+      }
+    }
+  })
+  test('nits link to the reference of their catalog entry', async () => {
+    const provider = createMemoryProvider({
+      rfcs: { 4360: { rfc: '4360', status: 'Bogus', obsoleted_by: ['9999'] } },
+      downrefs: ['RFC 4360']
+    })
+    for (const fixture of ['draft-beep-boop.txt', 'draft-ietf-uuidrev-rfc4122bis-11.xml', 'draft-template-standard.xml']) {
+      const raw = await readFile(new URL(`./fixtures/${fixture}`, import.meta.url))
+      const result = await checkNits(raw, fixture, { provider })
+      expect(result.length).toBeGreaterThan(0)
+      for (const entry of result) {
+        expect({ code: entry.name, ref: entry.refUrl }).toEqual({ code: entry.name, ref: CODES[entry.name].ref })
+      }
+    }
+  })
+  test('rules only declare cataloged codes', async () => {
+    for (const rule of BUILTIN_RULES) {
+      for (const code of rule.codes) {
+        expect(NIT_CODES[code]).toBe(code)
+      }
+    }
+  })
+  test('deprecated aliases resolve to cataloged codes', async () => {
+    for (const [alias, code] of Object.entries(CODE_ALIASES)) {
+      expect(CODES).not.toHaveProperty(alias)
+      expect(CODES).toHaveProperty(code)
+    }
+    expect(resolveCodeAlias('OBSOLETES_OSOLETED_RFC')).toBe('OBSOLETES_OBSOLETED_RFC')
+    expect(resolveCodeAlias('LINE_TOO_LONG')).toBe('LINE_TOO_LONG')
+    expect(resolveCodeAlias('validateFQDNs')).toBe('validateFQDNs')
+    expect(getCodeDetails('UPDATES_OSOLETED_RFC')).toMatchObject({ code: 'UPDATES_OBSOLETED_RFC', aliases: ['UPDATES_OSOLETED_RFC'] })
+    expect(isKnownRuleOrCode('UPDATES_OSOLETED_RFC')).toBe(true)
+  })
+  test('split codes map to cataloged codes', async () => {
+    for (const [code, splits] of Object.entries(CODE_SPLITS)) {
+      expect(CODES).toHaveProperty(code)
+      for (const splitCode of Object.keys(splits)) {
+        expect(CODES).toHaveProperty(splitCode)
+      }
+    }
+    expect(expandCode('DOWNREF_DRAFT')).toEqual(['DOWNREF_DRAFT', 'DOWNREF_RFC'])
+    expect(expandCode('UPDATES_OSOLETED_RFC')).toEqual(['UPDATES_OBSOLETED_RFC'])
+    expect(getSplitSources('DOWNREF_RFC').map(s => s.code)).toEqual(['DOWNREF_DRAFT'])
+  })
+  test('getCodes() includes codes of registered rules', async () => {
+    registerRule({
+      id: 'validateWgTerms',
+      codes: ['WG_TERM'],
+      severity: { WG_TERM: ['warning', 'comment', 'off'] },
+      validate: async () => []
+    })
+    const codes = getCodes()
+    expect(codes.map(c => c.code)).toEqual([...Object.keys(DEFAULT_SEVERITIES), 'WG_TERM'].sort())
+    expect(codes.find(c => c.code === 'WG_TERM')).toMatchObject({
+      description: undefined,
+      severity: ['warning', 'comment', 'off'],
+      rules: ['validateWgTerms'],
+      docTypes: ['txt', 'xml']
+    })
+  })
+})
+
+describe('rules selection', () => {
+  const rule = { id: 'validateIPs', codes: ['INVALID_IPV4_ADDRESS', 'NON_DOCUMENTATION_IPV4'] }
+
+  test('isRuleEnabled() with no selection', async () => {
+    expect(isRuleEnabled(rule)).toBe(true)
+    expect(isRuleEnabled(rule, {})).toBe(true)
+  })
+  test('isRuleEnabled() with excluded rule id or codes', async () => {
+    expect(isRuleEnabled(rule, { exclude: ['validateIPs'] })).toBe(false)
+    expect(isRuleEnabled(rule, { exclude: ['NON_DOCUMENTATION_IPV4'] })).toBe(true)
+    expect(isRuleEnabled(rule, { exclude: ['NON_DOCUMENTATION_IPV4', 'INVALID_IPV4_ADDRESS'] })).toBe(false)
+  })
+  test('isRuleEnabled() with included rule id or codes', async () => {
+    expect(isRuleEnabled(rule, { include: ['validateIPs'] })).toBe(true)
+    expect(isRuleEnabled(rule, { include: ['NON_DOCUMENTATION_IPV4'] })).toBe(true)
+    expect(isRuleEnabled(rule, { include: ['validateFQDNs', 'LINE_TOO_LONG'] })).toBe(false)
+  })
+  test('isCodeEnabled() with excluded codes', async () => {
+    expect(isCodeEnabled('NON_DOCUMENTATION_IPV4', rule, { exclude: ['NON_DOCUMENTATION_IPV4'] })).toBe(false)
+    expect(isCodeEnabled('INVALID_IPV4_ADDRESS', rule, { exclude: ['NON_DOCUMENTATION_IPV4'] })).toBe(true)
+  })
+  test('isCodeEnabled() with included rule id or codes', async () => {
+    expect(isCodeEnabled('INVALID_IPV4_ADDRESS', rule, { include: ['validateIPs'] })).toBe(true)
+    expect(isCodeEnabled('INVALID_IPV4_ADDRESS', rule, { include: ['NON_DOCUMENTATION_IPV4'] })).toBe(false)
+    expect(isCodeEnabled('NON_DOCUMENTATION_IPV4', rule, { include: ['NON_DOCUMENTATION_IPV4'] })).toBe(true)
+  })
+  test('isKnownRuleOrCode() matches rule ids and codes', async () => {
+    registerRule({ id: 'validateWgTerms', codes: ['WG_TERM'], validate: async () => [] })
+    expect(isKnownRuleOrCode('validateIPs')).toBe(true)
+    expect(isKnownRuleOrCode('TEXT_DOC_REF')).toBe(true)
+    expect(isKnownRuleOrCode('WG_TERM')).toBe(true)
+    expect(isKnownRuleOrCode('NOT_A_CODE')).toBe(false)
+  })
+})
+
+describe('checkNits() runs registered rules', () => {
+  test('custom rule is run on the parsed document', async () => {
+    const raw = await readFile(TXT_FIXTURE)
+    const progress = []
+    registerRule({
+      id: 'validateWgTerms',
+      description: 'Validating WG terms...',
+      docTypes: ['txt'],
+      codes: ['WG_TERM'],
+      validate: async ({ doc }, { mode }) => {
+        expect(doc.type).toBe('txt')
+        expect(mode).toBe(MODES.SUBMISSION)
+        return [new ValidationWarning('WG_TERM', 'WG term found.')]
+      }
+    })
+    const result = await checkNits(raw, 'draft-beep-boop.txt', {
+      mode: MODES.SUBMISSION,
+      offline: true,
+      progressReport: msg => progress.push(msg)
+    })
+    expect(result).toContainError('WG_TERM', ValidationWarning)
+    expect(progress).toContain('Validating WG terms...')
+  })
+  test('deprecated codes are accepted in rules selection and severity overrides', async () => {
+    const raw = await readFile(TXT_FIXTURE)
+    registerRule({
+      id: 'validateWgTerms',
+      codes: ['UPDATES_OBSOLETED_RFC', 'WG_TERM'],
+      validate: async () => [new ValidationWarning('UPDATES_OBSOLETED_RFC', 'Already obsoleted.'), new ValidationWarning('WG_TERM', 'WG term found.')]
+    })
+    const opts = { mode: MODES.SUBMISSION, offline: true }
+    const excluded = await checkNits(raw, 'draft-beep-boop.txt', { ...opts, rules: { exclude: ['UPDATES_OSOLETED_RFC'] } })
+    expect(excluded.some(r => r.name === 'UPDATES_OBSOLETED_RFC')).toBe(false)
+    expect(excluded).toContainError('WG_TERM', ValidationWarning)
+    const overridden = await checkNits(raw, 'draft-beep-boop.txt', { ...opts, severity: { UPDATES_OSOLETED_RFC: 'comment' } })
+    expect(overridden).toContainError('UPDATES_OBSOLETED_RFC', ValidationComment)
+  })
+  test('split codes are accepted in rules selection and severity overrides', async () => {
+    const raw = await readFile(TXT_FIXTURE)
+    registerRule({
+      id: 'validateWgTerms',
+      codes: ['DOWNREF_RFC', 'WG_TERM'],
+      validate: async () => [new ValidationWarning('DOWNREF_RFC', 'RFC 2119 is listed in the Downref Registry.'), new ValidationWarning('WG_TERM', 'WG term found.')]
+    })
+    const opts = { offline: true }
+    const excluded = await checkNits(raw, 'draft-beep-boop.txt', { ...opts, rules: { exclude: ['DOWNREF_DRAFT'] } })
+    expect(excluded.some(r => r.name === 'DOWNREF_RFC')).toBe(false)
+    expect(excluded).toContainError('WG_TERM', ValidationWarning)
+    const overridden = await checkNits(raw, 'draft-beep-boop.txt', { ...opts, severity: { DOWNREF_DRAFT: 'comment' } })
+    expect(overridden).toContainError('DOWNREF_RFC', ValidationComment)
+    const kept = await checkNits(raw, 'draft-beep-boop.txt', { ...opts, severity: { DOWNREF_RFC: 'error', DOWNREF_DRAFT: 'off' } })
+    expect(kept).toContainError('DOWNREF_RFC', ValidationError)
+  })
+  test('custom rule is skipped for other document types', async () => {
+    const raw = await readFile(TXT_FIXTURE)
+    registerRule({
+      id: 'validateWgTerms',
+      docTypes: ['xml'],
+      validate: async () => [new ValidationWarning('WG_TERM', 'WG term found.')]
+    })
+    const result = await checkNits(raw, 'draft-beep-boop.txt', { mode: MODES.SUBMISSION, offline: true })
+    expect(result.some(r => r.name === 'WG_TERM')).toBe(false)
+  })
+  test('custom rule severities are resolved for the mode', async () => {
+    const raw = await readFile(TXT_FIXTURE)
+    registerRule({
+      id: 'validateWgTerms',
+      codes: ['WG_TERM', 'WG_TERM_CASE'],
+      severity: {
+        WG_TERM: ['error', 'error', 'comment'],
+        WG_TERM_CASE: ['warning', 'warning', 'off']
+      },
+      validate: async () => [
+        new ValidationWarning('WG_TERM', 'WG term found.'),
+        new ValidationWarning('WG_TERM_CASE', 'WG term has invalid case.')
+      ]
+    })
+    const result = await checkNits(raw, 'draft-beep-boop.txt', {
+      mode: MODES.SUBMISSION,
+      offline: true,
+      rules: { include: ['validateWgTerms'] }
+    })
+    expect(result).toHaveLength(1)
+    expect(result).toContainError('WG_TERM', ValidationComment)
+  })
+  test('excluded rule is not run', async () => {
+    const raw = await readFile(TXT_FIXTURE)
+    let hasRun = false
+    registerRule({
+      id: 'validateWgTerms',
+      codes: ['WG_TERM'],
+      validate: async () => {
+        hasRun = true
+        return [new ValidationWarning('WG_TERM', 'WG term found.')]
+      }
+    })
+    const result = await checkNits(raw, 'draft-beep-boop.txt', {
+      mode: MODES.SUBMISSION,
+      offline: true,
+      rules: { exclude: ['WG_TERM'] }
+    })
+    expect(hasRun).toBe(false)
+    expect(result.some(r => r.name === 'WG_TERM')).toBe(false)
+  })
+  test('excluded codes are not reported', async () => {
+    const raw = await readFile(TXT_FIXTURE)
+    const result = await checkNits(raw, 'draft-beep-boop.txt', {
+      mode: MODES.SUBMISSION,
+      offline: true,
+      rules: { exclude: ['validateFilename', 'LINE_TOO_LONG'] }
+    })
+    expect(result.some(r => r.name.startsWith('FILENAME_') && r.name !== 'FILENAME_DOCNAME_MISMATCH')).toBe(false)
+    expect(result.some(r => r.name === 'LINE_TOO_LONG')).toBe(false)
+  })
+  test('only included rules and codes are reported', async () => {
+    const raw = await readFile(TXT_FIXTURE)
+    const result = await checkNits(raw, 'draft-beep-boop.txt', {
+      mode: MODES.SUBMISSION,
+      offline: true,
+      rules: { include: ['LINE_TOO_LONG'] }
+    })
+    expect(result.map(r => r.name)).toEqual(['LINE_TOO_LONG'])
+  })
+  test('rule outcomes are reported', async () => {
+    const raw = await readFile(TXT_FIXTURE)
+    const outcomes = {}
+    const ruleReport = ({ id, ...outcome }) => { outcomes[id] = outcome }
+    registerRule({
+      id: 'validateWgTerms',
+      codes: ['WG_TERM'],
+      validate: async () => { throw new BlockedFetchError('https://wg.example/terms', 'wg.example') }
+    })
+    const result = await checkNits(raw, 'draft-beep-boop.txt', { offline: true, ruleReport })
+    expect(result).toContainError('FETCH_BLOCKED', ValidationComment)
+    expect(outcomes.validateWgTerms).toEqual({ status: 'blocked', message: 'Fetching https://wg.example/terms is blocked: wg.example is not an allowed domain.' })
+    expect(outcomes.validateLineLength).toEqual({ status: 'ran' })
+    expect(outcomes).not.toHaveProperty('validateXMLBoilerplate')
+
+    unregisterRule('validateWgTerms')
+    registerRule({
+      id: 'validateWgTerms',
+      codes: ['WG_TERM'],
+      severity: { WG_TERM: ['off', 'off', 'off'] },
+      validate: async () => [new ValidationWarning('WG_TERM', 'WG term found.')]
+    })
+    await checkNits(raw, 'draft-beep-boop.txt', { offline: true, ruleReport })
+    expect(outcomes.validateWgTerms).toEqual({ status: 'skipped', message: 'All codes of validateWgTerms are off in this mode.' })
+
+    unregisterRule('validateWgTerms')
+    registerRule({
+      id: 'validateWgTerms',
+      codes: ['WG_TERM'],
+      validate: async () => { throw new Error('Invalid WG terms.') }
+    })
+    await expect(checkNits(raw, 'draft-beep-boop.txt', { offline: true, ruleReport })).rejects.toThrow('Invalid WG terms.')
+    expect(outcomes.validateWgTerms).toEqual({ status: 'error', message: 'Invalid WG terms.' })
+  })
+  test('format option forces the parser', async () => {
+    const raw = await readFile(TXT_FIXTURE)
+    registerRule({
+      id: 'validateWgTerms',
+      validate: async ({ doc }) => [new ValidationWarning('WG_TERM', `Parsed as ${doc.type}.`)]
+    })
+    const result = await checkNits(raw, 'draft-beep-boop', { mode: MODES.SUBMISSION, offline: true, format: 'txt' })
+    expect(result.find(r => r.name === 'WG_TERM').message).toBe('Parsed as txt.')
+    await expect(checkNits(raw, 'draft-beep-boop', { format: 'html' })).rejects.toThrow('Invalid format')
+  })
+})
@@ -1,4 +1,5 @@
 import { describe, expect, test } from '@jest/globals'
+import { readFile } from 'node:fs/promises'
 import { MODES } from '../lib/config/modes.mjs'
 import { toContainError, ValidationComment, ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
 import {
@@ -10,6 +11,7 @@ import {
   validateIANAConsiderationsSection,
   validateReferencesInText
 } from '../lib/modules/sections.mjs'
+import { parse } from '../lib/parsers/txt.mjs'
 import { baseXMLDoc, baseTXTDoc } from './fixtures/base-doc.mjs'
 import { cloneDeep, set, times } from 'lodash-es'
 
@@ -131,15 +133,15 @@ describe('document should have a valid abstract section', () => {
       const expectedErrors = [
         {
           name: 'INVALID_ABSTRACT_SECTION_REF',
-          refUrl: 'https://authors.ietf.org/required-content#abstract'
+          refUrl: 'https://authors.ietf.org/en/required-content#abstract'
         },
         {
           name: 'INVALID_ABSTRACT_SECTION_URL',
-          refUrl: 'https://authors.ietf.org/required-content#abstract'
+          refUrl: 'https://authors.ietf.org/en/required-content#abstract'
         },
         {
           name: 'INVALID_ABSTRACT_SECTION_REF',
-          refUrl: 'https://authors.ietf.org/required-content#abstract'
+          refUrl: 'https://authors.ietf.org/en/required-content#abstract'
         }
       ]
 
@@ -148,6 +150,23 @@ describe('document should have a valid abstract section', () => {
         expect.arrayContaining(expectedErrors.map(error => expect.objectContaining(error)))
       )
     })
+    test('RFC references and URLs should be located in the parsed document', async () => {
+      const lines = (await readFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url), 'utf8')).split('\n')
+      lines.splice(17, 0, '   See [RFC9999] or https://example.com.')
+      const doc = await parse(lines.join('\n'), 'draft-beep-boop.txt')
+      const result = await validateAbstractSection(doc)
+      const excerpt = '   See [RFC9999] or https://example.com.'
+      expect(result.find(r => r.name === 'INVALID_ABSTRACT_SECTION_REF').locations).toEqual([{
+        start: { line: 18, column: 8 },
+        end: { line: 18, column: 17 },
+        excerpt
+      }])
+      expect(result.find(r => r.name === 'INVALID_ABSTRACT_SECTION_URL').locations).toEqual([{
+        start: { line: 18, column: 21 },
+        end: { line: 18, column: 41 },
+        excerpt
+      }])
+    })
   })
 
   describe('XML Document Type', () => {
@@ -0,0 +1,182 @@
+import { describe, expect, test } from '@jest/globals'
+import { readFile } from 'node:fs/promises'
+import { MODES } from '../lib/config/modes.mjs'
+import { toContainError, ValidationComment, ValidationWarning } from '../lib/helpers/error.mjs'
+import { applySuppressions, extractTxtSuppressions, isPathWithin, parseSuppressionDirective, reportUnusedSuppressions } from '../lib/helpers/suppressions.mjs'
+import { parse, scanXmlSource } from '../lib/parsers/xml.mjs'
+import { checkNits } from '../lib/index.mjs'
+
+expect.extend({
+  toContainError
+})
+
+const XML_DOC = `<?xml version="1.0" encoding="utf-8"?>
+<!-- idnits-disable DEPRECATED_ELEMENT -->
+<rfc version="3" docName="draft-ietf-beep-boop-00">
+  <front>
+    <title>Beep Boop</title>
+  </front>
+  <middle>
+    <section>
+      <name>Introduction</name>
+      <t>Example: 10.0.0.1</t>
+    </section>
+    <section>
+      <!-- idnits-disable NON_DOCUMENTATION_IPV4, INVALID_IPV4_ADDRESS -->
+      <name>Operations</name>
+      <t>Example: 10.0.0.2</t>
+      <t><!-- idnits-enable NON_DOCUMENTATION_IPV4 -->Example: 10.0.0.3</t>
+    </section>
+  </middle>
+</rfc>`
+
+describe('suppression directives', () => {
+  test('parseSuppressionDirective() should parse disable / enable directives', async () => {
+    expect(parseSuppressionDirective(' idnits-disable NON_DOCUMENTATION_IPV4 ')).toEqual({ type: 'disable', codes: ['NON_DOCUMENTATION_IPV4'] })
+    expect(parseSuppressionDirective('<!-- idnits-enable A_CODE, B_CODE -->')).toEqual({ type: 'enable', codes: ['A_CODE', 'B_CODE'] })
+    expect(parseSuppressionDirective('idnits-disable')).toEqual({ type: 'disable', codes: [] })
+    expect(parseSuppressionDirective('idnits is a tool')).toBeNull()
+    expect(parseSuppressionDirective('idnits-disable UPDATES_OSOLETED_RFC')).toEqual({ type: 'disable', codes: ['UPDATES_OBSOLETED_RFC'] })
+  })
+  test('extractTxtSuppressions() should return directives with line numbers', async () => {
+    expect(extractTxtSuppressions('line 1\n   idnits-disable LINE_TOO_LONG\nline 3\n   idnits-enable\n')).toEqual([
+      { type: 'disable', codes: ['LINE_TOO_LONG'], line: 2 },
+      { type: 'enable', codes: [], line: 4 }
+    ])
+  })
+  test('isPathWithin() should match descendant paths', async () => {
+    expect(isPathWithin('rfc.middle.section[1].t[0]', 'rfc.middle.section[1]')).toBe(true)
+    expect(isPathWithin('rfc.middle.section[1].t[0]', 'rfc.middle.section')).toBe(true)
+    expect(isPathWithin('rfc.front.author[0].organization', 'rfc.front.author')).toBe(true)
+    expect(isPathWithin('rfc.middle.section[0].t', 'rfc.middle.section[1]')).toBe(false)
+    expect(isPathWithin('rfc.middle', 'rfc.middle.section[1]')).toBe(false)
+    expect(isPathWithin('rfc.middle', '')).toBe(true)
+  })
+})
+
+describe('XML suppressions', () => {
+  test('scanXmlSource() should return element paths matching the parsed tree', async () => {
+    const root = scanXmlSource(XML_DOC)
+    const rfc = root.children[0]
+    expect(rfc.path).toBe('rfc')
+    expect(rfc.line).toBe(3)
+    expect(rfc.children[1].children.map(c => c.path)).toEqual(['rfc.middle.section[0]', 'rfc.middle.section[1]'])
+    expect(rfc.children[1].children[1].children[2].path).toBe('rfc.middle.section[1].t[1]')
+  })
+  test('parse() should extract directives with their enclosing element', async () => {
+    const doc = await parse(XML_DOC, 'draft-ietf-beep-boop-00.xml')
+    expect(doc.suppressions).toEqual([
+      { type: 'disable', codes: ['DEPRECATED_ELEMENT'], line: 2, path: '', offset: XML_DOC.indexOf('<!-- idnits-disable DEP'), range: { start: 0, end: XML_DOC.length } },
+      { type: 'disable', codes: ['NON_DOCUMENTATION_IPV4', 'INVALID_IPV4_ADDRESS'], line: 13, path: 'rfc.middle.section[1]', offset: XML_DOC.indexOf('<!-- idnits-disable NON'), range: expect.any(Object) },
+      { type: 'enable', codes: ['NON_DOCUMENTATION_IPV4'], line: 16, path: 'rfc.middle.section[1].t[1]', offset: XML_DOC.indexOf('<!-- idnits-enable'), range: expect.any(Object) }
+    ])
+    expect(XML_DOC.slice(doc.suppressions[1].range.start, doc.suppressions[1].range.end)).toMatch(/^<section>\s+<!-- idnits-disable[\s\S]+<\/section>$/)
+    expect(doc.data.rfc.middle.section[1].t).toEqual(['Example: 10.0.0.2', 'Example: 10.0.0.3'])
+  })
+  test('applySuppressions() should suppress entries within the enclosing element', async () => {
+    const doc = await parse(XML_DOC, 'draft-ietf-beep-boop-00.xml')
+    const { result, unused } = applySuppressions([
+      new ValidationWarning('NON_DOCUMENTATION_IPV4', 'IPv4 1', { path: 'rfc.middle.section[0].t' }),
+      new ValidationWarning('NON_DOCUMENTATION_IPV4', 'IPv4 2', { path: 'rfc.middle.section[1].t[0]' }),
+      new ValidationWarning('NON_DOCUMENTATION_IPV4', 'IPv4 3', { path: 'rfc.middle.section[1].t[1]' }),
+      new ValidationWarning('DEPRECATED_ELEMENT', 'Deprecated', { path: 'rfc.front.title' })
+    ], doc)
+    expect(result.map(r => r.message)).toEqual(['IPv4 1', 'IPv4 3'])
+    expect(unused.map(s => s.code)).toEqual(['INVALID_IPV4_ADDRESS'])
+    expect(reportUnusedSuppressions(unused)).toContainError('UNUSED_SUPPRESSION', ValidationComment)
+    expect(reportUnusedSuppressions(unused)[0]).toMatchObject({ lines: [{ line: 13, pos: 1 }], path: 'rfc.middle.section[1]' })
+  })
+  test('applySuppressions() should re-enable codes after an idnits-enable in the same element', async () => {
+    const xml = XML_DOC.replace('<t>Example: 10.0.0.1</t>', `<!-- idnits-disable INVALID_IPV4_ADDRESS -->
+      <t>Example: 888.1.2.3</t>
+      <!-- idnits-enable INVALID_IPV4_ADDRESS -->
+      <t>Example: 888.1.2.3</t>`)
+    const result = await checkNits(Buffer.from(xml), 'draft-ietf-beep-boop-00.xml', {
+      rules: { include: ['INVALID_IPV4_ADDRESS'] }
+    })
+    expect(result.map(r => [r.name, r.path, r.lines])).toEqual([
+      ['INVALID_IPV4_ADDRESS', 'rfc.middle.section[0].t[1]', [{ line: 13, pos: 19 }]]
+    ])
+  })
+  test('applySuppressions() should only suppress entries without location at the document level', async () => {
+    const { result } = applySuppressions([
+      new ValidationWarning('MISSING_DOC_DATE', 'No date')
+    ], {
+      type: 'xml',
+      suppressions: [{ type: 'disable', codes: ['MISSING_DOC_DATE'], line: 5, path: 'rfc.front' }]
+    })
+    expect(result).toHaveLength(1)
+    const { result: result2 } = applySuppressions([
+      new ValidationWarning('MISSING_DOC_DATE', 'No date')
+    ], {
+      type: 'xml',
+      suppressions: [{ type: 'disable', codes: [], line: 3, path: 'rfc' }]
+    })
+    expect(result2).toHaveLength(0)
+  })
+})
+
+describe('TXT suppressions', () => {
+  test('applySuppressions() should match codes split from a suppressed code', async () => {
+    const doc = {
+      type: 'txt',
+      suppressions: [{ type: 'disable', codes: ['DOWNREF_DRAFT'], line: 10 }]
+    }
+    const { result, unused } = applySuppressions([
+      new ValidationWarning('DOWNREF_RFC', 'RFC 2119 is listed in the Downref Registry.', { lines: [{ line: 12, pos: 1 }] }),
+      new ValidationWarning('DOWNREF_RFC', 'RFC 2119 is listed in the Downref Registry.', { lines: [{ line: 5, pos: 1 }] })
+    ], doc)
+    expect(result.map(r => r.lines)).toEqual([[{ line: 5, pos: 1 }]])
+    expect(unused).toHaveLength(0)
+  })
+  test('applySuppressions() should suppress lines within a range', async () => {
+    const doc = {
+      type: 'txt',
+      suppressions: [
+        { type: 'disable', codes: ['INVALID_CTRL_CODES'], line: 10 },
+        { type: 'enable', codes: [], line: 20 }
+      ]
+    }
+    const { result, unused } = applySuppressions([
+      new ValidationWarning('INVALID_CTRL_CODES', 'Ctrl codes', { lines: [{ line: 5, pos: 1 }, { line: 15, pos: 1 }] }),
+      new ValidationWarning('INVALID_CTRL_CODES', 'Ctrl codes', { lines: [{ line: 12, pos: 1 }] }),
+      new ValidationWarning('INVALID_CTRL_CODES', 'Ctrl codes', { lines: [{ line: 25, pos: 1 }] })
+    ], doc)
+    expect(result).toHaveLength(2)
+    expect(result[0].lines).toEqual([{ line: 5, pos: 1 }])
+    expect(result[1].lines).toEqual([{ line: 25, pos: 1 }])
+    expect(unused).toHaveLength(0)
+  })
+  test('checkNits() should apply suppressions and report unused ones', async () => {
+    const lines = (await readFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url), 'utf8')).split('\n')
+    lines.splice(18, 1, lines[18], '   idnits-enable LINE_TOO_LONG')
+    lines.splice(17, 0, '   idnits-disable LINE_TOO_LONG, TEXT_DOC_REF')
+    const raw = Buffer.from(lines.join('\n'))
+    const result = await checkNits(raw, 'draft-beep-boop.txt', { mode: MODES.SUBMISSION, offline: true })
+    expect(result.some(r => r.name === 'LINE_TOO_LONG')).toBe(false)
+    expect(result).toContainError('UNUSED_SUPPRESSION', ValidationComment)
+    expect(result.find(r => r.name === 'UNUSED_SUPPRESSION').message).toContain('TEXT_DOC_REF')
+  })
+  test('checkNits() should suppress located nits within a bounded range', async () => {
+    const lines = (await readFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url), 'utf8')).split('\n')
+    lines.splice(17, 0, '   The server is at 999.8.8.8.')
+    const raw = Buffer.from(lines.join('\n'))
+    await expect(checkNits(raw, 'draft-beep-boop.txt', { offline: true })).resolves.toContainError('INVALID_IPV4_ADDRESS', ValidationWarning)
+    lines.splice(18, 0, '   idnits-enable')
+    lines.splice(17, 0, '   idnits-disable INVALID_IPV4_ADDRESS')
+    const result = await checkNits(Buffer.from(lines.join('\n')), 'draft-beep-boop.txt', { offline: true })
+    expect(result.some(r => r.name === 'INVALID_IPV4_ADDRESS')).toBe(false)
+    expect(result.some(r => r.name === 'UNUSED_SUPPRESSION')).toBe(false)
+  })
+  test('checkNits() should not report unused suppressions of disabled codes', async () => {
+    const lines = (await readFile(new URL('./fixtures/draft-beep-boop.txt', import.meta.url), 'utf8')).split('\n')
+    lines.splice(17, 0, '   idnits-disable TEXT_DOC_REF')
+    const raw = Buffer.from(lines.join('\n'))
+    const result = await checkNits(raw, 'draft-beep-boop.txt', {
+      mode: MODES.SUBMISSION,
+      offline: true,
+      rules: { exclude: ['TEXT_DOC_REF'] }
+    })
+    expect(result.some(r => r.name === 'UNUSED_SUPPRESSION')).toBe(false)
+  })
+})
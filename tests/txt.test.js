@@ -26,6 +26,11 @@ describe('Text document should not contain over-long lines', () => {
     await expect(validateLineLength(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('LINE_TOO_LONG', ValidationWarning)
     await expect(validateLineLength(doc, { mode: MODES.SUBMISSION })).resolves.toContainError('LINE_TOO_LONG', ValidationWarning)
   })
+  test('should locate the characters past the 72nd column', async () => {
+    const doc = { ...baseTXTDoc, body: ['x'.repeat(42), 'y'.repeat(76)].join('\n') }
+    const [nit] = await validateLineLength(doc)
+    expect(nit.locations).toEqual([{ start: { line: 2, column: 73 }, end: { line: 2, column: 77 }, excerpt: 'y'.repeat(76) }])
+  })
 })
 
 describe('The document should not contain more than 50 lines with intra-line extra spacing.', () => {
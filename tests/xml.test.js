@@ -1,7 +1,10 @@
 import { beforeEach, describe, expect, test } from '@jest/globals'
 import { MODES } from '../lib/config/modes.mjs'
-import { toContainError, ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { toContainError, ValidationComment, ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
 import { detectDeprecatedElements, validateCodeBlocks, validateTextLikeRefs, validateIprAttribute, validateSubmissionType } from '../lib/modules/xml.mjs'
+import { findLocalIncludes, findSourceRange, locateXmlEntries, parse, scanXmlSource } from '../lib/parsers/xml.mjs'
+import { applyFixes } from '../lib/helpers/fix.mjs'
+import { checkNits } from '../lib/index.mjs'
 import { baseXMLDoc } from './fixtures/base-doc.mjs'
 import { cloneDeep, set } from 'lodash-es'
 import fetchMock from 'jest-fetch-mock'
@@ -150,7 +153,7 @@ describe('XML document should have a valid submission type', () => {
     set(doc, 'data.rfc._attr.submissionType', 'ietf')
     set(doc, 'data.rfc._attr.docName', 'draft-ietf-beep-boop')
     set(doc, 'filename', 'draft-ietf-beep-boop.xml')
-    fetch.mockResponse(JSON.stringify({ stream: '/api/v1/name/streamname/ietf/' }))
+    fetch.mockResponse(JSON.stringify({ rev: '03', state: 'Active', stream: 'IETF' }))
     await expect(validateSubmissionType(doc)).resolves.toHaveLength(0)
   })
   test('valid submissionType with non-existent online doc', async () => {
@@ -166,7 +169,7 @@ describe('XML document should have a valid submission type', () => {
     set(doc, 'data.rfc._attr.submissionType', 'ietf')
     set(doc, 'data.rfc._attr.docName', 'draft-ietf-beep-boop')
     set(doc, 'filename', 'draft-ietf-beep-boop.xml')
-    fetch.mockResponse(JSON.stringify({ stream: '/api/v1/name/streamname/iab/' }))
+    fetch.mockResponse(JSON.stringify({ rev: '03', state: 'Active', stream: 'IAB' }))
     await expect(validateSubmissionType(doc)).resolves.toContainError('SUBMISSION_TYPE_UNEXPECTED', ValidationError)
     await expect(validateSubmissionType(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('SUBMISSION_TYPE_UNEXPECTED', ValidationError)
     await expect(validateSubmissionType(doc, { mode: MODES.SUBMISSION })).resolves.toContainError('SUBMISSION_TYPE_UNEXPECTED', ValidationError)
@@ -182,3 +185,116 @@ describe('XML document should have a valid submission type', () => {
     await expect(validateSubmissionType(doc, { mode: MODES.SUBMISSION })).resolves.toContainError('SUBMISSION_TYPE_UNEXPECTED', ValidationError)
   })
 })
+
+describe('XML document local includes should be found', () => {
+  test('external entities and xi:include elements', async () => {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE rfc [
+  <!ENTITY intro SYSTEM "intro.xml">
+  <!ENTITY RFC2119 SYSTEM "https://bib.ietf.org/public/rfc/bibxml/reference.RFC.2119.xml">
+  <!ENTITY appendix SYSTEM 'file://sections/appendix.xml'>
+]>
+<rfc xmlns:xi="http://www.w3.org/2001/XInclude">
+  <xi:include href="refs/local.xml"/>
+  <xi:include href="https://bib.ietf.org/public/rfc/bibxml/reference.RFC.8174.xml"/>
+  <xi:include href="intro.xml"/>
+</rfc>`
+    expect(findLocalIncludes(xml)).toEqual(['intro.xml', 'sections/appendix.xml', 'refs/local.xml'])
+  })
+  test('no includes', async () => {
+    expect(findLocalIncludes('<rfc><front/></rfc>')).toHaveLength(0)
+  })
+})
+
+describe('XML nits should be located in the source', () => {
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<rfc version="3" docName="draft-beep-boop-00" ipr="trust200902">
+  <front>
+    <title>Beep Boop</title>
+  </front>
+  <middle>
+    <section><name>Intro</name>
+      <t>Some <spanx>old</spanx>
+        text.</t>
+      <t><![CDATA[ raw ]]></t>
+    </section>
+  </middle>
+</rfc>`
+  const slice = (range) => xml.slice(range.start, range.end)
+
+  test('scanXmlSource() should record offsets of elements, attributes and text nodes', async () => {
+    const rfc = scanXmlSource(xml).children[0]
+    expect(slice({ start: rfc.start, end: rfc.openEnd })).toBe('<rfc version="3" docName="draft-beep-boop-00" ipr="trust200902">')
+    expect(slice(rfc.attributes.docName)).toBe('docName="draft-beep-boop-00"')
+    const [t0, t1] = rfc.children[1].children[0].children.slice(1)
+    expect(t0.texts.map(slice)).toEqual(['Some', 'text.'])
+    expect(slice(t0.children[0])).toBe('<spanx>old</spanx>')
+    expect(t1.texts.map(slice)).toEqual(['raw'])
+  })
+  test('findSourceRange() should resolve paths to elements, attributes and text', async () => {
+    const root = scanXmlSource(xml)
+    expect(slice(findSourceRange(root, xml, 'rfc.docName'))).toBe('docName="draft-beep-boop-00"')
+    expect(slice(findSourceRange(root, xml, 'rfc._attr.ipr'))).toBe('ipr="trust200902"')
+    expect(slice(findSourceRange(root, xml, 'rfc.front.title'))).toBe('<title>Beep Boop</title>')
+    expect(slice(findSourceRange(root, xml, 'rfc.middle.section'))).toBe('<section>')
+    expect(slice(findSourceRange(root, xml, 'rfc.middle.section.t[0].#text'))).toBe('Some <spanx>old</spanx>\n        text.')
+    expect(slice(findSourceRange(root, xml, 'rfc.middle.section.t[0]', { text: 'old' }))).toBe('old')
+    expect(slice(findSourceRange(root, xml, 'rfc.middle.section.t[1]', { text: 'old' }))).toBe('<t><![CDATA[ raw ]]></t>')
+    expect(findSourceRange(root, xml, 'unknown.path')).toBeNull()
+  })
+  test('locateXmlEntries() should set locations from paths', async () => {
+    const doc = await parse(xml, 'draft-beep-boop-00.xml')
+    const [entry, located, unlocated] = locateXmlEntries([
+      new ValidationWarning('DEPRECATED_ELEMENT', 'Deprecated.', { path: 'rfc.middle.section.t[0].spanx' }),
+      new ValidationComment('A_CODE', 'A', { path: 'rfc.front', lines: [{ line: 1, pos: 1 }] }),
+      new ValidationComment('B_CODE', 'B')
+    ], doc)
+    expect(entry.locations).toEqual([{ start: { line: 8, column: 15 }, end: { line: 8, column: 33 }, excerpt: '      <t>Some <spanx>old</spanx>' }])
+    expect(entry.lines).toEqual([{ line: 8, pos: 15 }])
+    expect(located.lines).toEqual([{ line: 1, pos: 1 }])
+    expect(unlocated.locations).toBeUndefined()
+  })
+  test('checkNits() should report XML nits with their location', async () => {
+    const result = await checkNits(Buffer.from(xml), 'draft-beep-boop-00.xml', { offline: true, rules: { include: ['DEPRECATED_ELEMENT'] } })
+    expect(result).toHaveLength(1)
+    expect(result[0].lines).toEqual([{ line: 8, pos: 15 }])
+  })
+})
+
+describe('XML nits should be fixable', () => {
+  const getXml = (attrs, content = '') => `<?xml version="1.0" encoding="utf-8"?>
+<rfc${attrs} version="3" docName="draft-beep-boop-00">
+  <middle>
+    <section><name>Intro</name>
+      ${content}
+    </section>
+  </middle>
+</rfc>`
+
+  test('<spanx> elements should be replaced with their v3 equivalent', async () => {
+    const xml = getXml(' ipr="trust200902"', '<t>Some <spanx style="verb">code</spanx> and <spanx>emphasis</spanx>.</t>')
+    const doc = await parse(xml, 'draft-beep-boop-00.xml')
+    const result = await detectDeprecatedElements(doc)
+    expect(result).toHaveLength(1)
+    expect(result[0].fix.description).toBe('Replace <spanx> with <tt>, <em>')
+    expect(applyFixes(xml, result).output).toBe(getXml(' ipr="trust200902"', '<t>Some <tt>code</tt> and <em>emphasis</em>.</t>'))
+  })
+  test('<spanx> elements with an unknown style should not be fixed', async () => {
+    const xml = getXml(' ipr="trust200902"', '<t>Some <spanx style="unknown">text</spanx>.</t>')
+    const result = await detectDeprecatedElements(await parse(xml, 'draft-beep-boop-00.xml'))
+    expect(result[0].fix).toBeUndefined()
+  })
+  test('missing ipr attribute should be added', async () => {
+    const xml = getXml('')
+    const result = await validateIprAttribute(await parse(xml, 'draft-beep-boop-00.xml'))
+    expect(applyFixes(xml, result).output).toBe(getXml(' ipr="trust200902"'))
+  })
+  test('invalid ipr value should be replaced with the matching allowed value', async () => {
+    const xml = getXml(' ipr="TRUST200902"')
+    const result = await validateIprAttribute(await parse(xml, 'draft-beep-boop-00.xml'))
+    expect(applyFixes(xml, result).output).toBe(getXml(' ipr="trust200902"'))
+    const unknownXml = getXml(' ipr="beep"')
+    const unknownResult = await validateIprAttribute(await parse(unknownXml, 'draft-beep-boop-00.xml'))
+    expect(unknownResult[0].fix.description).toBe('Set ipr="trust200902"')
+  })
+})